@@ -0,0 +1,344 @@
+/**
+ * Context Window Manager — fits conversation history into the model's budget
+ *
+ * Replaces the fixed "last 6 turns" history window:
+ *   - Per-model context window (settings override → known families → default)
+ *   - Token estimates via safety.estimateTokens(text, model)
+ *   - Older turns are folded into a running summary written by the local model
+ *   - The active document excerpt and last web sources stay pinned across
+ *     follow-up turns, so "what about page 3?" still has something to look at
+ *
+ * Budget layout (tokens):
+ *   window = system + pinned + summary + history + current user + reserved output
+ *
+ * History is filled newest-first until the remaining budget runs out; turns
+ * that don't fit are reported as dropped (and will be folded by maybeCompact).
+ *
+ * A request may fall back to other models (inference-scheduler.js), so it is
+ * planned for the smallest window in its model chain.
+ */
+
+const { getSetting } = require('./settings');
+const { estimateTokens, charsForTokens } = require('./safety');
+const { getSessionWindow, foldTurns } = require('./conversation-context');
+const { postToPool } = require('./ollama-pool');
+
+const DEFAULT_WINDOW     = 8192;
+const MESSAGE_OVERHEAD   = 4;     // role/template tokens per message
+const KEEP_RECENT_TURNS  = 4;     // never fold the last 2 exchanges
+const PINNED_SHARE       = 0.25;  // max share of free budget for pinned context
+const SUMMARY_MAX_TOKENS = 400;
+const SUMMARY_TIMEOUT    = 30_000;
+const TRIM_MARGIN_TOKENS = 32;    // estimates are rough; cut a little more than the overflow
+const TRIM_MARKER        = '\n[…trimmed to fit the model\'s context window]\n';
+
+/** Context windows we run known model families with (num_ctx). */
+const MODEL_WINDOWS = [
+  [/^(llama2|phi3)/, 4096],
+  [/^(llama3|qwen2\.5|qwen3|gemma2|mistral)/, 8192],
+];
+
+/** Sessions currently being summarised — one compaction at a time per key. */
+const compacting = new Set();
+
+/* ── Budget ──────────────────────────────────────────────── */
+
+/**
+ * Resolve the context window (num_ctx) for a model.
+ * `context.model_windows` ({ "<model>": tokens }) overrides the built-in table.
+ *
+ * @param {string} model
+ * @returns {Promise<number>}
+ */
+async function getContextWindow(model) {
+  const overrides = await getSetting('context.model_windows', {});
+  if (overrides && typeof overrides === 'object' && Number(overrides[model]) > 0) {
+    return Number(overrides[model]);
+  }
+  const family = MODEL_WINDOWS.find(([re]) => re.test(model || ''));
+  if (family) return family[1];
+  return Number(await getSetting('context.default_window', DEFAULT_WINDOW)) || DEFAULT_WINDOW;
+}
+
+/**
+ * The smallest context window in a model chain, and the model it belongs to.
+ *
+ * @param {string|string[]} models - one model or a fallback chain
+ * @returns {Promise<{ model: string, window: number }>}
+ */
+async function getChainWindow(models) {
+  const chain = [].concat(models).filter(Boolean);
+  if (chain.length === 0) return { model: undefined, window: await getContextWindow(undefined) };
+  const windows = await Promise.all(chain.map(getContextWindow));
+  const i = windows.indexOf(Math.min(...windows));
+  return { model: chain[i], window: windows[i] };
+}
+
+/**
+ * Tokens left for the user message (documents, web or knowledge blocks
+ * included) once the system prompt and the reserved output are taken from
+ * the chain's smallest window. May be negative.
+ *
+ * @param {{ model: string|string[], systemContent?: string, numPredict?: number }} params
+ * @returns {Promise<{ model: string, window: number, tokens: number }>}
+ */
+async function inputBudget({ model: models, systemContent = '', numPredict = 1024 }) {
+  const { model, window } = await getChainWindow(models);
+  const tokens = window - estimateTokens(systemContent, model) - MESSAGE_OVERHEAD * 2 - numPredict;
+  return { model, window, tokens };
+}
+
+/**
+ * Cut `overflowTokens` out of a prompt just before its last `keepTail`
+ * characters (the user's question), marking the cut. The start of the
+ * context (best-ranked sources and chunks come first) is kept.
+ * Pure — exported for tests.
+ *
+ * @param {string} text
+ * @param {number} overflowTokens - from planContext stats
+ * @param {string} [model]
+ * @param {number} [keepTail=0]
+ * @returns {string|null} null when the cut would reach into the kept tail
+ */
+function trimPrompt(text, overflowTokens, model, keepTail = 0) {
+  const cut = charsForTokens(overflowTokens + TRIM_MARGIN_TOKENS, model) + TRIM_MARKER.length;
+  const headEnd = text.length - keepTail;
+  if (cut >= headEnd) return null;
+  return text.slice(0, headEnd - cut) + TRIM_MARKER + text.slice(headEnd);
+}
+
+/**
+ * Pick the most recent turns that fit in `budget` tokens, in chronological order.
+ * Pure — exported for tests.
+ *
+ * @param {Array<{role: string, content: string}>} turns - oldest first
+ * @param {number} budget
+ * @param {string} [model]
+ * @returns {{ messages: Array<{role: string, content: string}>, tokens: number, dropped: number }}
+ */
+function fitHistory(turns, budget, model) {
+  const picked = [];
+  let tokens = 0;
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(turns[i].content, model) + MESSAGE_OVERHEAD;
+    if (tokens + cost > budget) break;
+    tokens += cost;
+    picked.unshift({ role: turns[i].role, content: turns[i].content });
+  }
+  // Don't open the history with a dangling assistant reply
+  while (picked.length > 0 && picked[0].role === 'assistant') {
+    tokens -= estimateTokens(picked[0].content, model) + MESSAGE_OVERHEAD;
+    picked.shift();
+  }
+  return { messages: picked, tokens, dropped: turns.length - picked.length };
+}
+
+/**
+ * Render pinned document/web context within a token budget.
+ * Pure — exported for tests.
+ *
+ * @param {{ doc?: object, web?: object }} pinned
+ * @param {number} budget
+ * @param {string} [model]
+ * @returns {string} block to append to the system prompt ('' if nothing fits)
+ */
+function buildPinnedBlock(pinned, budget, model) {
+  if (!pinned || budget <= 0) return '';
+  const parts = [];
+
+  if (pinned.web && Array.isArray(pinned.web.sources) && pinned.web.sources.length > 0) {
+    const lines = pinned.web.sources.map((s, i) =>
+      `[${i + 1}] ${s.title || s.url} — ${s.url}${s.snippet ? `\n    ${s.snippet}` : ''}`);
+    parts.push(`RECENT WEB SOURCES (for "${pinned.web.query || ''}"):\n${lines.join('\n')}`);
+  }
+
+  if (pinned.doc && pinned.doc.name) {
+    const used = estimateTokens(parts.join('\n\n'), model);
+    const header = `ACTIVE DOCUMENT: ${pinned.doc.name}`;
+    const room = budget - used - estimateTokens(header, model) - 16;
+    const excerpt = pinned.doc.excerpt || '';
+    if (excerpt && room > 50) {
+      const maxChars = Math.max(0, Math.floor(room * (excerpt.length / Math.max(estimateTokens(excerpt, model), 1))));
+      const clipped = excerpt.length > maxChars ? excerpt.slice(0, maxChars) + '\n[…excerpt truncated]' : excerpt;
+      parts.push(`${header}\n--- EXCERPT ---\n${clipped}\n--- END EXCERPT ---`);
+    } else {
+      parts.push(`${header} (the user uploaded it earlier in this conversation)`);
+    }
+  }
+
+  let block = parts.join('\n\n');
+  if (!block) return '';
+  while (block && estimateTokens(block, model) > budget) {
+    block = block.slice(0, Math.floor(block.length * 0.8));
+  }
+  return block ? `\n\n${block}` : '';
+}
+
+/**
+ * Plan the messages for an LLM call within the model's context window.
+ * Call BEFORE recording the current user turn.
+ *
+ * @param {object} params
+ * @param {string} params.sessionKey
+ * @param {string|string[]} params.model - the model, or the fallback chain it may fall back along
+ * @param {string} params.systemContent - route system prompt
+ * @param {string} params.userContent   - current user message (incl. doc/web blocks)
+ * @param {number} [params.numPredict]  - output tokens to reserve
+ * @param {{ doc?: boolean, web?: boolean }} [params.skipPinned] - current turn already carries it
+ * @returns {Promise<{ systemContent: string, history: Array, numCtx: number, fits: boolean, stats: object }>}
+ *   fits — false when the system prompt, user message and reserved output alone
+ *   exceed the window (stats.overflowTokens says by how much); Ollama would
+ *   silently cut such a prompt, so callers trim or refuse it
+ */
+async function planContext({ sessionKey, model: models, systemContent, userContent, numPredict = 1024, skipPinned = {} }) {
+  // Every model in the chain must fit the prompt, so plan for the smallest window
+  const { model, window } = await getChainWindow(models);
+  const win = getSessionWindow(sessionKey);
+
+  let remaining = window
+    - estimateTokens(systemContent, model)
+    - estimateTokens(userContent, model)
+    - MESSAGE_OVERHEAD * 2
+    - numPredict;
+  const overflowTokens = Math.max(-remaining, 0);
+
+  let system = systemContent || '';
+  const pinnedUsed = [];
+
+  // Summary of folded turns goes first — it's the cheapest way to keep continuity
+  if (win.summary && remaining > 0) {
+    const block = `\n\nCONVERSATION SO FAR (summary of earlier turns):\n${win.summary}`;
+    const cost = estimateTokens(block, model);
+    if (cost < remaining) {
+      system += block;
+      remaining -= cost;
+    }
+  }
+
+  const pinned = {
+    doc: skipPinned.doc ? null : win.pinned?.doc,
+    web: skipPinned.web ? null : win.pinned?.web,
+  };
+  if ((pinned.doc || pinned.web) && remaining > 0) {
+    const block = buildPinnedBlock(pinned, Math.floor(remaining * PINNED_SHARE), model);
+    if (block) {
+      system += block;
+      remaining -= estimateTokens(block, model);
+      if (pinned.doc) pinnedUsed.push('doc');
+      if (pinned.web) pinnedUsed.push('web');
+    }
+  }
+
+  const history = fitHistory(win.turns, Math.max(remaining, 0), model);
+
+  return {
+    systemContent: system,
+    history: history.messages,
+    numCtx: window,
+    fits: overflowTokens === 0,
+    stats: {
+      model,
+      window,
+      overflowTokens,
+      promptTokens: window - numPredict - remaining + history.tokens,
+      historyTurns: history.messages.length,
+      droppedTurns: history.dropped,
+      summarized: !!win.summary,
+      pinned: pinnedUsed,
+    },
+  };
+}
+
+/* ── Running summary ─────────────────────────────────────── */
+
+/**
+ * Ask the local model to merge folded turns into the running summary.
+ * @returns {Promise<string|null>}
+ */
+async function summariseTurns(previousSummary, turns, model) {
+  const transcript = turns
+    .map(t => `${t.role === 'user' ? 'User' : 'Assistant'}: ${t.content}`)
+    .join('\n');
+
+  const prompt = [
+    previousSummary ? `Existing summary:\n${previousSummary}\n` : '',
+    `New conversation turns:\n${transcript}\n`,
+    'Update the summary so it covers everything above.',
+  ].join('\n');
+
+  const ac = new AbortController();
+  const timer = setTimeout(() => ac.abort(), SUMMARY_TIMEOUT);
+  try {
+    const res = await postToPool(model, '/api/chat', {
+      model,
+      messages: [
+        {
+          role: 'system',
+          content: 'You maintain a running memory of a support conversation. Write a compact summary (max 150 words) '
+            + 'keeping facts, names, numbers, order/reference IDs, decisions, open questions, and the language or dialect '
+            + 'the user prefers. Write in the same language the user uses. No preamble.',
+        },
+        { role: 'user', content: prompt },
+      ],
+      stream: false,
+      keep_alive: '30m',
+      options: { temperature: 0.2, num_predict: SUMMARY_MAX_TOKENS },
+    }, { signal: ac.signal });
+    if (!res) throw new Error(`No Ollama backend serves ${model}`);
+    if (!res.ok) throw new Error(`Ollama ${res.status}`);
+    const data = await res.json();
+    const text = (data.message?.content || '').trim();
+    return text || null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Fold older turns into the running summary once history grows past
+ * `context.history_ratio` of the window (or nears the session turn cap).
+ * Fire-and-forget after the assistant turn is recorded.
+ *
+ * @param {string} sessionKey
+ * @param {string} model - model the conversation is running on (sizes the window)
+ */
+async function maybeCompact(sessionKey, model) {
+  if (!sessionKey || compacting.has(sessionKey)) return;
+
+  const enabled = await getSetting('context.summary_enabled', true);
+  if (enabled === false || enabled === 'false') return;
+
+  const win = getSessionWindow(sessionKey);
+  if (win.turns.length <= KEEP_RECENT_TURNS) return;
+
+  const window = await getContextWindow(model);
+  const ratio = Number(await getSetting('context.history_ratio', 0.5)) || 0.5;
+  const historyTokens = win.turns.reduce((sum, t) => sum + estimateTokens(t.content, model) + MESSAGE_OVERHEAD, 0);
+  const nearCap = win.turns.length >= win.maxTurns - 2;
+  if (historyTokens < window * ratio && !nearCap) return;
+
+  const fold = win.turns.slice(0, win.turns.length - KEEP_RECENT_TURNS);
+  const summaryModel = await getSetting('context.summary_model', null)
+    || await getSetting('ai.default_text_model', 'llama3.1:8b');
+
+  compacting.add(sessionKey);
+  try {
+    const summary = await summariseTurns(win.summary, fold, summaryModel);
+    if (summary) foldTurns(sessionKey, fold[fold.length - 1].ts, summary);
+  } catch (err) {
+    console.error('[context] Summarisation failed:', err.message);
+  } finally {
+    compacting.delete(sessionKey);
+  }
+}
+
+module.exports = {
+  getContextWindow,
+  getChainWindow,
+  inputBudget,
+  trimPrompt,
+  fitHistory,
+  buildPinnedBlock,
+  planContext,
+  maybeCompact,
+};
@@ -7,6 +7,7 @@
  *   - The router can see what route was used last turn
  *   - Smalltalk gate can distinguish first greeting from follow-up
  *   - Document follow-up questions reference the right context
+ *   - Several uploaded documents stay available and can be referenced by name
  *
  * Session preferences (language, dialect, intensity):
  *   - Set by explicit user requests ("kace klate boleh?", "speak english")
@@ -15,18 +16,39 @@
  *
  * In-memory store with TTL-based cleanup. Key = visitorId or sessionId.
  *
- * Max 8 turns kept (4 user + 4 assistant), oldest evicted first.
+ * Max 24 turns kept, oldest evicted first. Before that cap is reached,
+ * context-window.js folds older turns into `summary` (running summary) so
+ * the LLM sees summary + recent turns instead of a hard cut-off.
  * Each session auto-expires after 30 minutes of inactivity.
+ *
+ * Persistent threads:
+ *   openThread() binds a session to a Postgres thread (conversation-store.js)
+ *   under the key `thread:<id>`. Bound sessions are hydrated from the DB on a
+ *   cache miss and write every turn / preference change through, so the
+ *   in-memory Map is only a hot cache. Unbound keys behave exactly as before.
+ *   Writes are chained per thread, so turns land in the order they were added.
+ *   State writes carry only the fields that changed. A cached session is
+ *   re-hydrated on openThread when the row's message_count or state_version
+ *   shows another instance wrote to the thread since.
  */
 
-const MAX_TURNS    = 8;   // total messages kept (user + assistant interleaved)
+const crypto = require('crypto');
+const store = require('./conversation-store');
+const { matchDocuments } = require('./document-context');
+const { dialectToPref } = require('./dialect');
+
+const MAX_TURNS    = 24;  // total messages kept (user + assistant interleaved)
 const SESSION_TTL  = 30 * 60 * 1000; // 30 minutes
 const PREF_TTL     = 60 * 60 * 1000; // 60 minutes for preferences
 const CLEANUP_FREQ = 5 * 60 * 1000;  // 5 minutes
+const MAX_SESSION_DOCS = 8;           // documents kept in memory per session (all are persisted)
 
 /** @type {Map<string, ConversationSession>} */
 const sessions = new Map();
 
+/** @type {Map<string, Promise<void>>} threadId → tail of its pending DB writes */
+const writeChains = new Map();
+
 /**
  * @typedef {object} ConversationTurn
  * @property {'user' | 'assistant'} role
@@ -46,14 +68,38 @@ const sessions = new Map();
  * @property {string} [dominantLang]    - most frequent language across turns
  * @property {string} [dominantDialect] - most frequent dialect
  * @property {string} [lastRoute]       - last route type used
- * @property {string} [activeDocId]     - currently active document ID
+ * @property {string} [activeDocId]     - id of the most recently uploaded document
+ * @property {SessionDocument[]} documents - uploaded documents, oldest first
  * @property {SessionPreferences} pref  - sticky language/dialect preferences
+ * @property {string|null} summary      - running summary of folded (older) turns
+ * @property {number} summarizedCount   - how many turns have been folded into summary
+ * @property {{ doc: object|null, web: object|null }} pinned - active doc excerpt / last web sources
+ * @property {string} [threadId]        - bound Postgres thread (persistent sessions only)
+ * @property {string} [env]             - environment of the bound thread
+ * @property {number} [messageCount]    - thread messages this cache has seen stored
+ * @property {number} [stateVersion]    - thread state_version after this cache's last write
+ * @property {boolean} [stale]          - another instance wrote state in between; re-hydrate on next open
+ * @property {Set<string>} [dirty]      - state fields changed since the last state write
+ */
+
+/**
+ * @typedef {object} SessionDocument
+ * @property {string} id
+ * @property {string} name             - original file name
+ * @property {string} [title]
+ * @property {'text'|'pages'} kind
+ * @property {string} [mimeType]
+ * @property {string} [extractionMethod]
+ * @property {string} [language]
+ * @property {string|null} text        - extracted text with page/sheet/slide markers
+ * @property {object} meta             - pageCount / sheetCount / slideCount / rowCount
+ * @property {number} addedAt
  */
 
 /**
  * @typedef {object} SessionPreferences
  * @property {string} language       - 'auto' | 'ms' | 'en'
- * @property {string} dialect        - 'none' | 'utara' | 'klate'
+ * @property {string} dialect        - 'none' | 'utara' | 'klate' | 'ganu' | 'nogori' | 'sabah' | 'sarawak'
  * @property {number} dialectIntensity - 0.0 to 1.0 (default 0.25)
  * @property {number} updatedAt      - when pref was last changed
  */
@@ -84,9 +130,13 @@ function createEmpty() {
     dominantDialect: null,
     lastRoute: null,
     activeDocId: null,
+    documents: [],
+    summary: null,
+    summarizedCount: 0,
+    pinned: { doc: null, web: null },
     pref: {
       language: 'auto',       // 'auto' | 'ms' | 'en'
-      dialect: 'none',        // 'none' | 'utara' | 'klate'
+      dialect: 'none',        // 'none' or a DIALECT_PROFILES pref ('utara', 'klate', 'ganu', …)
       dialectIntensity: 0.25, // 0.0 to 1.0
       updatedAt: 0,
     },
@@ -119,6 +169,8 @@ function addUserTurn(sessionKey, content, meta = {}) {
   recalcAggregates(sess);
   if (meta.route) sess.lastRoute = meta.route;
   if (meta.docId) sess.activeDocId = meta.docId;
+  persistTurn(sess, { role: 'user', content, ...meta });
+  persistState(sess, ['dominantLang', 'dominantDialect', 'lastRoute', 'activeDocId']);
 }
 
 /**
@@ -126,7 +178,7 @@ function addUserTurn(sessionKey, content, meta = {}) {
  *
  * @param {string} sessionKey
  * @param {string} content
- * @param {object} [meta] - { route }
+ * @param {object} [meta] - { route, requestId, model }
  */
 function addAssistantTurn(sessionKey, content, meta = {}) {
   if (!sessionKey) return;
@@ -138,6 +190,13 @@ function addAssistantTurn(sessionKey, content, meta = {}) {
     ts: Date.now(),
   });
   while (sess.turns.length > MAX_TURNS) sess.turns.shift();
+  persistTurn(sess, {
+    role: 'assistant',
+    content,
+    route: meta.route,
+    requestId: meta.requestId,
+    meta: meta.model ? { model: meta.model } : null,
+  });
 }
 
 /**
@@ -156,7 +215,7 @@ function getRouterContext(sessionKey) {
   const isFirstTurn = turnCount === 0;
 
   // Check if preferences are still valid (within PREF_TTL)
-  const prefValid = sess.pref.updatedAt > 0 && (Date.now() - sess.pref.updatedAt) < PREF_TTL;
+  const prefValid = isPrefValid(sess);
 
   return {
     turnCount,
@@ -165,6 +224,7 @@ function getRouterContext(sessionKey) {
     dominantLang: sess.dominantLang,
     dominantDialect: sess.dominantDialect,
     activeDocId: sess.activeDocId,
+    documentCount: sess.documents.length,
     recentIntents: userTurns.slice(-3).map(t => t.intent).filter(Boolean),
     lastUserMessage: userTurns.length > 0 ? userTurns[userTurns.length - 1].content.slice(0, 200) : null,
     pref: prefValid ? { ...sess.pref } : { language: 'auto', dialect: 'none', dialectIntensity: 0.25, updatedAt: 0 },
@@ -184,6 +244,7 @@ function setPreference(sessionKey, field, value) {
   if (['language', 'dialect', 'dialectIntensity'].includes(field)) {
     sess.pref[field] = value;
     sess.pref.updatedAt = Date.now();
+    persistState(sess, ['pref']);
   }
 }
 
@@ -197,8 +258,7 @@ function getPreferences(sessionKey) {
   if (!sessionKey) return { language: 'auto', dialect: 'none', dialectIntensity: 0.25, updatedAt: 0 };
   const sess = sessions.get(sessionKey);
   if (!sess) return { language: 'auto', dialect: 'none', dialectIntensity: 0.25, updatedAt: 0 };
-  const prefValid = sess.pref.updatedAt > 0 && (Date.now() - sess.pref.updatedAt) < PREF_TTL;
-  return prefValid ? { ...sess.pref } : { language: 'auto', dialect: 'none', dialectIntensity: 0.25, updatedAt: 0 };
+  return isPrefValid(sess) ? { ...sess.pref } : { language: 'auto', dialect: 'none', dialectIntensity: 0.25, updatedAt: 0 };
 }
 
 /**
@@ -215,9 +275,8 @@ function applyExplicitRequest(sessionKey, explicitReq) {
     setPreference(sessionKey, 'language', explicitReq.lang);
   }
   if (explicitReq.dialect !== undefined && explicitReq.dialect !== null) {
-    // Map dialect name to preference key
-    const dialectMap = { 'KELANTAN': 'klate', 'UTARA': 'utara', 'STANDARD': 'none' };
-    setPreference(sessionKey, 'dialect', dialectMap[explicitReq.dialect] || 'none');
+    // Map dialect name to preference key (STANDARD → 'none')
+    setPreference(sessionKey, 'dialect', dialectToPref(explicitReq.dialect));
     // Explicit request bumps intensity slightly
     if (explicitReq.dialect !== 'STANDARD') {
       setPreference(sessionKey, 'dialectIntensity', 0.35);
@@ -250,16 +309,125 @@ function getHistoryMessages(sessionKey, maxTurns = 6) {
   }));
 }
 
+/**
+ * Full history window for the context-window manager: all cached turns
+ * (oldest first) plus the running summary and pinned context.
+ *
+ * @param {string} sessionKey
+ * @returns {{ turns: ConversationTurn[], summary: string|null, pinned: object, maxTurns: number }}
+ */
+function getSessionWindow(sessionKey) {
+  const sess = sessionKey ? sessions.get(sessionKey) : null;
+  if (!sess) return { turns: [], summary: null, pinned: { doc: null, web: null }, maxTurns: MAX_TURNS };
+  return {
+    turns: sess.turns.slice(),
+    summary: sess.summary,
+    pinned: sess.pinned,
+    maxTurns: MAX_TURNS,
+  };
+}
+
+/**
+ * Replace turns up to and including `throughTs` with an updated running summary.
+ * Timestamp-based so turns added while the summary was being generated survive.
+ *
+ * @param {string} sessionKey
+ * @param {number} throughTs - ts of the last folded turn
+ * @param {string} summary
+ */
+function foldTurns(sessionKey, throughTs, summary) {
+  const sess = sessionKey ? sessions.get(sessionKey) : null;
+  if (!sess) return;
+  const before = sess.turns.length;
+  sess.turns = sess.turns.filter(t => t.ts > throughTs);
+  sess.summarizedCount += before - sess.turns.length;
+  sess.summary = summary;
+  persistState(sess, ['summary', 'summarizedCount']);
+}
+
+/**
+ * Pin document or web context so follow-up turns can still see it.
+ *
+ * @param {string} sessionKey
+ * @param {'doc'|'web'} kind
+ * @param {object|null} data - doc: { name, kind, excerpt } / web: { query, sources: [{ title, url, snippet }] }
+ */
+function pinContext(sessionKey, kind, data) {
+  if (!sessionKey || !['doc', 'web'].includes(kind)) return;
+  const sess = getSession(sessionKey);
+  sess.pinned = { ...sess.pinned, [kind]: data };
+  persistState(sess, ['pinned']);
+}
+
+/**
+ * Keep an ingested document on the session (and its thread) so later turns
+ * can ask about it — alone or alongside other uploads.
+ *
+ * @param {string} sessionKey
+ * @param {object} doc - NormalizedDocument from ingestAttachment()
+ * @returns {SessionDocument|null} null for images (nothing to quote later)
+ */
+function addDocument(sessionKey, doc) {
+  if (!sessionKey || !doc || (doc.kind !== 'text' && doc.kind !== 'pages')) return null;
+  const sess = getSession(sessionKey);
+  const { fileName, mimeType, sizeBytes, extractionMethod, ...rest } = doc.meta || {};
+  const entry = {
+    id: crypto.randomUUID(),
+    name: fileName || 'document',
+    title: doc.title && doc.title !== fileName ? doc.title : null,
+    kind: doc.kind,
+    mimeType: mimeType || null,
+    sizeBytes: sizeBytes || null,
+    extractionMethod: extractionMethod || null,
+    language: doc.detectedLanguage || null,
+    text: doc.kind === 'text' ? doc.text || '' : null,
+    meta: rest,
+    addedAt: Date.now(),
+  };
+  sess.documents.push(entry);
+  while (sess.documents.length > MAX_SESSION_DOCS) sess.documents.shift();
+  sess.activeDocId = entry.id;
+
+  if (sess.threadId) {
+    const { threadId, env } = sess;
+    queueWrite(threadId, 'Persist document', () => store.saveThreadDocument(threadId, env, entry));
+    persistState(sess, ['activeDocId']);
+  }
+  return entry;
+}
+
+/**
+ * Documents uploaded in this session, oldest first.
+ * @param {string} sessionKey
+ * @returns {SessionDocument[]}
+ */
+function getDocuments(sessionKey) {
+  const sess = sessionKey ? sessions.get(sessionKey) : null;
+  return sess ? sess.documents.slice() : [];
+}
+
 /**
  * Check if a user's recent context suggests they are following up on a document.
+ * With `message`, naming a stored document ("the invoice", "dokumen kedua",
+ * "compare both") also counts, even when the last turns were about something else.
  *
  * @param {string} sessionKey
- * @returns {{ isFollowUp: boolean, docId: string|null }}
+ * @param {string} [message]
+ * @returns {{ isFollowUp: boolean, docId: string|null, docIds: string[], referenced: boolean }}
  */
-function isDocFollowUp(sessionKey) {
-  if (!sessionKey) return { isFollowUp: false, docId: null };
+function isDocFollowUp(sessionKey, message) {
+  const none = { isFollowUp: false, docId: null, docIds: [], referenced: false };
+  if (!sessionKey) return none;
   const sess = sessions.get(sessionKey);
-  if (!sess) return { isFollowUp: false, docId: null };
+  if (!sess) return none;
+
+  if (message && sess.documents.length > 0) {
+    const match = matchDocuments(sess.documents, message);
+    if (match.referenced) {
+      const docIds = match.docs.map(d => d.id);
+      return { isFollowUp: true, docId: docIds[docIds.length - 1], docIds, referenced: true };
+    }
+  }
 
   // Check if last 2 turns involved a document
   const recentUser = sess.turns
@@ -267,11 +435,220 @@ function isDocFollowUp(sessionKey) {
     .slice(-2);
 
   const lastDocTurn = recentUser.find(t => t.route === 'DOCUMENT_ANALYSIS' || t.docId);
+  const activeId = sess.activeDocId || null;
   if (lastDocTurn) {
-    return { isFollowUp: true, docId: lastDocTurn.docId || sess.activeDocId };
+    const docId = lastDocTurn.docId || activeId;
+    return { isFollowUp: true, docId, docIds: docId ? [docId] : [], referenced: false };
+  }
+
+  return { ...none, docId: activeId };
+}
+
+/* ── Persistent threads ────────────────────────────────── */
+
+/**
+ * Resolve (or create) the persistent thread for a request and hydrate its session.
+ *
+ * - threadId given: must exist and belong to ownerKey, otherwise returns null
+ * - no threadId: resumes the owner's thread active within SESSION_TTL, else creates one
+ * - DB unavailable: degrades to the legacy unbound session keyed by ownerKey
+ *
+ * @param {object} opts
+ * @param {string} opts.ownerKey   - 'user:<id>' or visitor id
+ * @param {string} [opts.threadId] - client-supplied thread id
+ * @param {'prod'|'dev'} [opts.env='prod']
+ * @param {string} [opts.userId]   - users.id for logged-in owners
+ * @returns {Promise<{ sessionKey: string, threadId: string|null } | null>}
+ */
+async function openThread({ ownerKey, threadId = null, env = 'prod', userId = null }) {
+  let thread;
+  try {
+    if (threadId) {
+      thread = await store.getThread(threadId, ownerKey, env);
+      if (!thread) return null;
+    } else {
+      thread = await store.findRecentThread(ownerKey, env, SESSION_TTL)
+        || await store.createThread({ ownerKey, userId, environment: env });
+    }
+  } catch (err) {
+    if (threadId) throw err;
+    console.error('[conversation] Thread store unavailable:', err.message);
+    return { sessionKey: ownerKey, threadId: null };
+  }
+
+  const sessionKey = `thread:${thread.id}`;
+  const cached = sessions.get(sessionKey);
+  if (cached && await isCacheCurrent(cached, thread, ownerKey, env)) {
+    cached.lastActive = Date.now();
+  } else {
+    await hydrateSession(sessionKey, thread, env);
   }
+  return { sessionKey, threadId: thread.id };
+}
+
+/**
+ * Does a cached session still match its thread row? Our own queued writes
+ * are awaited first (and the row re-read), so only writes made by other
+ * instances show up as a difference.
+ */
+async function isCacheCurrent(sess, thread, ownerKey, env) {
+  const pending = writeChains.get(thread.id);
+  if (pending) {
+    await pending;
+    try {
+      thread = await store.getThread(thread.id, ownerKey, env) || thread;
+    } catch (err) {
+      console.error('[conversation] Thread re-check failed:', err.message);
+      return true;
+    }
+  }
+  return !sess.stale
+    && (thread.message_count || 0) === sess.messageCount
+    && (thread.state_version || 0) === sess.stateVersion;
+}
 
-  return { isFollowUp: false, docId: sess.activeDocId || null };
+/**
+ * Load a thread's recent turns + state into the in-memory cache.
+ */
+async function hydrateSession(sessionKey, thread, env) {
+  const sess = createEmpty();
+  sess.threadId = thread.id;
+  sess.env = env;
+  sess.messageCount = thread.message_count || 0;
+  sess.stateVersion = thread.state_version || 0;
+  sess.stale = false;
+  sess.dirty = new Set();
+  sess.dominantLang = thread.dominant_lang || null;
+  sess.dominantDialect = thread.dominant_dialect || null;
+  sess.lastRoute = thread.last_route || null;
+  sess.activeDocId = thread.active_doc_id || null;
+  if (thread.pref && typeof thread.pref === 'object') {
+    sess.pref = { ...sess.pref, ...thread.pref };
+  }
+  sess.summary = thread.summary || null;
+  sess.summarizedCount = thread.summarized_count || 0;
+  if (thread.pinned && typeof thread.pinned === 'object') {
+    sess.pinned = { ...sess.pinned, ...thread.pinned };
+  }
+
+  try {
+    const docs = await store.listThreadDocuments(thread.id, env, { withText: true, limit: MAX_SESSION_DOCS });
+    sess.documents = docs.map(d => ({
+      id: d.id,
+      name: d.name,
+      title: d.title || null,
+      kind: d.kind,
+      mimeType: d.mime_type || null,
+      sizeBytes: d.size_bytes || null,
+      extractionMethod: d.extraction_method || null,
+      language: d.language || null,
+      text: d.text,
+      meta: d.meta || {},
+      addedAt: new Date(d.created_at).getTime(),
+    }));
+  } catch (err) {
+    console.error('[conversation] Hydrate documents failed:', err.message);
+  }
+
+  // Only turns that haven't been folded into the summary come back as history
+  const unsummarized = Math.max((thread.message_count || 0) - sess.summarizedCount, 0);
+  const limit = Math.min(MAX_TURNS, unsummarized);
+
+  try {
+    const rows = limit > 0 ? await store.listMessages(thread.id, env, { limit }) : [];
+    sess.turns = rows.map(r => ({
+      role: r.role,
+      content: (r.content || '').slice(0, 2000),
+      route: r.route || null,
+      lang: r.lang || null,
+      dialect: r.dialect || null,
+      intent: r.intent || null,
+      docId: r.doc_id || null,
+      ts: new Date(r.created_at).getTime(),
+    }));
+  } catch (err) {
+    console.error('[conversation] Hydrate failed:', err.message);
+  }
+
+  sessions.set(sessionKey, sess);
+  return sess;
+}
+
+/**
+ * Drop a session from the in-memory cache (e.g. after the thread is deleted).
+ * @param {string} sessionKey
+ */
+function forgetSession(sessionKey) {
+  sessions.delete(sessionKey);
+}
+
+/** Preferences on persistent threads don't expire; legacy sessions honour PREF_TTL. */
+function isPrefValid(sess) {
+  if (!(sess.pref.updatedAt > 0)) return false;
+  return !!sess.threadId || (Date.now() - sess.pref.updatedAt) < PREF_TTL;
+}
+
+/**
+ * Run a thread write after the ones already queued for that thread, so two
+ * quick requests on one thread store their turns in order. Callers don't wait;
+ * a failed write is logged and the chain moves on.
+ */
+function queueWrite(threadId, label, write) {
+  const tail = (writeChains.get(threadId) || Promise.resolve())
+    .then(write)
+    .catch(err => console.error(`[conversation] ${label} failed:`, err.message));
+  writeChains.set(threadId, tail);
+  tail.then(() => {
+    if (writeChains.get(threadId) === tail) writeChains.delete(threadId);
+  });
+  return tail;
+}
+
+/**
+ * Resolves once every write queued so far for a session's thread has settled.
+ * @param {string} sessionKey
+ * @returns {Promise<void>}
+ */
+function flushWrites(sessionKey) {
+  const sess = sessions.get(sessionKey);
+  return (sess?.threadId && writeChains.get(sess.threadId)) || Promise.resolve();
+}
+
+/** Queued write of a turn for bound sessions. */
+function persistTurn(sess, turn) {
+  if (!sess.threadId) return;
+  const { threadId, env } = sess;
+  const row = { ...turn, content: (turn.content || '').slice(0, 2000) };
+  queueWrite(threadId, 'Persist turn', async () => {
+    await store.appendMessage(threadId, env, row);
+    sess.messageCount++;
+  });
+}
+
+/**
+ * Queued write of the given session state fields (preferences, aggregates,
+ * summary, pinned context). Fields marked before the write runs go out
+ * together, with their values at that time.
+ */
+function persistState(sess, fields) {
+  if (!sess.threadId) return;
+  const { threadId, env } = sess;
+  for (const f of fields) sess.dirty.add(f);
+  queueWrite(threadId, 'Persist state', async () => {
+    if (sess.dirty.size === 0) return;
+    const state = Object.fromEntries([...sess.dirty].map(f => [f, sess[f]]));
+    sess.dirty.clear();
+    let version;
+    try {
+      version = await store.saveThreadState(threadId, env, state);
+    } catch (err) {
+      for (const f of Object.keys(state)) sess.dirty.add(f);  // retried with the next state write
+      throw err;
+    }
+    // Anything but the next version means another instance wrote in between
+    if (version !== sess.stateVersion + 1) sess.stale = true;
+    if (version !== null) sess.stateVersion = version;
+  });
 }
 
 /** @returns {object} */
@@ -283,6 +660,7 @@ function emptyContext() {
     dominantLang: null,
     dominantDialect: null,
     activeDocId: null,
+    documentCount: 0,
     recentIntents: [],
     lastUserMessage: null,
     pref: { language: 'auto', dialect: 'none', dialectIntensity: 0.25, updatedAt: 0 },
@@ -339,8 +717,16 @@ module.exports = {
   getRouterContext,
   getHistoryMessages,
   isDocFollowUp,
+  addDocument,
+  getDocuments,
   getStats,
   setPreference,
   getPreferences,
   applyExplicitRequest,
+  getSessionWindow,
+  foldTurns,
+  pinContext,
+  openThread,
+  forgetSession,
+  flushWrites,
 };
@@ -0,0 +1,279 @@
+/**
+ * Conversation Store — Postgres persistence for chat threads
+ *
+ * Backs the in-memory cache in conversation-context.js so that history and
+ * sticky preferences survive restarts and are shared across instances.
+ *
+ * Tables: chat_threads, chat_thread_messages (migration 013),
+ *         chat_thread_documents (migration 018)
+ * All queries are environment-scoped via queryFor(env, ...).
+ *
+ * Ownership: every thread belongs to an owner key —
+ *   'user:<userId>' for logged-in users and API key holders,
+ *   the visitor id (cookie) for guests.
+ */
+
+const { queryFor } = require('./db');
+const { getActor } = require('./rate-limit');
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_TITLE_LENGTH = 120;
+
+/**
+ * Resolve the thread owner key for a request.
+ * Same precedence as the chat route's context key: session user → API key user → visitor.
+ */
+function getThreadOwner(req) {
+  if (req.session && req.session.userId) return `user:${req.session.userId}`;
+  if (req.apiKey && req.apiKey.userId) return `user:${req.apiKey.userId}`;
+  return req.visitorId || getActor(req);
+}
+
+/** Resolve the owning user id (UUID) if the request is authenticated. */
+function getThreadUserId(req) {
+  return req.session?.userId || req.apiKey?.userId || null;
+}
+
+function isValidThreadId(id) {
+  return typeof id === 'string' && UUID_RE.test(id);
+}
+
+/** Derive a thread title from the first user message. */
+function titleFromMessage(content) {
+  const line = (content || '').replace(/\s+/g, ' ').trim();
+  if (!line || line === '[attachment]') return null;
+  return line.length > 60 ? line.slice(0, 57) + '…' : line;
+}
+
+/* ── Threads ───────────────────────────────────────────── */
+
+async function createThread({ ownerKey, userId = null, title = null, environment = 'prod' }) {
+  const result = await queryFor(environment,
+    `INSERT INTO chat_threads (owner_key, user_id, title, environment)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [ownerKey, userId, title ? String(title).slice(0, MAX_TITLE_LENGTH) : null, environment]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Get a thread by id, scoped to its owner. Returns null when missing or not owned.
+ */
+async function getThread(threadId, ownerKey, environment = 'prod') {
+  if (!isValidThreadId(threadId)) return null;
+  const result = await queryFor(environment,
+    `SELECT * FROM chat_threads
+     WHERE id = $1 AND owner_key = $2 AND environment = $3`,
+    [threadId, ownerKey, environment]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Most recently active thread for an owner, if active within `withinMs`.
+ * Used to resume the conversation for clients that don't send a thread id.
+ */
+async function findRecentThread(ownerKey, environment = 'prod', withinMs = 30 * 60 * 1000) {
+  const result = await queryFor(environment,
+    `SELECT * FROM chat_threads
+     WHERE owner_key = $1 AND environment = $2
+       AND last_active_at > NOW() - INTERVAL '1 millisecond' * $3
+     ORDER BY last_active_at DESC
+     LIMIT 1`,
+    [ownerKey, environment, withinMs]
+  );
+  return result.rows[0] || null;
+}
+
+async function listThreads(ownerKey, environment = 'prod', { limit = 25, offset = 0 } = {}) {
+  const [rows, count] = await Promise.all([
+    queryFor(environment,
+      `SELECT id, title, message_count, last_route, dominant_lang, dominant_dialect,
+              pref, created_at, updated_at, last_active_at
+       FROM chat_threads
+       WHERE owner_key = $1 AND environment = $2
+       ORDER BY last_active_at DESC
+       LIMIT $3 OFFSET $4`,
+      [ownerKey, environment, limit, offset]
+    ),
+    queryFor(environment,
+      `SELECT COUNT(*)::int AS total FROM chat_threads WHERE owner_key = $1 AND environment = $2`,
+      [ownerKey, environment]
+    ),
+  ]);
+  return { threads: rows.rows, total: count.rows[0].total };
+}
+
+async function renameThread(threadId, ownerKey, environment, title) {
+  if (!isValidThreadId(threadId)) return null;
+  const result = await queryFor(environment,
+    `UPDATE chat_threads SET title = $1, updated_at = NOW()
+     WHERE id = $2 AND owner_key = $3 AND environment = $4
+     RETURNING *`,
+    [String(title).slice(0, MAX_TITLE_LENGTH), threadId, ownerKey, environment]
+  );
+  return result.rows[0] || null;
+}
+
+async function deleteThread(threadId, ownerKey, environment) {
+  if (!isValidThreadId(threadId)) return false;
+  const result = await queryFor(environment,
+    `DELETE FROM chat_threads WHERE id = $1 AND owner_key = $2 AND environment = $3`,
+    [threadId, ownerKey, environment]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Delete every thread for an owner. Returns the deleted ids (for cache eviction).
+ */
+async function deleteAllThreads(ownerKey, environment) {
+  const result = await queryFor(environment,
+    `DELETE FROM chat_threads WHERE owner_key = $1 AND environment = $2 RETURNING id`,
+    [ownerKey, environment]
+  );
+  return result.rows.map(r => r.id);
+}
+
+/** Session state field → chat_threads column and stored value. */
+const STATE_COLUMNS = {
+  pref:            ['pref',             v => JSON.stringify(v || {})],
+  dominantLang:    ['dominant_lang',    v => v || null],
+  dominantDialect: ['dominant_dialect', v => v || null],
+  lastRoute:       ['last_route',       v => v || null],
+  activeDocId:     ['active_doc_id',    v => v || null],
+  summary:         ['summary',          v => v || null],
+  summarizedCount: ['summarized_count', v => v || 0],
+  pinned:          ['pinned',           v => JSON.stringify(v || {})],
+};
+
+/**
+ * Persist session aggregates, preferences, running summary and pinned context
+ * on the thread row. Only the fields present in `state` are written, so two
+ * instances changing different fields don't overwrite each other.
+ * @returns {Promise<number|null>} the thread's new state_version (null if it is gone)
+ */
+async function saveThreadState(threadId, environment, state) {
+  const fields = Object.keys(STATE_COLUMNS).filter(f => state[f] !== undefined);
+  const sets = fields.map((f, i) => `${STATE_COLUMNS[f][0]} = $${i + 2}`);
+  const result = await queryFor(environment,
+    `UPDATE chat_threads
+     SET ${[...sets, 'state_version = state_version + 1', 'updated_at = NOW()', 'last_active_at = NOW()'].join(', ')}
+     WHERE id = $1
+     RETURNING state_version`,
+    [threadId, ...fields.map(f => STATE_COLUMNS[f][1](state[f]))]
+  );
+  return result.rows[0]?.state_version ?? null;
+}
+
+/* ── Messages ──────────────────────────────────────────── */
+
+/**
+ * Append a turn to a thread. The first user turn also sets the thread title.
+ */
+async function appendMessage(threadId, environment, turn) {
+  await queryFor(environment,
+    `INSERT INTO chat_thread_messages
+       (thread_id, role, content, route, lang, dialect, intent, doc_id, request_id, meta)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)`,
+    [threadId, turn.role, turn.content || '', turn.route || null, turn.lang || null,
+     turn.dialect || null, turn.intent || null, turn.docId || null, turn.requestId || null,
+     turn.meta ? JSON.stringify(turn.meta) : null]
+  );
+  const title = turn.role === 'user' ? titleFromMessage(turn.content) : null;
+  await queryFor(environment,
+    `UPDATE chat_threads
+     SET message_count = message_count + 1,
+         title = COALESCE(title, $2),
+         last_active_at = NOW()
+     WHERE id = $1`,
+    [threadId, title]
+  );
+}
+
+/**
+ * List messages in a thread, newest page first but returned in chronological order.
+ *
+ * @param {string} threadId
+ * @param {'prod'|'dev'} environment
+ * @param {object} [opts]
+ * @param {number} [opts.limit=50]
+ * @param {number} [opts.before] - message id cursor (exclusive)
+ */
+async function listMessages(threadId, environment, { limit = 50, before = null } = {}) {
+  const params = [threadId, limit];
+  let cursor = '';
+  if (before) {
+    cursor = 'AND id < $3';
+    params.push(before);
+  }
+  const result = await queryFor(environment,
+    `SELECT id, role, content, route, lang, dialect, intent, doc_id, request_id, meta, created_at
+     FROM chat_thread_messages
+     WHERE thread_id = $1 ${cursor}
+     ORDER BY id DESC
+     LIMIT $2`,
+    params
+  );
+  return result.rows.reverse();
+}
+
+/* ── Documents ─────────────────────────────────────────── */
+
+/**
+ * Store an ingested document on a thread (extracted text + metadata).
+ * @returns {Promise<object>} the stored row
+ */
+async function saveThreadDocument(threadId, environment, doc) {
+  const result = await queryFor(environment,
+    `INSERT INTO chat_thread_documents
+       (id, thread_id, name, title, kind, mime_type, size_bytes, extraction_method, language, text, meta)
+     VALUES (COALESCE($1, gen_random_uuid()),$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+     RETURNING id, created_at`,
+    [doc.id || null, threadId, doc.name, doc.title || null, doc.kind, doc.mimeType || null, doc.sizeBytes || null,
+     doc.extractionMethod || null, doc.language || null, doc.text || null, JSON.stringify(doc.meta || {})]
+  );
+  return result.rows[0];
+}
+
+/**
+ * List a thread's documents, oldest first.
+ *
+ * @param {string} threadId
+ * @param {'prod'|'dev'} environment
+ * @param {object} [opts]
+ * @param {boolean} [opts.withText=false] - include extracted text
+ * @param {number} [opts.limit=20] - most recent N documents
+ */
+async function listThreadDocuments(threadId, environment, { withText = false, limit = 20 } = {}) {
+  const result = await queryFor(environment,
+    `SELECT id, name, title, kind, mime_type, size_bytes, extraction_method, language, meta, created_at
+            ${withText ? ', text' : ', LENGTH(text) AS text_length'}
+     FROM chat_thread_documents
+     WHERE thread_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [threadId, limit]
+  );
+  return result.rows.reverse();
+}
+
+module.exports = {
+  getThreadOwner,
+  getThreadUserId,
+  isValidThreadId,
+  createThread,
+  getThread,
+  findRecentThread,
+  listThreads,
+  renameThread,
+  deleteThread,
+  deleteAllThreads,
+  saveThreadState,
+  appendMessage,
+  listMessages,
+  saveThreadDocument,
+  listThreadDocuments,
+  MAX_TITLE_LENGTH,
+};
@@ -0,0 +1,351 @@
+/**
+ * DB Read — allowlisted, read-only named queries for the db_read tool
+ *
+ * The model never writes SQL. It picks a `queryName` from the catalogue
+ * (table `db_read_queries`, migration 016) and supplies typed params; the
+ * SQL text is admin-authored and validated on save.
+ *
+ * Execution:
+ *   - readOnlyQueryFor(env, ...) → BEGIN READ ONLY + SET LOCAL statement_timeout
+ *   - wrapped as SELECT * FROM (<sql>) LIMIT max_rows + 1 to detect truncation
+ *   - results returned as columns/rows + a markdown table the model can cite
+ *     with the `source` label
+ *   - every run is audited in usage_events (event_type 'db_read')
+ *
+ * The db_read tool is registered here (not in tools.js) so its queryName
+ * enum and description track the catalogue; loadDbReadCatalogue() refreshes both.
+ * Admin CRUD reloads it on the instance that served it; the others follow
+ * within SYNC_INTERVAL_MS (startDbReadSync compares name/updated_at).
+ */
+
+const crypto = require('crypto');
+const { query, readOnlyQueryFor } = require('./db');
+const { registerTool } = require('./tools');
+const { logUsageEvent } = require('./usage');
+
+const QUERY_NAME_RE = /^[a-z][a-z0-9_]{1,63}$/;
+const PARAM_TYPES = ['string', 'integer', 'number', 'boolean', 'date'];
+const MAX_ROWS_LIMIT = 500;
+const MAX_TIMEOUT_MS = 15_000;
+const MAX_CELL_CHARS = 200;
+const SYNC_INTERVAL_MS = 30_000;
+
+/** Statements / functions that never belong in a read-only catalogue query. */
+const FORBIDDEN_SQL = /\b(insert|update|delete|merge|upsert|drop|alter|create|truncate|grant|revoke|copy|vacuum|analyze|call|do|lock|listen|notify|set|reset|comment|security|pg_sleep|pg_read_file|pg_read_binary_file|pg_ls_dir|lo_import|lo_export|dblink)\b/i;
+
+/** @type {Map<string, object>} name → catalogue row (enabled only) */
+let catalogue = new Map();
+
+/** name@updated_at of the loaded entries; null until the first load. */
+let loadedSignature = null;
+let syncTimer = null;
+
+/* ── Validation ──────────────────────────────────────────── */
+
+/**
+ * Strip comments and string literals so keyword checks can't be fooled or tripped.
+ */
+function stripSqlLiterals(sql) {
+  return String(sql)
+    .replace(/--[^\n]*/g, ' ')
+    .replace(/\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/'(?:[^']|'')*'/g, "''")
+    .replace(/"(?:[^"]|"")*"/g, '""');
+}
+
+/**
+ * Validate catalogue SQL: one SELECT/WITH statement, no write/DDL keywords,
+ * placeholders $1..$n matching the declared params.
+ *
+ * @param {string} sql
+ * @param {number} paramCount
+ * @returns {string|null} error message, or null if valid
+ */
+function validateSql(sql, paramCount = 0) {
+  if (!sql || typeof sql !== 'string') return 'sql_text is required';
+  const bare = stripSqlLiterals(sql).trim().replace(/;\s*$/, '');
+  if (!/^(select|with)\b/i.test(bare)) return 'sql_text must start with SELECT or WITH';
+  if (bare.includes(';')) return 'sql_text must be a single statement';
+  const forbidden = bare.match(FORBIDDEN_SQL);
+  if (forbidden) return `sql_text must not use ${forbidden[1].toUpperCase()}`;
+  const placeholders = [...bare.matchAll(/\$(\d+)/g)].map(m => Number(m[1]));
+  const maxIdx = placeholders.length > 0 ? Math.max(...placeholders) : 0;
+  if (maxIdx > paramCount) return `sql_text uses $${maxIdx} but only ${paramCount} params are declared`;
+  return null;
+}
+
+/**
+ * Validate an admin-supplied catalogue entry.
+ * @returns {string|null} error message, or null if valid
+ */
+function validateQueryDefinition(def) {
+  if (!def || typeof def !== 'object') return 'definition is required';
+  if (!QUERY_NAME_RE.test(def.name || '')) return 'name must be lowercase snake_case (2-64 chars)';
+  if (!def.description || typeof def.description !== 'string') return 'description is required';
+  const params = def.params || [];
+  if (!Array.isArray(params)) return 'params must be an array';
+  for (const p of params) {
+    if (!p || !/^[a-z][a-zA-Z0-9_]*$/.test(p.name || '')) return 'each param needs a name';
+    if (!PARAM_TYPES.includes(p.type)) return `param ${p.name} type must be one of: ${PARAM_TYPES.join(', ')}`;
+  }
+  if (def.max_rows !== undefined && (!Number.isInteger(def.max_rows) || def.max_rows < 1 || def.max_rows > MAX_ROWS_LIMIT)) {
+    return `max_rows must be an integer between 1 and ${MAX_ROWS_LIMIT}`;
+  }
+  if (def.timeout_ms !== undefined && (!Number.isInteger(def.timeout_ms) || def.timeout_ms < 100 || def.timeout_ms > MAX_TIMEOUT_MS)) {
+    return `timeout_ms must be an integer between 100 and ${MAX_TIMEOUT_MS}`;
+  }
+  if (def.environment && !['prod', 'dev', 'request'].includes(def.environment)) {
+    return 'environment must be prod, dev or request';
+  }
+  return validateSql(def.sql_text, params.length);
+}
+
+/**
+ * Coerce caller params to the declared types, in declaration order ($1..$n).
+ * @returns {{ values: any[], error: string|null }}
+ */
+function coerceParams(declared, supplied = {}) {
+  const values = [];
+  for (const p of declared || []) {
+    let v = supplied[p.name];
+    if (v === undefined || v === null || v === '') v = p.default;
+    if (v === undefined || v === null || v === '') {
+      if (p.required) return { values: [], error: `missing required param: ${p.name}` };
+      values.push(null);
+      continue;
+    }
+    switch (p.type) {
+      case 'integer':
+        v = Number(v);
+        if (!Number.isInteger(v)) return { values: [], error: `param ${p.name} must be an integer` };
+        break;
+      case 'number':
+        v = Number(v);
+        if (!Number.isFinite(v)) return { values: [], error: `param ${p.name} must be a number` };
+        break;
+      case 'boolean':
+        if (v === 'true' || v === true) v = true;
+        else if (v === 'false' || v === false) v = false;
+        else return { values: [], error: `param ${p.name} must be a boolean` };
+        break;
+      case 'date':
+        if (Number.isNaN(Date.parse(v))) return { values: [], error: `param ${p.name} must be a date` };
+        v = new Date(v).toISOString();
+        break;
+      default:
+        v = String(v).slice(0, 500);
+    }
+    values.push(v);
+  }
+  return { values, error: null };
+}
+
+/* ── Result formatting ───────────────────────────────────── */
+
+function formatCell(v) {
+  if (v === null || v === undefined) return '';
+  if (v instanceof Date) return v.toISOString();
+  const s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+  return s.length > MAX_CELL_CHARS ? s.slice(0, MAX_CELL_CHARS - 1) + '…' : s;
+}
+
+/**
+ * Render rows as a markdown table (pipes escaped).
+ */
+function toMarkdownTable(columns, rows) {
+  if (columns.length === 0) return '(no columns)';
+  const esc = s => s.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const header = `| ${columns.map(esc).join(' | ')} |`;
+  const sep = `| ${columns.map(() => '---').join(' | ')} |`;
+  if (rows.length === 0) return `${header}\n${sep}\n(no rows)`;
+  const body = rows.map(r => `| ${r.map(c => esc(formatCell(c))).join(' | ')} |`);
+  return [header, sep, ...body].join('\n');
+}
+
+/* ── Execution ───────────────────────────────────────────── */
+
+/**
+ * Run a catalogue query.
+ *
+ * @param {string} name
+ * @param {object} params
+ * @param {object} [context] - { visitorId, userId, environment, requestId, test }
+ * @returns {Promise<object>} { query, source, columns, rows, rowCount, truncated, table }
+ */
+async function runNamedQuery(name, params = {}, context = {}) {
+  const def = context.test ? (await getDbQuery(name)) : catalogue.get(name);
+  if (!def || (!def.enabled && !context.test)) throw new Error(`Unknown query: ${name}`);
+
+  const { values, error } = coerceParams(def.params, params);
+  if (error) throw new Error(error);
+
+  const env = def.environment === 'request' ? (context.environment || 'prod') : def.environment;
+  const maxRows = Math.min(def.max_rows || 50, MAX_ROWS_LIMIT);
+  const sql = `SELECT * FROM (${stripTrailingSemicolon(def.sql_text)}) AS db_read_q LIMIT ${maxRows + 1}`;
+  const start = Date.now();
+
+  let result;
+  let status = 'ok';
+  let errMessage = null;
+  try {
+    result = await readOnlyQueryFor(env, sql, values, { timeoutMs: def.timeout_ms || 3000 });
+  } catch (err) {
+    status = 'error';
+    errMessage = err.message;
+    throw new Error(/statement timeout/i.test(err.message) ? 'Query timed out' : `Query failed: ${err.message}`);
+  } finally {
+    logUsageEvent({
+      visitorId: context.visitorId || 'system',
+      userId: context.userId || null,
+      eventType: 'db_read',
+      mode: name,
+      status,
+      latencyMs: Date.now() - start,
+      environment: env,
+      meta: {
+        queryName: name,
+        params: Object.fromEntries((def.params || []).map((p, i) => [p.name, values[i]])),
+        sqlHash: crypto.createHash('sha256').update(def.sql_text).digest('hex').slice(0, 16),
+        rowCount: result ? Math.min(result.rows.length, maxRows) : 0,
+        truncated: result ? result.rows.length > maxRows : false,
+        requestId: context.requestId || null,
+        test: !!context.test,
+        error: errMessage,
+      },
+    });
+  }
+
+  const columns = result.fields.map(f => f.name);
+  const truncated = result.rows.length > maxRows;
+  const rows = result.rows.slice(0, maxRows).map(r => columns.map(c => r[c]));
+
+  return {
+    query: name,
+    source: `db_read:${name} (${env}, ${new Date().toISOString().slice(0, 16)}Z)`,
+    columns,
+    rows,
+    rowCount: rows.length,
+    truncated,
+    table: toMarkdownTable(columns, rows),
+  };
+}
+
+function stripTrailingSemicolon(sql) {
+  return String(sql).trim().replace(/;\s*$/, '');
+}
+
+/* ── Catalogue + tool registration ───────────────────────── */
+
+/**
+ * Register (or refresh) the db_read tool so the model sees the current catalogue.
+ */
+function registerDbReadTool() {
+  const entries = Array.from(catalogue.values());
+  const listing = entries.length > 0
+    ? entries.map(q => {
+      const ps = (q.params || []).map(p => `${p.name}:${p.type}${p.required ? '' : '?'}`).join(', ');
+      return `- ${q.name}(${ps}): ${q.description}`;
+    }).join('\n')
+    : '- (no queries configured)';
+
+  registerTool({
+    id: 'db_read',
+    name: 'DB Read',
+    description: 'Run a pre-approved read-only database query by name. Results come back as a table; '
+      + 'cite the `source` label when you use the data. Available queries:\n' + listing,
+    schema: {
+      type: 'object',
+      properties: {
+        queryName: { type: 'string', description: 'Name of the allowed query', enum: entries.map(q => q.name) },
+        params: { type: 'object', description: 'Query parameters' },
+      },
+      required: ['queryName'],
+    },
+    permissions: ['admin'],
+    execute: async (params, context) => runNamedQuery(params.queryName, params.params || {}, context),
+  });
+}
+
+/**
+ * Load enabled catalogue entries from Postgres and refresh the tool.
+ * @returns {Promise<number>} number of enabled queries
+ */
+async function loadDbReadCatalogue() {
+  const result = await query('SELECT * FROM db_read_queries WHERE enabled = true ORDER BY name');
+  catalogue = new Map(result.rows.map(r => [r.name, r]));
+  registerDbReadTool();
+  loadedSignature = catalogueSignature(result.rows);
+  return catalogue.size;
+}
+
+function catalogueSignature(rows) {
+  return rows.map(r => `${r.name}@${new Date(r.updated_at).getTime()}`).join(',');
+}
+
+/**
+ * Reload if enabled entries changed in the database (CRUD on another instance).
+ * @returns {Promise<boolean>} true if the catalogue was reloaded
+ */
+async function syncDbReadCatalogue() {
+  const result = await query('SELECT name, updated_at FROM db_read_queries WHERE enabled = true ORDER BY name');
+  if (catalogueSignature(result.rows) === loadedSignature) return false;
+  await loadDbReadCatalogue();
+  return true;
+}
+
+/** Poll for catalogue changes made on other instances (idempotent; the timer does not keep the process alive). */
+function startDbReadSync() {
+  if (syncTimer) return;
+  syncTimer = setInterval(() => {
+    syncDbReadCatalogue().catch(err => console.error('[db-read] Sync failed:', err.message));
+  }, SYNC_INTERVAL_MS);
+  syncTimer.unref();
+}
+
+async function listDbQueries() {
+  const result = await query('SELECT * FROM db_read_queries ORDER BY name');
+  return result.rows;
+}
+
+async function getDbQuery(name) {
+  const result = await query('SELECT * FROM db_read_queries WHERE name = $1', [name]);
+  return result.rows[0] || null;
+}
+
+async function saveDbQuery(def, createdBy = null) {
+  const result = await query(
+    `INSERT INTO db_read_queries (name, description, sql_text, params, max_rows, timeout_ms, environment, enabled, created_by)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+     ON CONFLICT (name) DO UPDATE SET
+       description = $2, sql_text = $3, params = $4, max_rows = $5, timeout_ms = $6,
+       environment = $7, enabled = $8, updated_at = NOW()
+     RETURNING *`,
+    [def.name, def.description, stripTrailingSemicolon(def.sql_text), JSON.stringify(def.params || []),
+     def.max_rows || 50, def.timeout_ms || 3000, def.environment || 'request',
+     def.enabled !== false, createdBy]
+  );
+  return result.rows[0];
+}
+
+async function deleteDbQuery(name) {
+  const result = await query('DELETE FROM db_read_queries WHERE name = $1', [name]);
+  return result.rowCount > 0;
+}
+
+// Register with an empty catalogue until loadDbReadCatalogue() runs at boot
+registerDbReadTool();
+
+module.exports = {
+  validateSql,
+  validateQueryDefinition,
+  coerceParams,
+  toMarkdownTable,
+  runNamedQuery,
+  loadDbReadCatalogue,
+  syncDbReadCatalogue,
+  startDbReadSync,
+  listDbQueries,
+  getDbQuery,
+  saveDbQuery,
+  deleteDbQuery,
+};
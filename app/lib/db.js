@@ -79,6 +79,32 @@ async function queryFor(env, text, params) {
   return res;
 }
 
+/**
+ * Run a single query on an environment pool inside a READ ONLY transaction
+ * with a statement timeout. Writes fail at the database level even if the
+ * SQL slips past application-side validation (used by the db_read tool).
+ *
+ * @param {'prod'|'dev'} env
+ * @param {string} text - SQL query
+ * @param {any[]} params
+ * @param {{ timeoutMs?: number }} [opts]
+ */
+async function readOnlyQueryFor(env, text, params, { timeoutMs = 3000 } = {}) {
+  const client = await poolFor(env).connect();
+  try {
+    await client.query('BEGIN TRANSACTION READ ONLY');
+    await client.query(`SET LOCAL statement_timeout = ${Math.max(100, Math.floor(Number(timeoutMs) || 3000))}`);
+    const res = await client.query(text, params);
+    await client.query('COMMIT');
+    return res;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 /**
  * Get a client from the pool (for transactions)
  * @param {'prod'|'dev'} [env='prod']
@@ -204,4 +230,4 @@ async function endAll() {
   if (poolDev) await poolDev.end();
 }
 
-module.exports = { pool, poolDev, poolFor, query, queryFor, getClient, initSchema, endAll };
+module.exports = { pool, poolDev, poolFor, query, queryFor, readOnlyQueryFor, getClient, initSchema, endAll };
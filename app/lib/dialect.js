@@ -3,7 +3,9 @@
  *
  * Detects:
  *   language: 'ms' | 'en' | 'mixed'
- *   dialect:  'UTARA' | 'KELANTAN' | 'STANDARD' | null
+ *   dialect:  'UTARA' | 'KELANTAN' | 'TERENGGANU' | 'NEGERI_SEMBILAN' | 'SABAH' | 'SARAWAK'
+ *             | 'STANDARD' | null
+ *   codeSwitching: ['MANGLISH' | 'MANDARIN' | 'CANTONESE' | 'TAMIL'] (romanised mixes)
  *   formality: 'casual' | 'formal' | 'neutral'
  *   tone:     'greeting' | 'neutral' | 'formal'
  *
@@ -13,8 +15,14 @@
  *   - Dialect post-processor (light-touch transforms, intensity limiter)
  *
  * No external API calls — purely token-based for speed.
+ *
+ * The dialect token lists, code-switching token lists and post-process
+ * transforms are built-in lexicons; admins can replace them at runtime
+ * (lib/lexicons.js).
  */
 
+const { registerLexicon, getLexicon } = require('./lexicons');
+
 /* ── Northern Malay (Utara / Kedah-Penang-Perlis) dialect tokens ── */
 /* EXCLUSIVE Utara tokens — NOT shared with Kelantan */
 const UTARA_TOKENS = [
@@ -38,6 +46,154 @@ const KELANTAN_TOKENS = [
   'droh', 'ghalik', 'nnate', 'jjual', 'bbeli', 'ggetek',
 ];
 
+registerLexicon('dialect.utara_tokens', {
+  description: 'Northern (Kedah/Penang/Perlis) dialect tokens — each match scores +2 for UTARA',
+  entries: UTARA_TOKENS,
+});
+registerLexicon('dialect.kelantan_tokens', {
+  description: 'Kelantan (Klate) dialect tokens — each match scores +2 for KELANTAN',
+  entries: KELANTAN_TOKENS,
+});
+
+/* ── Terengganu (Ganu) tokens — 'mung' and 'sokmo' are shared with Kelantan ── */
+const TERENGGANU_TOKENS = [
+  'bakpe', 'gane', 'kekgi', 'starang', 'ganu', 'ganu kite', 'mung',
+  'sokmo', 'berahi', 'ape gok', 'dok reti', 'mung nok', 'jange',
+  'kabo',
+];
+
+/* ── Negeri Sembilan (Nogori) tokens ── */
+const NEGERI_SEMBILAN_TOKENS = [
+  'eden', 'den', 'apo', 'bondo', 'dio', 'ado', 'tak do', 'nogori',
+  'sapo', 'kono', 'poie', 'ponat', 'kocik', 'mengkolan', 'ghoman',
+  'tak eh', 'apo bondo', 'mano eh', 'ekau ni',
+];
+
+/* ── Sabah Malay tokens ── */
+const SABAH_TOKENS = [
+  'bah', 'sia', 'ndak', 'nda', 'bilang', 'bikin', 'kamurang',
+  'pigi', 'tingu', 'mimang', 'sigup', 'tapuk', 'limpas', 'ba',
+  'ndak bah', 'iya bah', 'macam mana bah', 'bilang sia',
+];
+
+/* ── Sarawak Malay tokens ── */
+const SARAWAK_TOKENS = [
+  'kitak', 'kamek', 'sidak', 'sik', 'nang', 'maok', 'kinek', 'ngaga',
+  'polah', 'auk', 'sitok', 'sinun', 'dolok', 'kamek orang', 'sik kala',
+  'nak polah', 'sik ada', 'sik tauk', 'tauk',
+];
+
+registerLexicon('dialect.terengganu_tokens', {
+  description: 'Terengganu (Ganu) dialect tokens — each match scores +2 for TERENGGANU',
+  entries: TERENGGANU_TOKENS,
+});
+registerLexicon('dialect.negeri_sembilan_tokens', {
+  description: 'Negeri Sembilan (Nogori) dialect tokens — each match scores +2 for NEGERI_SEMBILAN',
+  entries: NEGERI_SEMBILAN_TOKENS,
+});
+registerLexicon('dialect.sabah_tokens', {
+  description: 'Sabah Malay tokens — each match scores +2 for SABAH',
+  entries: SABAH_TOKENS,
+});
+registerLexicon('dialect.sarawak_tokens', {
+  description: 'Sarawak Malay tokens — each match scores +2 for SARAWAK',
+  entries: SARAWAK_TOKENS,
+});
+
+/* ── Dialect profiles ────────────────────────────────────── */
+/*
+ * One entry per regional dialect, in tie-break order (Kelantan beats Utara
+ * on equal scores, as before). `pref` is the SessionPreferences.dialect key,
+ * `sample` the words the prompts suggest mirroring, `names` what users call
+ * it in explicit requests ("guna loghat ganu").
+ */
+const DIALECT_PROFILES = {
+  KELANTAN: {
+    pref: 'klate', label: 'Kelantanese Malay (Klate)', labelMs: 'Kelantan',
+    sample: ['demo', 'gapo', 'ore'], names: ['klate', 'kelate', 'kelantan', 'kelantanese'],
+  },
+  UTARA: {
+    pref: 'utara', label: 'Northern Malay (Utara / Kedah–Penang–Perlis)', labelMs: 'Utara',
+    sample: ['hang', 'habaq', 'ja'], names: ['utara', 'kedah', 'penang', 'perlis'],
+  },
+  TERENGGANU: {
+    pref: 'ganu', label: 'Terengganu Malay (Ganu)', labelMs: 'Terengganu',
+    sample: ['mung', 'bakpe', 'gane'], names: ['terengganu', 'ganu', 'tganu'],
+  },
+  NEGERI_SEMBILAN: {
+    pref: 'nogori', label: 'Negeri Sembilan Malay (Nogori)', labelMs: 'Negeri Sembilan',
+    sample: ['eden', 'apo', 'ekau'], names: ['negeri sembilan', 'nogori', 'n9', 'nismilan'],
+  },
+  SABAH: {
+    pref: 'sabah', label: 'Sabah Malay', labelMs: 'Sabah',
+    sample: ['bah', 'sia', 'ndak'], names: ['sabah'],
+  },
+  SARAWAK: {
+    pref: 'sarawak', label: 'Sarawak Malay', labelMs: 'Sarawak',
+    sample: ['kitak', 'kamek', 'sik'], names: ['sarawak', 'kuching'],
+  },
+};
+
+const DIALECT_CODES = Object.keys(DIALECT_PROFILES);
+
+/** Lexicon name holding a dialect's tokens / transforms. */
+function dialectLexicon(code, kind) {
+  return `dialect.${code.toLowerCase()}_${kind}`;
+}
+
+/** Session preference key ('klate', 'ganu', …) for a dialect code; 'none' otherwise. */
+function dialectToPref(code) {
+  return DIALECT_PROFILES[code] ? DIALECT_PROFILES[code].pref : 'none';
+}
+
+/** Dialect code for a session preference key, or null for 'none'/unknown. */
+function dialectFromPref(pref) {
+  return DIALECT_CODES.find(c => DIALECT_PROFILES[c].pref === pref) || null;
+}
+
+/* ── Code-switching: romanised non-Malay mixes ───────────── */
+/* Phrases score 2, single words 1; a mix is reported at >= 2. */
+const CODE_SWITCH_TOKENS = {
+  MANGLISH: [
+    'lah', 'leh', 'lor', 'meh', 'mah', 'liao', 'wor', 'one lah', 'can or not',
+    'got or not', 'izzit', 'alamak', 'aiyo', 'aiyoh', 'aiya', 'aiyah', 'walao',
+    'wah lau', 'jialat', 'shiok', 'paiseh', 'bojio', 'tapau', 'kantoi', 'sien',
+    'so how', 'cannot meh', 'how can',
+  ],
+  MANDARIN: [
+    'ni hao', 'xie xie', 'xiexie', 'wo', 'mei you', 'meiyou', 'zhe ge', 'zhege',
+    'na ge', 'nage', 'shen me', 'shenme', 'wei shen me', 'duo shao', 'duoshao',
+    'keyi', 'ke yi', 'zhidao', 'bu zhidao', 'pengyou', 'jintian', 'mingtian',
+    'gongzuo', 'chi fan', 'chifan', 'hen hao', 'bu hao', 'dui bu qi', 'zaijian',
+  ],
+  CANTONESE: [
+    'nei hou', 'lei hou', 'm goi', 'mgoi', 'm sai', 'msai', 'mat ye', 'matye',
+    'dim gaai', 'dim gai', 'dim sai', 'hai mai', 'm hai', 'ngo', 'keoi', 'mou',
+    'sik fan', 'do je', 'dojie', 'gau dim', 'hou leng', 'ho leng', 'jou mat',
+    'zou mat', 'gam ah', 'hai lo',
+  ],
+  TAMIL: [
+    'vanakkam', 'nandri', 'romba', 'enna', 'epdi', 'eppadi', 'illa', 'illai',
+    'aama', 'paravaillai', 'saapadu', 'saptiya', 'vaanga', 'naan', 'neenga',
+    'avan', 'aval', 'enga', 'inga', 'theriyum', 'theriyathu', 'venum',
+    'vendaam', 'machan', 'macha', 'seri da', 'enna da', 'poda',
+  ],
+};
+
+const CODE_SWITCH_LABELS = {
+  MANGLISH: 'Manglish',
+  MANDARIN: 'romanised Mandarin',
+  CANTONESE: 'romanised Cantonese',
+  TAMIL: 'romanised Tamil',
+};
+
+for (const [code, entries] of Object.entries(CODE_SWITCH_TOKENS)) {
+  registerLexicon(`codeswitch.${code.toLowerCase()}_tokens`, {
+    description: `${CODE_SWITCH_LABELS[code]} markers — phrases score 2, words 1; reported at 2+`,
+    entries,
+  });
+}
+
 /* ── Shared tokens that appear in BOTH dialects — low discriminative value ── */
 const SHARED_DIALECT_TOKENS = ['make', 'nok', 'weh'];
 
@@ -111,6 +267,22 @@ const DIALECT_REQUEST_PATTERNS = [
   // Utara explicit
   { pattern: /\b(kace|kase|guna|pakai|cakap|balas|reply)\s+(utara|kedah|penang|perlis)\b/i, lang: 'ms', dialect: 'UTARA' },
   { pattern: /\b(loghat|dialect|dialek)\s+(utara|kedah|penang|perlis)\b/i, lang: 'ms', dialect: 'UTARA' },
+
+  // Terengganu explicit
+  { pattern: /\b(kace|kase|guna|pakai|cakap|balas|reply)\s+(loghat\s+)?(terengganu|ganu|tganu)\b/i, lang: 'ms', dialect: 'TERENGGANU' },
+  { pattern: /\b(loghat|dialect|dialek|bahasa|cakap)\s+(terengganu|ganu|tganu)\b/i, lang: 'ms', dialect: 'TERENGGANU' },
+
+  // Negeri Sembilan explicit
+  { pattern: /\b(guna|pakai|cakap|balas|reply)\s+(loghat\s+)?(negeri sembilan|nogori|n9|nismilan)\b/i, lang: 'ms', dialect: 'NEGERI_SEMBILAN' },
+  { pattern: /\b(loghat|dialect|dialek|bahasa|cakap)\s+(negeri sembilan|nogori|n9|nismilan)\b/i, lang: 'ms', dialect: 'NEGERI_SEMBILAN' },
+
+  // Sabah explicit
+  { pattern: /\b(guna|pakai|cakap|balas|reply)\s+(loghat\s+|bahasa\s+|gaya\s+)?(sabah|orang sabah)\b/i, lang: 'ms', dialect: 'SABAH' },
+  { pattern: /\b(loghat|dialect|dialek)\s+sabah\b/i, lang: 'ms', dialect: 'SABAH' },
+
+  // Sarawak explicit
+  { pattern: /\b(guna|pakai|cakap|balas|reply)\s+(loghat\s+|bahasa\s+|gaya\s+)?(sarawak|kuching|orang sarawak)\b/i, lang: 'ms', dialect: 'SARAWAK' },
+  { pattern: /\b(loghat|dialect|dialek)\s+(sarawak|kuching)\b/i, lang: 'ms', dialect: 'SARAWAK' },
 ];
 
 /**
@@ -143,18 +315,55 @@ function detectTone(words, lower) {
   return 'neutral';
 }
 
+/** Zeroed per-dialect scores, in DIALECT_PROFILES order. */
+function emptyDialectScores() {
+  return Object.fromEntries(DIALECT_CODES.map(code => [code, 0]));
+}
+
+/**
+ * Score romanised Mandarin/Cantonese/Tamil and Manglish markers.
+ * @returns {{ scores: object, found: string[] }}
+ */
+function scoreCodeSwitching(words, lower) {
+  const scores = {};
+  const found = [];
+  for (const code of Object.keys(CODE_SWITCH_TOKENS)) {
+    let score = 0;
+    for (const tok of getLexicon(`codeswitch.${code.toLowerCase()}_tokens`)) {
+      if (tok.includes(' ') ? lower.includes(tok) : words.includes(tok)) {
+        score += tok.includes(' ') ? 2 : 1;
+        found.push(tok);
+      }
+    }
+    scores[code] = score;
+  }
+  return { scores, found };
+}
+
 /**
  * Detect language, dialect, formality, tone, and explicit requests.
  *
+ * `dialectScores` has every regional dialect's score (+2 per token), so
+ * callers can tell a clear dialect from mixed input; `dialectMix` lists the
+ * dialects that scored, highest first, and `dialectAmbiguous` is set when
+ * the top two tie. `codeSwitching` lists romanised mixes scoring >= 2
+ * (Manglish only counts on an English/mixed base, since "lah" is Malay too).
+ *
  * @param {string} message
  * @returns {{
  *   language: 'ms' | 'en' | 'mixed',
- *   dialect: 'UTARA' | 'KELANTAN' | 'STANDARD' | null,
+ *   dialect: 'UTARA' | 'KELANTAN' | 'TERENGGANU' | 'NEGERI_SEMBILAN' | 'SABAH' | 'SARAWAK' | 'STANDARD' | null,
  *   formality: 'casual' | 'formal' | 'neutral',
  *   tone: 'greeting' | 'formal' | 'neutral',
  *   confidence: number,
  *   dialectTokensFound: string[],
  *   explicitRequest: { requested: boolean, lang: string|null, dialect: string|null },
+ *   dialectScores: Object<string, number>,
+ *   dialectMix: string[],
+ *   dialectAmbiguous: boolean,
+ *   codeSwitching: string[],
+ *   codeSwitchScores: Object<string, number>,
+ *   codeSwitchTokensFound: string[],
  *   utaraScore: number,
  *   kelantanScore: number,
  * }}
@@ -163,6 +372,8 @@ function detectLanguageAndDialect(message) {
   if (!message || typeof message !== 'string') {
     return { language: 'en', dialect: null, formality: 'neutral', tone: 'neutral', confidence: 0,
              dialectTokensFound: [], explicitRequest: { requested: false, lang: null, dialect: null },
+             dialectScores: emptyDialectScores(), dialectMix: [], dialectAmbiguous: false,
+             codeSwitching: [], codeSwitchScores: {}, codeSwitchTokensFound: [],
              utaraScore: 0, kelantanScore: 0 };
   }
 
@@ -173,34 +384,31 @@ function detectLanguageAndDialect(message) {
   const explicitRequest = detectExplicitRequest(message);
 
   // Count token matches
-  let msScore = 0, enScore = 0, utaraScore = 0, kelantanScore = 0;
+  let msScore = 0, enScore = 0;
   let casualScore = 0, formalScore = 0;
   const dialectTokensFound = [];
-  const utaraTokensFound = [];
-  const kelantanTokensFound = [];
+  const dialectScores = emptyDialectScores();
+  const tokensFoundBy = {};
 
   for (const w of words) {
     if (MALAY_TOKENS.includes(w)) msScore++;
     if (ENGLISH_TOKENS.includes(w)) enScore++;
   }
 
-  // Utara check — multi-word aware
-  for (const tok of UTARA_TOKENS) {
-    if (tok.includes(' ')) {
-      if (lower.includes(tok)) { utaraScore += 2; msScore += 2; utaraTokensFound.push(tok); dialectTokensFound.push(tok); }
-    } else {
-      if (words.includes(tok)) { utaraScore += 2; msScore++; utaraTokensFound.push(tok); dialectTokensFound.push(tok); }
-    }
-  }
-
-  // Kelantan check — multi-word aware
-  for (const tok of KELANTAN_TOKENS) {
-    if (tok.includes(' ')) {
-      if (lower.includes(tok)) { kelantanScore += 2; msScore += 2; kelantanTokensFound.push(tok); dialectTokensFound.push(tok); }
-    } else {
-      if (words.includes(tok)) { kelantanScore += 2; msScore++; kelantanTokensFound.push(tok); dialectTokensFound.push(tok); }
+  // Regional dialects — multi-word aware
+  for (const code of DIALECT_CODES) {
+    tokensFoundBy[code] = [];
+    for (const tok of getLexicon(dialectLexicon(code, 'tokens'))) {
+      const multi = tok.includes(' ');
+      if (multi ? lower.includes(tok) : words.includes(tok)) {
+        dialectScores[code] += 2;
+        msScore += multi ? 2 : 1;
+        tokensFoundBy[code].push(tok);
+        if (!dialectTokensFound.includes(tok)) dialectTokensFound.push(tok);
+      }
     }
   }
+  const totalDialectScore = DIALECT_CODES.reduce((n, code) => n + dialectScores[code], 0);
 
   // Casual / formal
   for (const tok of CASUAL_MARKERS) {
@@ -227,21 +435,27 @@ function detectLanguageAndDialect(message) {
   }
 
   // Force ms if dialect markers present
-  if (utaraScore > 0 || kelantanScore > 0) language = 'ms';
+  if (totalDialectScore > 0) language = 'ms';
+
+  // Code-switching — romanised Chinese/Tamil makes the message mixed
+  const codeSwitch = scoreCodeSwitching(words, lower);
+  const codeSwitching = Object.keys(codeSwitch.scores).filter(code =>
+    codeSwitch.scores[code] >= 2 && (code !== 'MANGLISH' || language !== 'ms'));
+  if (codeSwitching.some(code => code !== 'MANGLISH') && language !== 'mixed') {
+    language = 'mixed';
+  }
+
+  // Dialect — highest score wins; ties go to more distinct tokens, then profile order
+  const dialectMix = DIALECT_CODES
+    .filter(code => dialectScores[code] > 0)
+    .sort((a, b) => (dialectScores[b] - dialectScores[a])
+      || (tokensFoundBy[b].length - tokensFoundBy[a].length)
+      || (DIALECT_CODES.indexOf(a) - DIALECT_CODES.indexOf(b)));
+  const dialectAmbiguous = dialectMix.length > 1 && dialectScores[dialectMix[0]] === dialectScores[dialectMix[1]];
 
-  // Dialect — STRICT class separation: must win by clear margin
   let dialect = null;
   if (language === 'ms' || language === 'mixed') {
-    if (kelantanScore > 0 && kelantanScore > utaraScore) {
-      dialect = 'KELANTAN';
-    } else if (utaraScore > 0 && utaraScore > kelantanScore) {
-      dialect = 'UTARA';
-    } else if (kelantanScore > 0 && kelantanScore === utaraScore) {
-      // Tie: check which has more exclusive tokens
-      dialect = kelantanTokensFound.length >= utaraTokensFound.length ? 'KELANTAN' : 'UTARA';
-    } else {
-      dialect = 'STANDARD';
-    }
+    dialect = dialectMix.length > 0 ? dialectMix[0] : 'STANDARD';
   }
 
   // If user explicitly requested a dialect, override detection
@@ -256,17 +470,19 @@ function detectLanguageAndDialect(message) {
   // Formality
   let formality;
   if (formalScore > 0) formality = 'formal';
-  else if (casualScore >= 2 || utaraScore >= 2 || kelantanScore >= 2) formality = 'casual';
+  else if (casualScore >= 2 || totalDialectScore >= 2 || codeSwitching.includes('MANGLISH')) formality = 'casual';
   else if (message.length < 50) formality = 'casual';
   else formality = 'neutral';
 
   // Tone
   const tone = detectTone(words, lower);
 
-  const confidence = Math.min(1, (msScore + enScore + utaraScore + kelantanScore) / Math.max(totalTokens * 0.5, 1));
+  const confidence = Math.min(1, (msScore + enScore + totalDialectScore) / Math.max(totalTokens * 0.5, 1));
 
   return { language, dialect, formality, tone, confidence, dialectTokensFound,
-           explicitRequest, utaraScore, kelantanScore };
+           explicitRequest, dialectScores, dialectMix, dialectAmbiguous,
+           codeSwitching, codeSwitchScores: codeSwitch.scores, codeSwitchTokensFound: codeSwitch.found,
+           utaraScore: dialectScores.UTARA, kelantanScore: dialectScores.KELANTAN };
 }
 
 /* ═══════════════════════════════════════════════════════════
@@ -361,6 +577,30 @@ function buildSmalltalkStabilizer(langResult, dialectLevel = 'light') {
       `- CRITICAL: Do NOT use Northern/Utara dialect words (hang, hampa, habaq, depa) — these are WRONG for Kelantan users.`,
       `- Treat their language as normal speech — never correct or comment on dialect.`,
     ].join('\n');
+  } else if (DIALECT_PROFILES[langResult.dialect]) {
+    // Terengganu, Negeri Sembilan, Sabah, Sarawak — same rules, profile words
+    const profile = DIALECT_PROFILES[langResult.dialect];
+    const otherWords = otherDialectWords(langResult.dialect);
+    instructions = (langResult.tone === 'greeting' ? [
+      `SMALLTALK STABILIZER (ACTIVE):`,
+      `- This is a casual greeting from a ${profile.labelMs} speaker. Reply naturally.`,
+      `- Maximum ${maxSentences} sentences, maximum ${maxWords} words total.`,
+      `- Mirror at most ${dialectTokenLimit} ${profile.labelMs} dialect words from the user's message.`,
+      tokensToMirror.length > 0
+        ? `- You may use these dialect tokens: ${tokensToMirror.join(', ')}. Do NOT add extra dialect words beyond these.`
+        : `- Reply in casual Malay with light ${profile.labelMs} flavor (e.g., ${profile.sample.map(w => `"${w}"`).join(', ')}).`,
+      `- Follow pattern: [greeting/status response] + [return question to user]`,
+      `- Do NOT over-do dialect. Do NOT ask clarifying questions. Do NOT offer help unprompted.`,
+    ] : [
+      `DIALECT MIRRORING (LIGHT ${profile.labelMs.toUpperCase()}):`,
+      `- The user speaks ${profile.label}.`,
+      `- Reply in Malay with light ${profile.labelMs} flavor. Use at most ${dialectTokenLimit} dialect words per reply.`,
+      tokensToMirror.length > 0
+        ? `- Mirror these tokens naturally: ${tokensToMirror.join(', ')}`
+        : `- Use casual ${profile.labelMs} words like ${profile.sample.map(w => `"${w}"`).join(', ')} naturally.`,
+      `- Keep replies readable. Do NOT make every word dialect.`,
+      `- Treat their language as normal speech — never correct or comment on dialect.`,
+    ]).concat(`- Do NOT use words from other dialects (${otherWords.join(', ')}) — those are the WRONG dialect.`).join('\n');
   } else if (langResult.tone === 'greeting') {
     // Standard Malay or English greeting
     instructions = [
@@ -372,6 +612,9 @@ function buildSmalltalkStabilizer(langResult, dialectLevel = 'light') {
     ].join('\n');
   }
 
+  const codeSwitchNote = buildCodeSwitchInstructions(langResult);
+  if (codeSwitchNote) instructions = instructions ? `${instructions}\n${codeSwitchNote}` : codeSwitchNote;
+
   return {
     instructions,
     maxWords,
@@ -380,6 +623,36 @@ function buildSmalltalkStabilizer(langResult, dialectLevel = 'light') {
   };
 }
 
+/** Sample words of every dialect except `code`, for "don't mix" warnings. */
+function otherDialectWords(code) {
+  return DIALECT_CODES.filter(c => c !== code).flatMap(c => DIALECT_PROFILES[c].sample.slice(0, 2));
+}
+
+/**
+ * Prompt lines for romanised code-switching (Manglish, Mandarin, Cantonese,
+ * Tamil). The base language stays Malay/English; echoing a word is fine.
+ *
+ * @param {object} langResult - output from detectLanguageAndDialect
+ * @returns {string}
+ */
+function buildCodeSwitchInstructions(langResult) {
+  const mixes = (langResult && langResult.codeSwitching) || [];
+  if (mixes.length === 0) return '';
+  const lines = ['CODE-SWITCHING:'];
+  if (mixes.includes('MANGLISH')) {
+    lines.push('- The user writes Manglish. Reply in casual Malaysian English; particles like "lah", "lor", "meh" are fine once or twice.');
+  }
+  const romanised = mixes.filter(m => m !== 'MANGLISH');
+  if (romanised.length > 0) {
+    lines.push(
+      `- The user mixes in ${romanised.map(m => CODE_SWITCH_LABELS[m]).join(' and ')} words.`,
+      '- Reply in their base language (Malay or English). You may echo a common word they used, but do NOT reply in Chinese or Tamil script or full sentences.',
+      '- Never ask them to "use proper English/Malay" — this mix is normal Malaysian speech.',
+    );
+  }
+  return lines.join('\n');
+}
+
 /**
  * Conservative spell correction — only fixes obvious typos.
  * NEVER "corrects" dialect tokens. Preserves them.
@@ -429,8 +702,14 @@ module.exports = {
   buildSmalltalkStabilizer,
   conservativeSpellCorrect,
   applyDialectPostProcess,
+  buildCodeSwitchInstructions,
   UTARA_TOKENS,
   KELANTAN_TOKENS,
+  DIALECT_PROFILES,
+  DIALECT_CODES,
+  CODE_SWITCH_LABELS,
+  dialectToPref,
+  dialectFromPref,
   GREETING_PATTERNS,
   DIALECT_REQUEST_PATTERNS,
 };
@@ -448,33 +727,86 @@ module.exports = {
 
 /* Safe pronoun/particle transforms per dialect */
 const KELANTAN_TRANSFORMS = [
-  { from: /\bawak\b/gi,    to: 'demo' },
-  { from: /\bkamu\b/gi,    to: 'demo' },
-  { from: /\bsaya\b/gi,    to: 'ambo' },
-  { from: /\bkenapa\b/gi,  to: 'gapo' },
-  { from: /\borang\b/gi,   to: 'ore' },
-  { from: /\bmereka\b/gi,  to: 'demo' },
-  { from: /\bkita\b/gi,    to: 'kito' },
-  { from: /\bbagaimana\b/gi, to: 'guano' },
-  { from: /\bmacam mana\b/gi, to: 'guano' },
+  { from: 'awak',       to: 'demo' },
+  { from: 'kamu',       to: 'demo' },
+  { from: 'saya',       to: 'ambo' },
+  { from: 'kenapa',     to: 'gapo' },
+  { from: 'orang',      to: 'ore' },
+  { from: 'mereka',     to: 'demo' },
+  { from: 'kita',       to: 'kito' },
+  { from: 'bagaimana',  to: 'guano' },
+  { from: 'macam mana', to: 'guano' },
 ];
 
 const UTARA_TRANSFORMS = [
-  { from: /\bawak\b/gi,    to: 'hang' },
-  { from: /\bkamu\b/gi,    to: 'hang' },
-  { from: /\bmereka\b/gi,  to: 'depa' },
-  { from: /\bkenapa\b/gi,  to: 'awat' },
-  { from: /\bbagaimana\b/gi, to: 'cemana' },
-  { from: /\bmacam mana\b/gi, to: 'cemana' },
-  { from: /\bberitahu\b/gi, to: 'habaq' },
-  { from: /\bya\b/gi,      to: 'ja' },
+  { from: 'awak',       to: 'hang' },
+  { from: 'kamu',       to: 'hang' },
+  { from: 'mereka',     to: 'depa' },
+  { from: 'kenapa',     to: 'awat' },
+  { from: 'bagaimana',  to: 'cemana' },
+  { from: 'macam mana', to: 'cemana' },
+  { from: 'beritahu',   to: 'habaq' },
+  { from: 'ya',         to: 'ja' },
+];
+
+const TERENGGANU_TRANSFORMS = [
+  { from: 'awak',       to: 'mung' },
+  { from: 'kamu',       to: 'mung' },
+  { from: 'kenapa',     to: 'bakpe' },
+  { from: 'bagaimana',  to: 'gane' },
+  { from: 'macam mana', to: 'gane' },
+  { from: 'nanti',      to: 'kekgi' },
 ];
 
+const NEGERI_SEMBILAN_TRANSFORMS = [
+  { from: 'saya',       to: 'eden' },
+  { from: 'awak',       to: 'ekau' },
+  { from: 'kamu',       to: 'ekau' },
+  { from: 'apa',        to: 'apo' },
+  { from: 'dia',        to: 'dio' },
+  { from: 'siapa',      to: 'sapo' },
+];
+
+const SABAH_TRANSFORMS = [
+  { from: 'saya',       to: 'sia' },
+  { from: 'tidak',      to: 'ndak' },
+  { from: 'tengok',     to: 'tingu' },
+  { from: 'pergi',      to: 'pigi' },
+  { from: 'memang',     to: 'mimang' },
+];
+
+const SARAWAK_TRANSFORMS = [
+  { from: 'saya',       to: 'kamek' },
+  { from: 'awak',       to: 'kitak' },
+  { from: 'kamu',       to: 'kitak' },
+  { from: 'mereka',     to: 'sidak' },
+  { from: 'tidak',      to: 'sik' },
+  { from: 'sekarang',   to: 'kinek' },
+];
+
+// Whole-word, case-insensitive; compiled to regexes by lib/lexicons.js
+const BUILTIN_TRANSFORMS = {
+  KELANTAN: KELANTAN_TRANSFORMS,
+  UTARA: UTARA_TRANSFORMS,
+  TERENGGANU: TERENGGANU_TRANSFORMS,
+  NEGERI_SEMBILAN: NEGERI_SEMBILAN_TRANSFORMS,
+  SABAH: SABAH_TRANSFORMS,
+  SARAWAK: SARAWAK_TRANSFORMS,
+};
+for (const [code, entries] of Object.entries(BUILTIN_TRANSFORMS)) {
+  registerLexicon(dialectLexicon(code, 'transforms'), {
+    kind: 'transforms',
+    dialect: code,
+    description: `Standard → ${DIALECT_PROFILES[code].labelMs} word swaps applied to replies by the dialect post-processor`,
+    entries,
+  });
+}
+
 /**
  * Apply light-touch dialect post-processing to an LLM response.
  *
  * @param {string} text       - LLM response text
- * @param {string} dialect    - 'UTARA' | 'KELANTAN' | 'STANDARD' | null
+ * @param {string} dialect    - a DIALECT_PROFILES code, 'STANDARD' or null
  * @param {object} [opts]
  * @param {number} [opts.intensity=0.25]   - 0.0 to 1.0 (0 = no transform, 1 = max)
  * @param {boolean} [opts.explicit=false]  - was this explicitly requested by user?
@@ -489,7 +821,8 @@ function applyDialectPostProcess(text, dialect, opts = {}) {
   // Skip if low confidence and not explicitly requested
   if (confidence < 0.6 && !explicit) return text;
 
-  const transforms = dialect === 'KELANTAN' ? KELANTAN_TRANSFORMS : UTARA_TRANSFORMS;
+  if (!DIALECT_PROFILES[dialect]) return text;
+  const transforms = getLexicon(dialectLexicon(dialect, 'transforms'));
   if (!transforms || transforms.length === 0) return text;
 
   // Process sentence by sentence to enforce per-sentence limit
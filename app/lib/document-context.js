@@ -0,0 +1,236 @@
+/**
+ * Document Context — multi-document prompts for DOCUMENT_ANALYSIS
+ *
+ * A conversation can hold several uploaded documents (conversation-context.js
+ * keeps them per session, persisted per thread). This module decides which of
+ * them a message is about and builds a prompt that quotes from the right ones
+ * with their page / sheet / slide markers.
+ *
+ * References the user can make:
+ *   - by name:     "the invoice", "acme_quote.pdf", "dalam kontrak tu"
+ *   - by position: "first/second document", "dokumen kedua", "doc 2", "the last one"
+ *   - all:         "compare both", "beza kedua-dua", "semua dokumen"
+ * Otherwise the most recent document is used.
+ *
+ * Large documents are trimmed to the excerpts that best match the question
+ * (chunked on location markers, so each excerpt keeps its page/sheet/slide).
+ */
+
+const path = require('path');
+const { chunkDocument } = require('./knowledge');
+
+const MAX_DOCS_IN_PROMPT = 4;
+const MAX_PROMPT_CHARS   = 100_000;  // ~25k tokens across all documents
+const EXCERPT_CHARS      = 1500;
+
+/** Name tokens too generic to identify a document. */
+const GENERIC_NAME_TOKENS = new Set([
+  'pdf', 'docx', 'doc', 'xlsx', 'xls', 'pptx', 'csv', 'txt', 'file', 'document', 'dokumen', 'fail',
+  'final', 'copy', 'scan', 'scanned', 'new', 'baru', 'draft', 'version', 'img', 'image', 'the', 'and',
+]);
+
+const QUESTION_STOPWORDS = new Set([
+  'the', 'and', 'what', 'which', 'how', 'does', 'this', 'that', 'with', 'from', 'for', 'about', 'are', 'was',
+  'yang', 'dan', 'apa', 'ini', 'itu', 'tu', 'dalam', 'untuk', 'dengan', 'ada', 'tak', 'boleh', 'berapa',
+]);
+
+const ORDINALS = [
+  { re: /\b(first|1st|pertama)\b/i, index: 0 },
+  { re: /\b(second|2nd|kedua)\b(?!-dua)/i, index: 1 },
+  { re: /\b(third|3rd|ketiga)\b/i, index: 2 },
+  { re: /\b(fourth|4th|keempat)\b/i, index: 3 },
+];
+const NUMBERED_RE = /\b(?:doc(?:ument)?|dokumen|fail|file)\s*#?\s*(\d{1,2})\b/i;
+const LAST_RE     = /\b(last|latest|most recent|terakhir|terbaru)\s+(?:one|doc(?:ument)?|dokumen|file|fail|upload)\b/i;
+const ALL_RE      = /\b(both|all (?:the )?(?:docs?|documents|files)|compare|comparison|versus|vs\.?|difference|differences|kedua-dua|dua-dua|semua (?:dokumen|fail)|banding(?:kan)?|beza(?:nya)?|perbezaan)\b/i;
+
+/**
+ * Identifying tokens of a document name/title ('Acme_Quote-2024.pdf' → ['acme', 'quote', '2024']).
+ */
+function nameTokens(doc) {
+  const base = path.parse(doc.name || '').name;
+  return [...new Set(`${base} ${doc.title || ''}`
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(t => t.length >= 3 && !GENERIC_NAME_TOKENS.has(t)))];
+}
+
+/**
+ * Pick the documents a message refers to.
+ *
+ * @param {object[]} docs - session documents, oldest first ({ id, name, title, ... })
+ * @param {string} message
+ * @returns {{ docs: object[], reason: 'name'|'ordinal'|'all'|'active'|'none', referenced: boolean }}
+ */
+function matchDocuments(docs, message) {
+  if (!Array.isArray(docs) || docs.length === 0) return { docs: [], reason: 'none', referenced: false };
+  const text = String(message || '').toLowerCase();
+  const latest = docs[docs.length - 1];
+
+  // By name: full base name or identifying tokens
+  const words = new Set(text.split(/[^a-z0-9]+/).filter(Boolean));
+  const byName = docs
+    .map(d => {
+      const base = path.parse(d.name || '').name.toLowerCase();
+      const fullHit = base.length >= 3 && text.includes(base);
+      const tokenHits = nameTokens(d).filter(t => words.has(t)).length;
+      return { doc: d, score: (fullHit ? 10 : 0) + tokenHits };
+    })
+    .filter(m => m.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  const wantsAll = ALL_RE.test(text);
+
+  if (byName.length > 0) {
+    // "compare the quote with the invoice" → every named doc; otherwise the best match(es)
+    const best = byName[0].score;
+    const named = (wantsAll || (byName.length > 1 && byName[1].score === best))
+      ? byName.map(m => m.doc)
+      : [byName[0].doc];
+    // "compare X" with only one name → X plus the most recent other document
+    if (wantsAll && named.length === 1 && docs.length > 1) {
+      const other = [...docs].reverse().find(d => d !== named[0]);
+      if (other) named.push(other);
+    }
+    return { docs: docs.filter(d => named.includes(d)).slice(-MAX_DOCS_IN_PROMPT), reason: 'name', referenced: true };
+  }
+
+  // By position
+  const numbered = text.match(NUMBERED_RE);
+  if (numbered) {
+    const doc = docs[Number(numbered[1]) - 1];
+    if (doc) return { docs: [doc], reason: 'ordinal', referenced: true };
+  }
+  if (docs.length > 1 && LAST_RE.test(text)) {
+    return { docs: [latest], reason: 'ordinal', referenced: true };
+  }
+  if (docs.length > 1 && !wantsAll) {
+    for (const { re, index } of ORDINALS) {
+      if (re.test(text) && docs[index]) return { docs: [docs[index]], reason: 'ordinal', referenced: true };
+    }
+  }
+
+  if (wantsAll && docs.length > 1) {
+    return { docs: docs.slice(-MAX_DOCS_IN_PROMPT), reason: 'all', referenced: true };
+  }
+
+  return { docs: [latest], reason: 'active', referenced: false };
+}
+
+/**
+ * Trim a document to the excerpts most relevant to the question, keeping
+ * document order and location markers. Short documents are returned whole.
+ *
+ * @param {string} text
+ * @param {string} question
+ * @param {number} budget - max chars
+ * @returns {string}
+ */
+function selectExcerpts(text, question, budget) {
+  if (!text) return '';
+  if (text.length <= budget) return text;
+
+  const terms = [...new Set(String(question || '').toLowerCase().split(/[^\p{L}\p{N}]+/u)
+    .filter(t => t.length >= 3 && !QUESTION_STOPWORDS.has(t)))];
+  const chunks = chunkDocument(text, { size: EXCERPT_CHARS, overlap: 0 });
+
+  const scored = chunks.map(c => {
+    const hay = c.content.toLowerCase();
+    const score = terms.reduce((n, t) => n + (hay.includes(t) ? 1 : 0), 0);
+    return { ...c, score };
+  });
+
+  // Always keep the opening chunk (title, parties, dates), then best matches
+  const picked = new Set([0]);
+  let used = scored[0].content.length;
+  for (const c of [...scored].sort((a, b) => b.score - a.score || a.index - b.index)) {
+    if (picked.has(c.index)) continue;
+    if (used + c.content.length > budget) continue;
+    picked.add(c.index);
+    used += c.content.length;
+  }
+
+  let lastLocation;
+  return scored
+    .filter(c => picked.has(c.index))
+    .map(c => {
+      const header = c.location && c.location !== lastLocation ? `[${c.location}]\n` : '';
+      lastLocation = c.location;
+      return header + c.content;
+    })
+    .join('\n[…]\n');
+}
+
+/** '12 pages' / '3 sheets' / 'docx-text' */
+function describeDoc(doc) {
+  const m = doc.meta || {};
+  if (m.pageCount) return `${m.pageCount} page${m.pageCount === 1 ? '' : 's'}`;
+  if (m.sheetCount) return `${m.sheetCount} sheet${m.sheetCount === 1 ? '' : 's'}`;
+  if (m.slideCount) return `${m.slideCount} slides`;
+  if (m.rowCount) return `${m.rowCount} rows`;
+  return doc.extractionMethod || doc.kind;
+}
+
+/**
+ * Build system + user content for a question over one or more session documents.
+ *
+ * @param {object[]} docs - from matchDocuments()
+ * @param {string} question - user's message ('' for an upload-only turn)
+ * @param {string} lang - 'ms' | 'en'
+ * @param {{ maxChars?: number }} [opts] - excerpt budget across all documents
+ *   (the chat route sizes it to the model's context window)
+ * @returns {{ systemContent: string, userContent: string, documents: Array<{ id, name }> }}
+ */
+function buildDocumentsPrompt(docs, question, lang = 'en', { maxChars = MAX_PROMPT_CHARS } = {}) {
+  const budget = Math.floor(Math.min(maxChars, MAX_PROMPT_CHARS) / Math.max(docs.length, 1));
+  const isMs = lang === 'ms';
+  const multi = docs.length > 1;
+
+  const list = docs.map((d, i) => `${i + 1}. "${d.name}" (${describeDoc(d)})`).join('\n');
+  const systemContent = isMs
+    ? [
+      `Kamu menganalisis ${multi ? `${docs.length} dokumen` : 'dokumen'} yang dimuat naik oleh pengguna dalam perbualan ini:`,
+      list,
+      '',
+      'PERATURAN:',
+      '- Jawab HANYA berdasarkan kandungan dokumen. Jangan reka angka, tarikh atau nama.',
+      '- Petik dari dokumen yang betul dan nyatakan rujukan, cth: ("Sebut Harga Acme", Halaman 2) atau (Helaian 1: Harga) atau (Slaid 3).',
+      multi ? '- Bila membandingkan, guna jadual atau bullet bersebelahan dan nyatakan dokumen mana untuk setiap fakta.' : '',
+      '- Jika maklumat tiada dalam dokumen, nyatakan dokumen mana yang tidak menyebutnya.',
+      '- Jawab dalam Bahasa Melayu Malaysia.',
+    ].filter(Boolean).join('\n')
+    : [
+      `You are analysing ${multi ? `${docs.length} documents` : 'a document'} the user uploaded in this conversation:`,
+      list,
+      '',
+      'RULES:',
+      '- Answer ONLY from the document contents. Do not invent figures, dates or names.',
+      '- Quote from the right document and cite where it came from, e.g. ("Acme Quote", Page 2) or (Sheet 1: Prices) or (Slide 3).',
+      multi ? '- When comparing, use a table or side-by-side bullets and say which document each fact comes from.' : '',
+      '- If something is not in the documents, say which document does not mention it.',
+    ].filter(Boolean).join('\n');
+
+  const blocks = docs.map((d, i) => {
+    const body = d.kind === 'pages' || !d.text
+      ? '(Scanned document — no extracted text is available for follow-up questions. Ask the user to re-upload it if needed.)'
+      : selectExcerpts(d.text, question, budget);
+    return `--- DOCUMENT ${i + 1}: ${d.name} ---\n${body}\n--- END DOCUMENT ${i + 1} ---`;
+  });
+
+  const ask = question && question.trim()
+    ? question.trim()
+    : (isMs ? 'Ringkaskan dokumen ini.' : 'Summarize these documents.');
+
+  return {
+    systemContent,
+    userContent: `${blocks.join('\n\n')}\n\nUSER QUESTION:\n${ask}`,
+    documents: docs.map(d => ({ id: d.id, name: d.name })),
+  };
+}
+
+module.exports = {
+  matchDocuments,
+  selectExcerpts,
+  buildDocumentsPrompt,
+  MAX_DOCS_IN_PROMPT,
+};
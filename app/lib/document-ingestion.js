@@ -9,8 +9,15 @@
  *   const doc = await ingestAttachment(buffer, originalName, mimeType);
  *
  * NormalizedDocument shape:
- *   { kind, detectedLanguage, title?, text?, pages?, imagePath?,
- *     meta: { fileName, mimeType, sizeBytes, pageCount?, extractionMethod } }
+ *   { kind, detectedLanguage, title?, text?, pages?, imagePath?, ocrText?,
+ *     meta: { fileName, mimeType, sizeBytes, pageCount?, extractionMethod, ocr? } }
+ *
+ * Scanned PDFs and document images go through local OCR (lib/ocr.js) first.
+ * When the OCR confidence clears `ocr.min_confidence` they become plain text
+ * (extractionMethod 'pdf-ocr' / 'image-ocr') for the text model; otherwise
+ * they fall back to page images for the vision model, keeping the
+ * low-confidence text as `ocrText` in case the vision model fails. Either way
+ * `meta.ocr` records { languages, confidence, pages: [{ page, confidence }], durationMs }.
  */
 
 const fs   = require('fs');
@@ -18,6 +25,7 @@ const path = require('path');
 const os   = require('os');
 const { execSync } = require('child_process');
 const { getSetting } = require('./settings');
+const { recognizeImages } = require('./ocr');
 
 /* ── Lazy-loaded heavy libs (keep startup fast) ──────────── */
 let mammoth, pdfParse, franc, XLSX;
@@ -33,6 +41,7 @@ const MAX_PDF_PAGES       = parseInt(process.env.MAX_PDF_PAGES       || '5', 10)
 const PDF_RENDER_DPI      = parseInt(process.env.PDF_RENDER_DPI      || '180', 10);
 const MAX_TEXT_CHARS       = parseInt(process.env.MAX_TEXT_CHARS      || '120000', 10);
 const MIN_TEXT_CHARS       = 200; // minimum chars to consider PDF text "usable"
+const OCR_MIN_CONFIDENCE  = 70;  // default for `ocr.min_confidence` (0–100)
 const MAX_SHEETS          = parseInt(process.env.MAX_SHEETS          || '3', 10);
 const MAX_ROWS_PER_SHEET  = parseInt(process.env.MAX_ROWS_PER_SHEET  || '50', 10);
 const MAX_CONTEXT_CHARS   = parseInt(process.env.MAX_CONTEXT_CHARS   || '120000', 10);
@@ -135,6 +144,7 @@ function mimeFromFilename(name) {
  * @param {Object}  [opts]    - optional overrides
  * @param {number}  [opts.maxPdfPages] - override MAX_PDF_PAGES
  * @param {boolean} [opts.isGuest]     - true for guest users (tighter limits)
+ * @param {boolean} [opts.textOnly]    - fail instead of rendering/OCRing scanned PDFs (web pages)
  * @returns {Promise<NormalizedDocument>}
  */
 async function ingestAttachment(buf, fileName, mimeType, opts = {}) {
@@ -173,7 +183,7 @@ async function ingestAttachment(buf, fileName, mimeType, opts = {}) {
   if (mimeType === 'text/plain')                                    return handleTxt(buf, fileName, sizeBytes);
   if (mimeType === 'text/csv')                                      return handleCsv(buf, fileName, sizeBytes);
   if (mimeType.includes('wordprocessingml'))                        return handleDocx(buf, fileName, sizeBytes);
-  if (mimeType === 'application/pdf')                               return handlePdf(buf, fileName, sizeBytes, effectiveMaxPages);
+  if (mimeType === 'application/pdf')                               return handlePdf(buf, fileName, sizeBytes, effectiveMaxPages, opts.textOnly);
   if (mimeType.includes('spreadsheetml') || mimeType.includes('ms-excel'))
     return handleXlsx(buf, fileName, mimeType, sizeBytes);
   if (mimeType.includes('presentationml'))
@@ -186,15 +196,28 @@ async function ingestAttachment(buf, fileName, mimeType, opts = {}) {
    Format handlers
    ═══════════════════════════════════════════════════════════ */
 
-/** Images — keep existing flow */
-function handleImage(buf, fileName, mimeType, sizeBytes) {
+/** Images — OCR first (scanned letters, receipts, screenshots), vision otherwise */
+async function handleImage(buf, fileName, mimeType, sizeBytes) {
+  const ocr = await runOcr([buf]);
+  if (ocr && ocr.usable) {
+    const text = ocr.pages[0].text.slice(0, MAX_TEXT_CHARS);
+    return {
+      kind: 'text',
+      detectedLanguage: detectLanguage(text),
+      title: fileName,
+      text,
+      meta: { fileName, mimeType, sizeBytes, extractionMethod: 'image-ocr', ocr: ocr.meta },
+    };
+  }
+
   const base64 = buf.toString('base64');
   return {
     kind: 'image',
     detectedLanguage: 'unknown',  // vision model will detect
     imagePath: null,
     imageBase64: base64,
-    meta: { fileName, mimeType, sizeBytes, extractionMethod: 'image' },
+    ...(ocr && ocr.pages[0].text.trim() ? { ocrText: ocr.pages[0].text.slice(0, MAX_TEXT_CHARS) } : {}),
+    meta: { fileName, mimeType, sizeBytes, extractionMethod: 'image', ...(ocr ? { ocr: ocr.meta } : {}) },
   };
 }
 
@@ -235,7 +258,7 @@ async function handleDocx(buf, fileName, sizeBytes) {
 }
 
 /** PDF — text extraction first, scanned-page fallback */
-async function handlePdf(buf, fileName, sizeBytes, maxPages) {
+async function handlePdf(buf, fileName, sizeBytes, maxPages, textOnly = false) {
   const effectiveMaxPages = maxPages || MAX_PDF_PAGES;
 
   // Check for encryption (very basic heuristic)
@@ -244,25 +267,33 @@ async function handlePdf(buf, fileName, sizeBytes, maxPages) {
     throw new IngestionError('This PDF is encrypted / password-protected. Please unlock it first.');
   }
 
-  // A) Try text extraction
-  const pdf = loadPdfParse();
-  let pdfData;
+  // A) Try text extraction — one `--- Page N ---` marker per page so answers can cite pages
+  const { PDFParse } = loadPdfParse();
+  const parser = new PDFParse({ data: buf });
+  let pdfData, pdfInfo;
   try {
-    pdfData = await pdf(buf, { max: effectiveMaxPages });
+    pdfData = await parser.getText({ first: effectiveMaxPages });
+    pdfInfo = await parser.getInfo().catch(() => null);
   } catch (e) {
     throw new IngestionError('Failed to parse PDF: ' + (e.message || 'unknown error'));
+  } finally {
+    await parser.destroy().catch(() => {});
   }
 
-  const pageCount = pdfData.numpages || 1;
-  let text = (pdfData.text || '').trim();
+  const pageCount = pdfData.total || pdfData.pages.length || 1;
+  const pdfTitle = pdfInfo?.info?.Title || null;
+  const rawText = pdfData.pages.map(p => (p.text || '').trim()).join('\n').trim();
 
-  if (text.length >= MIN_TEXT_CHARS) {
+  if (rawText.length >= MIN_TEXT_CHARS) {
     // Good text extraction
+    let text = pdfData.pages
+      .map(p => `--- Page ${p.num} ---\n${(p.text || '').trim()}`)
+      .join('\n\n');
     if (text.length > MAX_TEXT_CHARS) text = text.slice(0, MAX_TEXT_CHARS);
     return {
       kind: 'text',
-      detectedLanguage: detectLanguage(text),
-      title: pdfData.info?.Title || fileName,
+      detectedLanguage: detectLanguage(rawText),
+      title: pdfTitle || fileName,
       text,
       meta: {
         fileName, mimeType: 'application/pdf', sizeBytes,
@@ -271,6 +302,10 @@ async function handlePdf(buf, fileName, sizeBytes, maxPages) {
     };
   }
 
+  if (textOnly) {
+    throw new IngestionError('This PDF has no text layer.');
+  }
+
   // B) Scanned PDF — render pages to PNG
   const pagesToRender = Math.min(pageCount, effectiveMaxPages);
   const tmpPdf = writeTempFile(buf, '.pdf');
@@ -318,14 +353,73 @@ async function handlePdf(buf, fileName, sizeBytes, maxPages) {
     throw new IngestionError('Could not extract text or render pages from this PDF.');
   }
 
+  // C) OCR the rendered pages — only low-confidence scans go on to the vision model
+  const ocr = await runOcr(pages.map(p => Buffer.from(p.imageBase64, 'base64')));
+  const ocrText = ocr && ocr.pages.some(p => p.text.trim())
+    ? ocr.pages
+      .map((p, i) => `--- Page ${pages[i].page} ---\n${p.text}`)
+      .join('\n\n')
+      .slice(0, MAX_TEXT_CHARS)
+    : '';
+  if (ocr && ocr.usable) {
+    cleanupFiles(...pages.map(p => p.imagePath));
+    return {
+      kind: 'text',
+      detectedLanguage: detectLanguage(ocr.pages.map(p => p.text).join('\n')),
+      title: pdfTitle || fileName,
+      text: ocrText,
+      meta: {
+        fileName, mimeType: 'application/pdf', sizeBytes,
+        pageCount: pages.length, extractionMethod: 'pdf-ocr', ocr: ocr.meta,
+      },
+    };
+  }
+
   return {
     kind: 'pages',
     detectedLanguage: 'unknown', // vision model will detect
-    title: pdfData.info?.Title || fileName,
+    title: pdfTitle || fileName,
     pages,
+    ...(ocrText ? { ocrText } : {}),
     meta: {
       fileName, mimeType: 'application/pdf', sizeBytes,
       pageCount: pages.length, extractionMethod: 'pdf-render',
+      ...(ocr ? { ocr: ocr.meta } : {}),
+    },
+  };
+}
+
+/**
+ * OCR page images when `ocr.enabled`. Returns null when OCR is off or fails
+ * (the caller falls back to vision); `usable` is true when the overall
+ * confidence clears `ocr.min_confidence` and enough text came back.
+ *
+ * @param {Buffer[]} images
+ * @returns {Promise<{ usable: boolean, pages: Array<{ page, text, confidence }>, meta: object }|null>}
+ */
+async function runOcr(images) {
+  const enabled = await getSetting('ocr.enabled', true).catch(() => true);
+  if (enabled === false || enabled === 'false') return null;
+  const minConfidence = Number(await getSetting('ocr.min_confidence', OCR_MIN_CONFIDENCE).catch(() => OCR_MIN_CONFIDENCE));
+
+  let result;
+  try {
+    result = await recognizeImages(images);
+  } catch (err) {
+    console.error('[ingest] OCR failed:', err.message);
+    return null;
+  }
+
+  const chars = result.pages.reduce((n, p) => n + p.text.length, 0);
+  return {
+    usable: result.confidence >= minConfidence && chars >= MIN_TEXT_CHARS,
+    pages: result.pages,
+    meta: {
+      languages: result.languages,
+      confidence: result.confidence,
+      minConfidence,
+      pages: result.pages.map(p => ({ page: p.page, confidence: p.confidence, chars: p.text.length })),
+      durationMs: result.durationMs,
     },
   };
 }
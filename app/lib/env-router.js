@@ -144,4 +144,14 @@ async function requireApiKeyWithEnv(req, res, next) {
   }
 }
 
-module.exports = { resolveEnvironment, requireApiKeyWithEnv };
+/**
+ * Optional API key auth — validates the key only when a Bearer header is sent.
+ * Lets routes serve both web UI sessions/visitors and API key holders.
+ */
+function optionalApiKeyWithEnv(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return next();
+  return requireApiKeyWithEnv(req, res, next);
+}
+
+module.exports = { resolveEnvironment, requireApiKeyWithEnv, optionalApiKeyWithEnv };
@@ -0,0 +1,417 @@
+/**
+ * Structured extraction — documents to JSON by schema
+ *
+ * Takes a NormalizedDocument (lib/document-ingestion.js) and a caller-supplied
+ * JSON Schema, asks the model for matching JSON via Ollama's `format`
+ * (structured outputs), validates the result and retries with the validation
+ * errors until it conforms or the retry budget runs out.
+ *
+ * The model answers { data, sources } where `sources` maps each field path
+ * ("total", "items[0].amount") to the verbatim text it read the value from.
+ * Snippets are checked against the extracted text and tagged with the
+ * page/sheet/slide they were found on.
+ *
+ * Supported schema keywords (a practical subset of JSON Schema):
+ *   type (string | number | integer | boolean | object | array | null, or a list),
+ *   properties, required, items, enum, minimum, maximum, minLength, maxLength,
+ *   pattern, format ('date' | 'date-time' | 'email'), additionalProperties: false,
+ *   description
+ *
+ * `pattern` comes from the caller and runs against model output, so it is
+ * length-capped and evaluated in a vm context with a time budget: a
+ * catastrophic pattern fails the request instead of blocking the event loop.
+ */
+
+const vm = require('vm');
+const { getSetting } = require('./settings');
+const { locationAt } = require('./knowledge');
+const { postToPool } = require('./ollama-pool');
+
+const MAX_DOC_CHARS     = 60_000;  // ~15k tokens of document per request
+const MAX_SCHEMA_DEPTH  = 6;
+const MAX_SCHEMA_PROPS  = 200;
+const DEFAULT_RETRIES   = 2;
+const MAX_RETRIES       = 4;
+const ATTEMPT_TIMEOUT   = 120_000;
+const MAX_PATTERN_LENGTH = 256;
+const MAX_PATTERN_INPUT  = 1000;   // longest string checked against a pattern
+const PATTERN_BUDGET_MS  = 50;
+
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+const FORMAT_CHECKS = {
+  'date':      v => /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(Date.parse(v)),
+  'date-time': v => !isNaN(Date.parse(v)) && /^\d{4}-\d{2}-\d{2}T/.test(v),
+  'email':     v => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+};
+
+class ExtractionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ExtractionError';
+    this.status = status;
+  }
+}
+
+/* ── Schema checks ───────────────────────────────────────── */
+
+const patternContext = vm.createContext({});
+
+/**
+ * Test a caller pattern within PATTERN_BUDGET_MS.
+ * @throws {ExtractionError} when the pattern takes longer (catastrophic backtracking)
+ */
+function matchesPattern(pattern, value) {
+  patternContext.pattern = pattern;
+  patternContext.value = value;
+  try {
+    return vm.runInContext('new RegExp(pattern).test(value)', patternContext, { timeout: PATTERN_BUDGET_MS });
+  } catch (err) {
+    if (err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw new ExtractionError(`pattern ${pattern} is too slow to evaluate — simplify it`);
+    }
+    throw err;
+  } finally {
+    patternContext.pattern = null;
+    patternContext.value = null;
+  }
+}
+
+function typesOf(schema) {
+  if (schema.type === undefined) return [];
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+/**
+ * Check a caller-supplied schema before spending a model call on it.
+ * The root must be an object schema with properties.
+ *
+ * @param {object} schema
+ * @returns {string|null} error message, or null if usable
+ */
+function validateSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return 'schema must be a JSON Schema object';
+  if (schema.type !== 'object' || !schema.properties || typeof schema.properties !== 'object') {
+    return 'schema must have type "object" and properties';
+  }
+  let props = 0;
+  const walk = (node, at, depth) => {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) return `${at} must be a schema object`;
+    if (depth > MAX_SCHEMA_DEPTH) return `schema is nested too deeply (max ${MAX_SCHEMA_DEPTH} levels)`;
+    const types = typesOf(node);
+    const bad = types.find(t => !SCHEMA_TYPES.includes(t));
+    if (bad) return `${at}: unsupported type "${bad}"`;
+    if (node.enum !== undefined && (!Array.isArray(node.enum) || node.enum.length === 0)) return `${at}: enum must be a non-empty array`;
+    if (node.pattern !== undefined) {
+      if (typeof node.pattern !== 'string' || node.pattern.length > MAX_PATTERN_LENGTH) {
+        return `${at}: pattern must be a string of at most ${MAX_PATTERN_LENGTH} characters`;
+      }
+      try { new RegExp(node.pattern); } catch { return `${at}: invalid pattern`; }
+    }
+    if (node.format !== undefined && !FORMAT_CHECKS[node.format]) return `${at}: unsupported format "${node.format}"`;
+    if (node.required !== undefined && (!Array.isArray(node.required) || node.required.some(r => typeof r !== 'string'))) {
+      return `${at}: required must be an array of property names`;
+    }
+    if (node.properties !== undefined) {
+      if (typeof node.properties !== 'object' || Array.isArray(node.properties)) return `${at}: properties must be an object`;
+      for (const [key, child] of Object.entries(node.properties)) {
+        if (++props > MAX_SCHEMA_PROPS) return `schema has too many properties (max ${MAX_SCHEMA_PROPS})`;
+        const err = walk(child, `${at}.${key}`, depth + 1);
+        if (err) return err;
+      }
+    }
+    if (node.items !== undefined) {
+      const err = walk(node.items, `${at}[]`, depth + 1);
+      if (err) return err;
+    }
+    return null;
+  };
+  return walk(schema, '$', 0);
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'string':  return typeof value === 'string';
+    case 'number':  return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'object':  return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':   return Array.isArray(value);
+    case 'null':    return value === null;
+    default:        return false;
+  }
+}
+
+/**
+ * Validate a value against a schema.
+ *
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} [at] - path prefix for messages
+ * @returns {string[]} errors ('items[1].amount must be number'), empty when valid
+ */
+function validateAgainstSchema(schema, value, at = '') {
+  const errors = [];
+  const label = at || 'value';
+  const types = typesOf(schema);
+
+  if (types.length > 0 && !types.some(t => matchesType(t, value))) {
+    errors.push(`${label} must be ${types.join(' or ')}`);
+    return errors;
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some(e => e === value)) {
+    errors.push(`${label} must be one of: ${schema.enum.map(e => JSON.stringify(e)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${label} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${label} must be <= ${schema.maximum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${label} must have at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${label} must have at most ${schema.maxLength} characters`);
+    if (schema.pattern) {
+      if (value.length > MAX_PATTERN_INPUT) errors.push(`${label} must have at most ${MAX_PATTERN_INPUT} characters to match ${schema.pattern}`);
+      else if (!matchesPattern(schema.pattern, value)) errors.push(`${label} must match ${schema.pattern}`);
+    }
+    if (schema.format && FORMAT_CHECKS[schema.format] && !FORMAT_CHECKS[schema.format](value)) {
+      errors.push(`${label} must be a valid ${schema.format}`);
+    }
+  }
+
+  if (matchesType('object', value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at ? `${at}.` : ''}${key} is required`);
+    }
+    const props = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      const path = at ? `${at}.${key}` : key;
+      if (props[key]) errors.push(...validateAgainstSchema(props[key], child, path));
+      else if (schema.additionalProperties === false) errors.push(`${path} is not allowed`);
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validateAgainstSchema(schema.items, item, `${label}[${i}]`)));
+  }
+  return errors;
+}
+
+/**
+ * Leaf field paths of extracted data ('vendor.name', 'items[0].amount') with their values.
+ * @returns {Array<{ field: string, value: * }>}
+ */
+function leafFields(data, at = '') {
+  if (Array.isArray(data)) {
+    return data.flatMap((v, i) => leafFields(v, `${at}[${i}]`));
+  }
+  if (data !== null && typeof data === 'object') {
+    return Object.entries(data).flatMap(([k, v]) => leafFields(v, at ? `${at}.${k}` : k));
+  }
+  return at ? [{ field: at, value: data }] : [];
+}
+
+/* ── Source snippets ─────────────────────────────────────── */
+
+/** Lower-case, collapse whitespace, keep a map back to original offsets. */
+function normalizeWithMap(text) {
+  let out = '';
+  const map = [];
+  let prevSpace = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      if (prevSpace) continue;
+      out += ' ';
+      prevSpace = true;
+    } else {
+      out += ch.toLowerCase();
+      prevSpace = false;
+    }
+    map.push(i);
+  }
+  return { out, map };
+}
+
+/**
+ * Find a snippet in the document text (case/whitespace-insensitive).
+ *
+ * @param {{ out: string, map: number[] }} normText - from normalizeWithMap(text)
+ * @param {string} text - original text
+ * @param {string} snippet
+ * @returns {{ snippet: string, location: string|null }|null}
+ */
+function findSnippet(normText, text, snippet) {
+  const needle = normalizeWithMap(String(snippet).trim()).out;
+  if (needle.length < 2) return null;
+  const idx = normText.out.indexOf(needle);
+  if (idx === -1) return null;
+  const start = normText.map[idx];
+  const end = normText.map[idx + needle.length - 1] + 1;
+  return { snippet: text.slice(start, end), location: locationAt(text, start) };
+}
+
+/**
+ * Attach a verified source snippet to every extracted leaf field. The model's
+ * quoted snippet is preferred; failing that, the value itself is looked up.
+ *
+ * @param {object} data - validated extraction
+ * @param {object} modelSources - { [fieldPath]: snippet } from the model
+ * @param {string|null} text - document text (null for image/page documents)
+ * @returns {Array<{ field, value, snippet, location, verified }>}
+ */
+function attachSources(data, modelSources, text) {
+  const sources = modelSources && typeof modelSources === 'object' ? modelSources : {};
+  const norm = text ? normalizeWithMap(text) : null;
+  return leafFields(data).map(({ field, value }) => {
+    const quoted = typeof sources[field] === 'string' ? sources[field] : null;
+    if (norm) {
+      const hit = (quoted && findSnippet(norm, text, quoted))
+        || (value !== null && typeof value !== 'boolean' && String(value).length >= 3 && findSnippet(norm, text, String(value)));
+      if (hit) return { field, value, snippet: hit.snippet, location: hit.location, verified: true };
+    }
+    return { field, value, snippet: quoted, location: null, verified: false };
+  });
+}
+
+/* ── Model call ──────────────────────────────────────────── */
+
+/** Ollama `format` schema: the caller's schema plus a field → snippet map. */
+function responseFormat(schema) {
+  return {
+    type: 'object',
+    properties: {
+      data: schema,
+      sources: { type: 'object', additionalProperties: { type: 'string' } },
+    },
+    required: ['data', 'sources'],
+  };
+}
+
+function buildPrompt(doc, schema, instructions) {
+  const systemContent = [
+    'You extract structured data from documents.',
+    'Return JSON with two keys:',
+    '- "data": values that match the JSON Schema below exactly (types, required fields, enums, formats).',
+    '- "sources": for every field you filled in "data", the field path (e.g. "total", "items[0].amount") mapped to the exact text you read it from, copied verbatim from the document.',
+    'Use only what the document says. If a field is not in the document, use null when the schema allows it, otherwise leave optional fields out.',
+    'Dates as YYYY-MM-DD. Amounts as plain numbers without currency symbols or thousands separators.',
+    instructions ? `\nADDITIONAL INSTRUCTIONS:\n${instructions}` : '',
+    `\nJSON SCHEMA:\n${JSON.stringify(schema, null, 2)}`,
+  ].filter(Boolean).join('\n');
+
+  const userMessage = { role: 'user' };
+  if (doc.kind === 'text') {
+    let body = doc.text || '';
+    const truncated = body.length > MAX_DOC_CHARS;
+    if (truncated) body = body.slice(0, MAX_DOC_CHARS);
+    userMessage.content = `--- DOCUMENT: ${doc.meta.fileName} ---\n${body}\n--- END DOCUMENT${truncated ? ' (truncated)' : ''} ---`;
+  } else {
+    userMessage.content = `Extract the data from the attached ${doc.kind === 'pages' ? `${doc.pages.length} page image(s)` : 'image'} of "${doc.meta.fileName}".`;
+    userMessage.images = doc.kind === 'pages' ? doc.pages.map(p => p.imageBase64) : [doc.imageBase64];
+  }
+  return [{ role: 'system', content: systemContent }, userMessage];
+}
+
+async function callModel(model, messages, format, signal) {
+  let res;
+  try {
+    res = await postToPool(model, '/api/chat', {
+      model,
+      messages,
+      format,
+      stream: false,
+      keep_alive: '30m',
+      options: { temperature: 0, num_predict: 4096 },
+    }, {
+      signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(ATTEMPT_TIMEOUT)]) : AbortSignal.timeout(ATTEMPT_TIMEOUT),
+    });
+  } catch (err) {
+    if (err.name === 'AbortError' && signal && signal.aborted) throw err;
+    throw new ExtractionError(`Model request failed: ${err.message}`, 503);
+  }
+  if (!res) throw new ExtractionError(`The model '${model}' does not exist`, 404);
+  if (!res.ok) {
+    const errText = await res.text().catch(() => '');
+    if (res.status === 404) throw new ExtractionError(`The model '${model}' does not exist`, 404);
+    throw new ExtractionError(`AI error (${res.status}): ${errText.slice(0, 200)}`, 502);
+  }
+  return res.json();
+}
+
+/**
+ * Extract schema-shaped data from an ingested document.
+ *
+ * @param {object} doc - NormalizedDocument
+ * @param {object} schema - validated with validateSchema()
+ * @param {object} [opts]
+ * @param {string} [opts.model]        - defaults to the text or vision model setting
+ * @param {string} [opts.instructions] - extra guidance from the caller
+ * @param {number} [opts.maxRetries]   - re-prompts after a validation failure (default 2)
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<{ data, valid: boolean, errors: string[], sources: object[], attempts: number,
+ *   model: string, usage: { prompt_tokens: number, completion_tokens: number }, durationMs: number }>}
+ */
+async function extractFromDocument(doc, schema, opts = {}) {
+  const start = Date.now();
+  const needsVision = doc.kind !== 'text';
+  const model = opts.model || (needsVision
+    ? await getSetting('ai.default_vision_model', 'qwen2.5vl:32b')
+    : await getSetting('ai.default_text_model', 'llama3.1:8b'));
+  const maxRetries = Math.min(Math.max(Number.isInteger(opts.maxRetries) ? opts.maxRetries : DEFAULT_RETRIES, 0), MAX_RETRIES);
+  const format = responseFormat(schema);
+  const messages = buildPrompt(doc, schema, opts.instructions);
+
+  const usage = { prompt_tokens: 0, completion_tokens: 0 };
+  let parsed = null;
+  let errors = [];
+  let attempts = 0;
+
+  while (attempts <= maxRetries) {
+    attempts++;
+    const result = await callModel(model, messages, format, opts.signal);
+    usage.prompt_tokens += result.prompt_eval_count || 0;
+    usage.completion_tokens += result.eval_count || 0;
+    const raw = result.message?.content || '';
+
+    let isJson = true;
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      parsed = null;
+      isJson = false;
+    }
+    // Outside the try: a too-slow caller pattern throws ExtractionError
+    if (!isJson) errors = ['response was not valid JSON'];
+    else if (!parsed || typeof parsed !== 'object' || !('data' in parsed)) errors = ['response must be an object with "data" and "sources"'];
+    else errors = validateAgainstSchema(schema, parsed.data);
+    if (errors.length === 0) break;
+
+    // Show the model its own answer and what was wrong with it
+    messages.push({ role: 'assistant', content: raw.slice(0, 8000) });
+    messages.push({
+      role: 'user',
+      content: `That JSON does not match the schema:\n${errors.slice(0, 20).map(e => `- ${e}`).join('\n')}\nReturn the corrected JSON only.`,
+    });
+  }
+
+  const data = parsed && typeof parsed === 'object' ? parsed.data ?? null : null;
+  return {
+    data,
+    valid: errors.length === 0,
+    errors,
+    sources: errors.length === 0 ? attachSources(data, parsed.sources, doc.kind === 'text' ? doc.text : null) : [],
+    attempts,
+    model,
+    usage,
+    durationMs: Date.now() - start,
+  };
+}
+
+module.exports = {
+  ExtractionError,
+  validateSchema,
+  validateAgainstSchema,
+  leafFields,
+  attachSources,
+  extractFromDocument,
+  MAX_RETRIES,
+};
@@ -0,0 +1,326 @@
+/**
+ * Answer feedback — thumbs up/down tied to a request, plus the admin review queue
+ *
+ * POST /v1/chat/feedback sends the `request_id` from the SSE `done` event.
+ * The rating is checked against the caller's pipeline_audit row, and the
+ * prompt + answer are copied from the thread so reviewers see exactly what
+ * was rated. /v1/admin/feedback joins each row back to the pipeline decision
+ * (route, intent, dialect, model, web sources) and exports reviewed
+ * thumbs-down answers as a regression set (JSONL, one case per line).
+ *
+ * Older clients that send only { rating, route, model } still work; those
+ * rows have no request_id and can't be joined.
+ */
+
+const { query, queryFor } = require('./db');
+
+const FEEDBACK_REASONS = [
+  'inaccurate',       // wrong facts / figures
+  'outdated',         // stale information
+  'incomplete',       // missed part of the question
+  'wrong_language',   // replied in the wrong language
+  'wrong_dialect',    // dialect mirroring off / overdone
+  'wrong_route',      // e.g. answered from memory when it should have searched
+  'bad_sources',      // irrelevant or unreliable citations
+  'too_long',
+  'too_short',
+  'formatting',
+  'unsafe',
+  'other',
+];
+const REVIEW_STATUSES = ['open', 'reviewed', 'dismissed'];
+const EXPECTED_KEYS   = ['route', 'intent', 'language', 'dialect'];
+const MAX_COMMENT     = 2000;
+const MAX_SNAPSHOT    = 4000;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class FeedbackError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'FeedbackError';
+    this.status = status;
+  }
+}
+
+/**
+ * Validate a feedback body from the client.
+ *
+ * @param {object} body - { request_id?, rating, reasons?, comment? }
+ * @returns {{ error: string }|{ value: { requestId: string|null, rating: string, reasons: string[], comment: string|null } }}
+ */
+function normalizeFeedback(body) {
+  const { request_id, rating, reasons, comment } = body || {};
+  if (!rating || !['up', 'down'].includes(rating)) return { error: 'rating must be "up" or "down"' };
+  if (request_id !== undefined && request_id !== null && !(typeof request_id === 'string' && UUID_RE.test(request_id))) {
+    return { error: 'request_id must be a UUID' };
+  }
+  if (reasons !== undefined && reasons !== null) {
+    if (!Array.isArray(reasons) || reasons.some(r => !FEEDBACK_REASONS.includes(r))) {
+      return { error: `reasons must be an array of: ${FEEDBACK_REASONS.join(', ')}` };
+    }
+  }
+  if (comment !== undefined && comment !== null && (typeof comment !== 'string' || comment.length > MAX_COMMENT)) {
+    return { error: `comment must be a string (max ${MAX_COMMENT} chars)` };
+  }
+  return {
+    value: {
+      requestId: request_id || null,
+      rating,
+      reasons: [...new Set(reasons || [])],
+      comment: comment && comment.trim() ? comment.trim() : null,
+    },
+  };
+}
+
+/**
+ * Store feedback. With a request_id the rating must come from the visitor
+ * (or signed-in user) who made that request; re-rating updates the same row.
+ *
+ * @param {object} fb - from normalizeFeedback() plus legacy { route, model, responseLength }
+ * @param {{ visitorId: string, userId: number|null, env: 'prod'|'dev' }} who
+ * @returns {Promise<{ id: number }>}
+ */
+async function recordFeedback(fb, { visitorId, userId, env }) {
+  if (!fb.requestId) {
+    const result = await query(
+      `INSERT INTO quality_signals (visitor_id, user_id, rating, route_type, model, response_length, environment, reasons, comment)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id`,
+      [visitorId, userId, fb.rating, fb.route || null, fb.model || null, fb.responseLength || 0, env, fb.reasons, fb.comment]
+    );
+    return { id: result.rows[0].id };
+  }
+
+  const audit = await query(
+    `SELECT visitor_id, user_id, route_type, model_used, meta->>'threadId' AS thread_id
+     FROM pipeline_audit WHERE request_id = $1 ORDER BY id DESC LIMIT 1`,
+    [fb.requestId]
+  );
+  const row = audit.rows[0];
+  const owns = row && (row.visitor_id === visitorId || (userId && row.user_id && String(row.user_id) === String(userId)));
+  if (!owns) throw new FeedbackError('Unknown request_id', 404);
+
+  // Prompt + answer as the user saw them (threads are env-scoped)
+  const turns = await queryFor(env,
+    `SELECT role, content FROM chat_thread_messages WHERE request_id = $1 ORDER BY id`,
+    [fb.requestId]
+  ).then(r => r.rows).catch(() => []);
+  const prompt   = turns.find(t => t.role === 'user')?.content || null;
+  const response = turns.filter(t => t.role === 'assistant').map(t => t.content).join('\n') || null;
+
+  const result = await query(
+    `INSERT INTO quality_signals
+       (visitor_id, user_id, rating, route_type, model, response_length, environment,
+        request_id, thread_id, reasons, comment, prompt, response)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
+     ON CONFLICT (request_id, visitor_id) WHERE request_id IS NOT NULL DO UPDATE SET
+       rating = EXCLUDED.rating,
+       reasons = EXCLUDED.reasons,
+       comment = COALESCE(EXCLUDED.comment, quality_signals.comment),
+       review_status = CASE WHEN quality_signals.rating <> EXCLUDED.rating THEN 'open' ELSE quality_signals.review_status END,
+       updated_at = NOW()
+     RETURNING id`,
+    [visitorId, userId, fb.rating, row.route_type, row.model_used,
+     response ? response.length : (fb.responseLength || 0), env,
+     fb.requestId, UUID_RE.test(row.thread_id || '') ? row.thread_id : null, fb.reasons, fb.comment,
+     prompt ? prompt.slice(0, MAX_SNAPSHOT) : null, response ? response.slice(0, MAX_SNAPSHOT) : null]
+  );
+  return { id: result.rows[0].id };
+}
+
+/* ── Admin review ────────────────────────────────────────── */
+
+const REVIEW_COLUMNS = `
+  q.id, q.request_id, q.thread_id, q.rating, q.reasons, q.comment, q.prompt, q.response,
+  q.review_status, q.review_note, q.expected, q.reviewed_by, q.reviewed_at,
+  q.visitor_id, q.user_id, q.environment, q.created_at, q.updated_at,
+  COALESCE(p.route_type, q.route_type) AS route_type, p.intent, p.language, p.dialect, p.formality,
+  COALESCE(p.model_used, q.model) AS model, p.duration_ms, p.status AS pipeline_status,
+  p.meta->>'intentReason' AS intent_reason, COALESCE(p.meta->>'intentClassifier', 'rules') AS intent_classifier,
+  p.meta->'webResearch' AS web_research,
+  p.meta->'knowledge' AS knowledge, p.meta->'tools' AS tools`;
+
+/**
+ * Build WHERE clause + params from review filters.
+ * @param {{ rating?, status?, reason?, route?, days? }} f
+ */
+function reviewFilters(f) {
+  const where = ['q.created_at >= NOW() - INTERVAL \'1 day\' * $1'];
+  const params = [f.days || 30];
+  if (f.rating)  { params.push(f.rating);  where.push(`q.rating = $${params.length}`); }
+  if (f.status)  { params.push(f.status);  where.push(`q.review_status = $${params.length}`); }
+  if (f.reason)  { params.push(f.reason);  where.push(`$${params.length} = ANY(q.reasons)`); }
+  if (f.route)   { params.push(f.route);   where.push(`COALESCE(p.route_type, q.route_type) = $${params.length}`); }
+  if (f.linkedOnly) where.push('q.request_id IS NOT NULL');
+  return { where: where.join(' AND '), params };
+}
+
+/**
+ * Feedback joined to its pipeline decision, newest first.
+ * @param {{ rating?, status?, reason?, route?, days?, limit?, offset? }} [filters]
+ */
+async function listFeedback(filters = {}) {
+  const { where, params } = reviewFilters(filters);
+  params.push(filters.limit || 50, filters.offset || 0);
+  const result = await query(
+    `SELECT ${REVIEW_COLUMNS}
+     FROM quality_signals q
+     LEFT JOIN pipeline_audit p ON p.request_id = q.request_id
+     WHERE ${where}
+     ORDER BY q.created_at DESC
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+  return result.rows;
+}
+
+async function getFeedback(id) {
+  const result = await query(
+    `SELECT ${REVIEW_COLUMNS}
+     FROM quality_signals q
+     LEFT JOIN pipeline_audit p ON p.request_id = q.request_id
+     WHERE q.id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Counts for the review queue header.
+ * @param {number} days
+ */
+async function feedbackSummary(days = 30) {
+  const [totals, reasons, routes] = await Promise.all([
+    query(
+      `SELECT
+         COUNT(*) FILTER (WHERE rating = 'up')::int AS up,
+         COUNT(*) FILTER (WHERE rating = 'down')::int AS down,
+         COUNT(*) FILTER (WHERE rating = 'down' AND review_status = 'open')::int AS open_down,
+         COUNT(*) FILTER (WHERE request_id IS NOT NULL)::int AS linked
+       FROM quality_signals
+       WHERE created_at >= NOW() - INTERVAL '1 day' * $1`,
+      [days]
+    ),
+    query(
+      `SELECT reason, COUNT(*)::int AS count
+       FROM quality_signals, UNNEST(reasons) AS reason
+       WHERE created_at >= NOW() - INTERVAL '1 day' * $1
+       GROUP BY reason ORDER BY count DESC`,
+      [days]
+    ),
+    query(
+      `SELECT route_type,
+              COUNT(*) FILTER (WHERE rating = 'up')::int AS up,
+              COUNT(*) FILTER (WHERE rating = 'down')::int AS down
+       FROM quality_signals
+       WHERE created_at >= NOW() - INTERVAL '1 day' * $1
+       GROUP BY route_type ORDER BY down DESC`,
+      [days]
+    ),
+  ]);
+  return { period_days: days, totals: totals.rows[0], by_reason: reasons.rows, by_route: routes.rows };
+}
+
+/**
+ * Validate a review update from the admin UI.
+ * @returns {{ error: string }|{ value: { status, note, expected } }}
+ */
+function normalizeReview(body) {
+  const { status, note, expected } = body || {};
+  if (status !== undefined && !REVIEW_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${REVIEW_STATUSES.join(', ')}` };
+  }
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_COMMENT)) {
+    return { error: `note must be a string (max ${MAX_COMMENT} chars)` };
+  }
+  if (expected !== undefined && expected !== null) {
+    if (typeof expected !== 'object' || Array.isArray(expected)
+        || Object.entries(expected).some(([k, v]) => !EXPECTED_KEYS.includes(k) || (v !== null && typeof v !== 'string'))) {
+      return { error: `expected must be an object with any of: ${EXPECTED_KEYS.join(', ')}` };
+    }
+  }
+  return { value: { status, note, expected } };
+}
+
+/**
+ * Record a reviewer's decision (and optionally the labels the request should have had).
+ * @returns {Promise<object|null>} updated row, or null if not found
+ */
+async function reviewFeedback(id, { status, note, expected }, reviewer) {
+  const result = await query(
+    `UPDATE quality_signals SET
+       review_status = COALESCE($2, review_status),
+       review_note = CASE WHEN $3::boolean THEN $4 ELSE review_note END,
+       expected = CASE WHEN $5::boolean THEN $6::jsonb ELSE expected END,
+       reviewed_by = $7,
+       reviewed_at = NOW(),
+       updated_at = NOW()
+     WHERE id = $1
+     RETURNING id`,
+    [id, status || null, note !== undefined, note || null,
+     expected !== undefined, expected ? JSON.stringify(expected) : null, reviewer]
+  );
+  return result.rows[0] ? getFeedback(id) : null;
+}
+
+/**
+ * One regression case from a joined feedback row. `labels` are what the
+ * pipeline decided, overridden by the reviewer's `expected` corrections.
+ */
+function toRegressionCase(row) {
+  const decided = { route: row.route_type || null, intent: row.intent || null, language: row.language || null, dialect: row.dialect || null };
+  const expected = row.expected || {};
+  const labels = { ...decided };
+  for (const key of EXPECTED_KEYS) {
+    if (expected[key] !== undefined) labels[key] = expected[key];
+  }
+  const web = row.web_research || null;
+  return {
+    id: `feedback-${row.id}`,
+    request_id: row.request_id,
+    text: row.prompt,
+    labels,
+    decided,
+    rating: row.rating,
+    reasons: row.reasons || [],
+    comment: row.comment || null,
+    review_note: row.review_note || null,
+    bad_response: row.rating === 'down' ? row.response : null,
+    model: row.model || null,
+    sources: web && Array.isArray(web.sources) ? web.sources.map(s => s.url) : [],
+    created_at: row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at,
+  };
+}
+
+/**
+ * Reviewed thumbs-down answers (with a prompt to replay) as regression cases.
+ * @param {{ days?, status?, reason?, route?, rating? }} [filters]
+ */
+async function exportRegressionSet(filters = {}) {
+  const { where, params } = reviewFilters({
+    rating: 'down', status: 'reviewed', ...filters, linkedOnly: true,
+  });
+  const result = await query(
+    `SELECT ${REVIEW_COLUMNS}
+     FROM quality_signals q
+     LEFT JOIN pipeline_audit p ON p.request_id = q.request_id
+     WHERE ${where} AND q.prompt IS NOT NULL
+     ORDER BY q.created_at`,
+    params
+  );
+  return result.rows.map(toRegressionCase);
+}
+
+module.exports = {
+  FEEDBACK_REASONS,
+  REVIEW_STATUSES,
+  FeedbackError,
+  normalizeFeedback,
+  recordFeedback,
+  listFeedback,
+  getFeedback,
+  feedbackSummary,
+  normalizeReview,
+  reviewFeedback,
+  toRegressionCase,
+  exportRegressionSet,
+};
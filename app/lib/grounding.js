@@ -0,0 +1,222 @@
+/**
+ * Grounding — check an answer's [n] citations against the fetched pages
+ *
+ * buildWebContext numbers the web sources and the WEB_RESEARCH prompt asks
+ * for [n] markers after every sourced fact. After generation each sentence
+ * that carries markers (a "claim") is compared with the pages it cites:
+ *   - the best-matching passage of the page must contain at least
+ *     `web_research.grounding_threshold` of the claim's content words
+ *   - every number in the claim (prices, sizes, years) must appear on the page
+ * A claim is grounded when any page it cites passes both. A page's product
+ * records (lib/product-extract.js) count as page text, so comparison-table
+ * rows built from them check out. Markers pointing at a source that does
+ * not exist are never grounded.
+ *
+ * The result goes to the chat client in `done.web_research`: one entry per
+ * source (url, title, best supporting snippet) for hover cards, one entry
+ * per marker in answer order (so the UI can flag ungrounded ones) and the
+ * ungrounded claims themselves.
+ *
+ * Settings:
+ *   web_research.verify_citations    — run the check (on by default)
+ *   web_research.grounding_threshold — content-word coverage needed (0–1)
+ *
+ * The check is lexical: a paraphrase in another language than the page can
+ * fail it, so the UI flags claims rather than hiding them.
+ */
+
+const { getSetting } = require('./settings');
+
+const DEFAULT_THRESHOLD = 0.5;
+const SNIPPET_CHARS     = 240;
+const CLAIM_CHARS       = 200;
+const WINDOW_SENTENCES  = 2;
+
+/** [1] / [1][2] / [1, 2] — the same pattern the chat UI decorates */
+const MARKER_RE  = /\[(\d{1,2}(?:\s*,\s*\d{1,2})*)\]/g;
+const SOURCES_RE = /^\s*(?:[#*_\s]*)(?:sources?|sumber|rujukan)\s*:?[*_\s]*$/i;
+const SOURCE_LINE_RE = /^\s*(?:[-*•]\s*)?\[\d{1,2}\].*(?:https?:\/\/|—\s*\S+\.\S+)/i;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'this', 'that', 'are', 'was', 'were', 'has', 'have', 'its', 'can',
+  'will', 'you', 'your', 'about', 'around', 'which', 'also', 'but', 'not', 'more', 'than', 'into', 'on', 'in',
+  'of', 'to', 'at', 'by', 'an', 'or', 'is', 'it', 'be', 'as', 'a',
+  'yang', 'dan', 'ini', 'itu', 'tu', 'dalam', 'untuk', 'dengan', 'ada', 'tak', 'boleh', 'di', 'ke', 'dari',
+  'pada', 'juga', 'atau', 'lebih', 'sekitar', 'akan', 'ialah', 'adalah', 'kat', 'dekat', 'je',
+]);
+
+/**
+ * Content words of a text; numbers lose their thousands separators and a
+ * zero fraction ("RM 2,499.00" → 'rm', '2499').
+ * @param {string} text
+ * @returns {string[]}
+ */
+function contentTokens(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/(\d),(?=\d{3}\b)/g, '$1')
+    .replace(/(\p{L})(?=\d)|(\d)(?=\p{L})/gu, '$1$2 ')
+    .split(/[^\p{L}\p{N}.]+/u)
+    .map(t => t.replace(/^\.+|\.+$/g, '').replace(/^(\d+)\.0+$/, '$1'))
+    .filter(t => t && (/\d/.test(t) || (t.length >= 2 && !STOPWORDS.has(t))));
+}
+
+function isNumber(token) {
+  return /^\d+(?:\.\d+)?$/.test(token) && token.length >= 2;
+}
+
+/**
+ * Split an answer into lines/sentences, dropping the trailing "Sources:"
+ * list (those lines repeat the markers but are not claims).
+ * @param {string} answer
+ * @returns {{ text: string, isSourceList: boolean }[]}
+ */
+function splitClaims(answer) {
+  const out = [];
+  let inSources = false;
+  for (const line of String(answer || '').split(/\n+/)) {
+    if (SOURCES_RE.test(line)) inSources = true;
+    const isSourceList = inSources || SOURCE_LINE_RE.test(line);
+    for (const sentence of line.split(/(?<=[.!?])\s+(?=[^\s\d[])/)) {
+      if (sentence.trim()) out.push({ text: sentence, isSourceList });
+    }
+  }
+  return out;
+}
+
+/** Page text plus one sentence per product record on it. */
+function pageText(source) {
+  const facts = (source.products || []).map(p => [
+    p.name, p.brand, p.seller, p.currency, p.price, p.priceMin, p.priceMax, p.priceMyr,
+    p.rating, p.ratingCount, p.stock && p.stock.replace('_', ' '),
+  ].filter(v => v != null).join(' ') + '.');
+  return [source.text || '', ...facts].join(' ');
+}
+
+/** Page split into overlapping windows of WINDOW_SENTENCES sentences. */
+function pageWindows(text) {
+  const sentences = String(text || '').split(/(?<=[.!?])\s+/).filter(Boolean);
+  if (sentences.length <= WINDOW_SENTENCES) return [sentences.join(' ')];
+  const windows = [];
+  for (let i = 0; i + WINDOW_SENTENCES <= sentences.length; i++) {
+    windows.push(sentences.slice(i, i + WINDOW_SENTENCES).join(' '));
+  }
+  return windows;
+}
+
+function snippetOf(text) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > SNIPPET_CHARS ? clean.slice(0, SNIPPET_CHARS) + '…' : clean;
+}
+
+/**
+ * How well one page supports a claim.
+ * @returns {{ score: number, numbersOk: boolean, snippet: string }}
+ */
+function supportFor(claimTokens, page) {
+  const pageTokens = new Set(contentTokens(page.text));
+  const numbers = claimTokens.filter(isNumber);
+  const numbersOk = numbers.every(n => pageTokens.has(n));
+
+  const words = [...new Set(claimTokens)];
+  let best = { score: 0, snippet: '' };
+  for (const window of page.windows) {
+    const windowTokens = new Set(contentTokens(window));
+    const hits = words.filter(w => windowTokens.has(w)).length;
+    const score = words.length > 0 ? hits / words.length : 0;
+    if (score > best.score) best = { score, snippet: window };
+  }
+  return { score: Math.round(best.score * 100) / 100, numbersOk, snippet: snippetOf(best.snippet) };
+}
+
+/**
+ * Check every [n] citation in an answer against the numbered sources.
+ *
+ * @param {string} answer
+ * @param {{ url: string, title: string, text: string }[]} sources - numbered from 1, as in buildWebContext
+ * @param {{ threshold?: number }} [opts]
+ * @returns {{
+ *   citations: { n: number, title: string, url: string, snippet: string, cited: boolean, grounded: boolean|null }[],
+ *   marks: { n: number[], grounded: boolean|null }[],
+ *   ungrounded: { text: string, sources: number[], reason: string }[],
+ *   summary: { claims: number, grounded: number, ungrounded: number },
+ * }}
+ */
+function verifyCitations(answer, sources, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const pages = sources.map((s) => {
+    const text = pageText(s);
+    return { text, windows: pageWindows(text) };
+  });
+  const perSource = sources.map(() => ({ cited: false, allGrounded: true, best: null }));
+  const marks = [];
+  const ungrounded = [];
+  let claims = 0;
+  let grounded = 0;
+
+  for (const part of splitClaims(answer)) {
+    const found = [...part.text.matchAll(MARKER_RE)].map(m => m[1].split(/\s*,\s*/).map(Number));
+    if (found.length === 0) continue;
+    if (part.isSourceList) {
+      for (const n of found) marks.push({ n, grounded: null });
+      continue;
+    }
+
+    const cited = [...new Set(found.flat())];
+    const claimText = part.text.replace(MARKER_RE, ' ').replace(/[*_#>`]+/g, '').replace(/\s+/g, ' ').trim();
+    const claimTokens = contentTokens(claimText);
+    claims++;
+
+    let ok = false;
+    let reason = 'unknown_source';
+    for (const n of cited) {
+      const page = pages[n - 1];
+      if (!page) continue;
+      const support = supportFor(claimTokens, page);
+      const passes = support.score >= threshold && support.numbersOk;
+      const src = perSource[n - 1];
+      src.cited = true;
+      if (!src.best || support.score > src.best.score) src.best = support;
+      if (passes) ok = true;
+      else reason = support.numbersOk ? 'no_support' : 'number_mismatch';
+    }
+    for (const n of cited) {
+      if (perSource[n - 1] && !ok) perSource[n - 1].allGrounded = false;
+    }
+
+    if (ok) grounded++;
+    else ungrounded.push({ text: claimText.slice(0, CLAIM_CHARS), sources: cited, reason });
+    for (const n of found) marks.push({ n, grounded: ok });
+  }
+
+  return {
+    citations: sources.map((s, i) => ({
+      n: i + 1,
+      title: s.title,
+      url: s.url,
+      snippet: perSource[i].best?.snippet || snippetOf(s.text),
+      cited: perSource[i].cited,
+      grounded: perSource[i].cited ? perSource[i].allGrounded : null,
+    })),
+    marks,
+    ungrounded,
+    summary: { claims, grounded, ungrounded: ungrounded.length },
+  };
+}
+
+/**
+ * verifyCitations with the configured threshold; null when the check is off.
+ * @param {string} answer
+ * @param {object[]} sources
+ */
+async function checkGrounding(answer, sources) {
+  const [enabled, threshold] = await Promise.all([
+    getSetting('web_research.verify_citations', true),
+    getSetting('web_research.grounding_threshold', DEFAULT_THRESHOLD),
+  ]);
+  if (enabled === false || enabled === 'false' || !sources?.length) return null;
+  const floor = Number(threshold);
+  return verifyCitations(answer, sources, { threshold: floor >= 0 && floor <= 1 ? floor : DEFAULT_THRESHOLD });
+}
+
+module.exports = { contentTokens, splitClaims, verifyCitations, checkGrounding };
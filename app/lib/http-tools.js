@@ -0,0 +1,378 @@
+/**
+ * HTTP Tools — admin-defined tools backed by external HTTP endpoints
+ *
+ * Definitions live in the `http_tools` table (migration 015) and are
+ * registered into the lib/tools.js registry with source 'http', so the chat
+ * pipeline, permissions and `tool.<id>.enabled` toggles treat them exactly
+ * like built-in tools.
+ *
+ * Definition fields:
+ *   url           — http(s) URL; {{param}} placeholders are URL-encoded and only
+ *                   allowed in the path and query — the scheme, host and port are
+ *                   fixed by the admin, so the model cannot pick where headers go
+ *   method        — GET | POST | PUT | PATCH | DELETE
+ *   headers       — { name: template } with {{param}} and {{env.TOOL_*}} placeholders
+ *                   (only TOOL_-prefixed env vars can be referenced, for secrets)
+ *   params_schema — JSON Schema (object) offered to the model; validated before the call
+ *   response_map  — { field: '$.path.to.value' } JSONPath subset; null = whole body
+ *   timeout_ms    — per-call timeout
+ *
+ * Unused params go to the query string (GET/DELETE) or the JSON body (others).
+ * Private addresses are refused: IP literals and localhost when the tool is
+ * saved (isUrlSafe), names resolving to one when connecting (the public
+ * dispatcher pins the checked addresses). Redirects are not followed and
+ * response bodies are read up to MAX_RESPONSE_BYTES.
+ *
+ * Admin CRUD reloads the registry on the instance that served it; the others
+ * follow within SYNC_INTERVAL_MS (startHttpToolSync compares id/updated_at).
+ */
+
+const { query } = require('./db');
+const { registerTool, unregisterTool, getTool, listTools } = require('./tools');
+const { isUrlSafe, readBodyCapped, getPublicDispatcher } = require('./web-research');
+
+const ALLOWED_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const TOOL_ID_RE = /^[a-z][a-z0-9_]{1,63}$/;
+const MAX_TIMEOUT_MS = 30_000;
+const MAX_RESPONSE_BYTES = 256 * 1024;
+const SYNC_INTERVAL_MS = 30_000;
+
+/** id@updated_at of the loaded definitions; null until the first load. */
+let loadedSignature = null;
+let syncTimer = null;
+
+/* ── Templates ───────────────────────────────────────────── */
+
+/**
+ * Replace {{name}} / {{env.TOOL_X}} placeholders.
+ *
+ * @param {string} template
+ * @param {object} params
+ * @param {Set<string>} [used] - collects param names consumed by the template
+ * @param {(v: string) => string} [encode]
+ * @returns {string}
+ */
+function renderTemplate(template, params, used, encode = v => v) {
+  return String(template).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_m, key) => {
+    if (key.startsWith('env.')) {
+      const name = key.slice(4);
+      return name.startsWith('TOOL_') ? (process.env[name] || '') : '';
+    }
+    if (used) used.add(key);
+    const val = params[key];
+    return val === undefined || val === null ? '' : encode(String(val));
+  });
+}
+
+/**
+ * Split a URL template into its fixed origin (scheme://host:port) and the
+ * path + query that may hold placeholders.
+ * @param {string} template
+ * @returns {{ origin: string, rest: string } | null} null when there is no scheme://host
+ */
+function splitUrlTemplate(template) {
+  const m = /^([a-z][a-z0-9+.-]*:\/\/[^/?#]*)(.*)$/is.exec(String(template || ''));
+  return m ? { origin: m[1], rest: m[2] } : null;
+}
+
+/* ── JSONPath (subset) ───────────────────────────────────── */
+
+/**
+ * Evaluate a JSONPath subset: $, .key, ['key'], [n], [*] / .*
+ * Wildcards return arrays; missing paths return undefined.
+ *
+ * @param {any} obj
+ * @param {string} path - e.g. '$.data.orders[0].status', '$.items[*].name'
+ * @returns {any}
+ */
+function jsonPath(obj, path) {
+  if (typeof path !== 'string' || !path.startsWith('$')) return undefined;
+  const tokens = [];
+  const re = /\.([A-Za-z_$][\w$-]*)|\.\*|\[(\d+)\]|\['([^']*)'\]|\["([^"]*)"\]|\[\*\]/g;
+  let rest = path.slice(1);
+  let m;
+  let consumed = 0;
+  while ((m = re.exec(rest)) !== null) {
+    if (m.index !== consumed) return undefined; // unsupported syntax
+    consumed = re.lastIndex;
+    if (m[0] === '.*' || m[0] === '[*]') tokens.push({ wildcard: true });
+    else if (m[2] !== undefined) tokens.push({ key: Number(m[2]) });
+    else tokens.push({ key: m[1] ?? m[3] ?? m[4] });
+  }
+  if (consumed !== rest.length) return undefined;
+
+  let current = [obj];
+  let many = false;
+  for (const t of tokens) {
+    const next = [];
+    for (const node of current) {
+      if (node === null || typeof node !== 'object') continue;
+      if (t.wildcard) next.push(...(Array.isArray(node) ? node : Object.values(node)));
+      else if (node[t.key] !== undefined) next.push(node[t.key]);
+    }
+    if (t.wildcard) many = true;
+    current = next;
+  }
+  return many ? current : current[0];
+}
+
+/**
+ * Apply a { field: path } response map.
+ */
+function mapResponse(body, responseMap) {
+  if (!responseMap || typeof responseMap !== 'object' || Object.keys(responseMap).length === 0) return body;
+  const out = {};
+  for (const [field, path] of Object.entries(responseMap)) {
+    out[field] = jsonPath(body, path);
+  }
+  return out;
+}
+
+/* ── Parameter validation ────────────────────────────────── */
+
+const TYPE_CHECKS = {
+  string:  v => typeof v === 'string',
+  number:  v => typeof v === 'number' && Number.isFinite(v),
+  integer: v => Number.isInteger(v),
+  boolean: v => typeof v === 'boolean',
+  object:  v => v !== null && typeof v === 'object' && !Array.isArray(v),
+  array:   v => Array.isArray(v),
+};
+
+/**
+ * Minimal JSON Schema check for tool params (required, type, enum).
+ * @returns {string|null} error message, or null if valid
+ */
+function validateParams(schema, params) {
+  if (!schema || typeof schema !== 'object') return null;
+  if (!TYPE_CHECKS.object(params)) return 'params must be an object';
+  for (const key of schema.required || []) {
+    if (params[key] === undefined || params[key] === null || params[key] === '') {
+      return `missing required param: ${key}`;
+    }
+  }
+  for (const [key, prop] of Object.entries(schema.properties || {})) {
+    const val = params[key];
+    if (val === undefined) continue;
+    if (prop.type && TYPE_CHECKS[prop.type] && !TYPE_CHECKS[prop.type](val)) {
+      return `param ${key} must be ${prop.type}`;
+    }
+    if (Array.isArray(prop.enum) && !prop.enum.includes(val)) {
+      return `param ${key} must be one of: ${prop.enum.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate an admin-supplied definition.
+ * @returns {string|null} error message, or null if valid
+ */
+function validateDefinition(def) {
+  if (!def || typeof def !== 'object') return 'definition is required';
+  if (!TOOL_ID_RE.test(def.id || '')) return 'id must be lowercase snake_case (2-64 chars)';
+  if (!def.name || typeof def.name !== 'string') return 'name is required';
+  if (!def.description || typeof def.description !== 'string') return 'description is required';
+  const parts = splitUrlTemplate(def.url);
+  if (!parts) return 'url is invalid';
+  if (parts.origin.includes('{{')) return 'url placeholders are only allowed in the path and query';
+  let url;
+  try { url = new URL(parts.origin + parts.rest.replace(/\{\{[^}]*\}\}/g, 'x')); } catch { return 'url is invalid'; }
+  if (!['http:', 'https:'].includes(url.protocol)) return 'url must be http or https';
+  if (!isUrlSafe(url.href)) return 'url must not point at a private address';
+  if (def.method && !ALLOWED_METHODS.includes(String(def.method).toUpperCase())) {
+    return `method must be one of: ${ALLOWED_METHODS.join(', ')}`;
+  }
+  if (def.params_schema && (typeof def.params_schema !== 'object' || def.params_schema.type !== 'object')) {
+    return 'params_schema must be a JSON Schema with type "object"';
+  }
+  if (def.headers && (typeof def.headers !== 'object' || Object.values(def.headers).some(v => typeof v !== 'string'))) {
+    return 'headers must be an object of string templates';
+  }
+  if (def.response_map && (typeof def.response_map !== 'object'
+      || Object.values(def.response_map).some(p => typeof p !== 'string' || !p.startsWith('$')))) {
+    return 'response_map must map fields to JSONPath strings starting with $';
+  }
+  if (def.timeout_ms !== undefined && (!Number.isInteger(def.timeout_ms) || def.timeout_ms < 100 || def.timeout_ms > MAX_TIMEOUT_MS)) {
+    return `timeout_ms must be an integer between 100 and ${MAX_TIMEOUT_MS}`;
+  }
+  if (def.permissions && (!Array.isArray(def.permissions)
+      || def.permissions.some(p => !['guest', 'registered', 'admin'].includes(p)))) {
+    return 'permissions must be an array of guest, registered, admin';
+  }
+  return null;
+}
+
+/* ── Executor ────────────────────────────────────────────── */
+
+/**
+ * Build the execute(params) function for a definition row.
+ */
+function createExecutor(def) {
+  const method = String(def.method || 'GET').toUpperCase();
+  const timeoutMs = Math.min(def.timeout_ms || 8000, MAX_TIMEOUT_MS);
+
+  return async (params = {}) => {
+    const invalid = validateParams(def.params_schema, params);
+    if (invalid) throw new Error(invalid);
+
+    const used = new Set();
+    const parts = splitUrlTemplate(def.url);
+    if (!parts || parts.origin.includes('{{')) throw new Error('url placeholders are only allowed in the path and query');
+    const url = new URL(parts.origin + renderTemplate(parts.rest, params, used, encodeURIComponent));
+    if (url.origin !== new URL(parts.origin).origin || !isUrlSafe(url.href)) throw new Error('url is not allowed');
+    const headers = { Accept: 'application/json' };
+    for (const [name, tpl] of Object.entries(def.headers || {})) {
+      headers[name] = renderTemplate(tpl, params, used);
+    }
+
+    const rest = Object.fromEntries(Object.entries(params).filter(([k]) => !used.has(k)));
+    const opts = { method, headers, redirect: 'manual', dispatcher: getPublicDispatcher(), signal: AbortSignal.timeout(timeoutMs) };
+    if (method === 'GET' || method === 'DELETE') {
+      for (const [k, v] of Object.entries(rest)) {
+        url.searchParams.set(k, typeof v === 'object' ? JSON.stringify(v) : String(v));
+      }
+    } else {
+      headers['Content-Type'] = 'application/json';
+      opts.body = JSON.stringify(rest);
+    }
+
+    let res;
+    try {
+      res = await fetch(url, opts);
+    } catch (err) {
+      if (err.cause?.code === 'EPRIVATEADDR') throw new Error('url resolves to a private address');
+      throw new Error(err.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : err.message);
+    }
+
+    if (res.status >= 300 && res.status < 400) throw new Error(`HTTP ${res.status}: redirects are not followed`);
+    let text;
+    try {
+      text = new TextDecoder().decode((await readBodyCapped(res, MAX_RESPONSE_BYTES)).bytes);
+    } catch (err) {
+      throw new Error(err.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : err.message);
+    }
+    if (!res.ok) throw new Error(`HTTP ${res.status}: ${text.slice(0, 200)}`);
+
+    let body;
+    try { body = JSON.parse(text); } catch { body = text; }
+    return typeof body === 'object' ? mapResponse(body, def.response_map) : { text: body };
+  };
+}
+
+/* ── Registry sync ───────────────────────────────────────── */
+
+function registerDefinition(def) {
+  registerTool({
+    id: def.id,
+    name: def.name,
+    description: def.description,
+    schema: def.params_schema || { type: 'object', properties: {} },
+    permissions: def.permissions || ['registered', 'admin'],
+    execute: createExecutor(def),
+    source: 'http',
+  });
+}
+
+/**
+ * (Re)load all HTTP tools from Postgres into the registry.
+ * Built-in tools are never overridden.
+ *
+ * @returns {Promise<number>} number of HTTP tools registered
+ */
+async function loadHttpTools() {
+  const result = await query('SELECT * FROM http_tools ORDER BY id');
+  for (const t of listTools()) {
+    if (t.source === 'http') unregisterTool(t.id);
+  }
+  let count = 0;
+  for (const def of result.rows) {
+    const existing = getTool(def.id);
+    if (existing && existing.source !== 'http') {
+      console.warn(`[http-tools] Skipping ${def.id}: conflicts with a built-in tool`);
+      continue;
+    }
+    registerDefinition(def);
+    count++;
+  }
+  loadedSignature = definitionSignature(result.rows);
+  return count;
+}
+
+function definitionSignature(rows) {
+  return rows.map(r => `${r.id}@${new Date(r.updated_at).getTime()}`).join(',');
+}
+
+/**
+ * Reload if definitions changed in the database (CRUD on another instance).
+ * @returns {Promise<boolean>} true if the registry was reloaded
+ */
+async function syncHttpTools() {
+  const result = await query('SELECT id, updated_at FROM http_tools ORDER BY id');
+  if (definitionSignature(result.rows) === loadedSignature) return false;
+  await loadHttpTools();
+  return true;
+}
+
+/** Poll for tool changes made on other instances (idempotent; the timer does not keep the process alive). */
+function startHttpToolSync() {
+  if (syncTimer) return;
+  syncTimer = setInterval(() => {
+    syncHttpTools().catch(err => console.error('[http-tools] Sync failed:', err.message));
+  }, SYNC_INTERVAL_MS);
+  syncTimer.unref();
+}
+
+/* ── CRUD ────────────────────────────────────────────────── */
+
+async function listHttpTools() {
+  const result = await query('SELECT * FROM http_tools ORDER BY id');
+  return result.rows;
+}
+
+async function getHttpTool(id) {
+  const result = await query('SELECT * FROM http_tools WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+async function saveHttpTool(def, createdBy = null) {
+  const result = await query(
+    `INSERT INTO http_tools (id, name, description, params_schema, url, method, headers, response_map, timeout_ms, permissions, created_by)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+     ON CONFLICT (id) DO UPDATE SET
+       name = $2, description = $3, params_schema = $4, url = $5, method = $6,
+       headers = $7, response_map = $8, timeout_ms = $9, permissions = $10, updated_at = NOW()
+     RETURNING *`,
+    [def.id, def.name, def.description,
+     JSON.stringify(def.params_schema || { type: 'object', properties: {} }),
+     def.url, String(def.method || 'GET').toUpperCase(),
+     JSON.stringify(def.headers || {}),
+     def.response_map ? JSON.stringify(def.response_map) : null,
+     def.timeout_ms || 8000,
+     def.permissions || ['registered', 'admin'],
+     createdBy]
+  );
+  return result.rows[0];
+}
+
+async function deleteHttpTool(id) {
+  const result = await query('DELETE FROM http_tools WHERE id = $1', [id]);
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  renderTemplate,
+  jsonPath,
+  mapResponse,
+  validateParams,
+  validateDefinition,
+  createExecutor,
+  loadHttpTools,
+  syncHttpTools,
+  startHttpToolSync,
+  listHttpTools,
+  getHttpTool,
+  saveHttpTool,
+  deleteHttpTool,
+  ALLOWED_METHODS,
+};
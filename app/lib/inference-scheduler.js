@@ -0,0 +1,206 @@
+/**
+ * Inference Scheduler — concurrency caps and a priority queue for Ollama
+ *
+ * Every streamed generation (lib/model-router.js → openChatStream) takes a
+ * slot on a backend before it is sent. A backend has a free slot for a model
+ * while both hold:
+ *   - generations of that model on it < `inference.model_limits[model]`
+ *     (else `inference.max_concurrent_per_model`, default 2)
+ *   - all generations on it < the backend's `max_concurrent` (OLLAMA_BACKENDS)
+ *
+ * Requests without a free slot wait in one queue ordered by priority
+ * (signed-in users and API keys before guests), then arrival. Waiting callers
+ * hear their position among requests for the same model through
+ * `onQueued(position)`. A queued request leaves the queue when its signal
+ * aborts (client disconnect), after `inference.queue_timeout_ms`, or at once
+ * when `inference.max_queue` requests are already waiting.
+ */
+
+const { getSetting } = require('./settings');
+const pool = require('./ollama-pool');
+
+const PRIORITY = { HIGH: 0, GUEST: 1 };
+
+const DEFAULT_PER_MODEL  = 2;
+const DEFAULT_MAX_QUEUE  = 50;
+const DEFAULT_QUEUE_MS   = 60_000;
+
+class SchedulerError extends Error {
+  constructor(message, code, status = 503) {
+    super(message);
+    this.name = 'SchedulerError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/** waiting requests, kept in dispatch order */
+const waiting = [];
+/** `${backend}|${model}` → running generations */
+const active = new Map();
+let limits = { perModel: DEFAULT_PER_MODEL, models: {} };
+
+/**
+ * Queue priority for a request.
+ * @param {{ userId?: number|string|null, apiKey?: object|null }} who
+ */
+function priorityFor({ userId, apiKey } = {}) {
+  return userId || apiKey ? PRIORITY.HIGH : PRIORITY.GUEST;
+}
+
+/**
+ * Insert a waiting entry behind everything of equal or higher priority.
+ * @returns {number} index it was inserted at
+ */
+function enqueue(list, entry) {
+  let i = list.length;
+  while (i > 0 && list[i - 1].priority > entry.priority) i--;
+  list.splice(i, 0, entry);
+  return i;
+}
+
+function slotKey(backend, model) {
+  return `${backend.name}|${model}`;
+}
+
+function modelLimit(model) {
+  const n = limits.models?.[model];
+  return Number.isInteger(n) && n > 0 ? n : limits.perModel;
+}
+
+function hasSlot(backend, model) {
+  if ((active.get(slotKey(backend, model)) || 0) >= modelLimit(model)) return false;
+  return !backend.maxConcurrent || backend.inflight < backend.maxConcurrent;
+}
+
+/** Take a slot: counts against the scheduler and the pool's in-flight total. */
+function admit(backend, model) {
+  const key = slotKey(backend, model);
+  active.set(key, (active.get(key) || 0) + 1);
+  const releasePool = pool.acquire(backend);
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    releasePool();
+    const n = (active.get(key) || 1) - 1;
+    if (n > 0) active.set(key, n); else active.delete(key);
+    dispatch();
+  };
+}
+
+/** Position among waiting requests for the same model (1-based). */
+function positionOf(entry) {
+  return waiting.filter(w => w.model === entry.model).indexOf(entry) + 1;
+}
+
+function removeWaiting(entry) {
+  const i = waiting.indexOf(entry);
+  if (i >= 0) waiting.splice(i, 1);
+  clearTimeout(entry.timer);
+  entry.signal?.removeEventListener('abort', entry.onAbort);
+}
+
+/** Hand free slots to waiting requests in order, then refresh positions. */
+function dispatch() {
+  for (const entry of [...waiting]) {
+    const candidates = pool.candidateBackends(entry.model, { exclude: entry.exclude });
+    if (candidates.length === 0) {
+      removeWaiting(entry);
+      entry.resolve(null);
+      continue;
+    }
+    const backend = candidates.find(b => hasSlot(b, entry.model));
+    if (!backend) continue;
+    removeWaiting(entry);
+    entry.resolve({ backend, release: admit(backend, entry.model), waitedMs: Date.now() - entry.enqueuedAt });
+  }
+  for (const entry of waiting) {
+    const position = positionOf(entry);
+    if (position !== entry.position) {
+      entry.position = position;
+      try { entry.onQueued?.(position); } catch {}
+    }
+  }
+}
+
+async function loadLimits() {
+  const [perModel, models, maxQueue, queueMs] = await Promise.all([
+    getSetting('inference.max_concurrent_per_model', DEFAULT_PER_MODEL),
+    getSetting('inference.model_limits', {}),
+    getSetting('inference.max_queue', DEFAULT_MAX_QUEUE),
+    getSetting('inference.queue_timeout_ms', DEFAULT_QUEUE_MS),
+  ]);
+  limits = {
+    perModel: Number(perModel) > 0 ? Number(perModel) : DEFAULT_PER_MODEL,
+    models: models && typeof models === 'object' ? models : {},
+  };
+  return {
+    maxQueue: Number(maxQueue) >= 0 ? Number(maxQueue) : DEFAULT_MAX_QUEUE,
+    queueMs: Number(queueMs) > 0 ? Number(queueMs) : DEFAULT_QUEUE_MS,
+  };
+}
+
+/**
+ * Wait for a generation slot on a backend that serves `model`.
+ *
+ * @param {object}   params
+ * @param {string}   params.model
+ * @param {number}   [params.priority]  - PRIORITY.HIGH | PRIORITY.GUEST
+ * @param {string[]} [params.exclude]   - backend names already tried
+ * @param {AbortSignal} [params.signal] - aborting drops the request from the queue
+ * @param {(position: number) => void} [params.onQueued] - called when queued and as the position changes
+ * @returns {Promise<{ backend: object, release: () => void, waitedMs: number }|null>}
+ *   null when no backend serves the model; call release() when the generation ends
+ * @throws {SchedulerError} queue full or wait timed out
+ */
+async function acquireSlot({ model, priority = PRIORITY.GUEST, exclude = [], signal, onQueued }) {
+  const { maxQueue, queueMs } = await loadLimits();
+  if (signal?.aborted) throw new DOMException('Request aborted', 'AbortError');
+
+  const candidates = pool.candidateBackends(model, { exclude });
+  if (candidates.length === 0) return null;
+  const ahead = waiting.some(w => w.model === model && w.priority <= priority);
+  const free = !ahead && candidates.find(b => hasSlot(b, model));
+  if (free) return { backend: free, release: admit(free, model), waitedMs: 0 };
+
+  if (waiting.length >= maxQueue) {
+    throw new SchedulerError('AI is busy right now. Please try again in a moment.', 'queue_full');
+  }
+
+  return new Promise((resolve, reject) => {
+    const entry = {
+      model, priority, exclude, signal, onQueued, resolve,
+      enqueuedAt: Date.now(), position: 0,
+    };
+    entry.onAbort = () => {
+      removeWaiting(entry);
+      reject(new DOMException('Request aborted', 'AbortError'));
+      dispatch();
+    };
+    entry.timer = setTimeout(() => {
+      removeWaiting(entry);
+      reject(new SchedulerError('Timed out waiting for a free AI slot. Please try again.', 'queue_timeout'));
+      dispatch();
+    }, queueMs);
+    signal?.addEventListener('abort', entry.onAbort, { once: true });
+    enqueue(waiting, entry);
+    dispatch();
+  });
+}
+
+/** Queue and slot usage for /api/status. */
+function getSchedulerStatus() {
+  const queuedByModel = {};
+  for (const w of waiting) queuedByModel[w.model] = (queuedByModel[w.model] || 0) + 1;
+  return { queued: waiting.length, queuedByModel, active: Object.fromEntries(active) };
+}
+
+module.exports = {
+  PRIORITY,
+  SchedulerError,
+  priorityFor,
+  enqueue,
+  acquireSlot,
+  getSchedulerStatus,
+};
@@ -0,0 +1,184 @@
+/**
+ * LLM intent classifier — optional second stage behind lib/intent.js
+ *
+ * When `intent.llm_enabled` is on and the rule classifier's confidence is
+ * below `intent.llm_threshold`, a small local Ollama model is asked for the
+ * intent as constrained JSON (Ollama `format` with a JSON schema). Results
+ * are cached by normalised text. The call is bounded by
+ * `intent.llm_timeout_ms`; on timeout, error or an unusable answer the rule
+ * result stands.
+ *
+ * Every result carries `classifier` — 'rules' | 'llm' | 'llm_cache' — and,
+ * when the model was consulted, an `llm` block for pipeline_audit.meta.
+ *
+ * Attachment intents (DOCUMENT, IMAGE_EDIT) are never second-guessed.
+ */
+
+const { getSetting } = require('./settings');
+const { INTENT } = require('./intent');
+const { postToPool } = require('./ollama-pool');
+
+const DEFAULT_MODEL      = 'qwen2.5:1.5b';
+const DEFAULT_THRESHOLD  = 0.7;
+const DEFAULT_TIMEOUT_MS = 1500;
+const CACHE_TTL_MS       = 30 * 60_000;
+const CACHE_MAX          = 2000;
+const MAX_TEXT_CHARS     = 1000;
+
+/** Labels the model may choose from — attachment intents are decided by rules. */
+const LLM_INTENTS = [
+  INTENT.SMALLTALK, INTENT.TASK, INTENT.QUESTION, INTENT.GENERAL_CHAT,
+  INTENT.WEB_RESEARCH, INTENT.IMAGE_GEN,
+];
+const SKIP_INTENTS = [INTENT.DOCUMENT, INTENT.IMAGE_EDIT];
+
+const RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    intent: { type: 'string', enum: LLM_INTENTS },
+    confidence: { type: 'number' },
+  },
+  required: ['intent', 'confidence'],
+};
+
+const SYSTEM_PROMPT = [
+  'You classify one chat message (English, Malay or Malaysian dialects) for a router. Answer with JSON only.',
+  'Labels:',
+  '- SMALLTALK: greetings, thanks, chit-chat with no request',
+  '- TASK: the user wants something produced or changed (write, translate, fix, plan, summarise)',
+  '- QUESTION: the user asks for information or an explanation, even if it mentions making or designing something',
+  '- GENERAL_CHAT: opinions, feelings, statements that continue the conversation',
+  '- WEB_RESEARCH: needs current or live information (news, today\'s prices, recent events)',
+  '- IMAGE_GEN: wants a picture or artwork generated',
+  'confidence is 0 to 1.',
+].join('\n');
+
+/** normalised text → { intent, confidence, model, at } */
+const cache = new Map();
+
+/* ── Helpers ─────────────────────────────────────────────── */
+
+function normalizeKey(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT_CHARS);
+}
+
+function cacheGet(key) {
+  const hit = cache.get(key);
+  if (!hit) return null;
+  if (Date.now() - hit.at > CACHE_TTL_MS) {
+    cache.delete(key);
+    return null;
+  }
+  return hit;
+}
+
+function cacheSet(key, value) {
+  if (cache.size >= CACHE_MAX) cache.delete(cache.keys().next().value);
+  cache.set(key, { ...value, at: Date.now() });
+}
+
+/**
+ * Parse the model's JSON answer; null if it is not a usable label.
+ * @param {string} content
+ * @returns {{ intent: string, confidence: number }|null}
+ */
+function parseLlmAnswer(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    return null;
+  }
+  if (!data || !LLM_INTENTS.includes(data.intent)) return null;
+  const confidence = Number(data.confidence);
+  return {
+    intent: data.intent,
+    confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0.5,
+  };
+}
+
+async function askModel(text, model, timeoutMs) {
+  const ac = new AbortController();
+  const timer = setTimeout(() => ac.abort(), timeoutMs);
+  try {
+    const res = await postToPool(model, '/api/chat', {
+      model,
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: text.slice(0, MAX_TEXT_CHARS) },
+      ],
+      format: RESPONSE_SCHEMA,
+      stream: false,
+      keep_alive: '30m',
+      options: { temperature: 0, num_predict: 40 },
+    }, { signal: ac.signal });
+    if (!res) return null;
+    if (!res.ok) throw new Error(`Ollama ${res.status}`);
+    const data = await res.json();
+    return parseLlmAnswer(data.message?.content || '');
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/* ── Public API ──────────────────────────────────────────── */
+
+/**
+ * Refine a rule-based intent with the LLM when the rules are unsure.
+ *
+ * @param {string} text        - message as classified by the rules
+ * @param {object} ruleIntent  - classifyIntent() result
+ * @returns {Promise<object>} intent result with `classifier` (and `llm` when consulted)
+ */
+async function refineIntent(text, ruleIntent) {
+  const rules = { ...ruleIntent, classifier: 'rules' };
+  if (!text || SKIP_INTENTS.includes(ruleIntent.intent)) return rules;
+
+  const [enabled, threshold, model, timeoutMs] = await Promise.all([
+    getSetting('intent.llm_enabled', false),
+    getSetting('intent.llm_threshold', DEFAULT_THRESHOLD),
+    getSetting('intent.llm_model', DEFAULT_MODEL),
+    getSetting('intent.llm_timeout_ms', DEFAULT_TIMEOUT_MS),
+  ]);
+  if (enabled !== true && enabled !== 'true') return rules;
+  if (ruleIntent.confidence >= Number(threshold)) return rules;
+
+  const llmMeta = { model, ruleIntent: ruleIntent.intent, ruleConfidence: ruleIntent.confidence };
+  const key = normalizeKey(text);
+  const hit = cacheGet(key);
+  if (hit && hit.model === model) {
+    return decide(ruleIntent, hit, 'llm_cache', { ...llmMeta, ms: 0 });
+  }
+
+  const start = Date.now();
+  try {
+    const answer = await askModel(text, model, Number(timeoutMs) || DEFAULT_TIMEOUT_MS);
+    const ms = Date.now() - start;
+    if (!answer) return { ...rules, llm: { ...llmMeta, ms, fallback: 'invalid_answer' } };
+    cacheSet(key, { ...answer, model });
+    return decide(ruleIntent, answer, 'llm', { ...llmMeta, ms });
+  } catch (err) {
+    const ms = Date.now() - start;
+    const fallback = err.name === 'AbortError' ? 'timeout' : 'error';
+    if (fallback === 'error') console.error('[intent-llm] Classification failed:', err.message);
+    return { ...rules, llm: { ...llmMeta, ms, fallback } };
+  }
+}
+
+function decide(ruleIntent, answer, classifier, llm) {
+  return {
+    intent: answer.intent,
+    confidence: answer.confidence,
+    reason: `llm:${answer.intent.toLowerCase()}`,
+    reasons: [...(ruleIntent.reasons || []), `rules:${ruleIntent.intent}`, `${classifier}:${answer.intent}`],
+    classifier,
+    llm,
+  };
+}
+
+/** Drop cached classifications. */
+function clearIntentCache() {
+  cache.clear();
+}
+
+module.exports = { refineIntent, parseLlmAnswer, clearIntentCache, LLM_INTENTS };
@@ -4,9 +4,15 @@
  * Returns one of: SMALLTALK, TASK, QUESTION, GENERAL_CHAT, WEB_RESEARCH, DOCUMENT, IMAGE_EDIT, IMAGE_GEN
  *
  * Considers attachments, keywords, and patterns.
- * No LLM call — purely keyword + heuristic based for speed.
+ * No LLM call — purely keyword + heuristic based for speed. Low-confidence
+ * results can be re-checked by lib/intent-llm.js when that is enabled.
+ *
+ * GREETING_TOKENS, TASK_VERBS, IMAGE_GEN_KEYWORDS and WEB_KEYWORDS are the
+ * built-in lexicons; admins can replace them at runtime (lib/lexicons.js).
  */
 
+const { registerLexicon, getLexicon } = require('./lexicons');
+
 /* ── Intent types ────────────────────────────────────────── */
 const INTENT = {
   SMALLTALK:    'SMALLTALK',
@@ -81,6 +87,27 @@ const WEB_KEYWORDS = [
   'cari harga', 'find price', 'reddit', 'google',
 ];
 
+registerLexicon('intent.greeting_tokens', {
+  description: 'Greeting / smalltalk tokens (single words match whole words, phrases match anywhere)',
+  entries: GREETING_TOKENS,
+});
+registerLexicon('intent.task_verbs', {
+  description: 'Task verbs — a match routes to TASK ahead of smalltalk and questions',
+  entries: TASK_VERBS,
+});
+registerLexicon('intent.image_gen_keywords', {
+  description: 'Image generation phrases (substring match)',
+  entries: IMAGE_GEN_KEYWORDS,
+});
+registerLexicon('intent.web_keywords', {
+  description: 'Phrases that classify a message as WEB_RESEARCH (substring match)',
+  entries: WEB_KEYWORDS,
+});
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 /* ── Question indicators ─────────────────────────────────── */
 const QUESTION_WORDS = [
   'what', 'how', 'why', 'when', 'where', 'which', 'who',
@@ -142,7 +169,7 @@ function classifyIntent(message, context = {}) {
   }
 
   // 2. Check image gen keywords
-  for (const kw of IMAGE_GEN_KEYWORDS) {
+  for (const kw of getLexicon('intent.image_gen_keywords')) {
     if (lower.includes(kw)) {
       reasons.push(`image_gen:${kw}`);
       return { intent: INTENT.IMAGE_GEN, confidence: 0.9, reason: `image_gen:${kw}`, reasons };
@@ -158,24 +185,29 @@ function classifyIntent(message, context = {}) {
   }
 
   // 4. Check web research keywords
-  for (const kw of WEB_KEYWORDS) {
+  for (const kw of getLexicon('intent.web_keywords')) {
     if (lower.includes(kw)) {
       reasons.push(`web:${kw}`);
       return { intent: INTENT.WEB_RESEARCH, confidence: 0.9, reason: `web_keyword:${kw}`, reasons };
     }
   }
 
-  // 5. Check for task verbs — these override smalltalk
-  for (const verb of TASK_VERBS) {
+  // 5. Check for task verbs — these override smalltalk.
+  // A lone verb inside a question ("apa beza buat vs bina?", "how do designers
+  // design logos?") is weak evidence, so confidence drops below the LLM
+  // classifier threshold (lib/intent-llm.js) instead of changing the intent.
+  const questionShaped = raw.includes('?') || QUESTION_WORDS.some(qw => lower.startsWith(qw + ' '));
+  for (const verb of getLexicon('intent.task_verbs')) {
     if (verb.includes(' ')) {
       if (lower.includes(verb)) {
         reasons.push(`task_verb:${verb}`);
         return { intent: INTENT.TASK, confidence: 0.9, reason: `task_verb:${verb}`, reasons };
       }
     } else {
-      if (words.includes(verb) || new RegExp(`\\b${verb}\\b`, 'i').test(lower)) {
+      if (words.includes(verb) || new RegExp(`\\b${escapeRegExp(verb)}\\b`, 'i').test(lower)) {
         reasons.push(`task_verb:${verb}`);
-        return { intent: INTENT.TASK, confidence: 0.85, reason: `task_verb:${verb}`, reasons };
+        if (questionShaped) reasons.push('question_shaped');
+        return { intent: INTENT.TASK, confidence: questionShaped ? 0.6 : 0.85, reason: `task_verb:${verb}`, reasons };
       }
     }
   }
@@ -220,7 +252,7 @@ function classifyIntent(message, context = {}) {
   const blockByQM = hasQuestionMark && !isGreetingWithQM;
 
   if (wordCount <= maxSmalltalkWords && !hasTaskNoun && !hasFollowUp && !blockByQM) {
-    for (const token of GREETING_TOKENS) {
+    for (const token of getLexicon('intent.greeting_tokens')) {
       let isMatch = false;
       if (token.includes(' ')) {
         isMatch = lower.includes(token);
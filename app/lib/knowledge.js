@@ -0,0 +1,639 @@
+/**
+ * Knowledge — named document collections for retrieval-augmented answers
+ *
+ * Admin uploads go through the same handlers as chat attachments
+ * (document-ingestion.js); the extracted text is stored, chunked, embedded
+ * with an Ollama embedding model and written to `knowledge_chunks`
+ * (migration 017). The router's KNOWLEDGE route calls retrieve() and the
+ * chat pipeline answers from the top-k chunks with [n] citations.
+ *
+ * Vector search:
+ *   - pgvector installed → `embedding_vec <=> $1::vector` in Postgres
+ *   - otherwise          → cosine similarity over REAL[] in Node; every
+ *     chunk is scored, read in id order SCAN_BATCH rows at a time with only
+ *     the best k kept (cost grows with the collection — use pgvector for
+ *     large ones)
+ *
+ * Visibility (migration 033): a collection is searched for a request only if
+ * it is public, owned by the caller's user or assigned to the calling API
+ * key (knowledge_collection_keys) — requested names and the defaults alike.
+ * Others are dropped as if they did not exist. Guests get public ones only.
+ *
+ * Settings:
+ *   knowledge.enabled              — master switch for the KNOWLEDGE route
+ *   knowledge.embedding_model      — default embedding model
+ *   knowledge.default_collections  — searched when a request names none
+ *   knowledge.top_k / min_score    — retrieval size and relevance floor
+ */
+
+const { query, getClient } = require('./db');
+const { getSetting } = require('./settings');
+const { ingestAttachment, IngestionError, cleanupFiles } = require('./document-ingestion');
+const { postToPool } = require('./ollama-pool');
+
+const COLLECTION_NAME_RE = /^[a-z0-9][a-z0-9_-]{1,63}$/;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_COLLECTION_KEYS = 100;
+const DEFAULT_EMBED_MODEL = 'nomic-embed-text';
+const CHUNK_CHARS     = 1200;
+const CHUNK_OVERLAP   = 200;
+const EMBED_BATCH     = 16;
+const EMBED_TIMEOUT   = 60_000;
+const SCAN_BATCH      = 2000;
+const MAX_UPLOAD_PDF_PAGES = 200;
+
+/** Lines that start a new page / sheet / slide in extracted text. */
+const LOCATION_MARKERS = [
+  { re: /^---\s*Slide\s+(\d+)\s*---$/i,        label: m => `Slide ${m[1]}` },
+  { re: /^###\s*Sheet\s+(\d+):\s*(.+)$/i,       label: m => `Sheet ${m[1]}: ${m[2].trim()}` },
+  { re: /^---\s*Page\s+(\d+)\s*---$/i,         label: m => `Page ${m[1]}` },
+];
+
+class KnowledgeError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'KnowledgeError';
+    this.status = status;
+  }
+}
+
+/* ── Chunking ────────────────────────────────────────────── */
+
+function markerLabel(line) {
+  const trimmed = line.trim();
+  for (const { re, label } of LOCATION_MARKERS) {
+    const m = trimmed.match(re);
+    if (m) return label(m);
+  }
+  return null;
+}
+
+/**
+ * Page/sheet/slide label in effect at a character offset of extracted text
+ * (the nearest marker line before it), or null.
+ *
+ * @param {string} text
+ * @param {number} index
+ * @returns {string|null}
+ */
+function locationAt(text, index) {
+  const lines = text.slice(0, Math.max(0, index)).split('\n');
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const label = markerLabel(lines[i]);
+    if (label) return label;
+  }
+  return null;
+}
+
+/**
+ * Split extracted text into overlapping chunks that never cross a
+ * page/sheet/slide boundary, so each chunk carries one citable location.
+ *
+ * @param {string} text
+ * @param {{ size?: number, overlap?: number }} [opts]
+ * @returns {Array<{ index: number, content: string, location: string|null }>}
+ */
+function chunkDocument(text, { size = CHUNK_CHARS, overlap = CHUNK_OVERLAP } = {}) {
+  const chunks = [];
+  let location = null;
+  let current = '';
+
+  const flush = (carry) => {
+    const content = current.trim();
+    if (content) chunks.push({ index: chunks.length, content, location });
+    current = carry && content.length > overlap ? content.slice(-overlap).replace(/^\S*\s/, '') : '';
+  };
+
+  // Paragraphs split on blank lines; marker lines become their own paragraph
+  const paragraphs = [];
+  let para = [];
+  for (const line of String(text || '').split('\n')) {
+    if (!line.trim() || markerLabel(line) !== null) {
+      if (para.length > 0) paragraphs.push(para.join('\n'));
+      para = [];
+      if (line.trim()) paragraphs.push(line);
+    } else {
+      para.push(line);
+    }
+  }
+  if (para.length > 0) paragraphs.push(para.join('\n'));
+
+  for (const para of paragraphs) {
+    const label = markerLabel(para);
+    if (label !== null) {
+      flush(false);
+      location = label;
+      continue;
+    }
+
+    // Oversized paragraphs are split on sentence ends, then hard-sliced
+    const pieces = para.length <= size
+      ? [para]
+      : para.split(/(?<=[.!?])\s+/).flatMap(s => (s.length <= size ? [s] : s.match(new RegExp(`[\\s\\S]{1,${size}}`, 'g'))));
+
+    pieces.forEach((piece, i) => {
+      if (current && current.length + piece.length + 1 > size) {
+        flush(true);
+        if (current.length + piece.length + 1 > size) current = ''; // overlap would overflow
+      }
+      current += (current ? (i === 0 ? '\n' : ' ') : '') + piece;
+    });
+  }
+  flush(false);
+  return chunks;
+}
+
+/* ── Embeddings ──────────────────────────────────────────── */
+
+/**
+ * Embed texts with Ollama's /api/embed (batched).
+ *
+ * @param {string[]} texts
+ * @param {string} model
+ * @returns {Promise<number[][]>}
+ */
+async function embedTexts(texts, model) {
+  const out = [];
+  for (let i = 0; i < texts.length; i += EMBED_BATCH) {
+    const batch = texts.slice(i, i + EMBED_BATCH);
+    let res;
+    try {
+      res = await postToPool(model, '/api/embed', { model, input: batch, keep_alive: '30m' }, {
+        signal: AbortSignal.timeout(EMBED_TIMEOUT),
+      });
+    } catch (err) {
+      throw new KnowledgeError(`Embedding request failed: ${err.message}`, 502);
+    }
+    if (!res) throw new KnowledgeError(`No Ollama backend serves embedding model ${model}`, 502);
+    if (!res.ok) {
+      const errText = await res.text().catch(() => '');
+      throw new KnowledgeError(`Embedding model ${model} error (${res.status}): ${errText.slice(0, 200)}`, 502);
+    }
+    const data = await res.json();
+    if (!Array.isArray(data.embeddings) || data.embeddings.length !== batch.length) {
+      throw new KnowledgeError(`Embedding model ${model} returned no vectors`, 502);
+    }
+    out.push(...data.embeddings);
+  }
+  return out;
+}
+
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na  += a[i] * a[i];
+    nb  += b[i] * b[i];
+  }
+  return na && nb ? dot / (Math.sqrt(na) * Math.sqrt(nb)) : 0;
+}
+
+function toVectorLiteral(vec) {
+  return `[${vec.join(',')}]`;
+}
+
+let pgvectorAvailable = null;
+
+/** True when migration 017 could add the pgvector column (checked once). */
+async function hasPgvector() {
+  if (pgvectorAvailable !== null) return pgvectorAvailable;
+  try {
+    const res = await query(
+      `SELECT 1 FROM information_schema.columns
+       WHERE table_name = 'knowledge_chunks' AND column_name = 'embedding_vec'`
+    );
+    pgvectorAvailable = res.rows.length > 0;
+  } catch {
+    return false;
+  }
+  return pgvectorAvailable;
+}
+
+async function resolveEmbeddingModel(collection) {
+  return collection.embedding_model || await getSetting('knowledge.embedding_model', DEFAULT_EMBED_MODEL);
+}
+
+/* ── Collections ─────────────────────────────────────────── */
+
+async function listCollections() {
+  const result = await query(
+    `SELECT c.*,
+            COUNT(DISTINCT d.id)::int AS document_count,
+            COALESCE(SUM(d.chunk_count), 0)::int AS chunk_count,
+            COALESCE((SELECT array_agg(k.api_key_id) FROM knowledge_collection_keys k
+                      WHERE k.collection_id = c.id), '{}') AS api_key_ids
+     FROM knowledge_collections c
+     LEFT JOIN knowledge_documents d ON d.collection_id = c.id
+     GROUP BY c.id
+     ORDER BY c.name`
+  );
+  return result.rows;
+}
+
+/** Validate `is_public` / `owner_user_id`; absent fields are left out. */
+function normalizeAccess({ is_public: isPublic, owner_user_id: ownerUserId } = {}) {
+  const out = {};
+  if (isPublic !== undefined) {
+    if (typeof isPublic !== 'boolean') throw new KnowledgeError('is_public must be boolean');
+    out.is_public = isPublic;
+  }
+  if (ownerUserId !== undefined) {
+    if (ownerUserId !== null && !UUID_RE.test(String(ownerUserId))) {
+      throw new KnowledgeError('owner_user_id must be a user id (UUID) or null');
+    }
+    out.owner_user_id = ownerUserId;
+  }
+  return out;
+}
+
+async function getCollection(name) {
+  const result = await query('SELECT * FROM knowledge_collections WHERE name = $1', [name]);
+  return result.rows[0] || null;
+}
+
+async function createCollection({ name, description, embeddingModel, ...access }, createdBy = null) {
+  if (!COLLECTION_NAME_RE.test(name || '')) {
+    throw new KnowledgeError('name must be 2-64 chars: lowercase letters, digits, - or _');
+  }
+  const { is_public: isPublic = false, owner_user_id: ownerUserId = null } = normalizeAccess(access);
+  if (await getCollection(name)) throw new KnowledgeError(`Collection already exists: ${name}`, 409);
+  const result = await query(
+    `INSERT INTO knowledge_collections (name, description, embedding_model, created_by, is_public, owner_user_id)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+    [name, description || null, embeddingModel || null, createdBy, isPublic, ownerUserId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Change who may search a collection: { is_public?, owner_user_id? }.
+ * @returns {Promise<object|null>} the updated row, null if it does not exist
+ */
+async function updateCollectionAccess(name, input) {
+  const fields = normalizeAccess(input || {});
+  const cols = Object.keys(fields);
+  if (cols.length === 0) throw new KnowledgeError('Nothing to update');
+  const result = await query(
+    `UPDATE knowledge_collections SET ${cols.map((c, i) => `${c} = $${i + 1}`).join(', ')}, updated_at = NOW()
+     WHERE name = $${cols.length + 1} RETURNING *`,
+    [...cols.map(c => fields[c]), name]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Replace the API keys a collection is assigned to. A collection with an
+ * owner can only be given to that owner's keys.
+ * @param {object} collection - a knowledge_collections row
+ * @param {string[]} apiKeyIds
+ * @returns {Promise<string[]>} the assigned key ids
+ */
+async function setCollectionKeys(collection, apiKeyIds) {
+  if (!Array.isArray(apiKeyIds) || apiKeyIds.some(id => !UUID_RE.test(String(id)))) {
+    throw new KnowledgeError('api_key_ids must be an array of API key ids');
+  }
+  const ids = [...new Set(apiKeyIds)];
+  if (ids.length > MAX_COLLECTION_KEYS) throw new KnowledgeError(`Too many API keys (max ${MAX_COLLECTION_KEYS})`);
+
+  if (ids.length > 0) {
+    const keys = await query('SELECT id, user_id FROM api_keys WHERE id = ANY($1)', [ids]);
+    if (keys.rows.length < ids.length) throw new KnowledgeError('API key not found', 404);
+    if (collection.owner_user_id && keys.rows.some(k => k.user_id !== collection.owner_user_id)) {
+      throw new KnowledgeError('Collection belongs to another tenant', 409);
+    }
+  }
+
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM knowledge_collection_keys WHERE collection_id = $1', [collection.id]);
+    if (ids.length > 0) {
+      await client.query(
+        `INSERT INTO knowledge_collection_keys (collection_id, api_key_id)
+         SELECT $1, unnest($2::uuid[])`,
+        [collection.id, ids]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+  return ids;
+}
+
+async function deleteCollection(name) {
+  const result = await query('DELETE FROM knowledge_collections WHERE name = $1', [name]);
+  return result.rowCount > 0;
+}
+
+/* ── Documents ───────────────────────────────────────────── */
+
+async function listDocuments(collectionId) {
+  const result = await query(
+    `SELECT id, collection_id, file_name, mime_type, size_bytes, title, extraction_method,
+            chunk_count, embedding_model, status, error, created_by, created_at, indexed_at
+     FROM knowledge_documents WHERE collection_id = $1 ORDER BY created_at DESC`,
+    [collectionId]
+  );
+  return result.rows;
+}
+
+async function getDocument(id) {
+  const result = await query('SELECT * FROM knowledge_documents WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+async function deleteDocument(id) {
+  const result = await query('DELETE FROM knowledge_documents WHERE id = $1', [id]);
+  return result.rowCount > 0;
+}
+
+/**
+ * (Re)build the chunks of one document with the collection's current model.
+ * Old chunks are replaced in a single transaction.
+ *
+ * @param {number} documentId
+ * @returns {Promise<object>} updated document row (without text)
+ */
+async function indexDocument(documentId) {
+  const doc = await getDocument(documentId);
+  if (!doc) throw new KnowledgeError('Document not found', 404);
+  const collRes = await query('SELECT * FROM knowledge_collections WHERE id = $1', [doc.collection_id]);
+  const model = await resolveEmbeddingModel(collRes.rows[0]);
+
+  try {
+    const chunks = chunkDocument(doc.text);
+    if (chunks.length === 0) throw new KnowledgeError('Document has no text to index');
+    const vectors = await embedTexts(chunks.map(c => c.content), model);
+    const useVec = await hasPgvector();
+
+    const client = await getClient();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM knowledge_chunks WHERE document_id = $1', [doc.id]);
+      for (let i = 0; i < chunks.length; i++) {
+        const c = chunks[i];
+        await client.query(
+          useVec
+            ? `INSERT INTO knowledge_chunks (document_id, collection_id, chunk_index, content, location, embedding, embedding_vec)
+               VALUES ($1,$2,$3,$4,$5,$6,$7::vector)`
+            : `INSERT INTO knowledge_chunks (document_id, collection_id, chunk_index, content, location, embedding)
+               VALUES ($1,$2,$3,$4,$5,$6)`,
+          [doc.id, doc.collection_id, c.index, c.content, c.location, vectors[i],
+           ...(useVec ? [toVectorLiteral(vectors[i])] : [])]
+        );
+      }
+      await client.query(
+        `UPDATE knowledge_documents
+         SET chunk_count = $2, embedding_model = $3, status = 'indexed', error = NULL, indexed_at = NOW()
+         WHERE id = $1`,
+        [doc.id, chunks.length, model]
+      );
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    await query(
+      `UPDATE knowledge_documents SET status = 'error', error = $2 WHERE id = $1`,
+      [doc.id, err.message.slice(0, 500)]
+    ).catch(() => {});
+    throw err;
+  }
+
+  const { text: _text, ...updated } = await getDocument(doc.id);
+  return updated;
+}
+
+/**
+ * Ingest an uploaded file into a collection and index it.
+ *
+ * @param {object} collection - collection row
+ * @param {{ buf: Buffer, fileName: string, mimeType?: string }} file
+ * @param {string|null} [createdBy]
+ */
+async function addDocument(collection, { buf, fileName, mimeType }, createdBy = null) {
+  let doc;
+  try {
+    doc = await ingestAttachment(buf, fileName, mimeType, { maxPdfPages: MAX_UPLOAD_PDF_PAGES });
+  } catch (err) {
+    if (err instanceof IngestionError) throw new KnowledgeError(err.message);
+    throw err;
+  }
+  if (doc.kind !== 'text' || !doc.text) {
+    if (doc.pages) cleanupFiles(...doc.pages.map(p => p.imagePath).filter(Boolean));
+    throw new KnowledgeError('No extractable text in this file (OCR confidence was too low to index it).');
+  }
+
+  const result = await query(
+    `INSERT INTO knowledge_documents (collection_id, file_name, mime_type, size_bytes, title, text, extraction_method, created_by)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING id`,
+    [collection.id, fileName, doc.meta.mimeType, doc.meta.sizeBytes, doc.title || fileName,
+     doc.text, doc.meta.extractionMethod, createdBy]
+  );
+  return indexDocument(result.rows[0].id);
+}
+
+/**
+ * Reindex every document in a collection (e.g. after changing its model).
+ * @returns {Promise<{ indexed: number, failed: Array<{ id: number, error: string }> }>}
+ */
+async function reindexCollection(collection) {
+  const docs = await listDocuments(collection.id);
+  const failed = [];
+  for (const d of docs) {
+    try { await indexDocument(d.id); }
+    catch (err) { failed.push({ id: d.id, error: err.message }); }
+  }
+  return { indexed: docs.length - failed.length, failed };
+}
+
+/* ── Retrieval ───────────────────────────────────────────── */
+
+/**
+ * Collections to search for a request: explicit names, else the default
+ * setting — in both cases only those the caller may see (public, owned by
+ * `userId` or assigned to `apiKeyId`), in the order given.
+ *
+ * @param {string[]|string|undefined} requested
+ * @param {{ apiKeyId?: string, userId?: string }} [caller] - absent for guests
+ * @returns {Promise<string[]>}
+ */
+async function resolveCollections(requested, { apiKeyId, userId } = {}) {
+  let names;
+  if (Array.isArray(requested) && requested.length > 0) names = requested.filter(n => typeof n === 'string').slice(0, 10);
+  else if (typeof requested === 'string' && requested.trim()) names = [requested.trim()];
+  else {
+    const defaults = await getSetting('knowledge.default_collections', []);
+    names = Array.isArray(defaults) ? defaults.filter(n => typeof n === 'string') : [];
+  }
+  if (names.length === 0) return [];
+
+  try {
+    const result = await query(
+      `SELECT c.name FROM knowledge_collections c
+       WHERE c.name = ANY($1)
+         AND (c.is_public
+              OR ($2::uuid IS NOT NULL AND c.owner_user_id = $2::uuid)
+              OR ($3::uuid IS NOT NULL AND EXISTS (
+                    SELECT 1 FROM knowledge_collection_keys k
+                    WHERE k.collection_id = c.id AND k.api_key_id = $3::uuid)))`,
+      [names, UUID_RE.test(userId || '') ? userId : null, UUID_RE.test(apiKeyId || '') ? apiKeyId : null]
+    );
+    const visible = new Set(result.rows.map(r => r.name));
+    return names.filter(n => visible.has(n));
+  } catch (err) {
+    // Without the visibility check nothing is searched; the chat itself goes on
+    console.error('[knowledge] Collection lookup failed:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Retrieve the top-k chunks for a query across collections.
+ *
+ * @param {string} text
+ * @param {string[]} collectionNames
+ * @param {{ k?: number, minScore?: number }} [opts]
+ * @returns {Promise<{ chunks: object[], backend: string, durationMs: number }>}
+ */
+async function retrieve(text, collectionNames, opts = {}) {
+  const start = Date.now();
+  const k = Math.min(Number(opts.k ?? await getSetting('knowledge.top_k', 5)) || 5, 20);
+  const minScore = Number(opts.minScore ?? await getSetting('knowledge.min_score', 0.5)) || 0;
+  const collRes = await query('SELECT * FROM knowledge_collections WHERE name = ANY($1)', [collectionNames]);
+  if (collRes.rows.length === 0) return { chunks: [], backend: 'none', durationMs: Date.now() - start };
+
+  // Collections may use different embedding models — embed the query once per model
+  const byModel = new Map();
+  for (const c of collRes.rows) {
+    const model = await resolveEmbeddingModel(c);
+    if (!byModel.has(model)) byModel.set(model, []);
+    byModel.get(model).push(c);
+  }
+
+  const useVec = await hasPgvector();
+  const candidates = [];
+  for (const [model, colls] of byModel) {
+    const [qvec] = await embedTexts([text], model);
+    const ids = colls.map(c => c.id);
+
+    if (useVec) {
+      const res = await query(
+        `SELECT id, 1 - (embedding_vec <=> $1::vector) AS score
+         FROM knowledge_chunks
+         WHERE collection_id = ANY($2) AND embedding_vec IS NOT NULL
+           AND vector_dims(embedding_vec) = $4
+         ORDER BY embedding_vec <=> $1::vector
+         LIMIT $3`,
+        [toVectorLiteral(qvec), ids, k, qvec.length]
+      );
+      candidates.push(...res.rows.map(r => ({ id: r.id, score: Number(r.score) })));
+    } else {
+      // Keyset batches in id order, so no chunk is skipped however large the collection
+      let after = 0;
+      for (;;) {
+        const res = await query(
+          `SELECT id, embedding FROM knowledge_chunks
+           WHERE collection_id = ANY($1) AND id > $2
+           ORDER BY id
+           LIMIT $3`,
+          [ids, after, SCAN_BATCH]
+        );
+        for (const r of res.rows) {
+          const score = cosineSimilarity(qvec, r.embedding);
+          if (score >= minScore) candidates.push({ id: r.id, score });
+        }
+        if (candidates.length > k) candidates.sort((a, b) => b.score - a.score).splice(k);
+        if (res.rows.length < SCAN_BATCH) break;
+        after = res.rows[res.rows.length - 1].id;
+      }
+    }
+  }
+
+  const top = candidates
+    .filter(c => c.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+  if (top.length === 0) return { chunks: [], backend: useVec ? 'pgvector' : 'array', durationMs: Date.now() - start };
+
+  const rows = await query(
+    `SELECT ch.id, ch.content, ch.location, ch.chunk_index, d.id AS document_id, d.file_name, d.title, c.name AS collection
+     FROM knowledge_chunks ch
+     JOIN knowledge_documents d ON d.id = ch.document_id
+     JOIN knowledge_collections c ON c.id = ch.collection_id
+     WHERE ch.id = ANY($1)`,
+    [top.map(t => t.id)]
+  );
+  const byId = new Map(rows.rows.map(r => [String(r.id), r]));
+  const chunks = top
+    .map(t => ({ ...byId.get(String(t.id)), score: Math.round(t.score * 1000) / 1000 }))
+    .filter(c => c.content);
+
+  return { chunks, backend: useVec ? 'pgvector' : 'array', durationMs: Date.now() - start };
+}
+
+/**
+ * Build the numbered context block + citation list for retrieved chunks.
+ *
+ * @param {object[]} chunks - from retrieve()
+ * @param {string} language - 'ms' | 'en' | ...
+ * @returns {{ systemHint: string, contextBlock: string, citations: object[] }}
+ */
+function buildKnowledgeContext(chunks, language = 'en') {
+  const citations = chunks.map((c, i) => ({
+    n: i + 1,
+    collection: c.collection,
+    document: c.title || c.file_name,
+    fileName: c.file_name,
+    location: c.location || null,
+    score: c.score,
+  }));
+
+  const contextBlock = [
+    '--- KNOWLEDGE BASE START ---',
+    ...chunks.map((c, i) => {
+      const where = [c.title || c.file_name, c.location].filter(Boolean).join(' — ');
+      return `[${i + 1}] ${where}\n${c.content}`;
+    }),
+    '--- KNOWLEDGE BASE END ---',
+  ].join('\n\n');
+
+  const systemHint = language === 'ms'
+    ? '\n\nPANGKALAN PENGETAHUAN: Jawab menggunakan petikan bernombor yang diberi. Petik sumber dengan [1], [2] di sebelah fakta yang disokong. '
+      + 'Jika petikan tidak menjawab soalan, nyatakan dengan jujur — jangan reka maklumat. Akhiri dengan senarai "Sumber:" (nama dokumen + halaman/helaian/slaid).'
+    : '\n\nKNOWLEDGE BASE: Answer from the numbered excerpts provided. Cite them as [1], [2] next to the facts they support. '
+      + 'If the excerpts do not answer the question, say so plainly — do not invent details. End with a "Sources:" list (document name + page/sheet/slide).';
+
+  return { systemHint, contextBlock, citations };
+}
+
+module.exports = {
+  KnowledgeError,
+  chunkDocument,
+  locationAt,
+  embedTexts,
+  cosineSimilarity,
+  listCollections,
+  getCollection,
+  createCollection,
+  deleteCollection,
+  updateCollectionAccess,
+  setCollectionKeys,
+  listDocuments,
+  getDocument,
+  deleteDocument,
+  addDocument,
+  indexDocument,
+  reindexCollection,
+  resolveCollections,
+  retrieve,
+  buildKnowledgeContext,
+};
@@ -0,0 +1,446 @@
+/**
+ * Lexicons — admin-editable keyword lists behind the rule-based classifiers
+ *
+ * intent.js, dialect.js and web-research.js register their built-in lists
+ * here at load time and read them back through getLexicon() on every call,
+ * so activating a new version changes classification on the next message —
+ * no deploy.
+ *
+ * Storage: table `lexicon_versions` (migration 021). Every save is a new
+ * numbered draft; activating one archives the previously active version.
+ * Version 0 is the built-in list shipped with the code (it has no row), so
+ * activating 0 resets a lexicon.
+ *
+ * Kinds:
+ *   list       — words/phrases, matched as substrings or whole words → string[]
+ *   set        — single words, matched per token                     → Set<string>
+ *   transforms — whole-word replacements { from, to }                → [{ from: RegExp, to }]
+ *
+ * Drafts are tried against sample sentences with previewLexicon() before
+ * they go live (POST /v1/admin/lexicons/:name/test).
+ *
+ * The instance that serves the activation reloads at once; every other
+ * instance picks the change up within SYNC_INTERVAL_MS (startLexiconSync),
+ * which compares the set of active name:version pairs with the loaded one.
+ */
+
+const { query, getClient } = require('./db');
+
+const KINDS = ['list', 'set', 'transforms'];
+const MAX_ENTRIES = 1000;
+const MAX_ENTRY_CHARS = 64;
+const MAX_SAMPLES = 100;
+const MAX_SAMPLE_CHARS = 500;
+const SYNC_INTERVAL_MS = 30_000;
+
+/** @type {Map<string, { name: string, kind: string, description: string, entries: Array }>} */
+const registry = new Map();
+
+/** @type {Map<string, { version: number, entries: Array, activatedAt: Date|null, activatedBy: string|null }>} */
+let active = new Map();
+
+/** Compiled lists, cleared whenever `active` changes. */
+const compiled = new Map();
+
+/** Temporary per-name values used by previewLexicon() (sync only). */
+let overrides = null;
+
+/** Active name:version pairs behind `active`; null until the first load. */
+let loadedSignature = null;
+let syncTimer = null;
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compile(kind, entries) {
+  if (kind === 'set') return new Set(entries);
+  if (kind === 'transforms') {
+    return entries.map(({ from, to }) => ({ from: new RegExp(`\\b${escapeRegExp(from)}\\b`, 'gi'), to }));
+  }
+  return [...entries];
+}
+
+/* ── Registry ────────────────────────────────────────────── */
+
+/**
+ * Register a built-in lexicon. Called once per list when its module loads.
+ *
+ * @param {string} name - '<module>.<list>', e.g. 'intent.greeting_tokens'
+ * @param {{ kind?: string, description: string, entries: Array, dialect?: string }} def
+ *   `dialect` — for transforms, the dialect they are applied for (used by previews)
+ */
+function registerLexicon(name, { kind = 'list', description, entries, dialect = null }) {
+  if (!KINDS.includes(kind)) throw new Error(`Unknown lexicon kind: ${kind}`);
+  registry.set(name, { name, kind, description, entries: [...entries], dialect });
+  compiled.delete(name);
+}
+
+/**
+ * Current value of a lexicon — the active version if one is set, else the built-in.
+ * @param {string} name
+ * @returns {string[]|Set<string>|Array<{ from: RegExp, to: string }>}
+ */
+function getLexicon(name) {
+  if (overrides && overrides.has(name)) return overrides.get(name);
+  let value = compiled.get(name);
+  if (value) return value;
+  const def = registry.get(name);
+  if (!def) throw new Error(`Unknown lexicon: ${name}`);
+  value = compile(def.kind, active.get(name)?.entries || def.entries);
+  compiled.set(name, value);
+  return value;
+}
+
+/** Raw entries currently in use (active version or built-in). */
+function currentEntries(name) {
+  const def = registry.get(name);
+  if (!def) return null;
+  return active.get(name)?.entries || def.entries;
+}
+
+/** 'list' | 'set' | 'transforms', or null if no module registered `name`. */
+function lexiconKind(name) {
+  return registry.get(name)?.kind || null;
+}
+
+/* ── Validation ──────────────────────────────────────────── */
+
+function cleanPhrase(value) {
+  if (typeof value !== 'string') return null;
+  const s = value.toLowerCase().replace(/\s+/g, ' ').trim();
+  if (!s || s.length > MAX_ENTRY_CHARS || /[\u0000-\u001f]/.test(s)) return null;
+  return s;
+}
+
+/**
+ * Validate and normalise entries for a lexicon kind: lowercased, trimmed,
+ * de-duplicated (first occurrence wins, order kept).
+ *
+ * @param {string} kind
+ * @param {Array} entries
+ * @returns {{ entries: Array }|{ error: string }}
+ */
+function normalizeEntries(kind, entries) {
+  if (!Array.isArray(entries)) return { error: 'entries must be an array' };
+  if (entries.length === 0) return { error: 'entries must not be empty' };
+  if (entries.length > MAX_ENTRIES) return { error: `entries must have at most ${MAX_ENTRIES} items` };
+
+  const seen = new Set();
+  const out = [];
+  for (const [i, entry] of entries.entries()) {
+    if (kind === 'transforms') {
+      const from = cleanPhrase(entry && entry.from);
+      const to = entry && typeof entry.to === 'string' ? entry.to.trim() : '';
+      if (!from || !to || to.length > MAX_ENTRY_CHARS) {
+        return { error: `entries[${i}] must be { from, to } (1-${MAX_ENTRY_CHARS} chars each)` };
+      }
+      if (seen.has(from)) continue;
+      seen.add(from);
+      out.push({ from, to });
+    } else {
+      const phrase = cleanPhrase(entry);
+      if (!phrase) return { error: `entries[${i}] must be a non-empty string (max ${MAX_ENTRY_CHARS} chars)` };
+      if (kind === 'set' && phrase.includes(' ')) return { error: `entries[${i}] must be a single word` };
+      if (seen.has(phrase)) continue;
+      seen.add(phrase);
+      out.push(phrase);
+    }
+  }
+  return { entries: out };
+}
+
+/**
+ * Apply { add, remove } to a base list. `remove` matches phrases (or `from` for transforms).
+ * @returns {Array}
+ */
+function applyEdits(kind, base, { add = [], remove = [] } = {}) {
+  const key = e => (kind === 'transforms' ? cleanPhrase(e && e.from) : cleanPhrase(e));
+  const drop = new Set((Array.isArray(remove) ? remove : []).map(r => (typeof r === 'string' ? cleanPhrase(r) : key(r))));
+  const kept = base.filter(e => !drop.has(key(e)));
+  if (kind === 'transforms') {
+    // A re-added `from` replaces the old mapping
+    const replaced = new Set((Array.isArray(add) ? add : []).map(key));
+    return [...(Array.isArray(add) ? add : []), ...kept.filter(e => !replaced.has(key(e)))];
+  }
+  return [...kept, ...(Array.isArray(add) ? add : [])];
+}
+
+/** Entries added / removed between two versions. */
+function diffEntries(kind, before, after) {
+  const key = e => (kind === 'transforms' ? `${e.from} → ${e.to}` : e);
+  const b = new Set(before.map(key));
+  const a = new Set(after.map(key));
+  return {
+    added: [...a].filter(e => !b.has(e)),
+    removed: [...b].filter(e => !a.has(e)),
+  };
+}
+
+/* ── Persistence ─────────────────────────────────────────── */
+
+/**
+ * Load the active version of every lexicon into memory. Called at startup,
+ * after each activation and by syncLexicons(). Rows for names no module registered are ignored.
+ * @returns {Promise<number>} number of lexicons overridden from the database
+ */
+async function loadLexicons() {
+  const result = await query(
+    `SELECT name, version, entries, activated_at, activated_by
+     FROM lexicon_versions WHERE status = 'active'`
+  );
+  const next = new Map();
+  for (const row of result.rows) {
+    const def = registry.get(row.name);
+    if (!def) continue;
+    const parsed = normalizeEntries(def.kind, row.entries);
+    if (parsed.error) {
+      console.error(`[lexicons] ${row.name} v${row.version} ignored: ${parsed.error}`);
+      continue;
+    }
+    next.set(row.name, {
+      version: row.version, entries: parsed.entries,
+      activatedAt: row.activated_at, activatedBy: row.activated_by,
+    });
+  }
+  active = next;
+  compiled.clear();
+  loadedSignature = activeSignature(result.rows);
+  return active.size;
+}
+
+function activeSignature(rows) {
+  return rows.map(r => `${r.name}:${r.version}`).sort().join(',');
+}
+
+/**
+ * Reload if the active versions in the database differ from the loaded ones
+ * (another instance activated or reset a lexicon).
+ * @returns {Promise<boolean>} true if lexicons were reloaded
+ */
+async function syncLexicons() {
+  const result = await query(`SELECT name, version FROM lexicon_versions WHERE status = 'active'`);
+  if (activeSignature(result.rows) === loadedSignature) return false;
+  await loadLexicons();
+  return true;
+}
+
+/** Poll for activations made on other instances (idempotent; the timer does not keep the process alive). */
+function startLexiconSync() {
+  if (syncTimer) return;
+  syncTimer = setInterval(() => {
+    syncLexicons().catch(err => console.error('[lexicons] Sync failed:', err.message));
+  }, SYNC_INTERVAL_MS);
+  syncTimer.unref();
+}
+
+/**
+ * Every registered lexicon with its active version and draft counts.
+ */
+async function listLexicons() {
+  const result = await query(
+    `SELECT name, MAX(version) AS latest_version,
+            COUNT(*) FILTER (WHERE status = 'draft') AS drafts
+     FROM lexicon_versions GROUP BY name`
+  );
+  const stats = new Map(result.rows.map(r => [r.name, r]));
+  return [...registry.values()]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(def => ({
+      name: def.name,
+      kind: def.kind,
+      description: def.description,
+      active_version: active.get(def.name)?.version || 0,
+      entry_count: currentEntries(def.name).length,
+      builtin_count: def.entries.length,
+      latest_version: Number(stats.get(def.name)?.latest_version || 0),
+      drafts: Number(stats.get(def.name)?.drafts || 0),
+    }));
+}
+
+/**
+ * One lexicon: current entries, built-in entries and version history.
+ */
+async function getLexiconDetail(name) {
+  const def = registry.get(name);
+  if (!def) return null;
+  const result = await query(
+    `SELECT version, status, note, jsonb_array_length(entries) AS entry_count,
+            created_by, created_at, activated_by, activated_at
+     FROM lexicon_versions WHERE name = $1 ORDER BY version DESC`,
+    [name]
+  );
+  const live = active.get(name);
+  return {
+    name,
+    kind: def.kind,
+    description: def.description,
+    active_version: live?.version || 0,
+    activated_at: live?.activatedAt || null,
+    activated_by: live?.activatedBy || null,
+    entries: currentEntries(name),
+    builtin: def.entries,
+    versions: result.rows,
+  };
+}
+
+/**
+ * One stored version (0 → the built-in list).
+ */
+async function getLexiconVersion(name, version) {
+  const def = registry.get(name);
+  if (!def) return null;
+  if (version === 0) {
+    return { name, version: 0, status: active.has(name) ? 'archived' : 'active', note: 'built-in', entries: def.entries };
+  }
+  const result = await query(
+    `SELECT name, version, status, note, entries, created_by, created_at, activated_by, activated_at
+     FROM lexicon_versions WHERE name = $1 AND version = $2`,
+    [name, version]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Save entries as the next draft version.
+ * @returns {Promise<object>} the stored row
+ */
+async function saveLexiconVersion(name, entries, { note = null, createdBy = null } = {}) {
+  const result = await query(
+    `INSERT INTO lexicon_versions (name, version, entries, note, created_by)
+     VALUES ($1, COALESCE((SELECT MAX(version) FROM lexicon_versions WHERE name = $1), 0) + 1, $2, $3, $4)
+     RETURNING name, version, status, note, entries, created_by, created_at`,
+    [name, JSON.stringify(entries), note, createdBy]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Make a version live (0 → back to the built-in list) and hot-reload.
+ * @returns {Promise<boolean>} false if the version doesn't exist
+ */
+async function activateLexiconVersion(name, version, activatedBy = null) {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `UPDATE lexicon_versions SET status = 'archived' WHERE name = $1 AND status = 'active'`,
+      [name]
+    );
+    if (version > 0) {
+      const res = await client.query(
+        `UPDATE lexicon_versions SET status = 'active', activated_at = NOW(), activated_by = $3
+         WHERE name = $1 AND version = $2 RETURNING version`,
+        [name, version, activatedBy]
+      );
+      if (res.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+  await loadLexicons();
+  return true;
+}
+
+/* ── Preview ─────────────────────────────────────────────── */
+
+/**
+ * Validate sample sentences for a preview.
+ * @returns {{ samples: string[] }|{ error: string }}
+ */
+function normalizeSamples(sentences) {
+  if (!Array.isArray(sentences) || sentences.length === 0) return { error: 'sentences must be a non-empty array' };
+  if (sentences.length > MAX_SAMPLES) return { error: `sentences must have at most ${MAX_SAMPLES} items` };
+  const samples = [];
+  for (const [i, s] of sentences.entries()) {
+    if (typeof s !== 'string' || !s.trim() || s.length > MAX_SAMPLE_CHARS) {
+      return { error: `sentences[${i}] must be a non-empty string (max ${MAX_SAMPLE_CHARS} chars)` };
+    }
+    samples.push(s.trim());
+  }
+  return { samples };
+}
+
+/** What the classifiers make of one sentence with the lexicons currently in effect. */
+function analyse(text, transformDialect) {
+  const { classifyIntent } = require('./intent');
+  const { detectLanguageAndDialect, applyDialectPostProcess } = require('./dialect');
+  const { shouldBrowseWeb, reformulateQuery } = require('./web-research');
+
+  const intent = classifyIntent(text);
+  const lang = detectLanguageAndDialect(text);
+  const browse = shouldBrowseWeb(text);
+  const out = {
+    intent: intent.intent,
+    intent_reason: intent.reason,
+    language: lang.language,
+    dialect: lang.dialect,
+    dialect_tokens: lang.dialectTokensFound,
+    browse: browse.shouldBrowse,
+    browse_reason: browse.reason,
+    search_query: reformulateQuery(text).query,
+  };
+  if (transformDialect) {
+    out.post_process = applyDialectPostProcess(text, transformDialect, { intensity: 1, explicit: true, confidence: 1 });
+  }
+  return out;
+}
+
+/**
+ * Run sample sentences through the classifiers with the live lexicon and
+ * with candidate entries for `name`, and report what changes. Synchronous,
+ * so the temporary override can't leak into a concurrent request.
+ *
+ * @param {string} name
+ * @param {Array} entries - normalised candidate entries
+ * @param {string[]} samples
+ * @returns {{ changed: number, results: Array<{ text, live, candidate, changed: string[] }> }}
+ */
+function previewLexicon(name, entries, samples) {
+  const def = registry.get(name);
+  if (!def) throw new Error(`Unknown lexicon: ${name}`);
+  // Transforms apply to replies, so post-process the sample itself for that dialect
+  const transformDialect = def.kind === 'transforms' ? def.dialect : null;
+
+  const results = samples.map(text => ({ text, live: analyse(text, transformDialect) }));
+  overrides = new Map([[name, compile(def.kind, entries)]]);
+  try {
+    for (const r of results) r.candidate = analyse(r.text, transformDialect);
+  } finally {
+    overrides = null;
+  }
+
+  let changed = 0;
+  for (const r of results) {
+    r.changed = Object.keys(r.live).filter(k => JSON.stringify(r.live[k]) !== JSON.stringify(r.candidate[k]));
+    if (r.changed.length > 0) changed++;
+  }
+  return { changed, results };
+}
+
+module.exports = {
+  registerLexicon,
+  getLexicon,
+  currentEntries,
+  lexiconKind,
+  normalizeEntries,
+  applyEdits,
+  diffEntries,
+  normalizeSamples,
+  loadLexicons,
+  syncLexicons,
+  startLexiconSync,
+  listLexicons,
+  getLexiconDetail,
+  getLexiconVersion,
+  saveLexiconVersion,
+  activateLexiconVersion,
+  previewLexicon,
+};
@@ -0,0 +1,610 @@
+/**
+ * Local Index — a crawled, full-text-searchable corpus for offline and
+ * intranet web research (the `local` search provider)
+ *
+ * Admins register sites (routes/local-index-admin.js). The crawler walks a
+ * site breadth-first from its start URL, staying on that URL's host and
+ * path, one request at a time:
+ *   - robots.txt is read at the start of every crawl (GetouchBot or * group,
+ *     Allow/Disallow with * and $, Crawl-delay). A missing robots.txt allows
+ *     everything; an unreachable one postpones the crawl.
+ *   - every URL must pass isUrlSafe with web_research.allowed_domains /
+ *     blocked_domains, like the pages fetched for answers. Redirects are
+ *     followed hop by hop: each hop must also pass isUrlSafe, stay in scope
+ *     and be allowed by robots.txt, and a page is stored under its final URL.
+ *     Every request (robots.txt, pages, hops) connects through the public
+ *     dispatcher, so a name resolving to a private address is refused too
+ *   - pages go through fetchAndExtract (main content, PDF/DOCX links), and
+ *     <meta name="robots"> noindex / nofollow are honoured
+ *
+ * Pages are stored in `local_index_pages` (migration 031) with a weighted
+ * tsvector (title A, text B) in the 'simple' configuration, since the corpus
+ * mixes Malay and English. Unchanged pages keep their row; pages no longer
+ * linked from the site, or answered without content (404, 410, empty), are
+ * dropped after a crawl that ran to completion. A page that failed to load
+ * (timeout, connection error, 429, 5xx) keeps its stored copy.
+ *
+ * Search OR-s the question's content words into a tsquery ranked by
+ * ts_rank_cd, so long questions still match. Results are flagged `indexed`:
+ * web research reads the stored page instead of fetching it again, and the
+ * assembled sources go through web_cache like any other provider's.
+ *
+ * The scheduler claims one due site at a time (next_crawl_at passed; the
+ * claim doubles as a lease, so a crashed crawl is retried) and sets the next
+ * crawl `recrawl_hours` later.
+ *
+ * Settings:
+ *   local_index.enabled            — run scheduled re-crawls (off by default)
+ *   local_index.max_pages_per_site — page budget when a site sets none
+ *   local_index.max_depth          — link depth when a site sets none
+ *   local_index.recrawl_hours      — re-crawl interval when a site sets none
+ *   local_index.crawl_delay_ms     — pause between requests (a longer Crawl-delay wins)
+ */
+
+const crypto = require('crypto');
+const { query } = require('./db');
+const { getSetting } = require('./settings');
+const { contentTokens } = require('./grounding');
+const {
+  USER_AGENT, fetchAndExtract, fetchWithSafeRedirects, isUrlSafe, loadDomainLists, normalizeUrl, readBodyCapped,
+} = require('./web-research');
+
+const ROBOTS_AGENT      = 'getouchbot';
+const DEFAULT_MAX_PAGES = 200;
+const DEFAULT_MAX_DEPTH = 3;
+const DEFAULT_RECRAWL   = 24;   // hours
+const DEFAULT_DELAY_MS  = 1000;
+const MAX_DELAY_MS      = 30_000;
+const MAX_QUEUE         = 5000;
+const MAX_QUERY_TERMS   = 16;
+const SNIPPET_CHARS     = 240;
+const FETCH_TIMEOUT_SEC = 15;
+const MAX_ROBOTS_BYTES  = 512 * 1024;  // the rest of a larger robots.txt is ignored
+const CRAWL_LEASE_HOURS = 6;    // a claimed site is retried after this if the crawl died
+const RETRY_MINUTES     = 60;   // after a failed crawl
+const SCHEDULER_MS      = 5 * 60 * 1000;
+
+/** Links the crawler never follows (assets and archives) */
+const SKIP_EXT_RE = /\.(?:png|jpe?g|gif|webp|svg|ico|bmp|css|js|mjs|json|xml|rss|atom|zip|gz|tgz|rar|7z|exe|dmg|msi|iso|mp3|mp4|m4a|wav|avi|mov|webm|woff2?|ttf|eot|xlsx?|pptx?|csv)$/i;
+
+class LocalIndexError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'LocalIndexError';
+    this.status = status;
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/* ── robots.txt ──────────────────────────────────────────── */
+
+/**
+ * Parse robots.txt into the rules for our crawler: the group(s) naming
+ * GetouchBot if there are any, else the `*` group(s).
+ * @param {string} text
+ * @returns {{ rules: { allow: boolean, path: string }[], crawlDelay: number }}
+ */
+function parseRobots(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const raw of String(text || '').split(/\r?\n/)) {
+    const line = raw.replace(/#.*$/, '').trim();
+    const m = /^([a-z-]+)\s*:\s*(.*)$/i.exec(line);
+    if (!m) continue;
+    const field = m[1].toLowerCase();
+    const value = m[2].trim();
+
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: 0 };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+    if ((field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay' && Number(value) > 0) {
+      current.crawlDelay = Number(value);
+    }
+  }
+
+  // Groups naming the same agent are merged; our own token beats `*`
+  let ours = groups.filter(g => g.agents.some(a => a.split('/')[0] === ROBOTS_AGENT));
+  if (ours.length === 0) ours = groups.filter(g => g.agents.includes('*'));
+  return {
+    rules: ours.flatMap(g => g.rules),
+    crawlDelay: Math.max(0, ...ours.map(g => g.crawlDelay)),
+  };
+}
+
+function robotsPattern(path) {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * May this path (with query string) be crawled? The longest matching rule
+ * wins; on a tie Allow wins.
+ * @param {{ rules: { allow: boolean, path: string }[] }} robots
+ * @param {string} path
+ * @returns {boolean}
+ */
+function robotsAllows(robots, path) {
+  let best = null;
+  for (const rule of robots.rules) {
+    if (!robotsPattern(rule.path).test(path)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
+
+async function fetchRobots(origin) {
+  const ac = new AbortController();
+  const tm = setTimeout(() => ac.abort(), FETCH_TIMEOUT_SEC * 1000);
+  try {
+    const fetched = await fetchWithSafeRedirects(`${origin}/robots.txt`, {
+      headers: { 'User-Agent': USER_AGENT },
+      signal: ac.signal,
+    });
+    if (!fetched) throw new Error('redirected to a disallowed address');
+    const { res } = fetched;
+    if (res.status >= 400 && res.status < 500) return { rules: [], crawlDelay: 0 };
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { bytes } = await readBodyCapped(res, MAX_ROBOTS_BYTES);
+    return parseRobots(bytes.toString('utf8'));
+  } catch (err) {
+    // fetch() reports connection failures as "fetch failed"; the cause says why
+    throw new LocalIndexError(`robots.txt unreachable (${err.cause?.message || err.message}) — crawl postponed`, 502);
+  } finally {
+    clearTimeout(tm);
+  }
+}
+
+/* ── Search ──────────────────────────────────────────────── */
+
+/**
+ * A tsquery OR-ing the content words of a question ('simple' configuration).
+ * Model codes are searched both split ("ron", "95") and whole ("ron95"),
+ * since Postgres keeps letter+digit words as one token. Tokens are letters,
+ * digits and dots only, quoted as lexemes.
+ * @param {string} text
+ * @returns {string} '' when nothing is searchable
+ */
+function toTsQuery(text) {
+  const codes = (String(text || '').normalize('NFKC').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(w => /\p{L}/u.test(w) && /\p{N}/u.test(w));
+  return [...new Set([...contentTokens(text), ...codes])]
+    .slice(0, MAX_QUERY_TERMS)
+    .map(t => `'${t}'`)
+    .join(' | ');
+}
+
+/**
+ * The passage of a page that mentions the most query words.
+ * @param {string} text
+ * @param {string} queryStr
+ * @returns {string}
+ */
+function bestSnippet(text, queryStr) {
+  const terms = new Set(contentTokens(queryStr));
+  let best = { hits: -1, passage: '' };
+  for (const passage of String(text || '').split(/\n+|(?<=[.!?])\s+/)) {
+    const words = new Set(contentTokens(passage));
+    const hits = [...terms].filter(t => words.has(t)).length;
+    if (hits > best.hits && passage.trim()) best = { hits, passage };
+  }
+  const clean = best.passage.replace(/^[#>\-|\s]+/, '').replace(/\s+/g, ' ').trim();
+  return clean.length > SNIPPET_CHARS ? clean.slice(0, SNIPPET_CHARS) + '…' : clean;
+}
+
+/**
+ * Search the local index — same result shape as the web providers, plus
+ * `indexed: true` so the stored page is used instead of a fetch.
+ * @param {string} queryStr
+ * @param {number} limit
+ * @returns {Promise<{title: string, url: string, snippet: string, indexed: true}[]>}
+ */
+async function searchLocalIndex(queryStr, limit = 6) {
+  const tsQuery = toTsQuery(queryStr);
+  if (!tsQuery) return [];
+  try {
+    const res = await query(
+      `SELECT url, title, text, ts_rank_cd(tsv, q) AS rank
+       FROM local_index_pages, to_tsquery('simple', $1) q
+       WHERE tsv @@ q
+       ORDER BY rank DESC, changed_at DESC
+       LIMIT $2`,
+      [tsQuery, limit]
+    );
+    return res.rows.map(r => ({ title: r.title, url: r.url, snippet: bestSnippet(r.text, queryStr), indexed: true }));
+  } catch (err) {
+    throw new Error(`Local index search failed: ${err.message}`);
+  }
+}
+
+/**
+ * Stored copies of indexed pages, in fetchAndExtract's shape.
+ * @param {string[]} urls
+ * @returns {Promise<{url: string, title: string, text: string, format?: string, products?: object[]}[]>}
+ */
+async function getIndexedPages(urls) {
+  if (urls.length === 0) return [];
+  try {
+    const res = await query(
+      'SELECT url, title, text, format, products FROM local_index_pages WHERE url = ANY($1)',
+      [urls]
+    );
+    return res.rows.map(r => ({
+      url: r.url,
+      title: r.title,
+      text: r.text,
+      ...(r.format ? { format: r.format } : {}),
+      ...(r.products?.length ? { products: r.products } : {}),
+    }));
+  } catch (err) {
+    console.error('[local-index] Page lookup failed:', err.message);
+    return [];
+  }
+}
+
+/* ── Sites ───────────────────────────────────────────────── */
+
+const SITE_COLUMNS = `id, start_url, label, max_pages, max_depth, recrawl_hours, enabled, status, last_error,
+  pages_count, last_crawled_at, next_crawl_at, created_by, created_at`;
+
+function checkLimit(value, name, max) {
+  if (value === undefined || value === null) return null;
+  if (!Number.isInteger(value) || value < 1 || value > max) {
+    throw new LocalIndexError(`${name} must be an integer between 1 and ${max}`);
+  }
+  return value;
+}
+
+async function listSites() {
+  const res = await query(`SELECT ${SITE_COLUMNS} FROM local_index_sites ORDER BY created_at`);
+  return res.rows;
+}
+
+async function getSite(id) {
+  const res = await query(`SELECT ${SITE_COLUMNS} FROM local_index_sites WHERE id = $1`, [id]);
+  return res.rows[0] || null;
+}
+
+/**
+ * Register a site; its first crawl is due immediately.
+ * @param {{ startUrl: string, label?: string, maxPages?: number, maxDepth?: number, recrawlHours?: number }} site
+ * @param {string} createdBy
+ */
+async function createSite({ startUrl, label, maxPages, maxDepth, recrawlHours }, createdBy) {
+  let url;
+  try {
+    url = new URL(startUrl);
+  } catch {
+    throw new LocalIndexError('start_url must be an absolute http(s) URL');
+  }
+  url.hash = '';
+  const { allowedDomains, blockedDomains } = await loadDomainLists();
+  if (!isUrlSafe(url.href, allowedDomains, blockedDomains)) {
+    throw new LocalIndexError('start_url is not allowed (private address, or outside web_research allowed/blocked domains)');
+  }
+  if (label !== undefined && label !== null && (typeof label !== 'string' || label.length > 128)) {
+    throw new LocalIndexError('label must be a string (max 128 chars)');
+  }
+
+  try {
+    const res = await query(
+      `INSERT INTO local_index_sites (start_url, label, max_pages, max_depth, recrawl_hours, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${SITE_COLUMNS}`,
+      [url.href, label || null, checkLimit(maxPages, 'max_pages', 10000), checkLimit(maxDepth, 'max_depth', 10),
+       checkLimit(recrawlHours, 'recrawl_hours', 24 * 30), createdBy]
+    );
+    return res.rows[0];
+  } catch (err) {
+    if (err.code === '23505') throw new LocalIndexError('Site already registered', 409);
+    throw err;
+  }
+}
+
+/**
+ * Update a site's label, limits or enabled flag.
+ * @returns {Promise<object|null>} null when the site does not exist
+ */
+async function updateSite(id, { label, maxPages, maxDepth, recrawlHours, enabled }) {
+  const sets = [];
+  const params = [id];
+  const set = (column, value) => { params.push(value); sets.push(`${column} = $${params.length}`); };
+
+  if (label !== undefined) {
+    if (label !== null && (typeof label !== 'string' || label.length > 128)) {
+      throw new LocalIndexError('label must be a string (max 128 chars)');
+    }
+    set('label', label || null);
+  }
+  if (maxPages !== undefined) set('max_pages', checkLimit(maxPages, 'max_pages', 10000));
+  if (maxDepth !== undefined) set('max_depth', checkLimit(maxDepth, 'max_depth', 10));
+  if (recrawlHours !== undefined) set('recrawl_hours', checkLimit(recrawlHours, 'recrawl_hours', 24 * 30));
+  if (enabled !== undefined) {
+    if (typeof enabled !== 'boolean') throw new LocalIndexError('enabled must be boolean');
+    set('enabled', enabled);
+  }
+  if (sets.length === 0) throw new LocalIndexError('Nothing to update');
+
+  const res = await query(
+    `UPDATE local_index_sites SET ${sets.join(', ')} WHERE id = $1 RETURNING ${SITE_COLUMNS}`,
+    params
+  );
+  return res.rows[0] || null;
+}
+
+/** Delete a site and its pages. */
+async function deleteSite(id) {
+  const res = await query('DELETE FROM local_index_sites WHERE id = $1', [id]);
+  return res.rowCount > 0;
+}
+
+async function listPages(siteId, limit = 100) {
+  const res = await query(
+    `SELECT url, title, format, length(text) AS chars, crawled_at, changed_at
+     FROM local_index_pages WHERE site_id = $1
+     ORDER BY url LIMIT $2`,
+    [siteId, limit]
+  );
+  return res.rows;
+}
+
+/* ── Crawler ─────────────────────────────────────────────── */
+
+async function crawlConfig(site) {
+  const [maxPages, maxDepth, recrawlHours, delayMs] = await Promise.all([
+    getSetting('local_index.max_pages_per_site', DEFAULT_MAX_PAGES),
+    getSetting('local_index.max_depth', DEFAULT_MAX_DEPTH),
+    getSetting('local_index.recrawl_hours', DEFAULT_RECRAWL),
+    getSetting('local_index.crawl_delay_ms', DEFAULT_DELAY_MS),
+  ]);
+  return {
+    maxPages:     site.max_pages || parseInt(maxPages, 10) || DEFAULT_MAX_PAGES,
+    maxDepth:     site.max_depth ?? (parseInt(maxDepth, 10) || DEFAULT_MAX_DEPTH),
+    recrawlHours: site.recrawl_hours || Number(recrawlHours) || DEFAULT_RECRAWL,
+    delayMs:      Number(delayMs) >= 0 ? Number(delayMs) : DEFAULT_DELAY_MS,
+  };
+}
+
+/** URLs under the start URL's host and directory. */
+function crawlScope(startUrl) {
+  const start = new URL(startUrl);
+  const dir = start.pathname.slice(0, start.pathname.lastIndexOf('/') + 1);
+  return (url) => {
+    try {
+      const u = new URL(url);
+      return u.host === start.host && u.pathname.startsWith(dir) && !SKIP_EXT_RE.test(u.pathname);
+    } catch {
+      return false;
+    }
+  };
+}
+
+/**
+ * Store a crawled page. Returns 'unchanged' when the content hash matches
+ * the stored row (only crawled_at moves), 'stored' otherwise.
+ */
+async function storePage(siteId, page) {
+  const hash = crypto.createHash('sha256').update(`${page.title}\n${page.text}`).digest('hex');
+  const touched = await query(
+    'UPDATE local_index_pages SET crawled_at = NOW(), site_id = $2 WHERE url = $1 AND content_hash = $3',
+    [page.url, siteId, hash]
+  );
+  if (touched.rowCount > 0) return 'unchanged';
+
+  await query(
+    `INSERT INTO local_index_pages (site_id, url, title, text, format, products, content_hash)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (url) DO UPDATE
+       SET site_id = $1, title = $3, text = $4, format = $5, products = $6, content_hash = $7,
+           crawled_at = NOW(), changed_at = NOW()`,
+    [siteId, page.url, page.title.slice(0, 500), page.text, page.format || null,
+     page.products ? JSON.stringify(page.products) : null, hash]
+  );
+  return 'stored';
+}
+
+/**
+ * Crawl one site and record the outcome on its row.
+ * @param {object} site - a local_index_sites row
+ * @returns {Promise<{ fetched: number, stored: number, unchanged: number, skipped: number, failed: number,
+ *   removed: number, complete: boolean }>}
+ */
+async function crawlSite(site) {
+  const startedAt = new Date();
+  const stats = { fetched: 0, stored: 0, unchanged: 0, skipped: 0, failed: 0, removed: 0, complete: false };
+  const cfg = await crawlConfig(site);
+
+  try {
+    const { allowedDomains, blockedDomains } = await loadDomainLists();
+    const inScope = crawlScope(site.start_url);
+    const robots = await fetchRobots(new URL(site.start_url).origin);
+    const delay = Math.min(Math.max(cfg.delayMs, robots.crawlDelay * 1000), MAX_DELAY_MS);
+
+    const queue = [{ url: site.start_url, depth: 0 }];
+    const seen = new Set([normalizeUrl(site.start_url)]);
+    const failed = [];  // not confirmed gone: their stored copies survive the clean-up
+    while (queue.length > 0 && stats.fetched < cfg.maxPages) {
+      const { url, depth } = queue.shift();
+      const u = new URL(url);
+      if (!isUrlSafe(url, allowedDomains, blockedDomains) || !robotsAllows(robots, u.pathname + u.search)) {
+        stats.skipped++;
+        continue;
+      }
+
+      if (stats.fetched > 0) await sleep(delay);
+      // Redirects must stay in scope and allowed by robots.txt; the page is stored under its final URL
+      let status = null;
+      const page = await fetchAndExtract(url, FETCH_TIMEOUT_SEC, {
+        withLinks: true,
+        allowRedirect: (hop) => {
+          const h = new URL(hop);
+          return inScope(hop) && robotsAllows(robots, h.pathname + h.search);
+        },
+        onStatus: (s) => { status = s; },
+      });
+      stats.fetched++;
+      if (!page && depth === 0) throw new LocalIndexError('Start page could not be fetched — crawl postponed', 502);
+      if (!page) {
+        if (status === null || status === 429 || status >= 500) {
+          failed.push(url);
+          stats.failed++;
+        }
+        continue;
+      }
+      const finalKey = normalizeUrl(page.url);
+      if (finalKey !== normalizeUrl(url)) {
+        if (seen.has(finalKey)) continue;  // a redirect to a page this crawl already has
+        seen.add(finalKey);
+      }
+
+      if (!page.robots?.noindex) stats[await storePage(site.id, page)]++;
+      if (depth >= cfg.maxDepth || page.robots?.nofollow) continue;
+      for (const link of page.links || []) {
+        const key = normalizeUrl(link);
+        if (!key || seen.has(key) || !inScope(link) || queue.length >= MAX_QUEUE) continue;
+        seen.add(key);
+        queue.push({ url: link, depth: depth + 1 });
+      }
+    }
+
+    // Only a crawl that saw the whole site can tell which pages are gone
+    stats.complete = queue.length === 0;
+    if (stats.complete) {
+      const removed = await query(
+        'DELETE FROM local_index_pages WHERE site_id = $1 AND crawled_at < $2 AND url <> ALL($3::text[])',
+        [site.id, startedAt, failed]
+      );
+      stats.removed = removed.rowCount;
+    }
+
+    await query(
+      `UPDATE local_index_sites
+       SET status = 'ok', last_error = NULL, last_crawled_at = NOW(),
+           pages_count = (SELECT COUNT(*) FROM local_index_pages WHERE site_id = $1),
+           next_crawl_at = NOW() + INTERVAL '1 hour' * $2
+       WHERE id = $1`,
+      [site.id, cfg.recrawlHours]
+    );
+    console.log(`[local-index] Crawled ${site.start_url}:`, JSON.stringify(stats));
+    return stats;
+  } catch (err) {
+    console.error(`[local-index] Crawl failed for ${site.start_url}:`, err.message);
+    await query(
+      `UPDATE local_index_sites
+       SET status = 'error', last_error = $2, next_crawl_at = NOW() + INTERVAL '1 minute' * $3
+       WHERE id = $1`,
+      [site.id, err.message.slice(0, 500), RETRY_MINUTES]
+    ).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Claim a site for crawling: a specific one, or the most overdue enabled
+ * one. The claim pushes next_crawl_at out by the lease so other app
+ * instances skip it.
+ * @param {number} [id]
+ * @returns {Promise<object|null>}
+ */
+async function claimSite(id) {
+  const where = id ? `id = $2 AND status <> 'crawling'` : 'enabled AND next_crawl_at <= NOW()';
+  const res = await query(
+    `UPDATE local_index_sites SET status = 'crawling', next_crawl_at = NOW() + INTERVAL '1 hour' * $1
+     WHERE id = (
+       SELECT id FROM local_index_sites
+       WHERE ${where}
+       ORDER BY next_crawl_at
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING ${SITE_COLUMNS}`,
+    id ? [CRAWL_LEASE_HOURS, id] : [CRAWL_LEASE_HOURS]
+  );
+  return res.rows[0] || null;
+}
+
+/**
+ * Start a crawl of one site now (admin "crawl now"). Runs in the background.
+ * @returns {Promise<boolean>} false when the site is missing or already crawling
+ */
+async function requestCrawl(id) {
+  const site = await claimSite(id);
+  if (!site) return false;
+  crawlSite(site).catch(() => {});
+  return true;
+}
+
+/* ── Scheduler ───────────────────────────────────────────── */
+
+let schedulerTimer = null;
+let crawling = false;
+
+/** Crawl due sites one after another (when local_index.enabled). */
+async function runDueCrawls() {
+  if (crawling) return;
+  crawling = true;
+  try {
+    const enabled = await getSetting('local_index.enabled', false);
+    if (enabled !== true && enabled !== 'true') return;
+    let site;
+    while ((site = await claimSite()) !== null) {
+      await crawlSite(site).catch(() => {});
+    }
+  } catch (err) {
+    console.error('[local-index] Scheduler error:', err.message);
+  } finally {
+    crawling = false;
+  }
+}
+
+function startCrawler() {
+  if (schedulerTimer) return;
+  runDueCrawls();
+  schedulerTimer = setInterval(runDueCrawls, SCHEDULER_MS);
+  schedulerTimer.unref();
+}
+
+function stopCrawler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+module.exports = {
+  LocalIndexError,
+  parseRobots,
+  robotsAllows,
+  toTsQuery,
+  bestSnippet,
+  searchLocalIndex,
+  getIndexedPages,
+  listSites,
+  getSite,
+  createSite,
+  updateSite,
+  deleteSite,
+  listPages,
+  crawlSite,
+  requestCrawl,
+  startCrawler,
+  stopCrawler,
+};
@@ -0,0 +1,247 @@
+/**
+ * Model Router — per-route model chains with health-aware fallback
+ *
+ * Chains come from `ai.model_chains`, an object keyed by route type plus
+ * VISION and DEFAULT:
+ *
+ *   { "WEB_RESEARCH": ["qwen2.5:14b-instruct", "llama3.1:8b"],
+ *     "VISION": ["qwen2.5vl:32b", "llava:13b"] }
+ *
+ * A model the caller asked for goes first; `ai.default_text_model` /
+ * `ai.default_vision_model` always close the chain.
+ *
+ * Model health comes from the backend pool (lib/ollama-pool.js), which probes
+ * every Ollama backend's /api/tags and /api/ps. Chains drop models that no
+ * backend has installed, put models already loaded somewhere first when
+ * `ai.prefer_loaded_models` is on, and push models that just failed to the
+ * back for FAILURE_COOLDOWN_MS.
+ *
+ * openChatStream() tries the chain in order until one model starts
+ * streaming: network errors, 5xx, "model not found"/"loading" answers and
+ * no first chunk within `ai.model_attempt_timeout_ms` move on to the next
+ * model. Each model is tried on the pool's backends in pool order
+ * before moving on; every attempt first waits for a slot from the inference
+ * scheduler, and the first-chunk budget starts once it has one. Once a chunk has arrived there is no fallback — tokens
+ * are already on their way to the client.
+ */
+
+const { getSetting } = require('./settings');
+const { acquireSlot } = require('./inference-scheduler');
+const {
+  markBackendFailed, markBackendOk, startPoolProbe, installedModels, loadedModels, getPoolStatus,
+} = require('./ollama-pool');
+
+const FAILURE_COOLDOWN_MS = 60_000;
+const DEFAULT_ATTEMPT_MS  = 30_000;
+const MAX_CHAIN           = 5;
+
+/** model → timestamp of its last failure (on every backend tried) */
+const failures = new Map();
+
+/* ── Health ──────────────────────────────────────────────── */
+
+/** Pool view used to order chains: null sets mean "unknown". */
+function poolState() {
+  return { installed: installedModels(), loaded: loadedModels(), failures };
+}
+
+/** Snapshot for health checks and /v1/chat/models. */
+function getModelHealth() {
+  const now = Date.now();
+  const { installed, loaded } = poolState();
+  return {
+    installed: installed ? [...installed] : null,
+    loaded: loaded ? [...loaded] : null,
+    backends: getPoolStatus(),
+    coolingDown: [...failures].filter(([, at]) => now - at < FAILURE_COOLDOWN_MS).map(([m]) => m),
+  };
+}
+
+function markModelFailed(model) {
+  failures.set(model, Date.now());
+}
+
+function markModelOk(model) {
+  failures.delete(model);
+}
+
+/* ── Chains ──────────────────────────────────────────────── */
+
+/**
+ * Order a chain by health. Unknown health keeps the configured order.
+ *
+ * @param {string[]} chain
+ * @param {{ preferLoaded?: boolean, state?: object, now?: number }} [opts] - `state` overrides the probe (tests)
+ * @returns {string[]}
+ */
+function orderChain(chain, { preferLoaded = true, state = poolState(), now = Date.now() } = {}) {
+  let models = [...new Set(chain.filter(m => typeof m === 'string' && m))];
+  if (state.installed) {
+    const installed = models.filter(m => state.installed.has(m));
+    if (installed.length > 0) models = installed;
+  }
+  const rank = (m) => {
+    const failedAt = (state.failures || failures).get(m);
+    if (failedAt && now - failedAt < FAILURE_COOLDOWN_MS) return 2;
+    if (preferLoaded && state.loaded && state.loaded.has(m)) return 0;
+    return 1;
+  };
+  // Array.prototype.sort is stable, so configured order survives within a rank
+  return models.map((m, i) => ({ m, i, r: rank(m) })).sort((a, b) => a.r - b.r || a.i - b.i).map(x => x.m);
+}
+
+/**
+ * Resolve the ordered model chain for a request.
+ *
+ * @param {{ routeType: string, needsVision?: boolean, requested?: string }} params
+ * @returns {Promise<string[]>}
+ */
+async function resolveModelChain({ routeType, needsVision = false, requested }) {
+  const [chains, defaultText, defaultVision, preferLoaded] = await Promise.all([
+    getSetting('ai.model_chains', {}),
+    getSetting('ai.default_text_model', 'llama3.1:8b'),
+    getSetting('ai.default_vision_model', 'qwen2.5vl:32b'),
+    getSetting('ai.prefer_loaded_models', true),
+  ]);
+  const table = chains && typeof chains === 'object' ? chains : {};
+  const configured = needsVision
+    ? (table.VISION || [])
+    : (table[routeType] || table.DEFAULT || []);
+  const chain = [
+    ...(requested ? [requested] : []),
+    ...configured,
+    needsVision ? defaultVision : defaultText,
+  ].slice(0, MAX_CHAIN + 1);
+
+  startPoolProbe();
+  const ordered = orderChain(chain, { preferLoaded: preferLoaded === true || preferLoaded === 'true' });
+  // An explicitly requested model is honoured first unless it is cooling down
+  if (requested && ordered[0] !== requested && ordered.includes(requested) && !getModelHealth().coolingDown.includes(requested)) {
+    return [requested, ...ordered.filter(m => m !== requested)];
+  }
+  return ordered;
+}
+
+/* ── Streaming with fallback ─────────────────────────────── */
+
+/** Should this Ollama answer move on to the next model? */
+function isFallbackError(status, text = '') {
+  if (status >= 500 || status === 404) return true;
+  return /loading|not found|no such model|pull the model|out of memory|unavailable/i.test(text);
+}
+
+/**
+ * Hold a backend slot until the stream ends, errors or is cancelled.
+ */
+function releasingReader(reader, release) {
+  return {
+    async read() {
+      try {
+        const chunk = await reader.read();
+        if (chunk.done) release();
+        return chunk;
+      } catch (err) {
+        release();
+        throw err;
+      }
+    },
+    cancel(reason) {
+      release();
+      return reader.cancel(reason);
+    },
+  };
+}
+
+/**
+ * Start an Ollama /api/chat stream, falling back along the chain.
+ *
+ * @param {object}   params
+ * @param {string[]} params.chain     - ordered models (resolveModelChain)
+ * @param {object}   params.body      - request body without `model`
+ * @param {AbortSignal} params.signal - caller's abort (client disconnect / global timeout)
+ * @param {number}   [params.timeoutMs] - first-chunk budget per attempt
+ * @param {number}   [params.priority]  - scheduler priority (PRIORITY in lib/inference-scheduler.js)
+ * @param {(position: number) => void} [params.onQueued] - queue position while waiting for a slot
+ * @returns {Promise<{ ok: true, model: string, backend: string, reader: object, first: Uint8Array|null, attempts: object[], queuedMs: number }
+ *                  |{ ok: false, status: number, errText: string, model: string, attempts: object[] }>}
+ *   `attempts` lists the model/backend pairs that were skipped, with the reason
+ * @throws {SchedulerError} when the queue is full or the wait for a slot times out
+ */
+async function openChatStream({ chain, body, signal, timeoutMs, priority, onQueued }) {
+  const budget = Number(timeoutMs || await getSetting('ai.model_attempt_timeout_ms', DEFAULT_ATTEMPT_MS)) || DEFAULT_ATTEMPT_MS;
+  const attempts = [];
+  let queuedMs = 0;
+  let last = { status: 503, errText: 'no model available', model: chain[0] };
+
+  for (const model of chain) {
+    const tried = [];
+    let slot;
+    while ((slot = await acquireSlot({ model, priority, exclude: tried, signal, onQueued }))) {
+      const { backend, release } = slot;
+      queuedMs += slot.waitedMs;
+      tried.push(backend.name);
+      const attemptAc = new AbortController();
+      const onAbort = () => attemptAc.abort();
+      signal?.addEventListener('abort', onAbort, { once: true });
+      let timedOut = false;
+      const timer = setTimeout(() => { timedOut = true; attemptAc.abort(); }, budget);
+      const started = Date.now();
+      let streaming = false;
+      const skip = (reason) => attempts.push({ model, backend: backend.name, reason, ms: Date.now() - started });
+
+      try {
+        const res = await fetch(`${backend.url}/api/chat`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ...body, model }),
+          signal: attemptAc.signal,
+        });
+        if (!res.ok) {
+          const errText = await res.text().catch(() => '');
+          last = { status: res.status, errText, model };
+          if (!isFallbackError(res.status, errText)) return { ok: false, ...last, attempts };
+          // 5xx is the backend's fault; "model not found/loading" is about the model
+          if (res.status >= 500) markBackendFailed(backend, `HTTP ${res.status}`);
+          skip(`http_${res.status}`);
+          continue;
+        }
+        const reader = res.body.getReader();
+        const { done, value } = await reader.read();
+        markModelOk(model);
+        markBackendOk(backend);
+        streaming = true;  // keep forwarding the caller's abort to the open stream
+        if (done) release();
+        return {
+          ok: true, model, backend: backend.name,
+          reader: releasingReader(reader, release), first: done ? null : value, attempts, queuedMs,
+        };
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        markBackendFailed(backend, timedOut ? 'timeout' : err.message);
+        skip(timedOut ? 'timeout' : 'network');
+        last = { status: timedOut ? 504 : 502, errText: err.message, model };
+      } finally {
+        clearTimeout(timer);
+        if (!streaming) {
+          signal?.removeEventListener('abort', onAbort);
+          release();
+        }
+      }
+    }
+    if (tried.length === 0) {
+      attempts.push({ model, backend: null, reason: 'no_backend', ms: 0 });
+    } else {
+      markModelFailed(model);
+    }
+  }
+  return { ok: false, ...last, attempts };
+}
+
+module.exports = {
+  resolveModelChain,
+  orderChain,
+  openChatStream,
+  isFallbackError,
+  getModelHealth,
+  markModelFailed,
+};
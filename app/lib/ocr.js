@@ -0,0 +1,160 @@
+/**
+ * Local OCR (tesseract.js) for scanned PDFs and document images
+ *
+ * document-ingestion.js renders scanned PDF pages to PNG; this module reads
+ * them back as text with per-page confidence so the text model can answer
+ * instead of the (slow, large) vision model. Callers decide what "confident
+ * enough" means — see `ocr.min_confidence`.
+ *
+ *   const { recognizeImages } = require('./ocr');
+ *   const ocr = await recognizeImages([pngBuf1, pngBuf2]);
+ *   // → { pages: [{ page, text, confidence }], confidence, languages, durationMs }
+ *
+ * Language data: OCR_LANGS (default 'eng+msa'). Traineddata is read from
+ * OCR_LANG_PATH when set, otherwise from the bundled @tesseract.js-data/<lang>
+ * packages — never from the CDN, so OCR works offline.
+ *
+ * One worker is shared and recognises pages one at a time; it is shut down
+ * after OCR_IDLE_MS without work.
+ */
+
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const OCR_LANGS       = (process.env.OCR_LANGS || 'eng+msa').split('+').map(l => l.trim()).filter(Boolean);
+const OCR_LANG_PATH   = process.env.OCR_LANG_PATH || null;
+const OCR_PAGE_TIMEOUT = parseInt(process.env.OCR_PAGE_TIMEOUT_MS || '60000', 10);
+const OCR_IDLE_MS     = parseInt(process.env.OCR_IDLE_MS || '300000', 10);
+
+/* ── Lazy-loaded worker ──────────────────────────────────── */
+let tesseract;
+let workerPromise = null;
+let idleTimer = null;
+let queue = Promise.resolve();
+
+function loadTesseract() { if (!tesseract) tesseract = require('tesseract.js'); return tesseract; }
+
+/**
+ * Directory holding `<lang>.traineddata.gz` for every OCR language. Without
+ * OCR_LANG_PATH the bundled data packages (one directory per language) are
+ * linked into a single temp directory, since tesseract.js takes one langPath.
+ */
+function resolveLangPath() {
+  if (OCR_LANG_PATH) return OCR_LANG_PATH;
+  const dir = path.join(os.tmpdir(), 'getouch-ocr-lang');
+  fs.mkdirSync(dir, { recursive: true });
+  for (const code of OCR_LANGS) {
+    const target = path.join(dir, `${code}.traineddata.gz`);
+    if (fs.existsSync(target)) continue;
+    const pkgDir = path.dirname(require.resolve(`@tesseract.js-data/${code}/package.json`));
+    fs.symlinkSync(path.join(pkgDir, '4.0.0_best_int', `${code}.traineddata.gz`), target);
+  }
+  return dir;
+}
+
+function getWorker() {
+  if (!workerPromise) {
+    const { createWorker, OEM } = loadTesseract();
+    workerPromise = Promise.resolve()
+      .then(() => createWorker(OCR_LANGS, OEM.LSTM_ONLY, {
+        langPath: resolveLangPath(),
+        cacheMethod: 'none',
+        errorHandler: err => console.error('[ocr] Worker error:', err && err.message ? err.message : err),
+      }))
+      .catch(err => {
+        workerPromise = null;
+        throw err;
+      });
+  }
+  return workerPromise;
+}
+
+async function shutdownOcr() {
+  if (idleTimer) { clearTimeout(idleTimer); idleTimer = null; }
+  const pending = workerPromise;
+  workerPromise = null;
+  if (pending) {
+    try { await (await pending).terminate(); } catch {}
+  }
+}
+
+function scheduleIdleShutdown() {
+  if (idleTimer) clearTimeout(idleTimer);
+  idleTimer = setTimeout(() => { shutdownOcr(); }, OCR_IDLE_MS);
+  idleTimer.unref();
+}
+
+/** Recognise one image; a stuck page kills the worker so the next call starts fresh. */
+async function recognizeOne(buf) {
+  const worker = await getWorker();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`OCR timed out after ${OCR_PAGE_TIMEOUT}ms`)), OCR_PAGE_TIMEOUT);
+  });
+  try {
+    const { data } = await Promise.race([worker.recognize(buf), timeout]);
+    return { text: (data.text || '').trim(), confidence: Math.round(data.confidence || 0) };
+  } catch (err) {
+    await shutdownOcr();
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Overall confidence: mean of page confidences weighted by recognised text
+ * length, so a near-empty page (cover, blank back side) can't drag a clean
+ * document down to the vision model.
+ *
+ * @param {Array<{ text: string, confidence: number }>} pages
+ * @returns {number} 0–100
+ */
+function overallConfidence(pages) {
+  let chars = 0, weighted = 0;
+  for (const p of pages) {
+    const n = (p.text || '').length;
+    chars += n;
+    weighted += n * p.confidence;
+  }
+  return chars > 0 ? Math.round(weighted / chars) : 0;
+}
+
+/**
+ * OCR a list of page images in order.
+ *
+ * @param {Buffer[]} images - PNG/JPEG/WebP buffers
+ * @returns {Promise<{ pages: Array<{ page: number, text: string, confidence: number }>,
+ *   confidence: number, languages: string, durationMs: number }>}
+ */
+function recognizeImages(images) {
+  const run = async () => {
+    const start = Date.now();
+    const pages = [];
+    try {
+      for (let i = 0; i < images.length; i++) {
+        const { text, confidence } = await recognizeOne(images[i]);
+        pages.push({ page: i + 1, text, confidence });
+      }
+    } finally {
+      scheduleIdleShutdown();
+    }
+    return {
+      pages,
+      confidence: overallConfidence(pages),
+      languages: OCR_LANGS.join('+'),
+      durationMs: Date.now() - start,
+    };
+  };
+  // One document at a time through the shared worker
+  const result = queue.then(run, run);
+  queue = result.catch(() => {});
+  return result;
+}
+
+module.exports = {
+  recognizeImages,
+  overallConfidence,
+  shutdownOcr,
+};
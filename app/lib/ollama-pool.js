@@ -0,0 +1,356 @@
+/**
+ * Ollama Pool — several Ollama backends behind one picker
+ *
+ * Backends come from OLLAMA_BACKENDS, a comma list of `name=url`:
+ *
+ *   OLLAMA_BACKENDS=gpu1=http://ollama:11434,gpu2=http://10.0.0.12:11434
+ *
+ * or a JSON array when a backend should only serve some models:
+ *
+ *   [{ "name": "gpu2", "url": "http://10.0.0.12:11434", "models": ["qwen2.5:14b-instruct"],
+ *      "max_concurrent": 4 }]
+ *
+ * `max_concurrent` caps generations on the whole backend; the scheduler
+ * (lib/inference-scheduler.js) enforces it together with per-model caps.
+ *
+ * Without it the pool is the single OLLAMA_HOST:OLLAMA_PORT backend.
+ *
+ * Each backend's /api/tags (installed) and /api/ps (in memory) are probed
+ * every PROBE_INTERVAL_MS. pickBackend(model) takes healthy backends that
+ * serve the model, preferring ones that already have it loaded, then the
+ * fewest in-flight requests. FAIL_THRESHOLD consecutive failures (probe or
+ * request) mark a backend unhealthy for UNHEALTHY_MS; a success clears it.
+ *
+ * Streamed generations take a scheduler slot (lib/model-router.js); one-shot
+ * calls (intent, summaries, extraction, embeddings) go through postToPool.
+ */
+
+const OLLAMA_HOST = process.env.OLLAMA_HOST || 'ollama';
+const OLLAMA_PORT = process.env.OLLAMA_PORT || '11434';
+const OLLAMA_URL  = `http://${OLLAMA_HOST}:${OLLAMA_PORT}`;
+
+const PROBE_INTERVAL_MS = 30_000;
+const PROBE_TIMEOUT_MS  = 5_000;
+const FAIL_THRESHOLD    = 3;
+const UNHEALTHY_MS      = 30_000;
+
+/**
+ * Parse OLLAMA_BACKENDS.
+ *
+ * @param {string} [spec]
+ * @param {string} [fallbackUrl] - used when spec is empty
+ * @returns {{ name: string, url: string, models: string[]|null, maxConcurrent: number|null }[]}
+ */
+function parseBackends(spec, fallbackUrl = OLLAMA_URL) {
+  const text = (spec || '').trim();
+  let entries;
+  if (text.startsWith('[')) {
+    try {
+      entries = JSON.parse(text);
+    } catch (err) {
+      console.error('[ollama-pool] OLLAMA_BACKENDS is not valid JSON:', err.message);
+      entries = [];
+    }
+  } else {
+    entries = text.split(',').map(s => s.trim()).filter(Boolean).map((item, i) => {
+      const eq = item.indexOf('=');
+      return eq > 0 && !item.slice(0, eq).includes('/')
+        ? { name: item.slice(0, eq), url: item.slice(eq + 1) }
+        : { name: `ollama-${i + 1}`, url: item };
+    });
+  }
+
+  const backends = [];
+  for (const [i, e] of (Array.isArray(entries) ? entries : []).entries()) {
+    if (!e || typeof e.url !== 'string' || !/^https?:\/\//.test(e.url)) {
+      console.error(`[ollama-pool] Skipping backend ${i + 1}: url must start with http:// or https://`);
+      continue;
+    }
+    const name = typeof e.name === 'string' && e.name ? e.name : `ollama-${i + 1}`;
+    if (backends.some(b => b.name === name)) {
+      console.error(`[ollama-pool] Skipping duplicate backend name: ${name}`);
+      continue;
+    }
+    backends.push({
+      name,
+      url: e.url.replace(/\/+$/, ''),
+      models: Array.isArray(e.models) ? e.models.filter(m => typeof m === 'string' && m) : null,
+      maxConcurrent: Number.isInteger(e.max_concurrent) && e.max_concurrent > 0 ? e.max_concurrent : null,
+    });
+  }
+  return backends.length > 0 ? backends : [{ name: 'ollama', url: fallbackUrl, models: null, maxConcurrent: null }];
+}
+
+function createBackend({ name, url, models, maxConcurrent = null }) {
+  return {
+    name,
+    url,
+    declared: models ? new Set(models) : null,  // configured models, else whatever /api/tags lists
+    maxConcurrent,
+    installed: null,                            // Set<string> from /api/tags (null = unknown)
+    loaded: null,                               // Set<string> from /api/ps
+    inflight: 0,
+    failures: 0,                                // consecutive
+    unhealthyUntil: 0,
+    lastError: null,
+    probedAt: 0,
+    latencyMs: null,
+  };
+}
+
+const backends = parseBackends(process.env.OLLAMA_BACKENDS).map(createBackend);
+let probeTimer = null;
+let probing = null;
+
+/* ── Health ──────────────────────────────────────────────── */
+
+function isHealthy(backend, now = Date.now()) {
+  return backend.unhealthyUntil <= now;
+}
+
+function markBackendFailed(backend, message) {
+  backend.failures++;
+  backend.lastError = message || 'error';
+  if (backend.failures >= FAIL_THRESHOLD && isHealthy(backend)) {
+    backend.unhealthyUntil = Date.now() + UNHEALTHY_MS;
+    console.error(`[ollama-pool] ${backend.name} marked unhealthy after ${backend.failures} failures: ${backend.lastError}`);
+  }
+}
+
+function markBackendOk(backend) {
+  if (!isHealthy(backend)) console.log(`[ollama-pool] ${backend.name} healthy again`);
+  backend.failures = 0;
+  backend.unhealthyUntil = 0;
+  backend.lastError = null;
+}
+
+async function fetchModelNames(backend, path) {
+  const res = await fetch(`${backend.url}${path}`, { signal: AbortSignal.timeout(PROBE_TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`${path} HTTP ${res.status}`);
+  const data = await res.json();
+  return new Set((data.models || []).map(m => m.name || m.model).filter(Boolean));
+}
+
+async function probeBackend(backend) {
+  const t0 = Date.now();
+  try {
+    const [installed, loaded] = await Promise.all([fetchModelNames(backend, '/api/tags'), fetchModelNames(backend, '/api/ps')]);
+    backend.installed = installed;
+    backend.loaded = loaded;
+    backend.latencyMs = Date.now() - t0;
+    markBackendOk(backend);
+  } catch (err) {
+    backend.installed = null;
+    backend.loaded = null;
+    backend.latencyMs = null;
+    // An unreachable backend goes straight out of rotation
+    backend.failures = Math.max(backend.failures, FAIL_THRESHOLD - 1);
+    markBackendFailed(backend, err.message);
+  } finally {
+    backend.probedAt = Date.now();
+  }
+}
+
+/**
+ * Probe every backend. Concurrent callers share one round.
+ * @returns {Promise<object[]>} pool status
+ */
+function probeBackends() {
+  if (probing) return probing;
+  probing = Promise.all(backends.map(probeBackend))
+    .then(() => getPoolStatus())
+    .finally(() => { probing = null; });
+  return probing;
+}
+
+/** Start the background probe (idempotent; the timer does not keep the process alive). */
+function startPoolProbe() {
+  if (probeTimer) return;
+  probeBackends();
+  probeTimer = setInterval(probeBackends, PROBE_INTERVAL_MS);
+  probeTimer.unref();
+}
+
+/* ── Picking ─────────────────────────────────────────────── */
+
+/** true / false, or null when the backend's models are not known yet */
+function servesModel(backend, model) {
+  const models = backend.declared || backend.installed;
+  return models ? models.has(model) : null;
+}
+
+/**
+ * Order backends for a model: healthy first, then known to have the model,
+ * then already loaded, then fewest in-flight requests. Backends known not
+ * to serve the model are left out.
+ *
+ * @param {object[]} list   - backend states
+ * @param {string}   model
+ * @param {{ exclude?: string[], now?: number }} [opts]
+ * @returns {object[]}
+ */
+function rankBackends(list, model, { exclude = [], now = Date.now() } = {}) {
+  return list
+    .map((b, i) => ({ b, i, serves: servesModel(b, model) }))
+    .filter(x => x.serves !== false && !exclude.includes(x.b.name))
+    .sort((x, y) =>
+      (isHealthy(x.b, now) ? 0 : 1) - (isHealthy(y.b, now) ? 0 : 1)
+      || (x.serves ? 0 : 1) - (y.serves ? 0 : 1)
+      || (x.b.loaded?.has(model) ? 0 : 1) - (y.b.loaded?.has(model) ? 0 : 1)
+      || x.b.inflight - y.b.inflight
+      || x.i - y.i)
+    .map(x => x.b);
+}
+
+/**
+ * Best backend for a model, or null when no backend serves it.
+ * @param {string} model
+ * @param {{ exclude?: string[] }} [opts] - backend names already tried
+ */
+function pickBackend(model, opts) {
+  return rankBackends(backends, model, opts)[0] || null;
+}
+
+/** All backends that may serve a model, best first (the scheduler picks one with a free slot). */
+function candidateBackends(model, opts) {
+  return rankBackends(backends, model, opts);
+}
+
+/**
+ * Count a request against a backend until the returned release() is called.
+ * release() is idempotent.
+ */
+function acquire(backend) {
+  backend.inflight++;
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    backend.inflight--;
+  };
+}
+
+/**
+ * POST a one-shot (non-streamed) request for a model, e.g. /api/chat with
+ * stream:false or /api/embed. Tries backends best first and moves on when
+ * one is unreachable, answers 5xx or does not have the model (404); health
+ * is recorded as for streamed generations.
+ *
+ * @param {string} model
+ * @param {string} path  - e.g. '/api/chat'
+ * @param {object} body  - JSON body (must include `model`)
+ * @param {{ signal?: AbortSignal }} [opts] - covers every attempt
+ * @returns {Promise<Response|null>} the first usable response, else the last
+ *   failed one; null when no backend serves the model
+ * @throws the last network error when no backend answered, or the abort
+ */
+async function postToPool(model, path, body, { signal } = {}) {
+  const tried = [];
+  let last = null;
+  let backend;
+  while ((backend = pickBackend(model, { exclude: tried }))) {
+    tried.push(backend.name);
+    const release = acquire(backend);
+    try {
+      const res = await fetch(`${backend.url}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal,
+      });
+      if (res.status < 500 && res.status !== 404) {
+        markBackendOk(backend);
+        last?.res?.body?.cancel().catch(() => {});
+        return res;
+      }
+      if (res.status >= 500) markBackendFailed(backend, `HTTP ${res.status}`);
+      last?.res?.body?.cancel().catch(() => {});
+      last = { res };
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      markBackendFailed(backend, err.message);
+      last = { err, res: last?.res };
+    } finally {
+      release();
+    }
+  }
+  if (last?.res) return last.res;
+  if (last?.err) throw last.err;
+  return null;
+}
+
+/* ── Views ───────────────────────────────────────────────── */
+
+/** Models installed on at least one healthy backend (null if none probed). */
+function installedModels() {
+  const known = backends.filter(b => isHealthy(b) && (b.declared || b.installed));
+  if (known.length === 0) return null;
+  return new Set(known.flatMap(b => [...(b.declared || b.installed)]));
+}
+
+/** Models loaded in memory on at least one healthy backend (null if none probed). */
+function loadedModels() {
+  const known = backends.filter(b => isHealthy(b) && b.loaded);
+  if (known.length === 0) return null;
+  return new Set(known.flatMap(b => [...b.loaded]));
+}
+
+/** Status for /api/status and admin views. */
+function getPoolStatus() {
+  const now = Date.now();
+  return backends.map(b => ({
+    name: b.name,
+    url: b.url,
+    status: isHealthy(b, now) ? (b.installed ? 'ok' : 'unknown') : 'unhealthy',
+    inflight: b.inflight,
+    max_concurrent: b.maxConcurrent,
+    failures: b.failures,
+    models: b.declared ? [...b.declared] : (b.installed ? [...b.installed] : null),
+    loaded: b.loaded ? [...b.loaded] : null,
+    latency_ms: b.latencyMs,
+    last_error: b.lastError,
+    probed_at: b.probedAt ? new Date(b.probedAt).toISOString() : null,
+  }));
+}
+
+/**
+ * Installed models across healthy backends, merged by name.
+ * @returns {Promise<{ name: string, size: number, modified_at: string|null, backends: string[] }[]>}
+ */
+async function listPoolModels() {
+  const byName = new Map();
+  await Promise.all(backends.filter(b => isHealthy(b)).map(async (b) => {
+    try {
+      const res = await fetch(`${b.url}/api/tags`, { signal: AbortSignal.timeout(PROBE_TIMEOUT_MS) });
+      if (!res.ok) throw new Error(`/api/tags HTTP ${res.status}`);
+      const data = await res.json();
+      for (const m of data.models || []) {
+        if (b.declared && !b.declared.has(m.name)) continue;
+        const entry = byName.get(m.name) || { name: m.name, size: m.size || 0, modified_at: m.modified_at || null, backends: [] };
+        entry.backends.push(b.name);
+        byName.set(m.name, entry);
+      }
+    } catch (err) {
+      markBackendFailed(b, err.message);
+    }
+  }));
+  return [...byName.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  parseBackends,
+  createBackend,
+  rankBackends,
+  pickBackend,
+  candidateBackends,
+  acquire,
+  postToPool,
+  markBackendFailed,
+  markBackendOk,
+  probeBackends,
+  startPoolProbe,
+  installedModels,
+  loadedModels,
+  getPoolStatus,
+  listPoolModels,
+};
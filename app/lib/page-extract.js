@@ -0,0 +1,477 @@
+/**
+ * Page Extract — readable main content from fetched HTML pages
+ *
+ * Stripping every tag and keeping the first MAX_TEXT_LENGTH characters lets
+ * menus, cookie banners and "related stories" crowd out the article. This
+ * module does what a reader view does, without a DOM dependency:
+ *   - decodes the body with the page's charset (BOM, Content-Type header,
+ *     <meta charset> / http-equiv), so windows-1252 / iso-8859-1 news sites
+ *     do not come back as mojibake
+ *   - parses the HTML into a light element tree
+ *   - drops boilerplate: nav/footer/aside/form elements, hidden elements and
+ *     blocks whose class or id reads like a menu, banner, share bar, cookie
+ *     notice or comment list
+ *   - picks the main block Readability-style: each paragraph scores its
+ *     parent and grandparent by length and commas, link-heavy blocks are
+ *     penalised, and siblings that score close to the winner are kept
+ *   - writes it out with structure: `#` headings, paragraphs, `- ` list items
+ *     and data tables as markdown rows
+ *
+ * extractLinks / robotsMeta serve the local index crawler (lib/local-index.js).
+ *
+ * Pure functions only — fetching, documents and settings stay in
+ * lib/web-research.js.
+ */
+
+const VOID_TAGS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr',
+]);
+/** Elements whose content is never page text (skipped while parsing) */
+const RAW_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'math', 'iframe', 'textarea', 'object', 'canvas']);
+const BOILERPLATE_TAGS = new Set(['nav', 'footer', 'aside', 'form', 'button', 'select', 'dialog', 'menu', 'label']);
+const BOILERPLATE_ROLES = new Set([
+  'navigation', 'banner', 'contentinfo', 'complementary', 'dialog', 'alertdialog', 'search', 'menu', 'menubar',
+]);
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption', 'figure', 'h1', 'h2',
+  'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tbody',
+  'td', 'tfoot', 'th', 'thead', 'tr', 'ul',
+]);
+/** Opening one of these closes an open <p> */
+const CLOSES_P = new Set([
+  'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul',
+]);
+
+const UNLIKELY_RE = /cookie|consent|gdpr|banner|advert|(?:^|[\s_-])ads?(?:$|[\s_-])|sponsor|promo|newsletter|subscribe|share|social|related|recommend|comment|disqus|sidebar|breadcrumb|menu|navbar|masthead|footer|popup|modal|overlay|paywall|widget|outbrain|taboola|pagination|skip-link|signup|login/i;
+const MAYBE_RE    = /article|body|content|main|post|story|entry|text|column|berita|kandungan/i;
+const POSITIVE_RE = /article|body|content|entry|main|page|post|story|text|blog|berita|kandungan/i;
+const NEGATIVE_RE = /hidden|banner|combx|comment|com-|contact|foot|footer|footnote|masthead|media|meta|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+const MIN_PARAGRAPH = 25;  // chars for a block to score its ancestors
+const MIN_MAIN_TEXT = 250; // shorter main blocks fall back to the whole body
+const MAX_CELL      = 120; // chars per table cell
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', bull: '•', middot: '·',
+  copy: '©', reg: '®', trade: '™', deg: '°', times: '×', euro: '€', pound: '£', yen: '¥', cent: '¢',
+};
+
+/* ── Charset ─────────────────────────────────────────────── */
+
+/**
+ * Pick the charset to decode a response body with: byte-order mark, then
+ * the Content-Type header, then <meta charset> / http-equiv in the first
+ * 2 KB, else UTF-8.
+ * @param {Uint8Array} bytes
+ * @param {string} [contentType]
+ * @returns {string} a TextDecoder label
+ */
+function detectCharset(bytes, contentType = '') {
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+
+  const fromHeader = /charset\s*=\s*["']?([\w.:-]+)/i.exec(contentType);
+  if (fromHeader && isKnownCharset(fromHeader[1])) return fromHeader[1].toLowerCase();
+
+  const head = Buffer.from(bytes.subarray(0, 2048)).toString('latin1');
+  const fromMeta = /<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i.exec(head);
+  if (fromMeta && isKnownCharset(fromMeta[1])) return fromMeta[1].toLowerCase();
+  return 'utf-8';
+}
+
+function isKnownCharset(label) {
+  try {
+    new TextDecoder(label);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Decode a response body with its detected charset.
+ * @param {ArrayBuffer|Uint8Array} body
+ * @param {string} [contentType]
+ * @returns {string}
+ */
+function decodeBody(body, contentType = '') {
+  const bytes = body instanceof Uint8Array ? body : new Uint8Array(body);
+  return new TextDecoder(detectCharset(bytes, contentType)).decode(bytes);
+}
+
+/* ── HTML tree ───────────────────────────────────────────── */
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+\d*);?/gi, (match, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code < 0x110000 ? String.fromCodePoint(code) : '';
+    }
+    return ENTITIES[name.toLowerCase()] ?? match;
+  });
+}
+
+function parseAttrs(source) {
+  const attrs = {};
+  for (const m of source.matchAll(/([^\s"'=<>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g)) {
+    attrs[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? '');
+  }
+  return attrs;
+}
+
+function closeTo(stack, tag, stopAt) {
+  for (let i = stack.length - 1; i > 0; i--) {
+    if (stack[i].tag === tag) { stack.length = i; return; }
+    if (stopAt.has(stack[i].tag)) return;
+  }
+}
+
+/**
+ * Parse HTML into { tag, attrs, children } nodes (text nodes are strings).
+ * Tolerant rather than spec-exact: unclosed <p>/<li>/<td>/<tr> close
+ * implicitly and stray end tags are ignored.
+ * @param {string} html
+ * @returns {{ tag: string, attrs: object, children: Array }}
+ */
+function parseHtml(html) {
+  const root = { tag: '#root', attrs: {}, children: [] };
+  const stack = [root];
+  const lower = html.replace(/[A-Z]+/g, c => c.toLowerCase()); // ASCII only, so indices line up
+  const tokenRe = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|<[!?][^>]*>|[^<]+|</g;
+  let m;
+  while ((m = tokenRe.exec(html)) !== null) {
+    const top = stack[stack.length - 1];
+    if (m[2] === undefined) {
+      if (m[0][0] !== '<' || m[0] === '<') top.children.push(decodeEntities(m[0]));
+      continue;
+    }
+    const tag = m[2].toLowerCase();
+
+    if (m[1]) {
+      closeTo(stack, tag, tag === 'p' ? new Set() : new Set(['table']));
+      continue;
+    }
+
+    if (RAW_TAGS.has(tag)) {
+      if (m[3].trimEnd().endsWith('/')) continue;
+      const end = lower.indexOf(`</${tag}`, tokenRe.lastIndex);
+      tokenRe.lastIndex = end === -1 ? html.length : html.indexOf('>', end) + 1 || html.length;
+      continue;
+    }
+
+    if (CLOSES_P.has(tag)) closeTo(stack, 'p', new Set(['div', 'section', 'article', 'li', 'td', 'th', 'blockquote']));
+    if (tag === 'li') closeTo(stack, 'li', new Set(['ul', 'ol']));
+    if (tag === 'tr') closeTo(stack, 'tr', new Set(['table', 'thead', 'tbody', 'tfoot']));
+    if (tag === 'td' || tag === 'th') {
+      closeTo(stack, 'td', new Set(['tr', 'table']));
+      closeTo(stack, 'th', new Set(['tr', 'table']));
+    }
+
+    const node = { tag, attrs: parseAttrs(m[3]), children: [], parent: stack[stack.length - 1] };
+    stack[stack.length - 1].children.push(node);
+    if (!VOID_TAGS.has(tag) && !m[3].trimEnd().endsWith('/')) stack.push(node);
+  }
+  return root;
+}
+
+function findFirst(node, tag) {
+  for (const child of node.children) {
+    if (typeof child === 'string') continue;
+    if (child.tag === tag) return child;
+    const found = findFirst(child, tag);
+    if (found) return found;
+  }
+  return null;
+}
+
+function textOf(node) {
+  if (typeof node === 'string') return node;
+  if (node.tag === 'br') return '\n';
+  const inner = node.children.map(textOf).join('');
+  return BLOCK_TAGS.has(node.tag) ? ` ${inner} ` : inner;
+}
+
+function cleanText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/* ── Boilerplate removal ─────────────────────────────────── */
+
+function isBoilerplate(node) {
+  const { attrs } = node;
+  if (BOILERPLATE_TAGS.has(node.tag)) return true;
+  if (node.tag === 'header' && !hasAncestor(node, ['article', 'main'])) return true;
+  if ('hidden' in attrs || attrs['aria-hidden'] === 'true') return true;
+  if (/display\s*:\s*none|visibility\s*:\s*hidden/i.test(attrs.style || '')) return true;
+  if (BOILERPLATE_ROLES.has((attrs.role || '').toLowerCase())) return true;
+  const names = `${attrs.class || ''} ${attrs.id || ''}`;
+  return !['html', 'body', 'article', 'main', 'a'].includes(node.tag)
+    && UNLIKELY_RE.test(names) && !MAYBE_RE.test(names);
+}
+
+function hasAncestor(node, tags) {
+  for (let p = node.parent; p; p = p.parent) {
+    if (tags.includes(p.tag)) return true;
+  }
+  return false;
+}
+
+function stripBoilerplate(node) {
+  node.children = node.children.filter(child => typeof child === 'string' || !isBoilerplate(child));
+  for (const child of node.children) {
+    if (typeof child !== 'string') stripBoilerplate(child);
+  }
+}
+
+/* ── Main-content scoring ────────────────────────────────── */
+
+function linkDensity(node) {
+  const total = cleanText(textOf(node)).length;
+  if (total === 0) return 0;
+  let linked = 0;
+  const walk = (n) => {
+    for (const child of n.children) {
+      if (typeof child === 'string') continue;
+      if (child.tag === 'a') linked += cleanText(textOf(child)).length;
+      else walk(child);
+    }
+  };
+  walk(node);
+  return linked / total;
+}
+
+function classWeight(node) {
+  const names = `${node.attrs.class || ''} ${node.attrs.id || ''}`;
+  let weight = 0;
+  if (POSITIVE_RE.test(names)) weight += 25;
+  if (NEGATIVE_RE.test(names)) weight -= 25;
+  return weight;
+}
+
+function initialScore(node) {
+  const base = { article: 10, main: 5, section: 5, div: 5, td: 3, blockquote: 3, pre: 3, ul: -3, ol: -3, li: -3, th: -5 };
+  return (base[node.tag] || 0) + classWeight(node);
+}
+
+/** A paragraph-like element: <p>/<pre>/<td>, or a <div> with no block children. */
+function isParagraph(node) {
+  if (['p', 'pre', 'td', 'blockquote'].includes(node.tag)) return true;
+  return node.tag === 'div' && !node.children.some(c => typeof c !== 'string' && BLOCK_TAGS.has(c.tag));
+}
+
+/**
+ * Pick the element most likely to hold the main content.
+ * @returns {{ node: object, scores: Map<object, number> } | null}
+ */
+function findMainBlock(body) {
+  const scores = new Map();
+  const credit = (node, points) => {
+    if (!node || node.tag === '#root' || node.tag === 'html') return;
+    if (!scores.has(node)) scores.set(node, initialScore(node));
+    scores.set(node, scores.get(node) + points);
+  };
+
+  const walk = (node) => {
+    for (const child of node.children) {
+      if (typeof child === 'string') continue;
+      if (isParagraph(child)) {
+        const text = cleanText(textOf(child));
+        if (text.length >= MIN_PARAGRAPH) {
+          const points = 1 + (text.match(/[,،、]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+          credit(child.parent, points);
+          credit(child.parent?.parent, points / 2);
+        }
+      }
+      walk(child);
+    }
+  };
+  walk(body);
+
+  let best = null;
+  for (const [node, score] of scores) {
+    const final = score * (1 - linkDensity(node));
+    scores.set(node, final);
+    if (!best || final > best.score) best = { node, score: final };
+  }
+  return best && best.score > 0 ? { node: best.node, score: best.score, scores } : null;
+}
+
+/** The winning block plus siblings that look like more of the same article. */
+function mainContent(body) {
+  const main = findMainBlock(body);
+  if (!main) return [body];
+  const parent = main.node.parent;
+  if (!parent || parent.tag === '#root') return [main.node];
+
+  const threshold = Math.max(10, main.score * 0.2);
+  return parent.children.filter((sibling) => {
+    if (typeof sibling === 'string') return false;
+    if (sibling === main.node) return true;
+    if ((main.scores.get(sibling) || 0) >= threshold) return true;
+    if (sibling.tag !== 'p') return false;
+    const text = cleanText(textOf(sibling));
+    return text.length > 80 && linkDensity(sibling) < 0.25;
+  });
+}
+
+/* ── Structured text output ──────────────────────────────── */
+
+function tableRows(table) {
+  const rows = [];
+  const walk = (node) => {
+    for (const child of node.children) {
+      if (typeof child === 'string' || child.tag === 'table') continue;
+      if (child.tag === 'tr') {
+        rows.push(child.children
+          .filter(c => typeof c !== 'string' && (c.tag === 'td' || c.tag === 'th'))
+          .map(c => cleanText(textOf(c)).replace(/\|/g, '/').slice(0, MAX_CELL)));
+      } else {
+        walk(child);
+      }
+    }
+  };
+  walk(table);
+  return rows.filter(r => r.some(Boolean));
+}
+
+/**
+ * Render nodes as text lines: `#` headings, paragraphs, `- ` list items,
+ * `> ` quotes and data tables as markdown rows. Layout tables (a single
+ * row or column) are rendered as ordinary blocks.
+ * @returns {string[]}
+ */
+function renderBlocks(nodes) {
+  const lines = [];
+  let inline = '';
+  const flush = (prefix = '') => {
+    const text = cleanText(inline);
+    if (text) lines.push(prefix + text);
+    inline = '';
+  };
+
+  const walk = (node, prefix) => {
+    if (typeof node === 'string') { inline += node; return; }
+    const { tag } = node;
+    if (tag === 'br') { flush(prefix); return; }
+    if (tag === 'img' || tag === 'hr') return;
+
+    const heading = /^h([1-6])$/.exec(tag);
+    if (heading) {
+      flush(prefix);
+      const text = cleanText(textOf(node));
+      if (text) lines.push(`${'#'.repeat(Number(heading[1]))} ${text}`);
+      return;
+    }
+
+    if (tag === 'table') {
+      const rows = tableRows(node);
+      const width = Math.max(0, ...rows.map(r => r.length));
+      if (rows.length >= 2 && width >= 2) {
+        flush(prefix);
+        rows.forEach((row, i) => {
+          const cells = [...row, ...Array(width - row.length).fill('')];
+          lines.push(`| ${cells.join(' | ')} |`);
+          if (i === 0) lines.push(`|${' --- |'.repeat(width)}`);
+        });
+        return;
+      }
+    }
+
+    if (tag === 'pre') {
+      flush(prefix);
+      for (const line of textOf(node).split('\n')) {
+        if (line.trim()) lines.push(prefix + line.trimEnd());
+      }
+      return;
+    }
+
+    const block = BLOCK_TAGS.has(tag);
+    if (block) flush(prefix);
+    const childPrefix = tag === 'blockquote' ? `${prefix}> ` : prefix;
+    if (tag === 'li') inline += '- ';
+    for (const child of node.children) walk(child, childPrefix);
+    if (block) flush(tag === 'li' ? prefix : childPrefix);
+  };
+
+  for (const node of nodes) walk(node, '');
+  flush();
+  return lines.filter((line, i) => line !== '-' && line !== lines[i - 1]);
+}
+
+/**
+ * Extract the readable main content of an HTML page.
+ * @param {string} html
+ * @param {{ maxLength?: number }} [opts]
+ * @returns {string} structured text (one block per line), cut at a line boundary
+ */
+function extractMainText(html, { maxLength = 20_000 } = {}) {
+  const root = parseHtml(String(html || ''));
+  const body = findFirst(root, 'body') || root;
+  stripBoilerplate(body);
+
+  let lines = renderBlocks(mainContent(body));
+  if (lines.join(' ').length < MIN_MAIN_TEXT) {
+    const whole = renderBlocks([body]);
+    if (whole.join(' ').length > lines.join(' ').length) lines = whole;
+  }
+
+  let text = '';
+  for (const line of lines) {
+    if (text.length + line.length + 1 > maxLength) {
+      if (!text) text = line.slice(0, maxLength);
+      break;
+    }
+    text += (text ? '\n' : '') + line;
+  }
+  return text;
+}
+
+/* ── Links (for the local index crawler) ─────────────────── */
+
+/**
+ * Absolute http(s) links of a page, without fragments or rel="nofollow"
+ * links. Resolved against <base href> when the page sets one.
+ * @param {string} html
+ * @param {string} pageUrl
+ * @returns {string[]}
+ */
+function extractLinks(html, pageUrl) {
+  const base = /<base[^>]+href\s*=\s*["']([^"']+)["']/i.exec(html);
+  let baseUrl = pageUrl;
+  try { if (base) baseUrl = new URL(decodeEntities(base[1]), pageUrl).href; } catch {}
+
+  const links = new Set();
+  for (const m of html.matchAll(/<a\s[^>]*>/gi)) {
+    const attrs = parseAttrs(m[0].slice(2, -1));
+    if (!attrs.href || /\bnofollow\b/i.test(attrs.rel || '')) continue;
+    try {
+      const u = new URL(attrs.href, baseUrl);
+      if (u.protocol !== 'http:' && u.protocol !== 'https:') continue;
+      u.hash = '';
+      links.add(u.href);
+    } catch {}
+  }
+  return [...links];
+}
+
+/**
+ * <meta name="robots"> (or "getouchbot") directives of a page.
+ * @param {string} html
+ * @returns {{ noindex: boolean, nofollow: boolean }}
+ */
+function robotsMeta(html) {
+  let content = '';
+  for (const m of html.matchAll(/<meta\s[^>]*>/gi)) {
+    const attrs = parseAttrs(m[0].slice(5, -1));
+    if (/^(robots|getouchbot)$/i.test(attrs.name || '')) content += ` ${attrs.content || ''}`;
+  }
+  return {
+    noindex:  /\b(noindex|none)\b/i.test(content),
+    nofollow: /\b(nofollow|none)\b/i.test(content),
+  };
+}
+
+module.exports = { detectCharset, decodeBody, parseHtml, extractMainText, extractLinks, robotsMeta };
@@ -7,6 +7,8 @@
  *   - Formality level
  *   - Smalltalk stabilizer constraints
  *   - Document context
+ *   - Tenant persona (lib/personas.js) — replaces the Getouch AI identity;
+ *     the language/dialect/stabilizer layers are unchanged
  *
  * Core personality rules:
  *   - Friendly but not childish
@@ -17,30 +19,35 @@
  *   - Dialect mirroring: max 1–2 dialect tokens per reply
  */
 
-const { buildSmalltalkStabilizer } = require('./dialect');
+const { buildSmalltalkStabilizer, buildCodeSwitchInstructions, DIALECT_PROFILES } = require('./dialect');
 
 /**
  * Build the system prompt for a given route + language context.
  *
  * @param {object} params
- * @param {string} params.routeType     - SMALLTALK | GENERAL_CHAT | QUESTION | TASK | WEB_RESEARCH | DOCUMENT_ANALYSIS | IMAGE_TASK
+ * @param {string} params.routeType     - SMALLTALK | GENERAL_CHAT | QUESTION | TASK | WEB_RESEARCH | KNOWLEDGE | DOCUMENT_ANALYSIS | IMAGE_TASK
  * @param {string} params.language      - 'ms' | 'en' | 'mixed'
- * @param {string} params.dialect       - 'UTARA' | 'KELANTAN' | 'STANDARD' | null
+ * @param {string} params.dialect       - a DIALECT_PROFILES code (UTARA, KELANTAN, TERENGGANU, …) | 'STANDARD' | null
  * @param {string} params.formality     - 'casual' | 'formal' | 'neutral'
  * @param {string} params.tone          - 'greeting' | 'formal' | 'neutral'
  * @param {object} [params.langResult]  - full detectLanguageAndDialect result
  * @param {string} [params.dialectLevel] - 'off' | 'light' | 'medium'
+ * @param {object} [params.persona]     - personas row (lib/personas.js), null for Getouch AI
  * @param {boolean} [params.stabilizerEnabled] - whether SMALLTALK_STABILIZER is active
  * @returns {string}
  */
 function buildSystemPrompt({
   routeType, language, dialect, formality, tone,
-  langResult, dialectLevel = 'light', stabilizerEnabled = true,
+  langResult, dialectLevel = 'light', stabilizerEnabled = true, persona = null,
 }) {
   const parts = [];
 
   // ── 1. Core identity ──
-  parts.push('You are Getouch AI, a friendly and helpful assistant running on-premises for privacy.');
+  if (persona) {
+    parts.push(...personaIdentity(persona));
+  } else {
+    parts.push('You are Getouch AI, a friendly and helpful assistant running on-premises for privacy.');
+  }
 
   // ── 2. Language mirroring instruction ──
   if (language === 'ms' && dialect === 'UTARA') {
@@ -63,6 +70,16 @@ function buildSystemPrompt({
       'Example good reply: "Boleh demo, gapo yang demo nok tanyo?"',
       'Example BAD reply: "Hang boleh tanya apa-apa" (WRONG — this is Utara, not Kelantan)',
     );
+  } else if (language === 'ms' && DIALECT_PROFILES[dialect]) {
+    const profile = DIALECT_PROFILES[dialect];
+    const samples = profile.sample.map(w => `"${w}"`).join(', ');
+    parts.push(
+      `The user is writing in ${profile.label}.`,
+      `Reply in Malay with light ${profile.labelMs} flavor. Use at most 1-2 dialect words per reply like ${samples}.`,
+      `Keep the overall reply in readable standard-informal Malay.`,
+      'Do NOT over-formalize or correct their dialect. Treat it as normal speech.',
+      `CRITICAL: Do NOT use words from other dialects (Utara, Kelantan, etc.) — only ${profile.labelMs}.`,
+    );
   } else if (language === 'ms') {
     parts.push(
       'The user is writing in Malay.',
@@ -90,6 +107,10 @@ function buildSystemPrompt({
     if (stabilizer.instructions) {
       parts.push('', stabilizer.instructions, '');
     }
+  } else if (langResult) {
+    // Stabilizer already carries this for smalltalk
+    const codeSwitch = buildCodeSwitchInstructions(langResult);
+    if (codeSwitch) parts.push('', codeSwitch, '');
   }
 
   // ── 4. Route-specific behavior ──
@@ -111,6 +132,9 @@ function buildSystemPrompt({
         '- "Awat mai ni? Habaq deh." (sounds unnatural / overcompensated)',
         '- "Assalamualaikum! Apa yang boleh saya bantu hari ini?" (too formal for casual greeting)',
       );
+      if (persona && persona.greeting) {
+        parts.push(`For a first greeting you may use this opener, adapted to the user's language: "${persona.greeting}"`);
+      }
       break;
 
     case 'QUESTION':
@@ -172,6 +196,16 @@ function buildSystemPrompt({
       );
       break;
 
+    case 'KNOWLEDGE':
+      parts.push(
+        'You are answering from the organisation\'s knowledge base — numbered excerpts will be provided.',
+        'Answer directly from the excerpts and cite them as [1], [2] next to the facts they support.',
+        'If the excerpts only partly answer the question, say what is covered and what is not.',
+        'Do NOT invent policies, prices, or figures that are not in the excerpts.',
+        'ENGAGEMENT: End with a short follow-up question related to their topic.',
+      );
+      break;
+
     case 'DOCUMENT_ANALYSIS':
       parts.push(
         'The user uploaded a document for analysis.',
@@ -209,6 +243,10 @@ function buildSystemPrompt({
     '- DIALECT RULE: If the user speaks one dialect, NEVER mix in words from a different dialect.',
     '  * Kelantan words: demo, ambo, gapo, ore, guano, kito, mung, kawe',
     '  * Utara words: hang, hampa, depa, habaq, cemana, awat, pasaipa',
+    '  * Terengganu words: mung, bakpe, gane, kekgi, ganu',
+    '  * Negeri Sembilan words: eden, ekau, apo, dio, sapo, tompek',
+    '  * Sabah words: bah, sia, ndak, bilang, tingu, pigi',
+    '  * Sarawak words: kitak, kamek, sik, polah, nang, kinek, sidak',
     '  * These sets must NEVER be mixed in a single reply.',
     '',
     'CONVERSATION ENGAGEMENT:',
@@ -219,9 +257,54 @@ function buildSystemPrompt({
     '- For SMALLTALK, follow the greeting pattern instead (greet back + return question).',
   );
 
+  // ── 6. Persona rules (last, so they win over the generic ones) ──
+  if (persona) parts.push(...personaRules(persona));
+
   return parts.filter(Boolean).join('\n');
 }
 
+/** Identity lines for a persona: name, description, tone, knowledge notes. */
+function personaIdentity(persona) {
+  const lines = [`You are ${persona.display_name}.`];
+  if (persona.description) lines.push(persona.description);
+  if (persona.tone) lines.push(`TONE: ${persona.tone}`);
+  if (persona.knowledge_notes) {
+    lines.push('', 'KNOWLEDGE NOTES (facts you can rely on — do not contradict them):', persona.knowledge_notes, '');
+  }
+  return lines;
+}
+
+/** Topic limits and forbidden phrases for a persona. */
+function personaRules(persona) {
+  const lines = [];
+  const topics = persona.allowed_topics || [];
+  const forbidden = persona.forbidden_phrases || [];
+  if (topics.length === 0 && forbidden.length === 0) return lines;
+  lines.push('', `RULES FOR ${persona.display_name.toUpperCase()}:`);
+  if (topics.length > 0) {
+    lines.push(
+      `- Only help with these topics: ${topics.join('; ')}.`,
+      '- For anything else, politely say you can only help with those topics. Greetings and small talk are fine.',
+    );
+  }
+  if (forbidden.length > 0) {
+    lines.push(`- NEVER use these words or phrases: ${forbidden.map(f => `"${f}"`).join(', ')}.`);
+  }
+  return lines;
+}
+
+/**
+ * Persona preamble for paths that build their own system prompt
+ * (web research, document analysis). Empty without a persona.
+ *
+ * @param {object|null} persona
+ * @returns {string}
+ */
+function buildPersonaPrompt(persona) {
+  if (!persona) return '';
+  return [...personaIdentity(persona), ...personaRules(persona)].filter(Boolean).join('\n');
+}
+
 /**
  * Build user content wrapper for SMALLTALK — prevents the model from
  * treating a casual greeting as a request.
@@ -243,4 +326,4 @@ function wrapTaskMessage(userMessage) {
   return userMessage;
 }
 
-module.exports = { buildSystemPrompt, wrapSmalltalkMessage, wrapTaskMessage };
+module.exports = { buildSystemPrompt, buildPersonaPrompt, wrapSmalltalkMessage, wrapTaskMessage };
@@ -0,0 +1,274 @@
+/**
+ * Personas — per-tenant assistant identity for the chat API
+ *
+ * A persona (migration 023) replaces the default "Getouch AI" identity in
+ * buildSystemPrompt (lib/personality.js): name, description, tone, allowed
+ * topics, greeting, forbidden phrases and knowledge notes. The language,
+ * dialect and smalltalk-stabilizer layers are composed around it unchanged;
+ * `default_language` and `dialect_level` only set defaults for them.
+ *
+ * Selection (resolvePersona):
+ *   1. `persona` name in the request body (/v1/chat, /v1/chat/completions)
+ *   2. the persona assigned to the calling API key (api_keys.persona_id)
+ *   3. none — the built-in Getouch AI prompt
+ *
+ * Personas are owned by a tenant (owner_user_id, migration 032). A requested
+ * name is honoured only if the persona is public, owned by the caller's user
+ * or assigned to the calling key; anything else is reported as not found, so
+ * other tenants' persona names do not leak. Guests get public personas only.
+ *
+ * Lookups are cached for CACHE_TTL_MS; admin writes clear the cache.
+ */
+
+const { query } = require('./db');
+
+const PERSONA_NAME_RE = /^[a-z0-9][a-z0-9_-]{1,63}$/;
+const UUID_RE         = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const LANGUAGES       = ['auto', 'ms', 'en'];
+const DIALECT_LEVELS  = ['off', 'light', 'medium'];
+const CACHE_TTL_MS    = 60_000;
+const MAX_TEXT        = 2000;
+const MAX_NOTES       = 8000;
+const MAX_LIST_ITEMS  = 30;
+const MAX_LIST_ITEM   = 200;
+
+class PersonaError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PersonaError';
+    this.status = status;
+  }
+}
+
+/** cache key ('name:<slug>' | 'key:<api key id>') → { persona, at } */
+const cache = new Map();
+
+function clearPersonaCache() {
+  cache.clear();
+}
+
+/* ── Validation ──────────────────────────────────────────── */
+
+function cleanText(value, field, max) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  if (typeof value !== 'string') throw new PersonaError(`${field} must be a string`);
+  const text = value.trim();
+  if (text.length > max) throw new PersonaError(`${field} is too long (max ${max} chars)`);
+  return text || null;
+}
+
+function cleanList(value, field) {
+  if (value === undefined) return undefined;
+  if (value === null) return [];
+  if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+    throw new PersonaError(`${field} must be an array of strings`);
+  }
+  const items = [...new Set(value.map(v => v.trim()).filter(Boolean))];
+  if (items.length > MAX_LIST_ITEMS) throw new PersonaError(`${field} has too many entries (max ${MAX_LIST_ITEMS})`);
+  if (items.some(v => v.length > MAX_LIST_ITEM)) throw new PersonaError(`${field} entries must be at most ${MAX_LIST_ITEM} chars`);
+  return items;
+}
+
+/**
+ * Validate admin input. With `partial`, absent fields are left out (PATCH).
+ *
+ * @param {object} input
+ * @param {{ partial?: boolean }} [opts]
+ * @returns {object} column → value
+ */
+function normalizePersona(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new PersonaError('Body must be an object');
+  const out = {};
+
+  if (!partial || input.name !== undefined) {
+    if (!PERSONA_NAME_RE.test(input.name || '')) {
+      throw new PersonaError('name must be 2-64 chars: lowercase letters, digits, - or _');
+    }
+    out.name = input.name;
+  }
+  if (!partial || input.display_name !== undefined) {
+    const displayName = cleanText(input.display_name, 'display_name', 100);
+    if (!displayName) throw new PersonaError('display_name is required');
+    out.display_name = displayName;
+  }
+
+  const texts = { description: MAX_TEXT, tone: MAX_TEXT, greeting: 500, knowledge_notes: MAX_NOTES };
+  for (const [field, max] of Object.entries(texts)) {
+    const v = cleanText(input[field], field, max);
+    if (v !== undefined) out[field] = v;
+  }
+  for (const field of ['allowed_topics', 'forbidden_phrases']) {
+    const v = cleanList(input[field], field);
+    if (v !== undefined) out[field] = v;
+  }
+
+  if (input.default_language !== undefined) {
+    if (!LANGUAGES.includes(input.default_language)) throw new PersonaError('default_language must be "auto", "ms" or "en"');
+    out.default_language = input.default_language;
+  }
+  if (input.dialect_level !== undefined) {
+    if (input.dialect_level !== null && !DIALECT_LEVELS.includes(input.dialect_level)) {
+      throw new PersonaError('dialect_level must be "off", "light", "medium" or null');
+    }
+    out.dialect_level = input.dialect_level;
+  }
+  if (input.is_active !== undefined) {
+    if (typeof input.is_active !== 'boolean') throw new PersonaError('is_active must be boolean');
+    out.is_active = input.is_active;
+  }
+  if (input.is_public !== undefined) {
+    if (typeof input.is_public !== 'boolean') throw new PersonaError('is_public must be boolean');
+    out.is_public = input.is_public;
+  }
+  if (input.owner_user_id !== undefined) {
+    if (input.owner_user_id !== null && !UUID_RE.test(String(input.owner_user_id))) {
+      throw new PersonaError('owner_user_id must be a user id (UUID) or null');
+    }
+    out.owner_user_id = input.owner_user_id;
+  }
+  return out;
+}
+
+/* ── CRUD ────────────────────────────────────────────────── */
+
+async function listPersonas() {
+  const result = await query(
+    `SELECT p.*, COUNT(ak.id)::int AS api_key_count
+     FROM personas p
+     LEFT JOIN api_keys ak ON ak.persona_id = p.id AND ak.is_active = true
+     GROUP BY p.id
+     ORDER BY p.name`
+  );
+  return result.rows;
+}
+
+async function getPersona(name) {
+  const result = await query('SELECT * FROM personas WHERE name = $1', [name]);
+  return result.rows[0] || null;
+}
+
+async function createPersona(input, createdBy = null) {
+  const fields = normalizePersona(input);
+  if (await getPersona(fields.name)) throw new PersonaError(`Persona already exists: ${fields.name}`, 409);
+  fields.created_by = createdBy;
+  const cols = Object.keys(fields);
+  const result = await query(
+    `INSERT INTO personas (${cols.join(', ')}) VALUES (${cols.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+    cols.map(c => fields[c])
+  );
+  clearPersonaCache();
+  return result.rows[0];
+}
+
+async function updatePersona(name, input) {
+  const fields = normalizePersona(input, { partial: true });
+  if (fields.name && fields.name !== name && await getPersona(fields.name)) {
+    throw new PersonaError(`Persona already exists: ${fields.name}`, 409);
+  }
+  const cols = Object.keys(fields);
+  if (cols.length === 0) throw new PersonaError('Nothing to update');
+  const result = await query(
+    `UPDATE personas SET ${cols.map((c, i) => `${c} = $${i + 1}`).join(', ')}, updated_at = NOW()
+     WHERE name = $${cols.length + 1} RETURNING *`,
+    [...cols.map(c => fields[c]), name]
+  );
+  clearPersonaCache();
+  return result.rows[0] || null;
+}
+
+async function deletePersona(name) {
+  const result = await query('DELETE FROM personas WHERE name = $1', [name]);
+  clearPersonaCache();
+  return result.rowCount > 0;
+}
+
+/**
+ * Assign a persona to an API key (null clears it). A persona with an owner
+ * can only be given to that owner's keys.
+ * @returns {Promise<boolean>} false if the key does not exist
+ */
+async function setApiKeyPersona(apiKeyId, name) {
+  let personaId = null;
+  if (name !== null) {
+    const persona = await getPersona(name);
+    if (!persona) throw new PersonaError('Persona not found', 404);
+    if (persona.owner_user_id) {
+      const key = await query('SELECT user_id FROM api_keys WHERE id = $1', [apiKeyId]);
+      if (key.rows.length === 0) return false;
+      if (key.rows[0].user_id !== persona.owner_user_id) {
+        throw new PersonaError('Persona belongs to another tenant', 409);
+      }
+    }
+    personaId = persona.id;
+  }
+  const result = await query('UPDATE api_keys SET persona_id = $1 WHERE id = $2', [personaId, apiKeyId]);
+  clearPersonaCache();
+  return result.rowCount > 0;
+}
+
+/* ── Resolution ──────────────────────────────────────────── */
+
+async function cached(key, load) {
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at < CACHE_TTL_MS) return hit.persona;
+  const persona = await load();
+  cache.set(key, { persona, at: Date.now() });
+  return persona;
+}
+
+/** Active persona assigned to an API key (cached). */
+function keyPersona(apiKeyId) {
+  return cached(`key:${apiKeyId}`, async () => {
+    const result = await query(
+      `SELECT p.* FROM api_keys ak JOIN personas p ON p.id = ak.persona_id
+       WHERE ak.id = $1 AND p.is_active = true`,
+      [apiKeyId]
+    );
+    return result.rows[0] || null;
+  });
+}
+
+/**
+ * Pick the persona for a request.
+ *
+ * @param {{ requested?: string, apiKeyId?: string, userId?: string }} params
+ *   userId — the caller's tenant (API key owner or session user); absent for guests
+ * @returns {Promise<object|null>} active persona row, or null for the built-in prompt
+ * @throws {PersonaError} 404 when a requested persona does not exist, is inactive
+ *   or is not available to the caller
+ */
+async function resolvePersona({ requested, apiKeyId, userId } = {}) {
+  if (requested !== undefined && requested !== null) {
+    if (typeof requested !== 'string' || !PERSONA_NAME_RE.test(requested)) throw new PersonaError('Invalid persona');
+    const persona = await cached(`name:${requested}`, () => getPersona(requested));
+    const allowed = persona && persona.is_active && (
+      persona.is_public
+      || (userId && persona.owner_user_id === userId)
+      || (apiKeyId && (await keyPersona(apiKeyId))?.id === persona.id)
+    );
+    if (!allowed) throw new PersonaError(`Persona not found: ${requested}`, 404);
+    return persona;
+  }
+  if (!apiKeyId) return null;
+  try {
+    return await keyPersona(apiKeyId);
+  } catch (err) {
+    // A key without a persona must keep working even if the lookup fails
+    console.error('[personas] API key persona lookup failed:', err.message);
+    return null;
+  }
+}
+
+module.exports = {
+  PersonaError,
+  normalizePersona,
+  listPersonas,
+  getPersona,
+  createPersona,
+  updatePersona,
+  deletePersona,
+  setApiKeyPersona,
+  resolvePersona,
+  clearPersonaCache,
+};
@@ -0,0 +1,403 @@
+/**
+ * Product Extract — structured product/price records from e-commerce pages
+ *
+ * Page text extraction (lib/page-extract.js) reduces a page to prose, which
+ * loses the one thing price questions need. This reads the page's own
+ * structured data first:
+ *   1. JSON-LD      — schema.org Product / Offer / AggregateOffer, also inside
+ *                     @graph and ItemList (listing and search pages)
+ *   2. Microdata    — itemprop name / price / priceCurrency / ratingValue / …
+ *                     inside an itemtype=…/Product scope
+ *   3. OpenGraph    — og:title + product:price:amount / product:availability
+ *   4. DOM patterns — per-site markup for pages without the above
+ *                     (Amazon product pages, Lazada's pdpTrackingData)
+ * Sources 2–4 describe the page's main product; they fill gaps in a single
+ * JSON-LD record or stand in for it.
+ *
+ * Shopee, Mudah and Carousell serve JSON-LD to crawlers and need no DOM
+ * patterns; Shopee's own JSON prices (×100000) are deliberately not read.
+ *
+ * Records:
+ *   { name, price, currency, priceMin, priceMax, priceMyr, seller, brand,
+ *     rating, ratingCount, stock: 'in_stock'|'out_of_stock'|'preorder'|null,
+ *     url, via: 'json-ld'|'microdata'|'opengraph'|'dom' }
+ * `priceMyr` is set for MYR prices, and by toMyr() for other currencies with
+ * a rate in `web_research.fx_to_myr`.
+ */
+
+const MAX_PRODUCTS_PER_PAGE = 10;
+const MAX_JSON_LD_CHARS     = 500_000;
+
+/* ── Values ──────────────────────────────────────────────── */
+
+const CURRENCY_SYMBOLS = [
+  [/^(?:rm|myr)$/i, 'MYR'],
+  [/^(?:s\$|sgd)$/i, 'SGD'],
+  [/^(?:us\$|\$|usd)$/i, 'USD'],
+  [/^(?:€|eur)$/i, 'EUR'],
+  [/^(?:£|gbp)$/i, 'GBP'],
+  [/^(?:¥|cny|rmb)$/i, 'CNY'],
+];
+
+function decodeEntities(text) {
+  return String(text || '')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&amp;/gi, '&')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#0*39;|&apos;/gi, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function cleanText(value, max = 200) {
+  if (value == null || typeof value === 'object') return null;
+  const text = decodeEntities(String(value).replace(/<[^>]+>/g, ' '));
+  return text ? text.slice(0, max) : null;
+}
+
+/**
+ * Parse a price like "RM1,299.00", "1.299,00", "MYR 89" or 1299.
+ * @param {string|number} value
+ * @returns {{ amount: number, currency: string|null }|null}
+ */
+function parsePrice(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? { amount: value, currency: null } : null;
+  const text = cleanText(value, 60);
+  if (!text) return null;
+
+  const symbol = text.match(/^\s*(rm|myr|s\$|sgd|us\$|usd|\$|€|eur|£|gbp|¥|cny|rmb)/i)
+    || text.match(/(rm|myr|sgd|usd|€|eur|£|gbp|cny)\s*$/i);
+  let currency = null;
+  if (symbol) {
+    const hit = CURRENCY_SYMBOLS.find(([rx]) => rx.test(symbol[1]));
+    currency = hit ? hit[1] : null;
+  }
+
+  const num = text.match(/\d[\d.,\s]*/);
+  if (!num) return null;
+  let digits = num[0].replace(/\s/g, '');
+  // "1.299,00" (comma decimals) vs "1,299.00"
+  if (/,\d{1,2}$/.test(digits) && !/\.\d{1,2}$/.test(digits)) digits = digits.replace(/\./g, '').replace(',', '.');
+  else digits = digits.replace(/,/g, '');
+  const amount = parseFloat(digits);
+  return Number.isFinite(amount) ? { amount, currency } : null;
+}
+
+/** schema.org availability URL/text → stock state */
+function parseStock(value) {
+  const text = String(value || '').toLowerCase();
+  if (!text) return null;
+  if (/outofstock|out of stock|sold ?out|discontinued|habis|tiada stok/.test(text)) return 'out_of_stock';
+  if (/preorder|pre-order|backorder/.test(text)) return 'preorder';
+  if (/instock|in stock|limitedavailability|onlineonly|available|ada stok|\d+ left/.test(text)) return 'in_stock';
+  return null;
+}
+
+function parseRating(value) {
+  const n = parseFloat(String(value ?? '').replace(',', '.'));
+  return Number.isFinite(n) && n >= 0 && n <= 5 ? Math.round(n * 10) / 10 : null;
+}
+
+function parseCount(value) {
+  const n = parseInt(String(value ?? '').replace(/[^\d]/g, ''), 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+function nameOf(value) {
+  if (!value) return null;
+  if (Array.isArray(value)) return nameOf(value[0]);
+  if (typeof value === 'object') return cleanText(value.name);
+  return cleanText(value);
+}
+
+/** Fill `priceMyr` when the price is already in ringgit. */
+function withMyr(record) {
+  if (record.currency === 'MYR') record.priceMyr = record.price ?? record.priceMin ?? null;
+  return record;
+}
+
+function emptyRecord(via, url) {
+  return {
+    name: null, price: null, currency: null, priceMin: null, priceMax: null, priceMyr: null,
+    seller: null, brand: null, rating: null, ratingCount: null, stock: null, url, via,
+  };
+}
+
+/* ── 1. JSON-LD ──────────────────────────────────────────── */
+
+function isType(node, type) {
+  const t = node && node['@type'];
+  return Array.isArray(t) ? t.includes(type) : t === type;
+}
+
+/** Every Product node in a JSON-LD document (graphs, lists, nesting). */
+function collectProducts(node, out, depth = 0) {
+  if (!node || typeof node !== 'object' || depth > 6 || out.length >= MAX_PRODUCTS_PER_PAGE) return;
+  if (Array.isArray(node)) {
+    for (const n of node) collectProducts(n, out, depth + 1);
+    return;
+  }
+  if (isType(node, 'Product') || isType(node, 'ProductGroup')) {
+    out.push(node);
+    return;
+  }
+  if (node['@graph']) collectProducts(node['@graph'], out, depth + 1);
+  if (node.itemListElement) collectProducts(node.itemListElement, out, depth + 1);
+  if (node.item) collectProducts(node.item, out, depth + 1);
+  if (node.mainEntity) collectProducts(node.mainEntity, out, depth + 1);
+}
+
+function fromJsonLdProduct(node, pageUrl) {
+  const record = emptyRecord('json-ld', typeof node.url === 'string' ? node.url : pageUrl);
+  record.name = nameOf(node.name);
+  record.brand = nameOf(node.brand);
+
+  const offers = [].concat(node.offers || (node.hasVariant ? [].concat(node.hasVariant).map(v => v.offers).filter(Boolean) : []));
+  const flat = offers.flatMap(o => (o && o.offers ? [].concat(o.offers) : [o])).filter(o => o && typeof o === 'object');
+  const prices = [];
+  for (const offer of flat) {
+    record.currency = record.currency || cleanText(offer.priceCurrency, 3)?.toUpperCase() || null;
+    record.seller = record.seller || nameOf(offer.seller) || nameOf(offer.offeredBy);
+    record.stock = record.stock || parseStock(offer.availability);
+    for (const key of ['price', 'lowPrice', 'highPrice']) {
+      const p = parsePrice(offer[key] ?? offer.priceSpecification?.price);
+      if (p) {
+        prices.push(p.amount);
+        record.currency = record.currency || p.currency;
+      }
+    }
+  }
+  if (prices.length > 0) {
+    record.priceMin = Math.min(...prices);
+    record.priceMax = Math.max(...prices);
+    record.price = record.priceMin === record.priceMax ? record.priceMin : null;
+  }
+
+  const rating = node.aggregateRating;
+  if (rating && typeof rating === 'object') {
+    record.rating = parseRating(rating.ratingValue);
+    record.ratingCount = parseCount(rating.reviewCount ?? rating.ratingCount);
+  }
+  return record;
+}
+
+function fromJsonLd(html, pageUrl) {
+  const records = [];
+  const rx = /<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let m;
+  while ((m = rx.exec(html)) && records.length < MAX_PRODUCTS_PER_PAGE) {
+    if (m[1].length > MAX_JSON_LD_CHARS) continue;
+    let data;
+    try {
+      data = JSON.parse(m[1].trim());
+    } catch {
+      continue; // Malformed blocks are common; skip them
+    }
+    const nodes = [];
+    collectProducts(data, nodes);
+    for (const node of nodes) records.push(fromJsonLdProduct(node, pageUrl));
+  }
+  return records;
+}
+
+/* ── 2. Microdata ────────────────────────────────────────── */
+
+function itemprop(scope, name) {
+  const rx = new RegExp(`<([a-z0-9]+)[^>]*\\sitemprop=["']${name}["'][^>]*>`, 'i');
+  const m = scope.match(rx);
+  if (!m) return null;
+  const attr = m[0].match(/\s(?:content|href)=["']([^"']*)["']/i);
+  if (attr) return attr[1];
+  const rest = scope.slice(m.index + m[0].length);
+  const inner = rest.match(new RegExp(`^([\\s\\S]*?)</${m[1]}>`, 'i'));
+  return inner ? inner[1] : null;
+}
+
+function fromMicrodata(html, pageUrl) {
+  const start = html.search(/itemtype=["']https?:\/\/schema\.org\/Product["']/i);
+  if (start < 0) return [];
+  const scope = html.slice(start, start + 50_000);
+  const record = emptyRecord('microdata', pageUrl);
+  record.name = cleanText(itemprop(scope, 'name'));
+  record.brand = cleanText(itemprop(scope, 'brand'));
+  const price = parsePrice(itemprop(scope, 'price') ?? itemprop(scope, 'lowPrice'));
+  if (price) {
+    record.price = record.priceMin = record.priceMax = price.amount;
+    record.currency = price.currency;
+  }
+  record.currency = cleanText(itemprop(scope, 'priceCurrency'), 3)?.toUpperCase() || record.currency;
+  record.rating = parseRating(itemprop(scope, 'ratingValue'));
+  record.ratingCount = parseCount(itemprop(scope, 'reviewCount') ?? itemprop(scope, 'ratingCount'));
+  record.stock = parseStock(itemprop(scope, 'availability'));
+  record.seller = cleanText(itemprop(scope, 'seller'));
+  return record.name || record.price != null ? [record] : [];
+}
+
+/* ── 3. OpenGraph / product meta ─────────────────────────── */
+
+function meta(html, property) {
+  const rx = new RegExp(`<meta[^>]+(?:property|name)=["']${property.replace(/[.:]/g, '\\$&')}["'][^>]*>`, 'i');
+  const tag = html.match(rx);
+  if (!tag) return null;
+  const content = tag[0].match(/\scontent=["']([^"']*)["']/i);
+  return content ? content[1] : null;
+}
+
+function fromOpenGraph(html, pageUrl) {
+  const amount = meta(html, 'product:price:amount') ?? meta(html, 'og:price:amount');
+  const type = meta(html, 'og:type');
+  if (amount == null && !/product/i.test(type || '')) return [];
+  const record = emptyRecord('opengraph', pageUrl);
+  record.name = cleanText(meta(html, 'og:title'));
+  const price = parsePrice(amount);
+  if (price) {
+    record.price = record.priceMin = record.priceMax = price.amount;
+    record.currency = price.currency;
+  }
+  record.currency = cleanText(meta(html, 'product:price:currency') ?? meta(html, 'og:price:currency'), 3)?.toUpperCase() || record.currency;
+  record.stock = parseStock(meta(html, 'product:availability') ?? meta(html, 'og:availability'));
+  // og:site_name is the marketplace (Shopee, Lazada), not the seller
+  record.brand = cleanText(meta(html, 'product:brand'));
+  return record.name || record.price != null ? [record] : [];
+}
+
+/* ── 4. Site DOM patterns ────────────────────────────────── */
+
+/** host → field regexes (first capture group is the value) */
+const DOM_PATTERNS = [
+  {
+    host: /(^|\.)amazon\./,
+    fields: {
+      name:   /id=["']productTitle["'][^>]*>([\s\S]*?)<\/span>/i,
+      price:  /class=["']a-price[^"']*["'][^>]*>\s*<span class=["']a-offscreen["']>([^<]+)</i,
+      rating: /([\d.]+) out of 5 stars/i,
+      count:  /id=["']acrCustomerReviewText["'][^>]*>([^<]+)</i,
+      stock:  /id=["']availability["'][\s\S]*?<span[^>]*>([\s\S]*?)<\/span>/i,
+      seller: /id=["']sellerProfileTriggerId["'][^>]*>([^<]+)</i,
+    },
+  },
+  {
+    // Lazada embeds product facts for its analytics in pdpTrackingData
+    host: /(^|\.)lazada\./,
+    fields: {
+      name:   /\\?"pdt_name\\?"\s*:\s*\\?"([^"\\]+)/,
+      price:  /\\?"pdt_price\\?"\s*:\s*\\?"([^"\\]+)/,
+      brand:  /\\?"brand_name\\?"\s*:\s*\\?"([^"\\]+)/,
+      seller: /\\?"seller_name\\?"\s*:\s*\\?"([^"\\]+)/,
+      rating: /"ratingScore"\s*:\s*"?([\d.]+)/,
+      count:  /"reviewCount"\s*:\s*"?(\d+)/,
+    },
+  },
+];
+
+function fromDom(html, pageUrl) {
+  let host;
+  try {
+    host = new URL(pageUrl).hostname;
+  } catch {
+    return [];
+  }
+  const site = DOM_PATTERNS.find(p => p.host.test(host));
+  if (!site) return [];
+  const get = key => site.fields[key] ? (html.match(site.fields[key]) || [])[1] : null;
+
+  const record = emptyRecord('dom', pageUrl);
+  record.name = cleanText(get('name'));
+  const price = parsePrice(get('price'));
+  if (price) {
+    record.price = record.priceMin = record.priceMax = price.amount;
+    record.currency = price.currency;
+  }
+  record.brand = cleanText(get('brand'));
+  record.seller = cleanText(get('seller'));
+  record.rating = parseRating(get('rating'));
+  record.ratingCount = parseCount(get('count'));
+  record.stock = parseStock(cleanText(get('stock')));
+  return record.name && record.price != null ? [record] : [];
+}
+
+/* ── Merge ───────────────────────────────────────────────── */
+
+function fillGaps(target, record) {
+  for (const [key, value] of Object.entries(record)) {
+    if (target[key] == null && value != null) target[key] = value;
+  }
+  return target;
+}
+
+/**
+ * Structured product records found on a page. Microdata, OpenGraph and DOM
+ * patterns describe the page's one main product, so they fill gaps in a
+ * single JSON-LD product (or stand in for it); on listing pages with several
+ * JSON-LD products they are ignored.
+ *
+ * @param {string} html
+ * @param {string} pageUrl
+ * @returns {object[]} at most MAX_PRODUCTS_PER_PAGE records
+ */
+function extractProducts(html, pageUrl) {
+  if (!html) return [];
+  const listed = fromJsonLd(html, pageUrl);
+  const pageLevel = [...fromMicrodata(html, pageUrl), ...fromOpenGraph(html, pageUrl), ...fromDom(html, pageUrl)];
+
+  let records = listed;
+  if (listed.length <= 1 && pageLevel.length > 0) {
+    records = [pageLevel.reduce(fillGaps, listed[0] ? { ...listed[0] } : { ...pageLevel[0] })];
+  }
+
+  // A .my shop quoting a bare number means ringgit
+  let localMyr = false;
+  try {
+    localMyr = /\.my$/.test(new URL(pageUrl).hostname);
+  } catch {}
+
+  return records
+    .filter(r => r.name && (r.price != null || r.priceMin != null))
+    .map(r => withMyr(r.currency || !localMyr ? r : { ...r, currency: 'MYR' }))
+    .slice(0, MAX_PRODUCTS_PER_PAGE);
+}
+
+/**
+ * Convert a record's price to ringgit with configured rates.
+ * @param {object} record
+ * @param {Record<string, number>} rates - currency → MYR per unit (web_research.fx_to_myr)
+ * @returns {object}
+ */
+function toMyr(record, rates) {
+  if (record.priceMyr != null || !record.currency) return record;
+  const rate = Number(rates?.[record.currency]);
+  if (!(rate > 0)) return record;
+  const amount = record.price ?? record.priceMin;
+  return { ...record, priceMyr: amount != null ? Math.round(amount * rate * 100) / 100 : null };
+}
+
+/**
+ * Markdown comparison table of records (for the model's context).
+ * @param {object[]} records - each with `n`, the source number
+ * @returns {string}
+ */
+function formatProductTable(records) {
+  const money = (v, cur) => (v == null ? '' : `${cur === 'MYR' ? 'RM ' : (cur ? cur + ' ' : '')}${v.toLocaleString('en-MY', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+  const rows = records.map(r => {
+    const price = r.price != null
+      ? money(r.price, r.currency)
+      : `${money(r.priceMin, r.currency)} – ${money(r.priceMax, r.currency)}`;
+    const myr = r.currency !== 'MYR' && r.priceMyr != null ? ` (≈ ${money(r.priceMyr, 'MYR')})` : '';
+    const rating = r.rating != null ? `${r.rating}/5${r.ratingCount != null ? ` (${r.ratingCount})` : ''}` : '';
+    const stock = { in_stock: 'In stock', out_of_stock: 'Out of stock', preorder: 'Pre-order' }[r.stock] || '';
+    const cell = s => String(s ?? '').replace(/\|/g, '/');
+    return `| ${cell(r.name)} | ${price}${myr} | ${cell(r.seller)} | ${rating} | ${stock} | [${r.n}] |`;
+  });
+  return ['| Product | Price | Seller | Rating | Stock | Source |', '|---|---|---|---|---|---|', ...rows].join('\n');
+}
+
+module.exports = {
+  parsePrice,
+  parseStock,
+  extractProducts,
+  toMyr,
+  formatProductTable,
+};
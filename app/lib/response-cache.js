@@ -0,0 +1,217 @@
+/**
+ * Response Cache — reuse answers to repeated first-turn questions
+ *
+ * QUESTION and GENERAL_CHAT answers to the first message of a conversation
+ * (no history, no attachments, no tools) are stored in `response_cache`
+ * (migration 026). A later request is served from the cache when:
+ *   - exact:    same normalised text + language + dialect + persona + model
+ *   - semantic: same language/dialect/persona/model and the question's
+ *               embedding is within `cache.similarity_threshold` (cosine)
+ *
+ * The chat route replays a hit as ordinary `token` events, so clients do not
+ * need to know. The table lives on the prod pool only: requests on the dev
+ * environment (dev_ keys) neither read nor fill it. Question embeddings come
+ * from the Ollama pool (knowledge.embedTexts). Each lookup's outcome is written to pipeline_audit.meta.cache
+ * ('hit_exact' | 'hit_semantic' | 'miss'), which /v1/admin/reporting turns
+ * into a hit rate.
+ *
+ * Settings:
+ *   cache.enabled               — master switch (off by default)
+ *   cache.ttl_minutes           — { QUESTION, GENERAL_CHAT } lifetime per route
+ *   cache.similarity_threshold  — cosine floor for near-duplicates (0 disables)
+ *   cache.embedding_model       — Ollama embedding model for lookups
+ */
+
+const crypto = require('crypto');
+const { query } = require('./db');
+const { getSetting } = require('./settings');
+const { embedTexts, cosineSimilarity } = require('./knowledge');
+
+const CACHEABLE_ROUTES   = ['QUESTION', 'GENERAL_CHAT'];
+const DEFAULT_TTL        = { QUESTION: 1440, GENERAL_CHAT: 360 };
+const DEFAULT_THRESHOLD  = 0.93;
+const DEFAULT_EMBED      = 'nomic-embed-text';
+const MAX_CANDIDATES     = 500;
+const MAX_ANSWER_CHARS   = 8000;
+const REPLAY_WORDS       = 3;
+
+/**
+ * Normalise a question for exact matching: case, punctuation, whitespace.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeQuestion(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+/** Everything an answer depends on besides the question itself. */
+function scopeOf({ language, dialect, persona, model }) {
+  return { l: language || null, d: dialect || null, p: persona || null, m: model || null };
+}
+
+/**
+ * Can this request use the cache at all?
+ * @param {{ routeType: string, hasAttachment: boolean, historyLength: number, toolCount: number }} req
+ */
+function isCacheable({ routeType, hasAttachment, historyLength, toolCount }) {
+  return CACHEABLE_ROUTES.includes(routeType) && !hasAttachment && historyLength === 0 && toolCount === 0;
+}
+
+/**
+ * Split an answer into `token` deltas for replay (keeps whitespace intact).
+ * @param {string} answer
+ * @returns {string[]}
+ */
+function replayChunks(answer, words = REPLAY_WORDS) {
+  const parts = String(answer || '').match(/\s*\S+\s*/g) || [];
+  const out = [];
+  for (let i = 0; i < parts.length; i += words) out.push(parts.slice(i, i + words).join(''));
+  return out;
+}
+
+/**
+ * Look up a cached answer.
+ *
+ * @param {{ text: string, routeType: string, language?: string, dialect?: string, persona?: string, model: string,
+ *   environment?: 'prod'|'dev' }} params
+ * @returns {Promise<null | { hit: object|null, key: object }>}
+ *   null when the cache is disabled or the request is not on prod; `key` is
+ *   passed back to storeResponse on a miss
+ */
+async function lookupResponse({ text, routeType, language, dialect, persona, model, environment = 'prod' }) {
+  if (environment !== 'prod') return null;
+  const [enabled, threshold, embedModel] = await Promise.all([
+    getSetting('cache.enabled', false),
+    getSetting('cache.similarity_threshold', DEFAULT_THRESHOLD),
+    getSetting('cache.embedding_model', DEFAULT_EMBED),
+  ]);
+  if (enabled !== true && enabled !== 'true') return null;
+
+  const normalized = normalizeQuestion(text);
+  if (!normalized) return null;
+  const scope = scopeOf({ language, dialect, persona, model });
+  const key = {
+    routeType, normalized, scope, text, language, dialect, persona, model,
+    cacheKey: sha256({ q: normalized, ...scope }),
+    scopeKey: sha256(scope),
+    embedding: null,
+    embedModel,
+  };
+
+  try {
+    const exact = await query(
+      `UPDATE response_cache SET hits = hits + 1, last_hit_at = NOW()
+       WHERE cache_key = $1 AND expires_at > NOW()
+       RETURNING id, answer, model`,
+      [key.cacheKey]
+    );
+    if (exact.rows[0]) return { hit: { ...exact.rows[0], match: 'exact', similarity: 1 }, key };
+
+    const floor = Number(threshold);
+    if (!(floor > 0)) return { hit: null, key };
+    try {
+      [key.embedding] = await embedTexts([normalized], embedModel);
+    } catch (err) {
+      console.error('[response-cache] Embedding failed:', err.message);
+      return { hit: null, key };
+    }
+
+    const candidates = await query(
+      `SELECT id, answer, model, embedding FROM response_cache
+       WHERE scope_key = $1 AND embedding_model = $2 AND expires_at > NOW()
+       ORDER BY last_hit_at DESC NULLS LAST, created_at DESC
+       LIMIT $3`,
+      [key.scopeKey, embedModel, MAX_CANDIDATES]
+    );
+    let best = null;
+    for (const row of candidates.rows) {
+      const similarity = cosineSimilarity(key.embedding, row.embedding);
+      if (similarity >= floor && (!best || similarity > best.similarity)) best = { ...row, similarity };
+    }
+    if (!best) return { hit: null, key };
+
+    await query('UPDATE response_cache SET hits = hits + 1, last_hit_at = NOW() WHERE id = $1', [best.id]);
+    return {
+      hit: { id: best.id, answer: best.answer, model: best.model, match: 'semantic', similarity: Math.round(best.similarity * 1000) / 1000 },
+      key,
+    };
+  } catch (err) {
+    console.error('[response-cache] Lookup failed:', err.message);
+    return { hit: null, key };
+  }
+}
+
+/**
+ * Store an answer under a lookup key (fire-and-forget from the chat route).
+ * @param {object} key    - from lookupResponse
+ * @param {string} answer
+ */
+async function storeResponse(key, answer) {
+  if (!key || !answer || !answer.trim() || answer.length > MAX_ANSWER_CHARS) return;
+  try {
+    const ttls = await getSetting('cache.ttl_minutes', DEFAULT_TTL);
+    const ttl = Number((ttls && ttls[key.routeType]) ?? DEFAULT_TTL[key.routeType]);
+    if (!(ttl > 0)) return;
+    if (!key.embedding) {
+      try {
+        [key.embedding] = await embedTexts([key.normalized], key.embedModel);
+      } catch {
+        // Stored without a vector: exact matches still work
+      }
+    }
+    await query(
+      `INSERT INTO response_cache
+         (cache_key, scope_key, route_type, question, normalized, answer, model, language, dialect, persona,
+          embedding, embedding_model, expires_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12, NOW() + INTERVAL '1 minute' * $13)
+       ON CONFLICT (cache_key) DO UPDATE
+         SET answer = $6, embedding = $11, embedding_model = $12, expires_at = NOW() + INTERVAL '1 minute' * $13`,
+      [key.cacheKey, key.scopeKey, key.routeType, key.text.slice(0, 2000), key.normalized, answer, key.model,
+       key.language || null, key.dialect || null, key.persona || null,
+       key.embedding, key.embedding ? key.embedModel : null, ttl]
+    );
+  } catch (err) {
+    console.error('[response-cache] Store failed:', err.message);
+  }
+}
+
+/**
+ * Drop cached answers (all, or one persona's after it was edited).
+ * @param {{ persona?: string }} [filter]
+ * @returns {Promise<number>} rows removed
+ */
+async function purgeResponses({ persona } = {}) {
+  const result = persona
+    ? await query('DELETE FROM response_cache WHERE persona = $1', [persona])
+    : await query('DELETE FROM response_cache');
+  return result.rowCount;
+}
+
+/** Clean expired entries (call periodically). */
+async function cacheCleanup() {
+  try {
+    await query('DELETE FROM response_cache WHERE expires_at < NOW()');
+  } catch {}
+}
+
+/* ── Periodic cache cleanup (every 10 minutes) ─────────── */
+setInterval(cacheCleanup, 10 * 60 * 1000).unref();
+
+module.exports = {
+  CACHEABLE_ROUTES,
+  normalizeQuestion,
+  isCacheable,
+  replayChunks,
+  lookupResponse,
+  storeResponse,
+  purgeResponses,
+};
@@ -4,6 +4,7 @@
  * Determines how to handle each user message by combining:
  *   - Input normalization
  *   - Attachment detection (doc / image)
+ *   - Knowledge collection retrieval
  *   - Web research trigger
  *   - Intent classification (with attachment context)
  *   - Language / dialect detection
@@ -18,11 +19,13 @@
  */
 
 const { classifyIntent, INTENT } = require('./intent');
-const { detectLanguageAndDialect, conservativeSpellCorrect, detectExplicitRequest } = require('./dialect');
+const { refineIntent } = require('./intent-llm');
+const { detectLanguageAndDialect, conservativeSpellCorrect, detectExplicitRequest, dialectFromPref } = require('./dialect');
 const { buildSystemPrompt } = require('./personality');
 const { shouldBrowseWeb } = require('./web-research');
 const { normalizeInput } = require('./input-normalizer');
 const { getSetting } = require('./settings');
+const { retrieve } = require('./knowledge');
 
 /* ── Route types ─────────────────────────────────────────── */
 const ROUTE = {
@@ -33,10 +36,14 @@ const ROUTE = {
   IMAGE_TASK:        'IMAGE_TASK',
   IMAGE_GEN:         'IMAGE_GEN',
   WEB_RESEARCH:      'WEB_RESEARCH',
+  KNOWLEDGE:         'KNOWLEDGE',
   STRUCTURED_TASK:   'STRUCTURED_TASK',
   UNKNOWN:           'UNKNOWN',
 };
 
+/** Intents that may be answered from knowledge collections (explicit web requests stay on the web). */
+const KNOWLEDGE_INTENTS = [INTENT.QUESTION, INTENT.GENERAL_CHAT, INTENT.TASK];
+
 /**
  * Route an incoming message to the appropriate handler.
  *
@@ -45,19 +52,22 @@ const ROUTE = {
  *   2. Detect language & dialect
  *   3. Conservative spell correction (optional, preserving dialect)
  *   4. Classify intent (with attachment context + conversation context)
- *   5. Check web research trigger
- *   6. Route based on priority: attachment > web_research > intent
+ *   5. Retrieve from knowledge collections, then check web research trigger
+ *   6. Route based on priority: attachment > knowledge > web_research > intent
  *   7. Build personality-aware system prompt with stabilizer
  *   8. Attach per-route decoding config
  *
  * @param {string}      message      - user's text message (may be empty if attachment-only)
  * @param {object}      attachments  - { hasImage, hasDoc, doc }
- * @param {object}      [config]     - optional overrides + { convContext, docFollowUp }
+ * @param {object}      [config]     - optional overrides + { convContext, docFollowUp, collections, persona }
+ *   `collections` — knowledge collection names to search (resolved by the caller)
+ *   `persona`     — personas row (lib/personas.js); sets the prompt identity,
+ *                   default language and dialect level
  * @returns {Promise<RouteDecision>}
  */
 async function routeMessage(message, attachments = {}, config = {}) {
   const { hasImage = false, hasDoc = false, doc = null } = attachments;
-  const { convContext, docFollowUp } = config;
+  const { convContext, docFollowUp, collections, persona = null } = config;
   const startTime = Date.now();
 
   // ── Step 1: Normalize input ──
@@ -85,13 +95,20 @@ async function routeMessage(message, attachments = {}, config = {}) {
   } else if (pref.language !== 'auto' || pref.dialect !== 'none') {
     // Second priority: sticky session preferences
     if (pref.language !== 'auto') effectiveLang = pref.language;
-    if (pref.dialect === 'klate') effectiveDialect = 'KELANTAN';
-    else if (pref.dialect === 'utara') effectiveDialect = 'UTARA';
+    const prefDialect = dialectFromPref(pref.dialect);
+    if (prefDialect) effectiveDialect = prefDialect;
     else if (pref.dialect === 'none' && pref.language !== 'auto') effectiveDialect = lang.dialect; // keep detection
     dialectIsExplicit = pref.dialect !== 'none';
+  } else if (persona && persona.default_language !== 'auto' && (lang.language === 'mixed' || lang.confidence < 0.3)) {
+    // Lowest priority: the persona's default when detection can't tell
+    effectiveLang = persona.default_language;
+  } else if (lang.dialectAmbiguous) {
+    // Two dialects tie (e.g. "hang ni demo") — don't mirror the wrong one
+    effectiveDialect = 'STANDARD';
   }
   // If English sticky preference and no dialect markers in this message → stay English, no dialect
-  if (effectiveLang === 'en' && lang.utaraScore === 0 && lang.kelantanScore === 0) {
+  const dialectMarkers = Object.values(lang.dialectScores || {}).reduce((sum, n) => sum + n, 0);
+  if (effectiveLang === 'en' && dialectMarkers === 0) {
     effectiveDialect = null;
   }
 
@@ -117,7 +134,8 @@ async function routeMessage(message, attachments = {}, config = {}) {
     getSetting('ai.smalltalk_stabilizer', true),
   ]);
   const isStabilizerOn = stabilizerEnabled === true || stabilizerEnabled === 'true';
-  const effDialectLevel = (dialectLevel === 'false' || dialectLevel === false) ? 'off' : (dialectLevel || 'light');
+  const effDialectLevel = persona?.dialect_level
+    || ((dialectLevel === 'false' || dialectLevel === false) ? 'off' : (dialectLevel || 'light'));
 
   // ── Step 5: Attachment routing (highest priority) ──
   if (hasDoc && doc) {
@@ -155,6 +173,7 @@ async function routeMessage(message, attachments = {}, config = {}) {
         langResult: effectiveLangResult,
         dialectLevel: effDialectLevel,
         stabilizerEnabled: isStabilizerOn,
+        persona,
       }),
       lang: effectiveLangResult,
       intent,
@@ -169,7 +188,50 @@ async function routeMessage(message, attachments = {}, config = {}) {
   }
 
   // ── Step 6: Intent classification (text-only, with conversation context) ──
-  const intent = classifyIntent(textForClassify, { hasImage, hasDoc, convContext });
+  // Rules first; a small LLM gets a say when they are unsure (lib/intent-llm.js)
+  const intent = await refineIntent(textForClassify, classifyIntent(textForClassify, { hasImage, hasDoc, convContext }));
+
+  // ── Step 6b: Knowledge collections (answer from our own documents first) ──
+  if (text && Array.isArray(collections) && collections.length > 0 && KNOWLEDGE_INTENTS.includes(intent.intent)
+      && !(docFollowUp && docFollowUp.isFollowUp)) {
+    try {
+      const knowledgeEnabled = await getSetting('knowledge.enabled', false);
+      if (knowledgeEnabled === true || knowledgeEnabled === 'true') {
+        const knowledge = await retrieve(text, collections);
+        if (knowledge.chunks.length > 0) {
+          return buildDecision({
+            routeType: ROUTE.KNOWLEDGE,
+            systemPrompt: buildSystemPrompt({
+              routeType: ROUTE.KNOWLEDGE,
+              language: effectiveLangResult.language,
+              dialect: effectiveLangResult.dialect,
+              formality: effectiveLangResult.formality,
+              tone: effectiveLangResult.tone,
+              langResult: effectiveLangResult,
+              dialectLevel: effDialectLevel,
+              stabilizerEnabled: isStabilizerOn,
+              persona,
+            }),
+            lang: effectiveLangResult,
+            intent: { ...intent, reason: 'knowledge' },
+            knowledge: { ...knowledge, collections },
+            reason: `knowledge:${knowledge.chunks.length}@${knowledge.chunks[0].score}`,
+            numPredict: 1536,
+            decodingConfig: { temperature: 0.3, top_p: 0.8 },
+            normalized: text,
+            original,
+            normMeta,
+            corrections,
+            convContext: convContext || null,
+            durationMs: Date.now() - startTime,
+            explicitRequest: explicitReq,
+          });
+        }
+      }
+    } catch (err) {
+      console.error('[router] Knowledge retrieval failed:', err.message);
+    }
+  }
 
   // ── Step 7: Web research check ──
   if (text && (intent.intent === INTENT.WEB_RESEARCH || intent.intent === INTENT.QUESTION)) {
@@ -227,10 +289,12 @@ async function routeMessage(message, attachments = {}, config = {}) {
   }
 
   // ── Step 8b: Doc follow-up override ──
-  // If user recently uploaded a doc and asks a follow-up question, keep in DOCUMENT_ANALYSIS
+  // If user recently uploaded a doc and asks a follow-up question, keep in DOCUMENT_ANALYSIS.
+  // Naming one of the session's documents ("the invoice", "dokumen kedua") is enough on its own.
   if (docFollowUp && docFollowUp.isFollowUp && !hasDoc && !hasImage &&
       routeType !== ROUTE.WEB_RESEARCH && routeType !== ROUTE.IMAGE_GEN) {
     const isLikelyFollowUp = text && (
+      docFollowUp.referenced ||
       /\b(yang tadi|tu tadi|dokumen|document|file|the one|dalam tu|yang tu|summarize|summary|from that|point|section|part|pasal|bahagian|berapa|how much|total|amount|what about)\b/i.test(text) ||
       (convContext && convContext.lastRoute === 'DOCUMENT_ANALYSIS')
     );
@@ -251,6 +315,7 @@ async function routeMessage(message, attachments = {}, config = {}) {
     langResult: effectiveLangResult,
     dialectLevel: effDialectLevel,
     stabilizerEnabled: isStabilizerOn,
+    persona,
   });
 
   // Token limits by route type (can be overridden by settings)
@@ -305,7 +370,7 @@ async function routeMessage(message, attachments = {}, config = {}) {
  */
 function buildDecision({
   routeType, systemPrompt, lang, intent, reason, numPredict,
-  webDecision, normalized, original, normMeta, corrections,
+  webDecision, knowledge, normalized, original, normMeta, corrections,
   needsVision, durationMs, decodingConfig, convContext, explicitRequest,
 }) {
   const decision = {
@@ -329,6 +394,7 @@ function buildDecision({
     },
   };
   if (webDecision) decision.webDecision = webDecision;
+  if (knowledge) decision.knowledge = knowledge;
   return decision;
 }
 
@@ -87,34 +87,64 @@ function scanOutputForLeaks(text) {
 
 /* ── Content size budget ─────────────────────────────────── */
 
+/**
+ * Average characters per token by model family. Tokenizers with smaller
+ * vocabularies (and Malay/Chinese text) pack fewer characters per token.
+ */
+const CHARS_PER_TOKEN = [
+  [/^llama3/, 4],
+  [/^qwen/, 3.5],
+  [/^gemma/, 3.8],
+  [/^(llama2|mistral|phi)/, 3.2],
+];
+
 /**
  * Estimate token count from character length (rough: 1 token ≈ 4 chars for English)
  * @param {string} text
+ * @param {string} [model] - Ollama model name, for a per-family chars/token ratio
  * @returns {number} estimated tokens
  */
-function estimateTokens(text) {
+function estimateTokens(text, model) {
   if (!text) return 0;
-  return Math.ceil(text.length / 4);
+  return Math.ceil(text.length / charsPerToken(model));
+}
+
+function charsPerToken(model) {
+  const family = model ? CHARS_PER_TOKEN.find(([re]) => re.test(model)) : null;
+  return family ? family[1] : 4;
+}
+
+/**
+ * Roughly how many characters fit in `tokens` (inverse of estimateTokens).
+ * @param {number} tokens
+ * @param {string} [model]
+ * @returns {number}
+ */
+function charsForTokens(tokens, model) {
+  return Math.max(0, Math.floor(tokens * charsPerToken(model)));
 }
 
 /**
- * Check if input fits within reasonable budget
+ * Check if input fits the model's budget
  * @param {Object} params
  * @param {string} params.message
  * @param {string} params.docText - document text if any
- * @param {number} params.maxContextTokens - max total context tokens
+ * @param {string} [params.model] - for the per-family chars/token ratio
+ * @param {number} params.maxContextTokens - tokens the input may use: the model's window
+ *   (context-window.getContextWindow) less the system prompt and reserved output
  * @returns {{ ok: boolean, estimatedTokens: number, reason?: string }}
  */
-function checkBudget({ message = '', docText = '', maxContextTokens = 32000 }) {
-  const msgTokens = estimateTokens(message);
-  const docTokens = estimateTokens(docText);
+function checkBudget({ message = '', docText = '', model, maxContextTokens }) {
+  const msgTokens = estimateTokens(message, model);
+  const docTokens = estimateTokens(docText, model);
   const total = msgTokens + docTokens;
+  const max = Math.max(Math.floor(Number(maxContextTokens) || 0), 0);
 
-  if (total > maxContextTokens) {
+  if (total > max) {
     return {
       ok: false,
       estimatedTokens: total,
-      reason: `Input too large: ~${total} tokens (max ${maxContextTokens})`,
+      reason: `Input too large${model ? ` for ${model}` : ''}: ~${total} tokens (max ${max})`,
     };
   }
 
@@ -125,6 +155,7 @@ module.exports = {
   checkPromptInjection,
   scanOutputForLeaks,
   estimateTokens,
+  charsForTokens,
   checkBudget,
   INJECTION_PATTERNS,
 };
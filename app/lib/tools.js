@@ -4,11 +4,16 @@
  * Provides a registry of tools that can be called by the AI pipeline.
  * Currently implements stub/mock tools with admin toggles.
  *
+ * The STRUCTURED_TASK route offers enabled tools to the model through
+ * Ollama's native `tools` field (getToolDefinitions) and runs the calls
+ * it requests through executeTool, which enforces enable flags + permissions.
+ *
  * Planned tools:
  *   - Order lookup
  *   - Points lookup
  *   - QR verify
- *   - DB read (strict allowlist)
+ *
+ * DB read (strict allowlist) lives in db-read.js.
  *
  * Each tool has:
  *   - id, name, description
@@ -16,6 +21,7 @@
  *   - execute function
  *   - permissions (guest/registered/admin)
  *   - enabled flag (admin toggle)
+ *   - source ('builtin' here, 'http' for admin-defined tools — see http-tools.js)
  */
 
 const { getSetting } = require('./settings');
@@ -28,8 +34,16 @@ const tools = new Map();
 /**
  * Register a tool in the registry.
  */
-function registerTool({ id, name, description, schema, permissions, execute }) {
-  tools.set(id, { id, name, description, schema, permissions, execute, registeredAt: new Date() });
+function registerTool({ id, name, description, schema, permissions, execute, source = 'builtin' }) {
+  tools.set(id, { id, name, description, schema, permissions, execute, source, registeredAt: new Date() });
+}
+
+/**
+ * Remove a tool from the registry.
+ * @returns {boolean} true if a tool was removed
+ */
+function unregisterTool(id) {
+  return tools.delete(id);
 }
 
 /**
@@ -49,15 +63,59 @@ function listTools() {
     description: t.description,
     schema: t.schema,
     permissions: t.permissions,
+    source: t.source,
   }));
 }
 
+/**
+ * Resolve the permission role of a request: 'admin' | 'registered' | 'guest'.
+ * Admin = ADMIN_TOKEN bearer or a session whose Cloudflare Access identity was
+ * stored by the /admin pages. The raw cf-access-* headers are never trusted
+ * here: /v1/chat is public and clients can send any header they like.
+ */
+function getToolRole(req) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (adminToken && req.headers.authorization === `Bearer ${adminToken}`) return 'admin';
+  if (req.session?.cfEmail) return 'admin';
+  if (req.session?.userId || req.apiKey) return 'registered';
+  return 'guest';
+}
+
+async function isToolEnabled(toolId) {
+  const toolEnabled = await getSetting(`tool.${toolId}.enabled`, false);
+  return toolEnabled === true || toolEnabled === 'true';
+}
+
+/**
+ * Tools the given role may call, in Ollama/OpenAI function-calling format.
+ *
+ * @param {'guest'|'registered'|'admin'} role
+ * @returns {Promise<Array<{ type: 'function', function: { name, description, parameters } }>>}
+ */
+async function getToolDefinitions(role) {
+  const defs = [];
+  for (const tool of tools.values()) {
+    if (!(tool.permissions || []).includes(role)) continue;
+    if (!(await isToolEnabled(tool.id))) continue;
+    defs.push({
+      type: 'function',
+      function: {
+        name: tool.id,
+        description: tool.description,
+        parameters: tool.schema || { type: 'object', properties: {} },
+      },
+    });
+  }
+  return defs;
+}
+
 /**
  * Execute a tool with audit logging.
  *
  * @param {string} toolId
  * @param {object} params - input parameters
- * @param {object} context - { visitorId, userId, environment }
+ * @param {object} context - { visitorId, userId, environment, role }
+ *   When `role` is given, the tool's permissions must include it.
  * @returns {Promise<{ success: boolean, result?: any, error?: string }>}
  */
 async function executeTool(toolId, params, context = {}) {
@@ -67,11 +125,15 @@ async function executeTool(toolId, params, context = {}) {
   }
 
   // Check if tool is enabled
-  const toolEnabled = await getSetting(`tool.${toolId}.enabled`, false);
-  if (toolEnabled !== true && toolEnabled !== 'true') {
+  if (!(await isToolEnabled(toolId))) {
     return { success: false, error: `Tool is disabled: ${toolId}` };
   }
 
+  // Check caller permissions
+  if (context.role && !(tool.permissions || []).includes(context.role)) {
+    return { success: false, error: `Permission denied for tool: ${toolId}` };
+  }
+
   const startTime = Date.now();
 
   try {
@@ -175,30 +237,14 @@ registerTool({
   },
 });
 
-registerTool({
-  id: 'db_read',
-  name: 'DB Read',
-  description: 'Execute a pre-approved read-only database query',
-  schema: {
-    type: 'object',
-    properties: {
-      queryName: { type: 'string', description: 'Name of the allowed query', enum: ['recent_orders', 'product_count', 'customer_summary'] },
-      params: { type: 'object', description: 'Query parameters' },
-    },
-  },
-  permissions: ['admin'],
-  execute: async (params) => {
-    return {
-      status: 'mock',
-      message: 'DB read tool is not yet connected. Only allowlisted queries would be permitted.',
-      mockData: { rows: [], queryName: params.queryName },
-    };
-  },
-});
+// db_read is registered by db-read.js against the admin-managed query catalogue
 
 module.exports = {
   registerTool,
+  unregisterTool,
   getTool,
   listTools,
   executeTool,
+  getToolRole,
+  getToolDefinitions,
 };
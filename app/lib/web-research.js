@@ -1,13 +1,26 @@
 /**
  * Web Research — search the web, fetch pages, extract content, cache results
  *
- * Providers: SearXNG (default, self-hosted), Tavily, SerpAPI
- * Security: SSRF protection, domain allow/block lists, timeouts
+ * Providers: SearXNG (default, self-hosted), Tavily, SerpAPI, and the local
+ *            crawled index (lib/local-index.js) for offline/intranet setups
+ * Security: SSRF protection (private IP literals refused up front, resolved
+ *           addresses checked and pinned at connect), domain allow/block
+ *           lists, timeouts
+ * Research mode: multi-query search with planner follow-ups (section 8)
+ * Pages: main-content extraction (lib/page-extract.js); PDF/DOCX links are
+ * read through lib/document-ingestion.js
  */
 
 const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { Agent } = require('undici');
 const { getSetting } = require('./settings');
 const { query } = require('./db');
+const { registerLexicon, getLexicon } = require('./lexicons');
+const { pickBackend } = require('./ollama-pool');
+const { extractProducts, toMyr, formatProductTable } = require('./product-extract');
+const { decodeBody, extractMainText, extractLinks, robotsMeta } = require('./page-extract');
 
 /* ════════════════════════════════════════════════════════════
    1. Decide whether to browse
@@ -22,6 +35,11 @@ const BROWSE_KEYWORDS = [
   'spec', 'model', 'compare', 'banding',
 ];
 
+registerLexicon('web.browse_keywords', {
+  description: 'Keywords that make shouldBrowseWeb() search the web (substring match)',
+  entries: BROWSE_KEYWORDS,
+});
+
 const FORCE_BROWSE   = ['cari web', 'search web', 'browse web', 'web search'];
 const NO_BROWSE      = ['tanpa browse', 'no web', 'no browse', 'jangan cari web', 'offline'];
 
@@ -68,7 +86,7 @@ function shouldBrowseWeb(userMessage) {
   }
 
   // Keyword match
-  for (const kw of BROWSE_KEYWORDS) {
+  for (const kw of getLexicon('web.browse_keywords')) {
     if (lower.includes(kw)) {
       return { shouldBrowse: true, reason: `keyword:${kw}` };
     }
@@ -97,6 +115,12 @@ const FILLER_WORDS = new Set([
   'di', 'dari', 'pada',
 ]);
 
+registerLexicon('web.filler_words', {
+  kind: 'set',
+  description: 'Words stripped from messages when building search queries',
+  entries: [...FILLER_WORDS],
+});
+
 // Platform/site hints — map keywords to site search syntax
 const SITE_HINTS = [
   { patterns: ['shopee', 'shope', 'shopie'], site: 'shopee.com.my' },
@@ -147,7 +171,8 @@ function reformulateQuery(userMessage) {
   }
 
   // 3. Strip filler words
-  q = q.split(/\s+/).filter(w => !FILLER_WORDS.has(w.replace(/[?!.,]/g, ''))).join(' ');
+  const fillerWords = getLexicon('web.filler_words');
+  q = q.split(/\s+/).filter(w => !fillerWords.has(w.replace(/[?!.,]/g, ''))).join(' ');
 
   // 4. Clean up extra spaces and punctuation
   q = q.replace(/\s+/g, ' ').replace(/^[\s,.!?]+|[\s,.!?]+$/g, '').trim();
@@ -155,17 +180,27 @@ function reformulateQuery(userMessage) {
   // 5. If query became too short, fall back to original minus filler
   if (q.length < 5) q = userMessage.replace(/\b(boleh|tolong|check|cek)\b/gi, '').trim();
 
-  // 6. Add price context if user asked about price but word got stripped
+  // 6–7. Price context + "Malaysia" localisation
+  q = addPriceContext(q, original);
+
+  return { query: q, siteHint, original };
+}
+
+/**
+ * Add price context the user asked for but filler stripping removed, and
+ * "Malaysia" for price queries to localize results.
+ * @param {string} q        - search query
+ * @param {string} original - the user's message
+ * @returns {string}
+ */
+function addPriceContext(q, original) {
   if (/harga|price|berapa|how much/i.test(original) && !/harga|price/i.test(q)) {
     q = 'harga ' + q;
   }
-
-  // 7. Add "Malaysia" for price queries to localize results
   if (/harga|price|berapa|rm\s*\d/i.test(original) && !/malaysia/i.test(q)) {
     q += ' Malaysia';
   }
-
-  return { query: q, siteHint, original };
+  return q;
 }
 
 
@@ -173,22 +208,64 @@ function reformulateQuery(userMessage) {
    2b. SSRF & domain safety
    ════════════════════════════════════════════════════════════ */
 
-const PRIVATE_IP_RANGES = [
-  /^127\./,
-  /^10\./,
-  /^172\.(1[6-9]|2\d|3[01])\./,
-  /^192\.168\./,
-  /^0\./,
-  /^169\.254\./,
-  /^::1$/,
-  /^fc00:/,
-  /^fe80:/,
-  /^fd/,
-  /^localhost$/i,
-];
+/* Loopback, private, link-local, CGNAT, unspecified, multicast and reserved ranges */
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]]) {
+  PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+/**
+ * Is an IP literal internal? BlockList checks IPv4-mapped IPv6
+ * (::ffff:127.0.0.1, ::ffff:7f00:1) against the IPv4 ranges.
+ * @param {string} address
+ */
+function isPrivateAddress(address) {
+  const ip = String(address).replace(/^\[|\]$/g, '');
+  const family = net.isIP(ip);
+  if (family === 0) return false;
+  return PRIVATE_ADDRESSES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
 
+/**
+ * Hostnames that are internal without a DNS lookup: IP literals in private
+ * ranges (brackets stripped) and localhost. Names that only resolve to a
+ * private address are refused when connecting (safeLookup).
+ */
 function isPrivateHost(hostname) {
-  return PRIVATE_IP_RANGES.some(rx => rx.test(hostname));
+  const host = String(hostname).replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (net.isIP(host)) return isPrivateAddress(host);
+  return /^localhost$|\.localhost$/i.test(host);
+}
+
+/**
+ * dns.lookup for outbound fetches: every address the name resolves to must
+ * be public, and the connection uses exactly those addresses, so a second
+ * lookup (DNS rebinding) cannot swap in an internal one.
+ */
+function safeLookup(hostname, options, callback) {
+  if (typeof options === 'function') { callback = options; options = {}; }
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(a => isPrivateAddress(a.address));
+    if (blocked || addresses.length === 0) {
+      const refused = new Error(`${hostname} resolves to a private address`);
+      refused.code = 'EPRIVATEADDR';
+      return callback(refused);
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+let publicDispatcher = null;
+/** undici dispatcher whose connections go through safeLookup; pass as `dispatcher` to fetch(). */
+function getPublicDispatcher() {
+  if (!publicDispatcher) publicDispatcher = new Agent({ connect: { lookup: safeLookup } });
+  return publicDispatcher;
 }
 
 /**
@@ -221,6 +298,17 @@ function isUrlSafe(urlStr, allowedDomains, blockedDomains) {
   }
 }
 
+/**
+ * web_research.allowed_domains / blocked_domains (comma-separated) as lists.
+ * @returns {Promise<{ allowedDomains: string[], blockedDomains: string[] }>}
+ */
+async function loadDomainLists() {
+  const rawAllowed = await getSetting('web_research.allowed_domains', '');
+  const rawBlocked = await getSetting('web_research.blocked_domains', 'localhost,127.0.0.1');
+  const toList = raw => (typeof raw === 'string' ? raw.split(',').map(s => s.trim()).filter(Boolean) : []);
+  return { allowedDomains: toList(rawAllowed), blockedDomains: toList(rawBlocked) };
+}
+
 
 /* ════════════════════════════════════════════════════════════
    3. Search providers
@@ -345,20 +433,32 @@ async function searchSerpAPI(queryStr, limit = 6) {
   }
 }
 
+/* Lazy-loaded: lib/local-index.js requires this module for fetching */
+let localIndex;
+function loadLocalIndex() { if (!localIndex) localIndex = require('./local-index'); return localIndex; }
+
 /**
- * Universal search dispatcher
+ * Search with a named provider.
+ * @param {'searxng'|'tavily'|'serpapi'|'local'} provider
  */
-async function webSearch(queryStr, limit = 6) {
-  const provider = await getSetting('web_research.search_provider', 'searxng');
-
+async function searchWith(provider, queryStr, limit = 6) {
   switch (provider) {
     case 'tavily':  return searchTavily(queryStr, limit);
     case 'serpapi': return searchSerpAPI(queryStr, limit);
+    case 'local':   return loadLocalIndex().searchLocalIndex(queryStr, limit);
     case 'searxng':
     default:        return searchSearXNG(queryStr, limit);
   }
 }
 
+/**
+ * Universal search dispatcher
+ */
+async function webSearch(queryStr, limit = 6) {
+  const provider = await getSetting('web_research.search_provider', 'searxng');
+  return searchWith(provider, queryStr, limit);
+}
+
 
 /* ════════════════════════════════════════════════════════════
    4. Select best sources
@@ -395,6 +495,8 @@ function scoreRelevance(result, queryTerms) {
 
 /**
  * Select sources: deduplicate by domain, rank by relevance, limit count.
+ * Local index results are exempt from the one-per-domain rule — an intranet
+ * corpus is often a single host.
  * @param {{title: string, url: string, snippet: string}[]} results
  * @param {number} maxSources
  * @param {string} queryStr - the search query for relevance scoring
@@ -412,7 +514,7 @@ function selectSources(results, maxSources = 4, queryStr = '') {
   for (const r of scored) {
     try {
       const hostname = new URL(r.url).hostname;
-      if (seenDomains.has(hostname)) continue;
+      if (seenDomains.has(hostname) && !r.indexed) continue;
       seenDomains.add(hostname);
       selected.push(r.url);
       if (selected.length >= maxSources) break;
@@ -431,48 +533,82 @@ function selectSources(results, maxSources = 4, queryStr = '') {
 
 const USER_AGENT = 'Mozilla/5.0 (compatible; GetouchBot/1.0; +https://getouch.co)';
 const MAX_TEXT_LENGTH = 20_000; // characters per page
+const MAX_PAGE_BYTES  = 2 * 1024 * 1024; // HTML / text read per page; the rest is cut off
+const MAX_REDIRECTS   = 5;
+
+const DOCUMENT_TYPES = {
+  pdf:  'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+};
 
 /**
- * Strip HTML tags and extract readable text.
- * Lightweight extraction without Readability dependency.
- */
-function extractText(html) {
-  // Remove scripts, styles, SVGs, navs, footers, headers, forms
-  let text = html
-    .replace(/<script[\s\S]*?<\/script>/gi, '')
-    .replace(/<style[\s\S]*?<\/style>/gi, '')
-    .replace(/<svg[\s\S]*?<\/svg>/gi, '')
-    .replace(/<nav[\s\S]*?<\/nav>/gi, '')
-    .replace(/<footer[\s\S]*?<\/footer>/gi, '')
-    .replace(/<header[\s\S]*?<\/header>/gi, '')
-    .replace(/<form[\s\S]*?<\/form>/gi, '')
-    .replace(/<noscript[\s\S]*?<\/noscript>/gi, '');
-
-  // Try to extract <article> or <main> content first
-  const articleMatch = text.match(/<article[\s\S]*?>([\s\S]*?)<\/article>/i);
-  const mainMatch    = text.match(/<main[\s\S]*?>([\s\S]*?)<\/main>/i);
-
-  if (articleMatch) {
-    text = articleMatch[1];
-  } else if (mainMatch) {
-    text = mainMatch[1];
-  }
-
-  // Strip remaining HTML
-  text = text
-    .replace(/<[^>]+>/g, ' ')          // remove tags
-    .replace(/&nbsp;/gi, ' ')
-    .replace(/&amp;/gi, '&')
-    .replace(/&lt;/gi, '<')
-    .replace(/&gt;/gi, '>')
-    .replace(/&quot;/gi, '"')
-    .replace(/&#\d+;/g, '')
-    .replace(/\s+/g, ' ')              // collapse whitespace
-    .trim();
+ * Read a response body, stopping at maxBytes. The rest of the stream is
+ * cancelled, so a chunked response without Content-Length cannot fill memory.
+ * @param {Response} res
+ * @param {number} maxBytes
+ * @returns {Promise<{ bytes: Buffer, truncated: boolean }>}
+ */
+async function readBodyCapped(res, maxBytes) {
+  if (!res.body) return { bytes: Buffer.alloc(0), truncated: false };
+  const reader = res.body.getReader();
+  const chunks = [];
+  let size = 0;
+  let truncated = false;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    if (size + value.byteLength > maxBytes) {
+      chunks.push(value.subarray(0, maxBytes - size));
+      size = maxBytes;
+      truncated = true;
+      await reader.cancel().catch(() => {});
+      break;
+    }
+    chunks.push(value);
+    size += value.byteLength;
+  }
+  return { bytes: Buffer.concat(chunks, size), truncated };
+}
 
-  return text.slice(0, MAX_TEXT_LENGTH);
+/**
+ * fetch() that follows redirects itself, so every hop is checked before it
+ * is requested: isUrlSafe with the web_research domain lists always, plus the
+ * caller's `allowHop` (e.g. the local index crawler's scope and robots.txt).
+ * Connections go through the public dispatcher, so a hop whose name resolves
+ * to a private address fails to connect.
+ * A refused hop, a redirect loop or more than MAX_REDIRECTS hops give null.
+ *
+ * @param {string} url
+ * @param {RequestInit} init - `redirect` is always 'manual'
+ * @param {{ allowHop?: (url: string) => boolean }} [opts]
+ * @returns {Promise<{ res: Response, url: string }|null>} the final response and its URL
+ */
+async function fetchWithSafeRedirects(url, init, { allowHop } = {}) {
+  const { allowedDomains, blockedDomains } = await loadDomainLists();
+  const visited = new Set();
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    if (visited.has(current) || !isUrlSafe(current, allowedDomains, blockedDomains)) return null;
+    if (hop > 0 && allowHop && !allowHop(current)) return null;
+    visited.add(current);
+
+    const res = await fetch(current, { ...init, redirect: 'manual', dispatcher: getPublicDispatcher() });
+    const location = res.status >= 300 && res.status < 400 ? res.headers.get('location') : null;
+    if (!location) return { res, url: current };
+    await res.body?.cancel().catch(() => {});
+    try {
+      current = new URL(location, current).href;
+    } catch {
+      return null;
+    }
+  }
+  return null;
 }
 
+/* Lazy-loaded: pulls in the PDF/DOCX parsers only when a document link is fetched */
+let ingestion;
+function loadIngestion() { if (!ingestion) ingestion = require('./document-ingestion'); return ingestion; }
+
 /**
  * Extract <title> from HTML
  */
@@ -482,44 +618,128 @@ function extractTitle(html) {
 }
 
 /**
- * Fetch a single URL and extract clean text.
+ * Which document format a response is, if any: by Content-Type, or by the
+ * URL's extension when the server sends a generic binary type.
+ * @returns {'pdf'|'docx'|null}
+ */
+function documentFormat(contentType, url) {
+  if (contentType.includes(DOCUMENT_TYPES.pdf)) return 'pdf';
+  if (contentType.includes('wordprocessingml')) return 'docx';
+  if (contentType && !/octet-stream|binary|download/i.test(contentType)) return null;
+  try {
+    const ext = new URL(url).pathname.toLowerCase().match(/\.(pdf|docx)$/);
+    return ext ? ext[1] : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Text of a PDF/DOCX response via the upload handlers (lib/document-ingestion.js).
+ * Only documents with a text layer are used — scanned PDFs are skipped rather
+ * than OCRed inside a web request.
+ *
+ * Settings:
+ *   web_research.fetch_documents    — follow PDF/DOCX links (on by default)
+ *   web_research.max_document_mb    — larger documents are skipped
+ *   web_research.max_document_pages — PDF pages read per document
+ */
+async function readDocument(res, url, format) {
+  const [enabled, maxMb, maxPages] = await Promise.all([
+    getSetting('web_research.fetch_documents', true),
+    getSetting('web_research.max_document_mb', 10),
+    getSetting('web_research.max_document_pages', 10),
+  ]);
+  if (enabled === false || enabled === 'false') return null;
+  const maxBytes = Number(maxMb) * 1024 * 1024;
+  const declared = Number(res.headers.get('content-length'));
+  if (declared > maxBytes) return null;
+
+  // Content-Length may be absent or wrong: stop reading at the cap either way
+  const { bytes: buf, truncated } = await readBodyCapped(res, maxBytes);
+  if (truncated) return null;
+  let fileName = new URL(url).pathname.split('/').pop() || `document.${format}`;
+  try {
+    fileName = decodeURIComponent(fileName);
+    const doc = await loadIngestion().ingestAttachment(buf, fileName, DOCUMENT_TYPES[format], {
+      maxMb: Number(maxMb),
+      maxPdfPages: parseInt(maxPages, 10) || 10,
+      textOnly: true,
+    });
+    if (doc.kind !== 'text') return null;
+    return { url, title: doc.title || fileName, text: doc.text.slice(0, MAX_TEXT_LENGTH), format };
+  } catch (err) {
+    console.error('[web-research] Document skipped:', url, err.message);
+    return null;
+  }
+}
+
+/**
+ * Fetch a single URL and extract its main content (lib/page-extract.js),
+ * plus structured product records when the page has them
+ * (lib/product-extract.js). PDF and DOCX links are read as documents.
+ * With `withLinks` (the local index crawler) HTML pages also carry their
+ * outgoing `links` and `<meta name="robots">` directives. Bodies are read up
+ * to MAX_PAGE_BYTES (HTML, text) or web_research.max_document_mb (documents).
+ * Redirects go through fetchWithSafeRedirects (`allowRedirect` checks each
+ * hop); the returned `url` is the final one. `onStatus` gets the final HTTP
+ * status, so a caller can tell a missing page from one that failed to load.
  * @param {string} url
  * @param {number} timeoutSec
- * @returns {Promise<{url: string, title: string, text: string} | null>}
+ * @param {{ withLinks?: boolean, allowRedirect?: (url: string) => boolean, onStatus?: (status: number) => void }} [opts]
+ * @returns {Promise<{url: string, title: string, text: string, format?: 'pdf'|'docx', products?: object[],
+ *   links?: string[], robots?: { noindex: boolean, nofollow: boolean }} | null>}
  */
-async function fetchAndExtract(url, timeoutSec = 8) {
+async function fetchAndExtract(requestedUrl, timeoutSec = 8, { withLinks = false, allowRedirect, onStatus } = {}) {
   const ac = new AbortController();
   const tm = setTimeout(() => ac.abort(), timeoutSec * 1000);
 
   try {
-    const res = await fetch(url, {
+    const fetched = await fetchWithSafeRedirects(requestedUrl, {
       headers: {
         'User-Agent': USER_AGENT,
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,application/pdf;q=0.8,*/*;q=0.7',
         'Accept-Language': 'en-US,en;q=0.9,ms;q=0.8',
       },
       signal: ac.signal,
-      redirect: 'follow',
-    });
-    clearTimeout(tm);
+    }, { allowHop: allowRedirect });
+    if (!fetched) return null;
+    const { res, url } = fetched;
+    onStatus?.(res.status);
 
     if (!res.ok) return null;
 
-    const contentType = res.headers.get('content-type') || '';
+    const contentType = (res.headers.get('content-type') || '').toLowerCase();
+    const format = documentFormat(contentType, url);
+    if (format) return await readDocument(res, url, format);
     if (!contentType.includes('text/html') && !contentType.includes('text/plain') && !contentType.includes('application/xhtml')) {
       return null;
     }
 
-    const html = await res.text();
+    const { bytes } = await readBodyCapped(res, MAX_PAGE_BYTES);
+    const html = decodeBody(bytes, contentType);
+    if (contentType.includes('text/plain')) {
+      const text = html.replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim().slice(0, MAX_TEXT_LENGTH);
+      return text.length < 50 ? null : { url, title: url, text };
+    }
+
     const title = extractTitle(html) || url;
-    const text  = extractText(html);
+    const text  = extractMainText(html, { maxLength: MAX_TEXT_LENGTH });
+    const products = extractProducts(html, url);
 
-    if (text.length < 50) return null; // Too little content
+    // Too little content — unless it is an SPA shell that still ships JSON-LD
+    if (text.length < 50 && products.length === 0) return null;
 
-    return { url, title, text };
+    const page = products.length > 0 ? { url, title, text, products } : { url, title, text };
+    if (withLinks) {
+      page.links  = extractLinks(html, url);
+      page.robots = robotsMeta(html);
+    }
+    return page;
   } catch (err) {
-    clearTimeout(tm);
     return null; // Skip failed fetches silently
+  } finally {
+    clearTimeout(tm);
   }
 }
 
@@ -535,6 +755,68 @@ async function fetchAll(urls, timeoutSec = 8) {
     .map(r => r.value);
 }
 
+/**
+ * fetchAll, except that results from the local index (flagged `indexed`)
+ * are read from the stored crawl instead of being fetched again.
+ * @param {string[]} urls
+ * @param {{url: string, indexed?: boolean}[]} searchResults
+ * @param {number} timeoutSec
+ */
+async function fetchPages(urls, searchResults, timeoutSec = 8) {
+  const indexed = new Set(searchResults.filter(r => r.indexed).map(r => r.url));
+  const stored = indexed.size > 0
+    ? await loadLocalIndex().getIndexedPages(urls.filter(u => indexed.has(u)))
+    : [];
+  const storedUrls = new Set(stored.map(p => p.url));
+  const toFetch = urls.filter(u => !storedUrls.has(u));
+  const fetched = await Promise.all(toFetch.map(u => fetchAndExtract(u, timeoutSec)));
+  // Keyed by the requested URL: a fetched page's own `url` is where its redirects ended
+  const byUrl = new Map([...stored.map(p => [p.url, p]), ...toFetch.map((u, i) => [u, fetched[i]])]);
+  return urls.map(u => byUrl.get(u)).filter(Boolean);
+}
+
+
+/** Enough page text to answer from, or structured product data. */
+function isUsablePage(page) {
+  return page.text.length >= 100 || page.products?.length > 0;
+}
+
+/**
+ * Turn fetched pages into context sources. When page fetches come back empty
+ * (e-commerce SPAs like Shopee return empty HTML, but snippets have useful
+ * data) search snippets stand in; otherwise they top up a short list.
+ * @param {{url, title, text}[]} fetched
+ * @param {{title, url, snippet}[]} searchResults
+ * @param {number} maxSources
+ * @returns {{url: string, title: string, text: string}[]}
+ */
+function assembleSources(fetched, searchResults, maxSources) {
+  const fromSnippet = r => ({ url: r.url, title: r.title, text: `${r.title}. ${r.snippet}` });
+  const hasSnippet  = r => r.snippet && r.snippet.length > 10;
+
+  // Filter out fetched pages with very little content (SPA shells)
+  const usable = fetched.filter(isUsablePage);
+  if (usable.length === 0) {
+    console.log('[web-research] Page content weak/empty — using search snippets as sources');
+    return searchResults.slice(0, maxSources).filter(hasSnippet).map(fromSnippet);
+  }
+
+  const finalSources = usable.slice(0, maxSources);
+  // Supplement with snippet data if we have fewer sources than desired
+  if (finalSources.length < maxSources) {
+    const fetchedUrls = new Set(finalSources.map(s => s.url));
+    const snippetSources = searchResults
+      .filter(r => !fetchedUrls.has(r.url) && hasSnippet(r))
+      .slice(0, maxSources - finalSources.length)
+      .map(fromSnippet);
+    if (snippetSources.length > 0) {
+      console.log('[web-research] Supplementing with', snippetSources.length, 'snippet sources');
+      return finalSources.concat(snippetSources);
+    }
+  }
+  return finalSources;
+}
+
 
 /* ════════════════════════════════════════════════════════════
    6. Cache layer (PostgreSQL)
@@ -564,15 +846,15 @@ async function cacheGet(queryStr, urls) {
 /**
  * Store results in cache.
  */
-async function cacheSet(queryStr, urls, results, ttlMinutes = 30) {
+async function cacheSet(queryStr, urls, results, ttlMinutes = 30, provider = null) {
   const key = makeCacheKey(queryStr, urls);
   try {
     await query(
-      `INSERT INTO web_cache (cache_key, query, urls, results, expires_at)
-       VALUES ($1, $2, $3, $4, NOW() + INTERVAL '1 minute' * $5)
+      `INSERT INTO web_cache (cache_key, query, urls, results, provider, expires_at)
+       VALUES ($1, $2, $3, $4, $6, NOW() + INTERVAL '1 minute' * $5)
        ON CONFLICT (cache_key) DO UPDATE
-         SET results = $4, expires_at = NOW() + INTERVAL '1 minute' * $5`,
-      [key, queryStr, urls, JSON.stringify(results), ttlMinutes]
+         SET results = $4, provider = $6, expires_at = NOW() + INTERVAL '1 minute' * $5`,
+      [key, queryStr, urls, JSON.stringify(results), ttlMinutes, provider]
     );
   } catch (err) {
     console.error('[web-research] Cache write failed:', err.message);
@@ -594,10 +876,14 @@ async function cacheCleanup() {
    ════════════════════════════════════════════════════════════ */
 
 /**
- * Build a system prompt + context for web-augmented answers.
+ * Build a system prompt + context for web-augmented answers. Sources are
+ * numbered from 1 in the order given; the answer cites them as [n] and
+ * lib/grounding.js checks those citations against the same list. Product
+ * records on the sources (`products`, see collectProducts) are added as a
+ * comparison table the model is told to answer price questions from.
  * @param {{url: string, title: string, text: string}[]} sources
  * @param {string} userMessage
- * @returns {{ systemPrompt: string, contextBlock: string, sourcesFooter: string }}
+ * @returns {{ systemPrompt: string, contextBlock: string, sourcesFooter: string, citations: {n: number, title: string, url: string}[] }}
  */
 function buildWebContext(sources, userMessage) {
   // Detect if Malay
@@ -613,7 +899,9 @@ function buildWebContext(sources, userMessage) {
     }
   }
   const avgRelevance = sources.length > 0 ? totalHits / (sources.length * queryWords.length) : 0;
-  const sourcesWeak = avgRelevance < 0.3;
+  // Structured product data is never "weak" — it must not invite guessed prices
+  const products = listProducts(sources);
+  const sourcesWeak = avgRelevance < 0.3 && products.length === 0;
 
   const knowledgeFallback = sourcesWeak
     ? (isMalay
@@ -633,7 +921,7 @@ FORMAT JAWAPAN:
 1. Mulakan dengan ringkasan 1 baris yang menjawab soalan terus.
 2. Gunakan **bold** untuk data penting (nama produk, harga, spec). Guna emoji (🔹, 🔥, 👉) untuk kemudahan imbasan.
 3. Senaraikan data spesifik dari sumber — nama, harga, kuantiti — dalam bullet points.
-4. Petik sumber menggunakan [1], [2] di sebelah data yang disokong.
+4. WAJIB petik sumber: letak nombor sumber dalam kurungan siku — [1], [2] — di hujung setiap ayat atau bullet yang guna data sumber. Guna nombor sumber yang diberi SAHAJA.
 5. Akhiri dengan 👉 **Kesimpulan** — 1-2 ayat ringkasan utama.
 6. Senaraikan "Sumber:" dengan tajuk dan URL.
 
@@ -654,7 +942,7 @@ RESPONSE FORMAT:
 1. Start with a 1-line summary directly answering the question.
 2. Use **bold** for key data (product names, prices, specs). Use emoji markers (🔹, 🔥, 👉) for scan-ability.
 3. List specific data from sources — names, prices, quantities — in bullet points.
-4. Cite sources using [1], [2] inline next to the data they support.
+4. You MUST cite: put the source number in square brackets — [1], [2] — at the end of every sentence or bullet that uses source data. Only use the source numbers given.
 5. End with a 👉 **Summary** — 1-2 sentence key takeaway.
 6. List "Sources:" with title + URL.
 
@@ -669,8 +957,14 @@ RULES:
 ENGAGEMENT: End your reply with a relevant follow-up question to help the user narrow their choice.
 Example: "Want me to compare specific models?" / "What's your budget range?"`;
 
-  let contextBlock = '--- WEB RESEARCH RESULTS ---\n\n';
+  const productRule = products.length === 0 ? '' : (isMalay
+    ? '\n\nDATA PRODUK: Bahagian "DATA PRODUK" dibaca terus dari data berstruktur laman (JSON-LD/meta). Untuk soalan harga atau perbandingan, jawab dengan JADUAL markdown (Produk | Harga | Penjual | Rating | Stok | Sumber) berdasarkan data itu, dengan [n] dalam lajur Sumber. Ambil harga HANYA dari DATA PRODUK atau teks sumber — jangan teka.'
+    : '\n\nPRODUCT DATA: The "PRODUCT DATA" section was read directly from the pages\' structured data (JSON-LD/meta). For price or comparison questions, answer with a markdown TABLE (Product | Price | Seller | Rating | Stock | Source) built from it, with [n] in the Source column. Take prices ONLY from PRODUCT DATA or the source text — never guess.');
+
+  let contextBlock = '--- WEB RESEARCH RESULTS ---\n'
+    + `Sources are numbered [1]–[${sources.length}]; cite them by these numbers.\n\n`;
   const sourcesList = [];
+  const citations = [];
 
   sources.forEach((src, i) => {
     const num = i + 1;
@@ -678,27 +972,386 @@ Example: "Want me to compare specific models?" / "What's your budget range?"`;
     const truncText = src.text.length > 3000
       ? src.text.slice(0, 3000) + '…'
       : src.text;
-    contextBlock += `[${num}] ${src.title}\nURL: ${src.url}\n${truncText}\n\n`;
+    const format = src.format ? ` (${src.format.toUpperCase()})` : '';
+    contextBlock += `[${num}] ${src.title}${format}\nURL: ${src.url}\n${truncText}\n\n`;
     sourcesList.push(`[${num}] ${src.title} — ${src.url}`);
+    citations.push({ n: num, title: src.title, url: src.url });
   });
 
   contextBlock += '--- END WEB RESULTS ---';
+  if (products.length > 0) {
+    contextBlock += '\n\n--- PRODUCT DATA ---\n' + formatProductTable(products) + '\n--- END PRODUCT DATA ---';
+  }
   contextBlock += knowledgeFallback;
 
   // Add format reminder right before user question (LLMs pay more attention to recent instructions)
   const formatReminder = isMalay
-    ? '\n\n📋 PERINGATAN FORMAT: Gunakan **bold**, emoji (🔹🔥👉), bullet points. Ekstrak semua data spesifik (nama produk, harga, spec). Akhiri dengan soalan susulan.'
-    : '\n\n📋 FORMAT REMINDER: Use **bold**, emoji (🔹🔥👉), bullet points. Extract all specific data (product names, prices, specs). End with a follow-up question.';
+    ? '\n\n📋 PERINGATAN FORMAT: Gunakan **bold**, emoji (🔹🔥👉), bullet points. Ekstrak semua data spesifik (nama produk, harga, spec) dengan [n] sumbernya. Akhiri dengan soalan susulan.'
+    : '\n\n📋 FORMAT REMINDER: Use **bold**, emoji (🔹🔥👉), bullet points. Extract all specific data (product names, prices, specs), each with its [n] source. End with a follow-up question.';
   contextBlock += formatReminder;
 
   const sourcesFooter = sourcesList.join('\n');
 
-  return { systemPrompt, contextBlock, sourcesFooter };
+  return { systemPrompt: systemPrompt + productRule, contextBlock, sourcesFooter, citations };
+}
+
+
+/* ════════════════════════════════════════════════════════════
+   8. Research mode — sub-queries, follow-ups, page dedupe
+   ════════════════════════════════════════════════════════════ */
+
+// "X vs Y" separators; bare "or"/"atau" split too many ordinary questions
+const COMPARE_SPLIT = /\s+(?:vs\.?|versus|lawan|berbanding|compared (?:to|with)|banding(?:kan)? dengan)\s+/i;
+const DANGLING_WORDS = /^(?:(?:compare|banding(?:kan)?|vs\.?|versus|lawan|berbanding|and|dan|on|at|in|kat|di|&|,)\s+)+|(?:\s+(?:vs\.?|versus|lawan|berbanding|and|dan|on|at|in|kat|di|&|,))+$/gi;
+const TRACKING_PARAMS = /^(utm_\w+|gclid|fbclid|srsltid|spm|sp_atk|xptdk|ref|ref_src)$/i;
+
+const DEFAULT_PLANNER_MODEL = 'qwen2.5:1.5b';
+const DEFAULT_PLANNER_MS    = 4000;
+const MAX_PLANNER_QUERIES   = 6;
+
+const PLAN_SCHEMA = {
+  type: 'object',
+  properties: { queries: { type: 'array', items: { type: 'string' } } },
+  required: ['queries'],
+};
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function uniqueQueries(list) {
+  const seen = new Set();
+  return list.filter(q => {
+    const key = q.toLowerCase().replace(/\s+/g, ' ').trim();
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Canonical form of a URL for deduplication: no fragment, tracking params,
+ * `www.`/`m.` prefix, trailing slash or http/https difference.
+ * @param {string} urlStr
+ * @returns {string|null} null for unparseable URLs
+ */
+function normalizeUrl(urlStr) {
+  try {
+    const u = new URL(urlStr);
+    for (const key of [...u.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(key)) u.searchParams.delete(key);
+    }
+    u.searchParams.sort();
+    const host = u.host.toLowerCase().replace(/^(www|m)\./, '');
+    return `${host}${u.pathname.replace(/\/+$/, '')}${u.search}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Drop search results that point at the same page (first one wins).
+ * @param {{title, url, snippet}[]} results
+ */
+function dedupeResults(results) {
+  const seen = new Set();
+  return results.filter(r => {
+    const key = normalizeUrl(r.url);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Drop fetched pages that are the same page — same canonical URL, or the
+ * same opening text (mirrors, redirects to one listing).
+ * @param {{url, title, text}[]} pages
+ */
+function dedupePages(pages) {
+  const seenUrls = new Set();
+  const seenText = new Set();
+  return pages.filter(p => {
+    const urlKey  = normalizeUrl(p.url);
+    const textKey = p.text.toLowerCase().replace(/\s+/g, ' ').slice(0, 500);
+    if (seenUrls.has(urlKey) || seenText.has(textKey)) return false;
+    seenUrls.add(urlKey);
+    seenText.add(textKey);
+    return true;
+  });
+}
+
+/**
+ * Split a question into search queries without a model: one per compared
+ * subject ("rtx 4060 vs rx 7600") and per shop named ("… shopee vs lazada"),
+ * plus the whole question.
+ *
+ * @param {string} userMessage
+ * @param {number} [max]
+ * @returns {string[]} most specific first, the whole question last
+ */
+function decomposeQuery(userMessage, max = 4) {
+  let text = String(userMessage || '').toLowerCase();
+
+  const sites = [];
+  for (const sh of SITE_HINTS) {
+    const p = sh.patterns.find(x => text.includes(x));
+    if (!p) continue;
+    sites.push(sh.site);
+    text = text.replace(new RegExp(`\\b${escapeRegExp(p)}\\b`, 'gi'), ' ');
+  }
+  text = text.replace(/\s+/g, ' ').trim();
+
+  const localize = part => addPriceContext(reformulateQuery(part).query, userMessage);
+  const parts = text.split(COMPARE_SPLIT)
+    .map(p => p.replace(DANGLING_WORDS, '').trim())
+    .filter(p => p.length >= 2);
+  const whole = localize(parts.join(' ') || userMessage);
+  const subjects = parts.length > 1 ? parts.map(localize) : [whole];
+
+  const specific = sites.length > 0
+    ? subjects.flatMap(s => sites.map(site => `${s} ${site}`))
+    : (parts.length > 1 ? subjects : []);
+
+  return uniqueQueries([...specific, whole]).slice(0, Math.max(1, max));
+}
+
+/**
+ * Parse the planner model's JSON answer into clean search queries.
+ * @param {string} content
+ * @param {number} max
+ * @returns {string[]}
+ */
+function parsePlannerQueries(content, max) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    return [];
+  }
+  if (!data || !Array.isArray(data.queries)) return [];
+  const queries = data.queries
+    .filter(q => typeof q === 'string')
+    .map(q => q.replace(/\s+/g, ' ').trim())
+    .filter(q => q.length >= 3 && q.length <= 120);
+  return uniqueQueries(queries).slice(0, max);
+}
+
+/**
+ * Ask the planner model for search queries (constrained JSON). Returns []
+ * on timeout, error or when no backend serves the model.
+ */
+async function askPlanner({ model, timeoutMs, system, user, max }) {
+  const backend = pickBackend(model);
+  if (!backend) return [];
+  try {
+    const res = await fetch(`${backend.url}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: user },
+        ],
+        format: PLAN_SCHEMA,
+        stream: false,
+        keep_alive: '30m',
+        options: { temperature: 0, num_predict: 160 },
+      }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!res.ok) throw new Error(`Ollama ${res.status}`);
+    const data = await res.json();
+    return parsePlannerQueries(data.message?.content || '', max);
+  } catch (err) {
+    if (err.name !== 'TimeoutError') console.error('[web-research] Planner failed:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Sub-queries for a question: the rule split when it finds one, else the
+ * planner model's decomposition, with the whole question kept last.
+ */
+async function planSubQueries(userMessage, cfg) {
+  const rules = decomposeQuery(userMessage, cfg.maxSubqueries);
+  if (rules.length > 1 || !cfg.plannerModel || cfg.maxSubqueries < 2) return rules;
+
+  const planned = await askPlanner({
+    model: cfg.plannerModel,
+    timeoutMs: cfg.plannerTimeoutMs,
+    max: cfg.maxSubqueries,
+    system: [
+      'You plan web searches for a shopping and general-knowledge assistant in Malaysia.',
+      `Split the user's question into at most ${cfg.maxSubqueries} short, independent web search queries`,
+      'that together cover everything needed to answer it (one per product, shop or aspect compared).',
+      'Keep the user\'s language. Use a single query if the question is simple. Answer with JSON only.',
+    ].join(' '),
+    user: userMessage.slice(0, 1000),
+  });
+  return uniqueQueries([...planned, ...rules]).slice(0, cfg.maxSubqueries);
+}
+
+/**
+ * Follow-up searches for thin results: the planner sees what was searched
+ * and found, and names what is still missing (or nothing).
+ */
+async function planFollowups(userMessage, tried, sources, cfg) {
+  if (!cfg.plannerModel || cfg.maxFollowups < 1) return [];
+  const found = sources.length > 0
+    ? sources.map((s, i) => `[${i + 1}] ${s.title} — ${s.text.slice(0, 200)}`).join('\n')
+    : '(nothing useful)';
+  const planned = await askPlanner({
+    model: cfg.plannerModel,
+    timeoutMs: cfg.plannerTimeoutMs,
+    max: cfg.maxFollowups,
+    system: [
+      'You review web search results for a question and decide whether more searching is needed.',
+      `If information needed to answer is missing, give at most ${cfg.maxFollowups} new search queries`,
+      'that differ from the ones already tried. If the results are enough, return an empty list. Answer with JSON only.',
+    ].join(' '),
+    user: `QUESTION:\n${userMessage.slice(0, 1000)}\n\nSEARCHED:\n${tried.join('\n')}\n\nFOUND:\n${found}`,
+  });
+  const triedKeys = new Set(tried.map(q => q.toLowerCase().trim()));
+  return planned.filter(q => !triedKeys.has(q.toLowerCase().trim()));
+}
+
+/**
+ * Run every query on every provider in parallel.
+ * @returns {Promise<{ query: string, results: {title, url, snippet}[] }[]>} one entry per query, results merged across providers
+ */
+async function searchAll(queries, providers, emit) {
+  return Promise.all(queries.map(async (q) => {
+    const perProvider = await Promise.all(providers.map(async (provider) => {
+      try {
+        const results = (await searchWith(provider, q, 6)).map(r => ({ ...r, provider }));
+        emit({ status: 'searched', query: q, provider, results: results.length });
+        return results;
+      } catch (err) {
+        console.error(`[web-research] ${provider} search failed for "${q}":`, err.message);
+        emit({ status: 'searched', query: q, provider, results: 0, failed: true });
+        return [];
+      }
+    }));
+    return { query: q, results: dedupeResults(perProvider.flat()) };
+  }));
+}
+
+/**
+ * Pick URLs to fetch round-robin across sub-queries, so every query is
+ * represented, skipping pages already seen and unsafe URLs.
+ * @param {{ query: string, results: object[] }[]} searches
+ * @param {number} limit
+ * @param {Set<string>} seen - normalized URLs already taken (updated)
+ * @param {{ allowedDomains: string[], blockedDomains: string[] }} domains
+ * @returns {string[]}
+ */
+function pickResearchUrls(searches, limit, seen, { allowedDomains, blockedDomains }) {
+  const ranked = searches.map(s => selectSources(s.results, limit, s.query)
+    .filter(u => isUrlSafe(u, allowedDomains, blockedDomains)));
+  const picked = [];
+  for (let i = 0; picked.length < limit && ranked.some(list => i < list.length); i++) {
+    for (const list of ranked) {
+      if (picked.length >= limit) break;
+      const url = list[i];
+      const key = url && normalizeUrl(url);
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      picked.push(url);
+    }
+  }
+  return picked;
+}
+
+/**
+ * Research mode: decompose → parallel search across providers → fetch →
+ * optional follow-up searches when sources are thin → dedupe.
+ */
+async function performMultiQueryResearch(userMessage, rawQuery, cfg, emit) {
+  const startTime = Date.now();
+
+  const queries = await planSubQueries(rawQuery, cfg);
+  emit({ status: 'research_plan', queries });
+  console.log('[web-research] Sub-queries:', queries.join(' | '));
+
+  const searches = await searchAll(queries, cfg.providers, emit);
+  let searchResults = dedupeResults(searches.flatMap(s => s.results));
+  console.log('[web-research] Total search results:', searchResults.length);
+  if (searchResults.length === 0) return null;
+
+  const sourceLimit = Math.max(cfg.maxSources, queries.length);
+  const seen = new Set();
+  const fetchUrls = pickResearchUrls(searches, Math.max(cfg.maxFetch, queries.length), seen, cfg);
+  if (fetchUrls.length === 0) return null;
+
+  const cacheQuery = queries.join(' | ');
+  const cached = await cacheGet(cacheQuery, fetchUrls);
+  if (cached && Array.isArray(cached) && cached.length > 0) {
+    return { sources: cached.slice(0, sourceLimit), searchResults, queries, followups: [], fromCache: true, durationMs: Date.now() - startTime };
+  }
+
+  emit({ status: 'fetching', pages: fetchUrls.length });
+  let fetched = dedupePages(await fetchPages(fetchUrls, searchResults, cfg.timeoutSec));
+  console.log('[web-research] Fetched:', fetched.length, 'of', fetchUrls.length, 'pages');
+
+  // Thin results — let the planner ask for what is missing
+  let followups = [];
+  const usable = fetched.filter(isUsablePage);
+  if (usable.length < Math.ceil(sourceLimit / 2)) {
+    followups = await planFollowups(userMessage, queries, assembleSources(fetched, searchResults, sourceLimit), cfg);
+    if (followups.length > 0) {
+      emit({ status: 'followup', queries: followups });
+      console.log('[web-research] Follow-up queries:', followups.join(' | '));
+      const more = await searchAll(followups, cfg.providers, emit);
+      searchResults = dedupeResults(searchResults.concat(more.flatMap(s => s.results)));
+      const moreUrls = pickResearchUrls(more, cfg.maxFetch, seen, cfg);
+      if (moreUrls.length > 0) {
+        emit({ status: 'fetching', pages: moreUrls.length, followup: true });
+        fetched = dedupePages(fetched.concat(await fetchPages(moreUrls, searchResults, cfg.timeoutSec)));
+      }
+    }
+  }
+
+  const finalSources = assembleSources(fetched, searchResults, sourceLimit + followups.length);
+  if (finalSources.length === 0) return null;
+
+  await cacheSet(cacheQuery, fetchUrls, finalSources, cfg.cacheTtl, cfg.providers.join(','));
+  return { sources: finalSources, searchResults, queries, followups, fromCache: false, durationMs: Date.now() - startTime };
+}
+
+
+/* ════════════════════════════════════════════════════════════
+   8b. Product records
+   ════════════════════════════════════════════════════════════ */
+
+/**
+ * Apply product settings to sources: drop records when extraction is off,
+ * else add ringgit prices via `web_research.fx_to_myr`.
+ * @param {object[]} sources
+ * @param {{ enabled: boolean|string, rates: object }} cfg
+ */
+function prepareProducts(sources, { enabled, rates }) {
+  const on = enabled !== false && enabled !== 'false';
+  return sources.map((src) => {
+    if (!src.products) return src;
+    const { products, ...rest } = src;
+    return on ? { ...rest, products: products.map(p => toMyr(p, rates)) } : rest;
+  });
+}
+
+/**
+ * All product records across sources, each tagged with its source number.
+ * @param {object[]} sources
+ * @returns {object[]}
+ */
+function listProducts(sources) {
+  return sources.flatMap((src, i) => (src.products || []).map(p => ({ ...p, n: i + 1 })));
 }
 
 
 /* ════════════════════════════════════════════════════════════
-   8. Main orchestrator
+   9. Main orchestrator
    ════════════════════════════════════════════════════════════ */
 
 /**
@@ -709,19 +1362,37 @@ Example: "Want me to compare specific models?" / "What's your budget range?"`;
  * 4. Fetch & extract (if not cached)
  * 5. Return context for LLM
  *
+ * With `web_research.research_mode` on, steps 1–4 run in research mode
+ * instead (section 8): several sub-queries searched in parallel across
+ * `web_research.research_providers`, up to `web_research.max_followups`
+ * planner-proposed follow-up searches when sources are thin, and pages
+ * deduplicated across queries. Each step is reported through `onStatus`.
+ *
+ * Product records read from the pages' structured data come back as
+ * `products` (each with its source number `n`) unless
+ * `web_research.extract_products` is off.
+ *
  * @param {string} userMessage - The original user message
+ * @param {{ onStatus?: (event: object) => void }} [opts] - progress events (`status` frames for the chat client)
  * @returns {Promise<{
  *   sources: {url: string, title: string, text: string}[],
  *   systemPrompt: string,
  *   contextBlock: string,
  *   searchResults: {title,url,snippet}[],
  *   provider: string,
+ *   products: object[],
+ *   mode: 'single'|'research',
+ *   queries: string[],
+ *   followups: string[],
  *   durationMs: number,
  *   fromCache: boolean,
  * } | null>}
  */
-async function performWebResearch(userMessage) {
+async function performWebResearch(userMessage, { onStatus } = {}) {
   const startTime = Date.now();
+  const emit = (event) => {
+    try { onStatus?.(event); } catch {}
+  };
 
   // Load settings
   const maxSources = parseInt(await getSetting('web_research.max_sources', 4), 10);
@@ -729,16 +1400,12 @@ async function performWebResearch(userMessage) {
   const cacheTtl   = parseInt(await getSetting('web_research.cache_ttl_minutes', 30), 10);
   const timeoutSec = parseInt(await getSetting('web_research.timeout_seconds', 8), 10);
   const provider   = await getSetting('web_research.search_provider', 'searxng');
+  const productCfg = {
+    enabled: await getSetting('web_research.extract_products', true),
+    rates:   await getSetting('web_research.fx_to_myr', {}),
+  };
 
-  const rawAllowed = await getSetting('web_research.allowed_domains', '');
-  const rawBlocked = await getSetting('web_research.blocked_domains', 'localhost,127.0.0.1');
-
-  const allowedDomains = typeof rawAllowed === 'string'
-    ? rawAllowed.split(',').map(s => s.trim()).filter(Boolean)
-    : [];
-  const blockedDomains = typeof rawBlocked === 'string'
-    ? rawBlocked.split(',').map(s => s.trim()).filter(Boolean)
-    : [];
+  const { allowedDomains, blockedDomains } = await loadDomainLists();
 
   // Strip browse commands, then reformulate for better search
   let rawQuery = userMessage
@@ -758,7 +1425,57 @@ async function performWebResearch(userMessage) {
     : null;
 
   console.log('[web-research] Original:', userMessage);
+
+  // Product settings → prompt context → result
+  const finish = (sources, fields) => {
+    const prepared = prepareProducts(sources, productCfg);
+    const ctx = buildWebContext(prepared, userMessage);
+    return {
+      sources: prepared,
+      systemPrompt: ctx.systemPrompt,
+      contextBlock: ctx.contextBlock,
+      products: listProducts(prepared),
+      ...fields,
+      durationMs: Date.now() - startTime,
+    };
+  };
+
+  const researchMode = await getSetting('web_research.research_mode', false);
+  if (researchMode === true || researchMode === 'true') {
+    const [maxSubqueries, maxFollowups, plannerModel, plannerTimeoutMs, rawProviders] = await Promise.all([
+      getSetting('web_research.max_subqueries', 4),
+      getSetting('web_research.max_followups', 2),
+      getSetting('web_research.planner_model', DEFAULT_PLANNER_MODEL),
+      getSetting('web_research.planner_timeout_ms', DEFAULT_PLANNER_MS),
+      getSetting('web_research.research_providers', []),
+    ]);
+    const providers = Array.isArray(rawProviders) && rawProviders.length > 0 ? rawProviders : [provider];
+    try {
+      const research = await performMultiQueryResearch(userMessage, rawQuery, {
+        maxSources, maxFetch, cacheTtl, timeoutSec, providers, allowedDomains, blockedDomains,
+        maxSubqueries: Math.min(Math.max(parseInt(maxSubqueries, 10) || 1, 1), MAX_PLANNER_QUERIES),
+        maxFollowups: Math.min(Math.max(parseInt(maxFollowups, 10) || 0, 0), 2),
+        plannerModel: typeof plannerModel === 'string' ? plannerModel : '',
+        plannerTimeoutMs: Number(plannerTimeoutMs) > 0 ? Number(plannerTimeoutMs) : DEFAULT_PLANNER_MS,
+      }, emit);
+      if (!research) return null;
+
+      return finish(research.sources, {
+        searchResults: research.searchResults,
+        provider: providers.join('+'),
+        mode: 'research',
+        queries: research.queries,
+        followups: research.followups,
+        fromCache: research.fromCache,
+      });
+    } catch (err) {
+      console.error('[web-research] Research mode error:', err.message);
+      return null;
+    }
+  }
+
   console.log('[web-research] Reformulated:', searchQuery, siteQuery ? `(+ ${siteHint})` : '');
+  const queries = siteQuery ? [siteQuery, searchQuery] : [searchQuery];
 
   try {
     // Step 1: Search — try site-enhanced first, then general
@@ -804,79 +1521,39 @@ async function performWebResearch(userMessage) {
     // Step 3: Check cache
     const cached = await cacheGet(searchQuery, fetchUrls);
     if (cached && Array.isArray(cached) && cached.length > 0) {
-      const ctx = buildWebContext(cached.slice(0, maxSources), userMessage);
-      return {
-        sources: cached.slice(0, maxSources),
-        systemPrompt: ctx.systemPrompt,
-        contextBlock: ctx.contextBlock,
+      return finish(cached.slice(0, maxSources), {
         searchResults,
         provider,
-        durationMs: Date.now() - startTime,
+        mode: 'single',
+        queries,
+        followups: [],
         fromCache: true,
-      };
+      });
     }
 
     // Step 4: Fetch & extract
-    const fetched = await fetchAll(fetchUrls, timeoutSec);
+    const fetched = await fetchPages(fetchUrls, searchResults, timeoutSec);
     console.log('[web-research] Fetched:', fetched.length, 'of', fetchUrls.length, 'pages');
 
-    // Step 4b: If page fetches returned too few, create sources from search snippets
-    // (e-commerce SPAs like Shopee return empty HTML, but snippets have useful data)
-    let finalSources;
-    if (fetched.length === 0 || fetched.every(s => s.text.length < 100)) {
-      console.log('[web-research] Page content weak/empty — using search snippets as sources');
-      finalSources = searchResults.slice(0, maxSources)
-        .filter(r => r.snippet && r.snippet.length > 10)
-        .map(r => ({
-          url: r.url,
-          title: r.title,
-          text: `${r.title}. ${r.snippet}`,
-        }));
-      if (finalSources.length === 0) {
-        console.log('[web-research] No usable snippets either — returning null');
-        return null;
-      }
-    } else {
-      // Filter out fetched pages with very little content (SPA shells)
-      const usable = fetched.filter(s => s.text.length >= 100);
-      if (usable.length === 0) {
-        // All fetched pages were SPA shells — fall back to snippets
-        console.log('[web-research] All fetched pages are SPA shells — using snippets');
-        finalSources = searchResults.slice(0, maxSources)
-          .filter(r => r.snippet && r.snippet.length > 10)
-          .map(r => ({ url: r.url, title: r.title, text: `${r.title}. ${r.snippet}` }));
-      } else {
-        finalSources = usable.slice(0, maxSources);
-        // Supplement with snippet data if we have fewer sources than desired
-        if (finalSources.length < maxSources) {
-          const fetchedUrls = new Set(finalSources.map(s => s.url));
-          const snippetSources = searchResults
-            .filter(r => !fetchedUrls.has(r.url) && r.snippet && r.snippet.length > 10)
-            .slice(0, maxSources - finalSources.length)
-            .map(r => ({ url: r.url, title: r.title, text: `${r.title}. ${r.snippet}` }));
-          if (snippetSources.length > 0) {
-            console.log('[web-research] Supplementing with', snippetSources.length, 'snippet sources');
-            finalSources = finalSources.concat(snippetSources);
-          }
-        }
-      }
+    // Step 4b: Fall back to / supplement with search snippets
+    const finalSources = assembleSources(fetched, searchResults, maxSources);
+    if (finalSources.length === 0) {
+      console.log('[web-research] No usable pages or snippets — returning null');
+      return null;
     }
 
     // Step 5: Cache results
-    await cacheSet(searchQuery, fetchUrls, finalSources, cacheTtl);
+    await cacheSet(searchQuery, fetchUrls, finalSources, cacheTtl, provider);
 
     // Step 6: Build context
-    const ctx = buildWebContext(finalSources, userMessage);
-
-    return {
-      sources: finalSources,
-      systemPrompt: ctx.systemPrompt,
-      contextBlock: ctx.contextBlock,
+    return finish(finalSources, {
       searchResults,
       provider,
-      durationMs: Date.now() - startTime,
+      mode: 'single',
+      queries,
+      followups: [],
       fromCache: false,
-    };
+    });
   } catch (err) {
     console.error('[web-research] Pipeline error:', err.message);
     return null;
@@ -891,12 +1568,23 @@ setInterval(cacheCleanup, 10 * 60 * 1000);
 module.exports = {
   shouldBrowseWeb,
   reformulateQuery,
+  decomposeQuery,
+  parsePlannerQueries,
+  normalizeUrl,
+  dedupePages,
   webSearch,
   selectSources,
   fetchAndExtract,
   fetchAll,
+  readBodyCapped,
+  fetchWithSafeRedirects,
+  isPrivateAddress,
+  safeLookup,
+  getPublicDispatcher,
   performWebResearch,
   buildWebContext,
   isUrlSafe,
+  loadDomainLists,
+  USER_AGENT,
   cacheCleanup,
 };
@@ -0,0 +1,44 @@
+-- Migration 013: Persistent conversation threads
+-- Backs lib/conversation-context.js with Postgres so history and sticky
+-- language/dialect preferences survive restarts and multi-instance deploys.
+-- Apply on both prod and dev pools (threads are environment-scoped).
+
+-- ── Threads ────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS chat_threads (
+  id               UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_key        TEXT NOT NULL,            -- 'user:<uuid>' or visitor id
+  user_id          UUID,
+  title            TEXT,
+  pref             JSONB NOT NULL DEFAULT '{}',  -- SessionPreferences
+  dominant_lang    VARCHAR(10),
+  dominant_dialect VARCHAR(20),
+  last_route       VARCHAR(50),
+  active_doc_id    TEXT,
+  message_count    INTEGER NOT NULL DEFAULT 0,
+  environment      VARCHAR(4) NOT NULL DEFAULT 'prod',
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_active_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_threads_owner
+  ON chat_threads (owner_key, environment, last_active_at DESC);
+
+-- ── Thread messages ────────────────────────────────────
+CREATE TABLE IF NOT EXISTS chat_thread_messages (
+  id          BIGSERIAL PRIMARY KEY,
+  thread_id   UUID NOT NULL REFERENCES chat_threads(id) ON DELETE CASCADE,
+  role        TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
+  content     TEXT NOT NULL,
+  route       VARCHAR(50),
+  lang        VARCHAR(10),
+  dialect     VARCHAR(20),
+  intent      VARCHAR(50),
+  doc_id      TEXT,
+  request_id  UUID,
+  meta        JSONB,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_thread_messages_thread
+  ON chat_thread_messages (thread_id, id DESC);
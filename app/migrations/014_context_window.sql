@@ -0,0 +1,25 @@
+-- Migration 014: Token-budgeted conversation context
+-- Running summary + pinned doc/web context on persistent threads, and the
+-- settings used by lib/context-window.js.
+-- Apply on both prod and dev pools.
+
+ALTER TABLE chat_threads ADD COLUMN IF NOT EXISTS summary          TEXT;
+ALTER TABLE chat_threads ADD COLUMN IF NOT EXISTS summarized_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE chat_threads ADD COLUMN IF NOT EXISTS pinned           JSONB NOT NULL DEFAULT '{}';
+
+-- Context window defaults
+INSERT INTO settings (key, value) VALUES
+  ('context.default_window', '8192')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('context.model_windows', '{}')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('context.history_ratio', '0.5')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('context.summary_enabled', 'true')
+ON CONFLICT (key) DO NOTHING;
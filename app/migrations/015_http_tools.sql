@@ -0,0 +1,21 @@
+-- Migration 015: Admin-defined HTTP tools
+-- Tools configured from the admin panel (/v1/admin/tools) and registered into
+-- the lib/tools.js registry at boot and on change (lib/http-tools.js).
+-- Enable/disable still goes through the `tool.<id>.enabled` setting.
+-- Apply on the prod pool (tools are global, like settings).
+
+CREATE TABLE IF NOT EXISTS http_tools (
+  id            VARCHAR(64) PRIMARY KEY,          -- tool id exposed to the model, e.g. 'order_status'
+  name          TEXT NOT NULL,
+  description   TEXT NOT NULL,
+  params_schema JSONB NOT NULL DEFAULT '{"type":"object","properties":{}}',
+  url           TEXT NOT NULL,                    -- may contain {{param}} placeholders
+  method        VARCHAR(10) NOT NULL DEFAULT 'GET',
+  headers       JSONB NOT NULL DEFAULT '{}',      -- header templates: {{param}}, {{env.TOOL_*}}
+  response_map  JSONB,                            -- { field: '$.json.path' }; null = raw body
+  timeout_ms    INTEGER NOT NULL DEFAULT 8000,
+  permissions   TEXT[] NOT NULL DEFAULT ARRAY['registered', 'admin'],
+  created_by    TEXT,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,18 @@
+-- Migration 016: Named-query catalogue for the db_read tool
+-- Admin-managed, allowlisted SELECT statements (lib/db-read.js). Queries run
+-- in a READ ONLY transaction with a statement timeout on the target pool.
+-- Apply on the prod pool (catalogue is global; `environment` picks the target).
+
+CREATE TABLE IF NOT EXISTS db_read_queries (
+  name         VARCHAR(64) PRIMARY KEY,         -- exposed to the model as queryName
+  description  TEXT NOT NULL,
+  sql_text     TEXT NOT NULL,                   -- single SELECT/WITH, params as $1..$n
+  params       JSONB NOT NULL DEFAULT '[]',     -- [{ name, type, required, description, default }]
+  max_rows     INTEGER NOT NULL DEFAULT 50,
+  timeout_ms   INTEGER NOT NULL DEFAULT 3000,
+  environment  VARCHAR(8) NOT NULL DEFAULT 'request',  -- 'prod' | 'dev' | 'request' (caller env)
+  enabled      BOOLEAN NOT NULL DEFAULT true,
+  created_by   TEXT,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,83 @@
+-- Migration 017: Knowledge collections (retrieval-augmented answers)
+-- Named collections of admin-uploaded documents, chunked and embedded with an
+-- Ollama embedding model (lib/knowledge.js). The router's KNOWLEDGE route
+-- retrieves the top-k chunks and the model cites them as [n].
+-- Apply on the prod pool (collections are global, like settings).
+--
+-- Embeddings are always stored as REAL[]; when the pgvector extension is
+-- available an extra `embedding_vec` column is added and used for search.
+-- Without it (stock postgres:16-alpine) similarity is computed in Node.
+
+CREATE TABLE IF NOT EXISTS knowledge_collections (
+  id              SERIAL PRIMARY KEY,
+  name            VARCHAR(64) NOT NULL UNIQUE,    -- slug used by the API and `collections` in /v1/chat
+  description     TEXT,
+  embedding_model VARCHAR(128),                   -- null = knowledge.embedding_model setting
+  created_by      TEXT,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS knowledge_documents (
+  id                SERIAL PRIMARY KEY,
+  collection_id     INTEGER NOT NULL REFERENCES knowledge_collections(id) ON DELETE CASCADE,
+  file_name         TEXT NOT NULL,
+  mime_type         TEXT,
+  size_bytes        INTEGER,
+  title             TEXT,
+  text              TEXT NOT NULL,                -- extracted text, kept for reindexing
+  extraction_method VARCHAR(32),
+  chunk_count       INTEGER NOT NULL DEFAULT 0,
+  embedding_model   VARCHAR(128),                 -- model the current chunks were embedded with
+  status            VARCHAR(16) NOT NULL DEFAULT 'pending',  -- pending | indexed | error
+  error             TEXT,
+  created_by        TEXT,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  indexed_at        TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_knowledge_documents_collection ON knowledge_documents (collection_id);
+
+CREATE TABLE IF NOT EXISTS knowledge_chunks (
+  id            BIGSERIAL PRIMARY KEY,
+  document_id   INTEGER NOT NULL REFERENCES knowledge_documents(id) ON DELETE CASCADE,
+  collection_id INTEGER NOT NULL REFERENCES knowledge_collections(id) ON DELETE CASCADE,
+  chunk_index   INTEGER NOT NULL,
+  content       TEXT NOT NULL,
+  location      TEXT,                             -- 'Page 3' / 'Sheet 1: Prices' / 'Slide 4'
+  embedding     REAL[] NOT NULL,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_knowledge_chunks_collection ON knowledge_chunks (collection_id);
+CREATE INDEX IF NOT EXISTS idx_knowledge_chunks_document   ON knowledge_chunks (document_id, chunk_index);
+
+-- Optional pgvector column (skipped when the extension is not installed)
+DO $$
+BEGIN
+  CREATE EXTENSION IF NOT EXISTS vector;
+  ALTER TABLE knowledge_chunks ADD COLUMN IF NOT EXISTS embedding_vec vector;
+EXCEPTION WHEN OTHERS THEN
+  RAISE NOTICE 'pgvector not available — knowledge search uses the REAL[] fallback';
+END $$;
+
+-- Knowledge defaults
+INSERT INTO settings (key, value) VALUES
+  ('knowledge.enabled', 'false')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('knowledge.embedding_model', '"nomic-embed-text"')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('knowledge.default_collections', '[]')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('knowledge.top_k', '5')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('knowledge.min_score', '0.5')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,23 @@
+-- Migration 018: Documents attached to conversation threads
+-- Every ingested upload is kept with its extracted text + metadata so a
+-- thread can hold several documents and later turns can ask about any of
+-- them by name (lib/conversation-context.js, lib/document-context.js).
+-- Apply on both prod and dev pools (threads are environment-scoped).
+
+CREATE TABLE IF NOT EXISTS chat_thread_documents (
+  id                UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  thread_id         UUID NOT NULL REFERENCES chat_threads(id) ON DELETE CASCADE,
+  name              TEXT NOT NULL,               -- original file name
+  title             TEXT,
+  kind              VARCHAR(16) NOT NULL,        -- 'text' | 'pages'
+  mime_type         TEXT,
+  size_bytes        INTEGER,
+  extraction_method VARCHAR(32),
+  language          VARCHAR(10),
+  text              TEXT,                        -- extracted text with page/sheet/slide markers
+  meta              JSONB NOT NULL DEFAULT '{}', -- pageCount / sheetCount / slideCount / rowCount
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_thread_documents_thread
+  ON chat_thread_documents (thread_id, created_at);
@@ -0,0 +1,13 @@
+-- Migration 019: Local OCR for scanned PDFs and document images
+-- lib/ocr.js (tesseract.js, eng + msa) reads rendered pages before the vision
+-- model is considered; documents whose OCR confidence clears the threshold
+-- are answered by the text model (extraction method 'pdf-ocr' / 'image-ocr').
+-- Settings are global — apply on the prod pool.
+
+INSERT INTO settings (key, value) VALUES
+  ('ocr.enabled', 'true')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('ocr.min_confidence', '70')
+ON CONFLICT (key) DO NOTHING;
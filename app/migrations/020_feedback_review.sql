@@ -0,0 +1,39 @@
+-- Migration 020: Feedback tied to a request, with reasons and a review queue
+-- Feedback from POST /v1/chat/feedback now carries the request_id from the
+-- SSE `done` event, so it joins to pipeline_audit (route, intent, dialect,
+-- model, web sources). The prompt and answer are copied from the thread at
+-- feedback time. Admins triage thumbs-down answers via /v1/admin/feedback and
+-- export them as a regression set (lib/feedback.js).
+-- Apply on the prod pool (quality_signals and pipeline_audit live there).
+
+ALTER TABLE quality_signals ADD COLUMN IF NOT EXISTS request_id    UUID;
+ALTER TABLE quality_signals ADD COLUMN IF NOT EXISTS thread_id     UUID;
+ALTER TABLE quality_signals ADD COLUMN IF NOT EXISTS reasons       TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE quality_signals ADD COLUMN IF NOT EXISTS comment       TEXT;
+ALTER TABLE quality_signals ADD COLUMN IF NOT EXISTS prompt        TEXT;
+ALTER TABLE quality_signals ADD COLUMN IF NOT EXISTS response      TEXT;
+ALTER TABLE quality_signals ADD COLUMN IF NOT EXISTS review_status TEXT NOT NULL DEFAULT 'open';
+ALTER TABLE quality_signals ADD COLUMN IF NOT EXISTS review_note   TEXT;
+ALTER TABLE quality_signals ADD COLUMN IF NOT EXISTS expected      JSONB;      -- reviewer-corrected labels { route, intent, language, dialect }
+ALTER TABLE quality_signals ADD COLUMN IF NOT EXISTS reviewed_by   TEXT;
+ALTER TABLE quality_signals ADD COLUMN IF NOT EXISTS reviewed_at   TIMESTAMPTZ;
+ALTER TABLE quality_signals ADD COLUMN IF NOT EXISTS updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.table_constraints
+    WHERE table_name = 'quality_signals' AND constraint_name = 'quality_signals_review_status_check'
+  ) THEN
+    ALTER TABLE quality_signals ADD CONSTRAINT quality_signals_review_status_check
+      CHECK (review_status IN ('open', 'reviewed', 'dismissed'));
+  END IF;
+END $$;
+
+-- One rating per request per visitor — changing thumbs updates the row
+CREATE UNIQUE INDEX IF NOT EXISTS idx_quality_signals_request_visitor
+  ON quality_signals (request_id, visitor_id) WHERE request_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_quality_signals_review
+  ON quality_signals (review_status, rating, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_pipeline_audit_request
+  ON pipeline_audit (request_id);
@@ -0,0 +1,25 @@
+-- Migration 021: Versioned, admin-editable classifier lexicons
+-- Keyword lists used by lib/intent.js, lib/dialect.js and lib/web-research.js
+-- (greeting tokens, task verbs, dialect tokens/transforms, browse keywords,
+-- filler words). Built-in lists ship with the code as version 0; each admin
+-- save adds a draft version, and at most one version per lexicon is active.
+-- Managed via /v1/admin/lexicons and hot-reloaded by lib/lexicons.js.
+-- Apply on the prod pool (lexicons are global).
+
+CREATE TABLE IF NOT EXISTS lexicon_versions (
+  id            SERIAL PRIMARY KEY,
+  name          VARCHAR(64) NOT NULL,                  -- e.g. 'intent.greeting_tokens'
+  version       INTEGER NOT NULL,                      -- 1, 2, … per name (0 = built-in, never stored)
+  entries       JSONB NOT NULL,                        -- ["hai", …] or [{ "from": "awak", "to": "hang" }, …]
+  status        VARCHAR(16) NOT NULL DEFAULT 'draft'
+                CHECK (status IN ('draft', 'active', 'archived')),
+  note          TEXT,
+  created_by    TEXT,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  activated_by  TEXT,
+  activated_at  TIMESTAMPTZ,
+  UNIQUE (name, version)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_lexicon_versions_active
+  ON lexicon_versions (name) WHERE status = 'active';
@@ -0,0 +1,22 @@
+-- Migration 022: Optional LLM intent classifier
+-- lib/intent-llm.js asks a small Ollama model for a constrained-JSON intent
+-- when the rule classifier's confidence is below intent.llm_threshold, within
+-- intent.llm_timeout_ms (the rule result stands on timeout). The deciding
+-- classifier is recorded in pipeline_audit.meta.intentClassifier.
+-- Settings are global — apply on the prod pool.
+
+INSERT INTO settings (key, value) VALUES
+  ('intent.llm_enabled', 'false')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('intent.llm_model', '"qwen2.5:1.5b"')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('intent.llm_threshold', '0.7')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('intent.llm_timeout_ms', '1500')
+ON CONFLICT (key) DO NOTHING;
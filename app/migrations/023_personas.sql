@@ -0,0 +1,26 @@
+-- Migration 023: Per-tenant bot personas
+-- A persona replaces the default "Getouch AI" identity in the system prompt
+-- (lib/personas.js → buildSystemPrompt) while the language/dialect/stabilizer
+-- layers stay. Selected per request (`persona` in /v1/chat and
+-- /v1/chat/completions) or per API key (api_keys.persona_id).
+-- Apply on the prod pool (api_keys lives there).
+
+CREATE TABLE IF NOT EXISTS personas (
+  id                SERIAL PRIMARY KEY,
+  name              VARCHAR(64) NOT NULL UNIQUE,    -- slug used by the API
+  display_name      VARCHAR(100) NOT NULL,          -- "You are <display_name>"
+  description       TEXT,                           -- who the assistant is / who it serves
+  tone              TEXT,                           -- e.g. "warm, concise, uses 'kami' for the company"
+  allowed_topics    TEXT[] NOT NULL DEFAULT '{}',   -- empty = no topic restriction
+  greeting          TEXT,                           -- suggested opener for greetings
+  forbidden_phrases TEXT[] NOT NULL DEFAULT '{}',
+  default_language  VARCHAR(8) NOT NULL DEFAULT 'auto' CHECK (default_language IN ('auto', 'ms', 'en')),
+  dialect_level     VARCHAR(8) CHECK (dialect_level IN ('off', 'light', 'medium')),  -- null = ai.dialect_mirroring_level
+  knowledge_notes   TEXT,                           -- facts the assistant should know (hours, policies)
+  is_active         BOOLEAN NOT NULL DEFAULT true,
+  created_by        TEXT,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS persona_id INTEGER REFERENCES personas(id) ON DELETE SET NULL;
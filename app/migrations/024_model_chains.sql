@@ -0,0 +1,19 @@
+-- Migration 024: Per-route model fallback chains
+-- lib/model-router.js tries ai.model_chains[route] (or VISION / DEFAULT) in
+-- order, skipping models that error, are not installed or do not start
+-- streaming within ai.model_attempt_timeout_ms. Models already loaded in
+-- Ollama (/api/ps) go first when ai.prefer_loaded_models is on. The chain and
+-- skipped models are recorded in pipeline_audit.meta.models.
+-- Example: {"WEB_RESEARCH": ["qwen2.5:14b-instruct", "llama3.1:8b"]}
+
+INSERT INTO settings (key, value) VALUES
+  ('ai.model_chains', '{}')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('ai.prefer_loaded_models', 'true')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('ai.model_attempt_timeout_ms', '30000')
+ON CONFLICT (key) DO NOTHING;
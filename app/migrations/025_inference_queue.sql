@@ -0,0 +1,24 @@
+-- Migration 025: Inference queue and concurrency caps
+-- lib/inference-scheduler.js allows inference.max_concurrent_per_model
+-- generations of a model per Ollama backend (inference.model_limits overrides
+-- it per model, e.g. {"qwen2.5:14b-instruct": 1}). Extra /v1/chat requests
+-- wait — signed-in users and API keys before guests — for at most
+-- inference.queue_timeout_ms; beyond inference.max_queue waiting requests new
+-- ones are turned away.
+-- Settings are global — apply on the prod pool.
+
+INSERT INTO settings (key, value) VALUES
+  ('inference.max_concurrent_per_model', '2')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('inference.model_limits', '{}')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('inference.max_queue', '50')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('inference.queue_timeout_ms', '60000')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,46 @@
+-- Migration 026: Response cache for repeated first-turn questions
+-- lib/response-cache.js stores QUESTION / GENERAL_CHAT answers keyed on the
+-- normalised question + language + dialect + persona + model (cache_key),
+-- and matches near-duplicates by embedding within the same scope (scope_key).
+-- Lookup outcomes go to pipeline_audit.meta.cache for hit-rate reporting.
+-- Apply on the prod pool.
+
+CREATE TABLE IF NOT EXISTS response_cache (
+  id              BIGSERIAL PRIMARY KEY,
+  cache_key       TEXT NOT NULL UNIQUE,      -- sha256(normalized + scope)
+  scope_key       TEXT NOT NULL,             -- sha256(language, dialect, persona, model)
+  route_type      VARCHAR(32) NOT NULL,
+  question        TEXT NOT NULL,
+  normalized      TEXT NOT NULL,
+  answer          TEXT NOT NULL,
+  model           VARCHAR(128) NOT NULL,
+  language        VARCHAR(16),
+  dialect         VARCHAR(32),
+  persona         VARCHAR(64),
+  embedding       REAL[],
+  embedding_model VARCHAR(128),
+  hits            INTEGER NOT NULL DEFAULT 0,
+  created_at      TIMESTAMPTZ DEFAULT NOW(),
+  last_hit_at     TIMESTAMPTZ,
+  expires_at      TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_response_cache_scope   ON response_cache (scope_key, expires_at);
+CREATE INDEX IF NOT EXISTS idx_response_cache_expires ON response_cache (expires_at);
+CREATE INDEX IF NOT EXISTS idx_response_cache_persona ON response_cache (persona);
+
+INSERT INTO settings (key, value) VALUES
+  ('cache.enabled', 'false')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('cache.ttl_minutes', '{"QUESTION": 1440, "GENERAL_CHAT": 360}')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('cache.similarity_threshold', '0.93')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('cache.embedding_model', '"nomic-embed-text"')
+ON CONFLICT (key) DO NOTHING;
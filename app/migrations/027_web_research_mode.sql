@@ -0,0 +1,31 @@
+-- Migration 027: Multi-query web research mode
+-- With web_research.research_mode on, lib/web-research.js splits a question
+-- into up to web_research.max_subqueries searches (rules first, else the
+-- planner model), runs them in parallel across web_research.research_providers
+-- (empty = web_research.search_provider), and asks the planner for up to
+-- web_research.max_followups more searches when sources are thin.
+-- Settings are global — apply on the prod pool.
+
+INSERT INTO settings (key, value) VALUES
+  ('web_research.research_mode', 'false')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('web_research.max_subqueries', '4')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('web_research.max_followups', '2')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('web_research.planner_model', '"qwen2.5:1.5b"')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('web_research.planner_timeout_ms', '4000')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('web_research.research_providers', '[]')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,14 @@
+-- Migration 028: Citation grounding for web answers
+-- lib/grounding.js checks every [n]-cited sentence of a WEB_RESEARCH answer
+-- against the page it cites (content-word coverage >= grounding_threshold
+-- and every number present). Results go to done.web_research and
+-- pipeline_audit.meta.webResearch.grounding.
+-- Settings are global — apply on the prod pool.
+
+INSERT INTO settings (key, value) VALUES
+  ('web_research.verify_citations', 'true')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('web_research.grounding_threshold', '0.5')
+ON CONFLICT (key) DO NOTHING;
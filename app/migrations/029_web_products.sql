@@ -0,0 +1,14 @@
+-- Migration 029: Structured product records for web research
+-- lib/product-extract.js reads product name, price, seller, rating and stock
+-- from fetched pages (JSON-LD, microdata, OpenGraph, site DOM patterns).
+-- Prices in other currencies get a ringgit figure from web_research.fx_to_myr
+-- ({ "USD": 4.4, ... }, MYR per unit); empty = no conversion.
+-- Settings are global — apply on the prod pool.
+
+INSERT INTO settings (key, value) VALUES
+  ('web_research.extract_products', 'true')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('web_research.fx_to_myr', '{}')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,17 @@
+-- Migration 030: PDF/DOCX pages in web research
+-- Page text now comes from a main-content extractor (lib/page-extract.js).
+-- PDF and DOCX links found by search are read through the upload handlers
+-- (lib/document-ingestion.js); scanned PDFs without a text layer are skipped.
+-- Settings are global — apply on the prod pool.
+
+INSERT INTO settings (key, value) VALUES
+  ('web_research.fetch_documents', 'true')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('web_research.max_document_mb', '10')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('web_research.max_document_pages', '10')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,65 @@
+-- Migration 031: Local search index (the `local` web research provider)
+-- lib/local-index.js crawls admin-registered sites (robots.txt and the
+-- web_research allowed/blocked domains apply) into local_index_pages, searched
+-- with Postgres full-text search. 'simple' configuration: the corpus mixes
+-- Malay and English, and Postgres has no Malay stemmer.
+-- Scheduled re-crawls run only when local_index.enabled is true.
+-- Settings are global — apply on the prod pool.
+
+CREATE TABLE IF NOT EXISTS local_index_sites (
+  id              SERIAL PRIMARY KEY,
+  start_url       TEXT NOT NULL UNIQUE,
+  label           VARCHAR(128),
+  max_pages       INTEGER,                   -- NULL = local_index.max_pages_per_site
+  max_depth       INTEGER,                   -- NULL = local_index.max_depth
+  recrawl_hours   INTEGER,                   -- NULL = local_index.recrawl_hours
+  enabled         BOOLEAN NOT NULL DEFAULT TRUE,
+  status          VARCHAR(16) NOT NULL DEFAULT 'pending',   -- pending | crawling | ok | error
+  last_error      TEXT,
+  pages_count     INTEGER NOT NULL DEFAULT 0,
+  last_crawled_at TIMESTAMPTZ,
+  next_crawl_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_by      TEXT,
+  created_at      TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS local_index_pages (
+  id            BIGSERIAL PRIMARY KEY,
+  site_id       INTEGER NOT NULL REFERENCES local_index_sites(id) ON DELETE CASCADE,
+  url           TEXT NOT NULL UNIQUE,
+  title         TEXT NOT NULL,
+  text          TEXT NOT NULL,
+  format        VARCHAR(8),                  -- NULL = HTML, 'pdf' | 'docx'
+  products      JSONB,                       -- lib/product-extract.js records
+  content_hash  TEXT NOT NULL,               -- sha256(title + text)
+  tsv           TSVECTOR GENERATED ALWAYS AS (
+                  setweight(to_tsvector('simple', title), 'A') ||
+                  setweight(to_tsvector('simple', text), 'B')
+                ) STORED,
+  crawled_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),   -- last seen by the crawler
+  changed_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()    -- last content change
+);
+
+CREATE INDEX IF NOT EXISTS idx_local_index_sites_due  ON local_index_sites (next_crawl_at) WHERE enabled;
+CREATE INDEX IF NOT EXISTS idx_local_index_pages_tsv  ON local_index_pages USING GIN (tsv);
+CREATE INDEX IF NOT EXISTS idx_local_index_pages_site ON local_index_pages (site_id, crawled_at);
+
+INSERT INTO settings (key, value) VALUES
+  ('local_index.enabled', 'false')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('local_index.max_pages_per_site', '200')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('local_index.max_depth', '3')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('local_index.recrawl_hours', '24')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO settings (key, value) VALUES
+  ('local_index.crawl_delay_ms', '1000')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,13 @@
+-- Migration 032: Persona ownership
+-- A `persona` name in a chat request is honoured only when the persona is
+-- public, belongs to the caller's tenant (owner_user_id = the user behind the
+-- API key or session) or is the persona assigned to the calling API key.
+-- Guests can select public personas only.
+-- Existing personas stay reachable through their API key assignments; mark
+-- shared ones public (or give them an owner) to keep request-time selection.
+-- Apply on the prod pool (personas, api_keys and users live there).
+
+ALTER TABLE personas ADD COLUMN IF NOT EXISTS owner_user_id UUID REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE personas ADD COLUMN IF NOT EXISTS is_public BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_personas_owner ON personas (owner_user_id);
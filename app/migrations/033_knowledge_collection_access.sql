@@ -0,0 +1,22 @@
+-- Migration 033: Knowledge collection visibility
+-- A collection named in a chat request (`collections`), or listed in
+-- knowledge.default_collections, is searched only when it is public, belongs
+-- to the caller's tenant (owner_user_id = the user behind the API key or
+-- session) or is assigned to the calling API key. Guests see public ones only.
+-- Collections created before this migration stay public so existing setups
+-- keep answering; new collections are private until marked public or given
+-- an owner or keys.
+-- Apply on the prod pool (collections, api_keys and users live there).
+
+ALTER TABLE knowledge_collections ADD COLUMN IF NOT EXISTS owner_user_id UUID REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE knowledge_collections ADD COLUMN IF NOT EXISTS is_public BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE knowledge_collections ALTER COLUMN is_public SET DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS knowledge_collection_keys (
+  collection_id INTEGER NOT NULL REFERENCES knowledge_collections(id) ON DELETE CASCADE,
+  api_key_id    UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+  PRIMARY KEY (collection_id, api_key_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_knowledge_collections_owner ON knowledge_collections (owner_user_id);
+CREATE INDEX IF NOT EXISTS idx_knowledge_collection_keys_key ON knowledge_collection_keys (api_key_id);
@@ -0,0 +1,7 @@
+-- Migration 034: Thread state version
+-- Every saveThreadState bumps state_version. An instance compares it (and
+-- message_count) with its cached session when a thread is opened and
+-- re-hydrates when another instance has written in the meantime.
+-- Apply on both prod and dev pools (threads are environment-scoped).
+
+ALTER TABLE chat_threads ADD COLUMN IF NOT EXISTS state_version INTEGER NOT NULL DEFAULT 0;
@@ -12,9 +12,37 @@
  *   - Text-only chat (SMALLTALK / TASK / QUESTION / GENERAL_CHAT)
  *   - Image + text (vision)
  *   - Document upload (PDF, DOCX, TXT, PPTX, XLS/XLSX, CSV) with auto-summarize
- *   - Web research (auto-detect or forced)
+ *   - Multi-document sessions: every upload stays on the thread; follow-ups can
+ *     name a document ("the invoice", "dokumen kedua") or compare several, and
+ *     the `done` event lists the documents that were used
+ *   - Web research (auto-detect or forced); research mode streams a status frame
+ *     per step (plan, searches, fetches, follow-ups). Answers cite sources as
+ *     [n]; `done.web_research` carries per-source snippets and URLs and flags
+ *     citations the fetched pages do not support (lib/grounding.js)
+ *   - Knowledge collections: optional `collections` (name or array) in the body,
+ *     else `knowledge.default_collections`; KNOWLEDGE route streams a `retrieved`
+ *     status with [n] citations, repeated in the `done` event
  *   - Dialect mirroring with SMALLTALK_STABILIZER
  *   - Attachment-only send (empty message → auto-prompt)
+ *   - Tool calling on STRUCTURED_TASK (event: tool_call / tool_result frames)
+ *   - Persistent threads: optional `thread_id` in the body resumes a thread;
+ *     the resolved id is returned in the X-Thread-Id header, `routed` status and `done` event
+ *   - `done` carries `request_id` — send it back to POST /v1/chat/feedback
+ *   - Personas: optional `persona` (name) in the body, else the API key's
+ *     persona, replaces the Getouch AI identity (lib/personas.js). A named
+ *     persona must be public, the caller's own or assigned to the key
+ *     (guests: public only)
+ *   - Model chains: per-route fallback models (`ai.model_chains`); a model that
+ *     errors, is missing or does not start streaming in time is skipped
+ *     (status `model_fallback`), and `done` lists the skipped models
+ *   - Backend pool: requests go to the least busy healthy Ollama backend that
+ *     serves the model (lib/ollama-pool.js); `done` names the backend used
+ *   - Inference queue: when every slot for the model is busy the request waits
+ *     (users/API keys before guests) with `queued` status frames carrying its
+ *     position; a disconnect drops it from the queue (lib/inference-scheduler.js)
+ *   - Response cache: repeated first-turn QUESTION / GENERAL_CHAT messages are
+ *     answered from `response_cache` (exact or embedding match), still as
+ *     `token` events; `done.cache` says whether it was a hit (lib/response-cache.js)
  */
 const { Router } = require('express');
 const crypto = require('crypto');
@@ -27,29 +55,42 @@ const {
   getDefaultPrompt, getSystemPromptForDoc, getUserPromptWithQuestion,
 } = require('../lib/document-ingestion');
 const { performWebResearch } = require('../lib/web-research');
+const { checkGrounding } = require('../lib/grounding');
 const { routeMessage, ROUTE } = require('../lib/router');
 const { sanitizeOutput } = require('../lib/input-normalizer');
 const {
   addUserTurn, addAssistantTurn,
-  getRouterContext, getHistoryMessages, isDocFollowUp,
-  applyExplicitRequest, setPreference,
+  getRouterContext, isDocFollowUp, pinContext, addDocument, getDocuments,
+  applyExplicitRequest, setPreference, openThread,
 } = require('../lib/conversation-context');
-const { applyDialectPostProcess } = require('../lib/dialect');
+const { planContext, maybeCompact, inputBudget, trimPrompt } = require('../lib/context-window');
+const { checkBudget, charsForTokens, estimateTokens } = require('../lib/safety');
+const { getThreadOwner, getThreadUserId, isValidThreadId } = require('../lib/conversation-store');
+const { optionalApiKeyWithEnv } = require('../lib/env-router');
+const { applyDialectPostProcess, DIALECT_PROFILES } = require('../lib/dialect');
+const { buildPersonaPrompt } = require('../lib/personality');
+const { resolvePersona, PersonaError } = require('../lib/personas');
+const { executeTool, getToolRole, getToolDefinitions } = require('../lib/tools');
+const { resolveCollections, buildKnowledgeContext } = require('../lib/knowledge');
+const { matchDocuments, buildDocumentsPrompt, selectExcerpts } = require('../lib/document-context');
+const { normalizeFeedback, recordFeedback, FeedbackError } = require('../lib/feedback');
+const { resolveModelChain, openChatStream, getModelHealth } = require('../lib/model-router');
+const { listPoolModels } = require('../lib/ollama-pool');
+const { priorityFor, SchedulerError } = require('../lib/inference-scheduler');
+const { isCacheable, lookupResponse, storeResponse, replayChunks } = require('../lib/response-cache');
 
 const router = Router();
 
-const OLLAMA_HOST = process.env.OLLAMA_HOST || 'ollama';
-const OLLAMA_PORT = process.env.OLLAMA_PORT || '11434';
-const OLLAMA_URL  = `http://${OLLAMA_HOST}:${OLLAMA_PORT}`;
-
 const MAX_INPUT_LENGTH = 8000; // characters (increased for doc questions)
 const RATE_LIMIT_RPM   = 15;
 const GLOBAL_TIMEOUT   = 120_000; // 2 minutes max per request
+const MAX_TOOL_ROUNDS  = 3;       // tool call → result → model rounds per request
+const DOC_BLOCK_TOKENS = 64;      // document start/end markers and the trim note
 
 /**
  * POST /v1/chat — Server-Sent Events streaming
  */
-router.post('/chat', async (req, res) => {
+router.post('/chat', optionalApiKeyWithEnv, async (req, res) => {
   const requestId = crypto.randomUUID();
   const requestStart = Date.now();
   const actor = getActor(req);
@@ -93,7 +134,7 @@ router.post('/chat', async (req, res) => {
   }
 
   const { message, model, temperature, max_tokens, image, image_mime,
-          doc_base64, doc_name, doc_mime } = req.body || {};
+          doc_base64, doc_name, doc_mime, thread_id, collections, persona: personaName } = req.body || {};
 
   const hasImage = image && typeof image === 'string' && image.length > 0;
   const hasDoc   = doc_base64 && typeof doc_base64 === 'string' && doc_base64.length > 0;
@@ -117,6 +158,47 @@ router.post('/chat', async (req, res) => {
     }
   }
 
+  if (collections !== undefined && collections !== null
+      && !(typeof collections === 'string' || (Array.isArray(collections) && collections.every(c => typeof c === 'string')))) {
+    return res.status(400).json({ error: 'collections must be a collection name or an array of names' });
+  }
+
+  if (thread_id !== undefined && thread_id !== null && !isValidThreadId(thread_id)) {
+    return res.status(400).json({ error: 'thread_id must be a UUID' });
+  }
+
+  /* ── Persona (request `persona`, else the API key's) ───── */
+  let persona;
+  try {
+    persona = await resolvePersona({
+      requested: personaName,
+      apiKeyId: req.apiKey?.id,
+      userId: req.apiKey?.userId || req.session?.userId,
+    });
+  } catch (err) {
+    if (err instanceof PersonaError) return res.status(err.status).json({ error: err.message });
+    console.error('[chat] Persona lookup error:', err.message);
+    return res.status(503).json({ error: 'Persona store unavailable' });
+  }
+
+  /* ── Conversation thread ───────────────────────────────── */
+  let thread;
+  try {
+    thread = await openThread({
+      ownerKey: getThreadOwner(req),
+      threadId: thread_id || null,
+      env,
+      userId: getThreadUserId(req),
+    });
+  } catch (err) {
+    console.error('[chat] Thread lookup error:', err.message);
+    return res.status(503).json({ error: 'Conversation store unavailable' });
+  }
+  if (!thread) {
+    return res.status(404).json({ error: 'Thread not found' });
+  }
+  const threadId = thread.threadId;
+
   /* ── Document ingestion with timeout ───────────────────── */
   let doc = null;
   let tempFiles = [];
@@ -154,11 +236,26 @@ router.post('/chat', async (req, res) => {
 
   /* ── Central Router (enhanced pipeline) ────────────────── */
   // Build conversation context for the router
-  const ctxKey = req.session?.userId ? `user:${req.session.userId}` : (req.visitorId || actor);
+  const ctxKey = thread.sessionKey;
+  let docEntry = null;
+  if (doc) {
+    pinContext(ctxKey, 'doc', {
+      name: doc.meta.fileName,
+      kind: doc.kind,
+      excerpt: (doc.text || '').slice(0, 12000),
+    });
+    docEntry = addDocument(ctxKey, doc);
+  }
   const convContext = getRouterContext(ctxKey);
-  const docFollowUp = isDocFollowUp(ctxKey);
-
-  const decision = await routeMessage(message, { hasImage, hasDoc, doc }, { convContext, docFollowUp });
+  const docFollowUp = isDocFollowUp(ctxKey, message);
+
+  const knowledgeCollections = await resolveCollections(collections, {
+    apiKeyId: req.apiKey?.id,
+    userId: req.apiKey?.userId || req.session?.userId,
+  });
+  const decision = await routeMessage(message, { hasImage, hasDoc, doc }, {
+    convContext, docFollowUp, collections: knowledgeCollections, persona,
+  });
   const routeType = decision.routeType;
 
   // ── Apply explicit dialect/language requests to session preferences ──
@@ -167,30 +264,38 @@ router.post('/chat', async (req, res) => {
   }
 
   /* ── Model selection ───────────────────────────────────── */
-  let selectedModel = model;
   const needsVision = hasImage || (doc && (doc.kind === 'pages' || doc.kind === 'image'));
-
-  if (!selectedModel) {
-    if (needsVision) {
-      selectedModel = await getSetting('ai.default_vision_model', 'qwen2.5vl:32b');
-    } else {
-      selectedModel = await getSetting('ai.default_text_model', 'llama3.1:8b');
-    }
-  }
+  // Ordered by ai.model_chains + model health; the stream below falls back along it
+  const modelChain = await resolveModelChain({ routeType, needsVision, requested: model });
+  let selectedModel = modelChain[0];
 
   /* ── Build messages based on route ─────────────────────── */
   let systemContent, userContent, userImages;
   let webResearchResult = null;
-
-  if (doc) {
+  let knowledgeContext = null;
+  let docsUsed = null;
+  let docTrimmed = null;
+  let ocrFallback = null;  // text-model prompts over a scan's OCR text, used if the vision model fails
+  const outputTokens = () => max_tokens || decision.numPredict || (webResearchResult ? 2048 : (doc ? 4096 : 1024));
+
+  // A new upload asked about together with earlier ones ("compare this with the quote")
+  const sessionDocs = getDocuments(ctxKey);
+  const docMatch = sessionDocs.length > 0 && (!doc || (docEntry && hasText))
+    ? matchDocuments(sessionDocs, message)
+    : null;
+  const crossDoc = docEntry && docEntry.kind === 'text' && docMatch && docMatch.referenced
+    && docMatch.docs.some(d => d.id !== docEntry.id);
+
+  if (doc && !crossDoc) {
     // ── Document analysis path ──
     const lang = doc.detectedLanguage || 'unknown';
     const effLang = lang === 'unknown' ? 'ms' : lang;
     const fileName = doc.meta.fileName;
 
     const docSystemBase = getSystemPromptForDoc(effLang, fileName, doc.kind);
-    const personalityHint = decision.lang.dialect === 'UTARA'
-      ? '\nThe user speaks Northern Malay dialect. Mirror it lightly (max 1-2 words) in your response.'
+    const dialectProfile = DIALECT_PROFILES[decision.lang.dialect];
+    const personalityHint = dialectProfile
+      ? `\nThe user speaks ${dialectProfile.label}. Mirror it lightly (max 1-2 words) in your response.`
       : (decision.lang.language === 'ms'
         ? '\nThe user speaks Malay. Reply in Bahasa Melayu.'
         : '');
@@ -198,32 +303,29 @@ router.post('/chat', async (req, res) => {
     const summarizerTemplate = effLang === 'ms'
       ? '\nMulakan jawapan dengan: "Saya telah semak dokumen yang dimuat naik: [nama fail]"\nGunakan nombor berseksyen (1️⃣, 2️⃣) dan bullet points. Highlight angka penting (RM, tarikh, nama).'
       : '\nStart with: "I reviewed the document you uploaded: [filename]"\nUse numbered sections (1️⃣, 2️⃣) and bullet points. Highlight important figures, dates, and names.';
-    systemContent = docSystemBase + personalityHint + summarizerTemplate;
+    const personaPrompt = buildPersonaPrompt(persona);
+    systemContent = (personaPrompt ? personaPrompt + '\n\n' : '') + docSystemBase + personalityHint + summarizerTemplate;
 
     if (doc.kind === 'text') {
-      // Check if chunking needed (map-reduce for large docs)
       const docText = doc.text || '';
-      const maxContextChars = 100000; // ~25k tokens
-
-      if (docText.length > maxContextChars) {
-        // Map-reduce: chunk and summarize
-        const chunks = chunkText(docText, 30000);
-        const summaryParts = [];
-        for (let i = 0; i < chunks.length; i++) {
-          summaryParts.push(`--- SECTION ${i + 1} of ${chunks.length} ---\n${chunks[i]}`);
-        }
-        const docTextBlock = summaryParts.join('\n\n');
-        userContent = (hasText
-          ? getUserPromptWithQuestion(message.trim(), effLang, fileName)
-          : getDefaultPrompt(effLang, fileName, false)
-        ) + '\n\n' + docTextBlock;
-      } else {
-        const docTextBlock = `--- DOCUMENT START ---\n${docText}\n--- DOCUMENT END ---`;
-        userContent = (hasText
-          ? getUserPromptWithQuestion(message.trim(), effLang, fileName)
-          : getDefaultPrompt(effLang, fileName, false)
-        ) + '\n\n' + docTextBlock;
+      const prompt = hasText
+        ? getUserPromptWithQuestion(message.trim(), effLang, fileName)
+        : getDefaultPrompt(effLang, fileName, false);
+
+      // The document gets what the chain's smallest window leaves after the prompts and the answer;
+      // a longer one is cut to the excerpts that best match the question
+      const room = await inputBudget({ model: modelChain, systemContent, numPredict: outputTokens() });
+      const docRoom = room.tokens - DOC_BLOCK_TOKENS;
+      let docBody = docText;
+      if (!checkBudget({ message: prompt, docText, model: room.model, maxContextTokens: docRoom }).ok) {
+        docBody = selectExcerpts(docText, hasText ? message : '',
+          charsForTokens(docRoom - estimateTokens(prompt, room.model), room.model));
+        docTrimmed = { shownChars: docBody.length, totalChars: docText.length, window: room.window, model: room.model };
       }
+      const trimNote = docTrimmed
+        ? `\n[Only excerpts fit the model's context: ${docBody.length} of ${docText.length} characters. Say so if the answer may be elsewhere in the document.]`
+        : '';
+      userContent = `${prompt}\n\n--- DOCUMENT START ---\n${docBody}\n--- DOCUMENT END ---${trimNote}`;
     } else if (doc.kind === 'pages') {
       userImages = doc.pages.map(p => p.imageBase64);
       const pageLabel = doc.pages.length > 1
@@ -237,6 +339,35 @@ router.post('/chat', async (req, res) => {
       userImages = [doc.imageBase64];
       userContent = hasText ? message.trim() : 'Analyze this image in detail.';
     }
+    if (doc.ocrText) {
+      ocrFallback = {
+        systemContent: (personaPrompt ? personaPrompt + '\n\n' : '') + getSystemPromptForDoc(effLang, fileName, 'text')
+          + personalityHint + summarizerTemplate,
+        prompt: hasText
+          ? getUserPromptWithQuestion(message.trim(), effLang, fileName)
+          : getDefaultPrompt(effLang, fileName, false),
+      };
+    }
+  } else if (docMatch && (crossDoc || routeType === ROUTE.DOCUMENT_ANALYSIS)) {
+    // ── Questions over stored session documents (one, several, or by name) ──
+    const docLang = decision.lang.language === 'en' ? 'en' : 'ms';
+    let prompt = buildDocumentsPrompt(docMatch.docs, hasText ? message : '', docLang);
+    const dialectProfile = DIALECT_PROFILES[decision.lang.dialect];
+    const dialectHint = dialectProfile
+      ? `\nThe user speaks ${dialectProfile.label}. Mirror it lightly (max 1-2 words) in your response.`
+      : '';
+    systemContent = prompt.systemContent + dialectHint;
+    const room = await inputBudget({ model: modelChain, systemContent, numPredict: outputTokens() });
+    if (!checkBudget({ message: prompt.userContent, model: room.model, maxContextTokens: room.tokens }).ok) {
+      // Excerpts sized to the window, less the question and the document markers
+      const fixed = estimateTokens(hasText ? message : '', room.model) + DOC_BLOCK_TOKENS * docMatch.docs.length;
+      prompt = buildDocumentsPrompt(docMatch.docs, hasText ? message : '', docLang, {
+        maxChars: charsForTokens(room.tokens - fixed, room.model),
+      });
+      docTrimmed = { window: room.window, model: room.model };
+    }
+    userContent = prompt.userContent;
+    docsUsed = { reason: docMatch.reason, items: prompt.documents };
   } else if (hasImage) {
     systemContent = decision.systemPrompt || 'You are Getouch AI, a helpful vision assistant. Analyze the provided image and respond to the user query about it. Be concise and clear.';
     userContent = hasText ? message.trim() : 'Describe this image';
@@ -252,6 +383,7 @@ router.post('/chat', async (req, res) => {
         'Cache-Control': 'no-cache',
         'Connection':    'keep-alive',
         'X-Accel-Buffering': 'no',
+        ...(threadId ? { 'X-Thread-Id': threadId } : {}),
       });
       res.write(`event: status\ndata: ${JSON.stringify({
         status: 'browsing',
@@ -260,7 +392,11 @@ router.post('/chat', async (req, res) => {
       })}\n\n`);
 
       const researchStart = Date.now();
-      webResearchResult = await performWebResearch(message);
+      webResearchResult = await performWebResearch(message, {
+        onStatus: (event) => {
+          if (!res.writableEnded) res.write(`event: status\ndata: ${JSON.stringify({ ...event, route: routeType })}\n\n`);
+        },
+      });
 
       if (webResearchResult && webResearchResult.sources.length > 0) {
         // Build language/tone hint from router's dialect detection
@@ -274,11 +410,24 @@ router.post('/chat', async (req, res) => {
             webLangHint += ' Pengguna guna loghat Utara — boleh selitkan 1-2 perkataan Utara (hang, ja, dak).';
           } else if (decision.lang.dialect === 'KELANTAN') {
             webLangHint += ' Pengguna guna loghat Kelantan — boleh selitkan 1-2 perkataan Klate (demo, gapo, ore).';
+          } else if (DIALECT_PROFILES[decision.lang.dialect]) {
+            const { labelMs, sample } = DIALECT_PROFILES[decision.lang.dialect];
+            webLangHint += ` Pengguna guna loghat ${labelMs} — boleh selitkan 1-2 perkataan ${labelMs} (${sample.join(', ')}).`;
           }
         }
-        systemContent = webResearchResult.systemPrompt + webLangHint;
+        const personaPrompt = buildPersonaPrompt(persona);
+        systemContent = (personaPrompt ? personaPrompt + '\n\n' : '') + webResearchResult.systemPrompt + webLangHint;
         userContent = webResearchResult.contextBlock + '\n\nUSER QUESTION:\n' + message.trim();
 
+        pinContext(ctxKey, 'web', {
+          query: message.slice(0, 200),
+          sources: webResearchResult.sources.map(s => ({
+            title: s.title,
+            url: s.url,
+            snippet: (s.text || '').slice(0, 400),
+          })),
+        });
+
         res.write(`event: status\ndata: ${JSON.stringify({
           status: 'researched',
           sources: webResearchResult.sources.length,
@@ -303,6 +452,10 @@ router.post('/chat', async (req, res) => {
             provider: webResearchResult.provider,
             sourcesCount: webResearchResult.sources.length,
             fromCache: webResearchResult.fromCache,
+            researchMode: webResearchResult.mode,
+            queries: webResearchResult.queries,
+            followups: webResearchResult.followups,
+            productsCount: webResearchResult.products?.length || 0,
             reason: decision.webDecision?.reason,
             route: routeType,
           },
@@ -344,6 +497,11 @@ CRITICAL RULES:
         : `You are a knowledgeable AI assistant. Web search failed, but answer the user's question using your general knowledge. Use **bold**, emoji, bullet points. Do NOT tell the user to search themselves. End with a follow-up question.`;
       userContent = message.trim();
     }
+  } else if (routeType === ROUTE.KNOWLEDGE) {
+    // ── Knowledge collections: answer from retrieved chunks with [n] citations ──
+    knowledgeContext = buildKnowledgeContext(decision.knowledge.chunks, decision.lang.language);
+    systemContent = decision.systemPrompt + knowledgeContext.systemHint;
+    userContent = knowledgeContext.contextBlock + '\n\nUSER QUESTION:\n' + message.trim();
   } else {
     // ── Text chat with personality-aware routing ──
     systemContent = decision.systemPrompt;
@@ -357,6 +515,7 @@ CRITICAL RULES:
       'Cache-Control': 'no-cache',
       'Connection':    'keep-alive',
       'X-Accel-Buffering': 'no',
+      ...(threadId ? { 'X-Thread-Id': threadId } : {}),
     });
   }
 
@@ -367,19 +526,38 @@ CRITICAL RULES:
       route: routeType,
       lang: decision.lang.language,
       dialect: decision.lang.dialect,
+      thread_id: threadId,
+    })}\n\n`);
+  }
+  if (docTrimmed) {
+    res.write(`event: status\ndata: ${JSON.stringify({ status: 'doc_trimmed', ...docTrimmed, route: routeType })}\n\n`);
+  }
+  if (knowledgeContext) {
+    res.write(`event: status\ndata: ${JSON.stringify({
+      status: 'retrieved',
+      citations: knowledgeContext.citations,
+      durationMs: decision.knowledge.durationMs,
+      route: routeType,
     })}\n\n`);
   }
 
   // Handle client disconnect + global timeout
+  let contextPlan = null;
   const ac = new AbortController();
-  req.on('close', () => ac.abort());
-  const globalTimer = setTimeout(() => {
-    ac.abort();
-    try {
-      res.write(`event: error\ndata: ${JSON.stringify({ message: 'Request timed out.' })}\n\n`);
-      res.end();
-    } catch {}
-  }, GLOBAL_TIMEOUT);
+  // `req` emits 'close' once its body is read; the response closes on disconnect
+  res.on('close', () => { if (!res.writableEnded) ac.abort(); });
+  let globalTimer = null;
+  const armGlobalTimer = () => {
+    clearTimeout(globalTimer);
+    globalTimer = setTimeout(() => {
+      ac.abort();
+      try {
+        res.write(`event: error\ndata: ${JSON.stringify({ message: 'Request timed out.' })}\n\n`);
+        res.end();
+      } catch {}
+    }, GLOBAL_TIMEOUT);
+  };
+  armGlobalTimer();
 
   try {
     const userMessage = { role: 'user', content: userContent };
@@ -387,8 +565,40 @@ CRITICAL RULES:
       userMessage.images = userImages;
     }
 
-    // Build conversation history for multi-turn context
-    const historyMsgs = getHistoryMessages(ctxKey, 6);
+    // Fit summary + pinned context + recent history into the model's context window
+    const numPredict = outputTokens();
+    const plan = () => planContext({
+      sessionKey: ctxKey,
+      model: modelChain,
+      systemContent,
+      userContent,
+      numPredict,
+      skipPinned: { doc: !!doc || !!docsUsed, web: !!webResearchResult },
+    });
+    contextPlan = await plan();
+
+    // Ollama would silently drop the start of an overlong prompt (the system
+    // prompt first): cut the context ahead of the question, or refuse
+    if (!contextPlan.fits) {
+      const { model: planned, window, overflowTokens } = contextPlan.stats;
+      const question = hasText ? message.trim() : '';
+      const keepTail = question && userContent.endsWith(question) ? question.length + 32 : 0;
+      const trimmed = trimPrompt(userContent, overflowTokens, planned, keepTail);
+      if (trimmed) {
+        userContent = trimmed;
+        userMessage.content = trimmed;
+        contextPlan = await plan();
+      }
+      if (!contextPlan.fits) {
+        console.error(`[chat] Prompt ~${contextPlan.stats.overflowTokens} tokens over the ${window}-token window of ${planned} (${requestId})`);
+        res.write(`event: error\ndata: ${JSON.stringify({
+          message: `Your message is too long for the model (${window}-token context). Please shorten it or split it into parts.`,
+          code: 'context_overflow',
+        })}\n\n`);
+        return;
+      }
+      res.write(`event: status\ndata: ${JSON.stringify({ status: 'context_trimmed', tokens: overflowTokens, window, model: planned })}\n\n`);
+    }
 
     // Record user turn BEFORE streaming (so context is available for next request)
     addUserTurn(ctxKey, hasText ? message : '[attachment]', {
@@ -396,101 +606,244 @@ CRITICAL RULES:
       lang: decision.lang.language,
       dialect: decision.lang.dialect,
       intent: decision.intent?.intent,
-      docId: doc ? doc.meta?.fileName : null,
+      docId: docEntry ? docEntry.id : (doc ? doc.meta?.fileName : null),
+      requestId,
     });
 
-    // Vision model fallback: if vision fails, try text OCR
-    let ollamaRes;
-    try {
-      ollamaRes = await fetch(`${OLLAMA_URL}/api/chat`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          model: selectedModel,
-          messages: [
-            { role: 'system', content: systemContent },
-            ...historyMsgs,
-            userMessage,
-          ],
-          stream: true,
-          keep_alive: '30m',
-          options: {
-            temperature: temperature ?? (decision.decodingConfig?.temperature ?? 0.7),
-            top_p:       decision.decodingConfig?.top_p ?? 0.9,
-            num_predict: max_tokens || decision.numPredict || (webResearchResult ? 2048 : (doc ? 4096 : 1024)),
-          },
-        }),
-        signal: ac.signal,
-      });
-    } catch (fetchErr) {
-      if (fetchErr.name === 'AbortError') throw fetchErr;
-      // Model might be loading — report and try fallback
-      res.write(`event: error\ndata: ${JSON.stringify({ message: 'AI model is loading. Please try again in a moment.' })}\n\n`);
-      return;
-    }
-
-    if (!ollamaRes.ok) {
-      const errText = await ollamaRes.text().catch(() => '');
-      console.error(`[chat] Ollama ${ollamaRes.status}: ${errText.slice(0, 200)}`);
-
-      // If vision model fails, try fallback to text model for docs
-      if (needsVision && doc && doc.kind === 'pages') {
-        res.write(`event: status\ndata: ${JSON.stringify({ status: 'vision_fallback', reason: 'model_error' })}\n\n`);
-        // Could implement OCR text fallback here in the future
-      }
-
-      res.write(`event: error\ndata: ${JSON.stringify({ message: `AI error (${ollamaRes.status}). The model may be loading.` })}\n\n`);
-      return;
-    }
+    // ── Tool calling (STRUCTURED_TASK only) ──
+    // Enabled tools the caller may use are offered via Ollama's native `tools` field.
+    // Each round streams tokens; if the model requests calls, we execute them,
+    // feed results back as `tool` messages and run another round.
+    const toolRole = getToolRole(req);
+    let toolDefs = routeType === ROUTE.STRUCTURED_TASK ? await getToolDefinitions(toolRole) : [];
+    const toolCallsMade = [];
+
+    const toolHint = toolDefs.length > 0
+      ? '\n\nTOOLS: You can call the provided tools to look up live data (orders, points, QR codes, records). '
+        + 'Call a tool only when the request needs that data, never invent tool results, and explain failures plainly.'
+      : '';
+    const chatMessages = [
+      { role: 'system', content: contextPlan.systemContent + toolHint },
+      ...contextPlan.history,
+      userMessage,
+    ];
 
-    const reader = ollamaRes.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
     let totalTokensIn = 0;
     let totalTokensOut = 0;
     let finalModel = selectedModel;
     let fullAssistantResponse = '';
+    let activeChain = modelChain;
+    let modelBackend = null;
+    let queuedMs = 0;
+    const modelFallbacks = [];
+
+    // ── Response cache: first-turn QUESTION / GENERAL_CHAT answers are replayed as tokens ──
+    const cacheLookup = isCacheable({
+      routeType,
+      hasAttachment: !!(hasImage || hasDoc),
+      historyLength: contextPlan.history.length,
+      toolCount: toolDefs.length,
+    })
+      ? await lookupResponse({
+        text: message, routeType, language: decision.lang.language, dialect: decision.lang.dialect,
+        persona: persona?.name, model: selectedModel, environment: env,
+      })
+      : null;
+    const cacheHit = cacheLookup?.hit || null;
+    if (cacheHit) {
+      for (const delta of replayChunks(cacheHit.answer)) {
+        res.write(`event: token\ndata: ${JSON.stringify({ delta })}\n\n`);
+      }
+      fullAssistantResponse = cacheHit.answer;
+      finalModel = cacheHit.model;
+    }
 
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
+    for (let round = 0; !cacheHit; round++) {
+      const offerTools = toolDefs.length > 0 && round < MAX_TOOL_ROUNDS;
 
-      buffer += decoder.decode(value, { stream: true });
+      // Waiting for a GPU slot does not count against GLOBAL_TIMEOUT
+      let queued = false;
+      let stream;
+      try {
+        stream = await openChatStream({
+          chain: activeChain,
+          body: {
+            messages: chatMessages,
+            ...(offerTools ? { tools: toolDefs } : {}),
+            stream: true,
+            keep_alive: '30m',
+            options: {
+              temperature: temperature ?? (decision.decodingConfig?.temperature ?? 0.7),
+              top_p:       decision.decodingConfig?.top_p ?? 0.9,
+              num_predict: numPredict,
+              num_ctx:     contextPlan.numCtx,
+            },
+          },
+          signal: ac.signal,
+          priority: priorityFor({ userId: req.session?.userId, apiKey: req.apiKey }),
+          onQueued: (position) => {
+            if (!queued) clearTimeout(globalTimer);
+            queued = true;
+            res.write(`event: status\ndata: ${JSON.stringify({ status: 'queued', position })}\n\n`);
+          },
+        });
+      } catch (err) {
+        if (!(err instanceof SchedulerError)) throw err;
+        console.error(`[chat] Scheduler ${err.code} (${requestId})`);
+        res.write(`event: error\ndata: ${JSON.stringify({ message: err.message, code: err.code })}\n\n`);
+        return;
+      }
+      if (queued) armGlobalTimer();
+      queuedMs += stream.queuedMs || 0;
+      modelFallbacks.push(...stream.attempts);
+
+      if (!stream.ok) {
+        console.error(`[chat] Ollama ${stream.status} (${stream.model}): ${stream.errText.slice(0, 200)}`);
+
+        // Model without tool support — retry the round without tools
+        if (offerTools && stream.status === 400 && /tools?/i.test(stream.errText)) {
+          toolDefs = [];
+          round--;
+          continue;
+        }
+
+        // A failed vision model hands the scan's (low-confidence) OCR text to the text chain
+        if (ocrFallback && round === 0) {
+          const textChain = await resolveModelChain({ routeType, needsVision: false });
+          const room = await inputBudget({ model: textChain, systemContent: ocrFallback.systemContent, numPredict });
+          const ocrRoom = room.tokens - DOC_BLOCK_TOKENS - estimateTokens(ocrFallback.prompt, room.model);
+          const ocrText = selectExcerpts(doc.ocrText, hasText ? message : '', charsForTokens(ocrRoom, room.model));
+          systemContent = ocrFallback.systemContent;
+          userContent = `${ocrFallback.prompt}\n\n--- OCR TEXT (low confidence; may contain recognition errors) ---\n${ocrText}\n--- OCR TEXT END ---`
+            + '\n[Say that the text was read by OCR and quote uncertain figures carefully.]';
+          ocrFallback = null;
+          const textPlan = await planContext({
+            sessionKey: ctxKey, model: textChain, systemContent, userContent, numPredict, skipPinned: { doc: true },
+          });
+          if (textPlan.fits) {
+            console.log(`[chat] Vision model failed; answering from OCR text with ${textChain[0]} (${requestId})`);
+            res.write(`event: status\ndata: ${JSON.stringify({
+              status: 'vision_fallback',
+              reason: 'model_error',
+              method: 'ocr',
+              model: textChain[0],
+              confidence: doc.meta.ocr?.confidence ?? null,
+            })}\n\n`);
+            contextPlan = textPlan;
+            delete userMessage.images;
+            userMessage.content = userContent;
+            chatMessages.splice(0, chatMessages.length,
+              { role: 'system', content: textPlan.systemContent + toolHint }, ...textPlan.history, userMessage);
+            activeChain = textChain;
+            selectedModel = textChain[0];
+            round--;
+            continue;
+          }
+        }
 
-      const lines = buffer.split('\n');
-      buffer = lines.pop();
+        res.write(`event: error\ndata: ${JSON.stringify({ message: `AI error (${stream.status}). The model may be loading.` })}\n\n`);
+        return;
+      }
 
-      for (const line of lines) {
-        if (!line.trim()) continue;
+      if (stream.attempts.length > 0) {
+        res.write(`event: status\ndata: ${JSON.stringify({
+          status: 'model_fallback',
+          model: stream.model,
+          skipped: stream.attempts.map(a => ({ model: a.model, reason: a.reason })),
+        })}\n\n`);
+      }
+      // Later tool rounds start with the model that answered
+      selectedModel = stream.model;
+      modelBackend = stream.backend;
+      activeChain = [stream.model, ...activeChain.filter(m => m !== stream.model)];
+
+      const reader = stream.reader;
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let roundText = '';
+      const roundToolCalls = [];
+
+      const handleLine = (line) => {
+        if (!line.trim()) return;
         try {
           const chunk = JSON.parse(line);
           if (chunk.message && chunk.message.content) {
             res.write(`event: token\ndata: ${JSON.stringify({ delta: chunk.message.content })}\n\n`);
             fullAssistantResponse += chunk.message.content;
+            roundText += chunk.message.content;
+          }
+          if (chunk.message && Array.isArray(chunk.message.tool_calls)) {
+            roundToolCalls.push(...chunk.message.tool_calls);
           }
           if (chunk.done) {
-            totalTokensIn  = chunk.prompt_eval_count || 0;
-            totalTokensOut = chunk.eval_count || 0;
-            finalModel     = chunk.model || selectedModel;
+            totalTokensIn  += chunk.prompt_eval_count || 0;
+            totalTokensOut += chunk.eval_count || 0;
+            finalModel      = chunk.model || selectedModel;
           }
         } catch {}
-      }
-    }
+      };
 
-    // Process remaining buffer
-    if (buffer.trim()) {
-      try {
-        const chunk = JSON.parse(buffer);
-        if (chunk.message?.content) {
-          res.write(`event: token\ndata: ${JSON.stringify({ delta: chunk.message.content })}\n\n`);
-          fullAssistantResponse += chunk.message.content;
+      // openChatStream already read the first chunk to confirm the model is streaming
+      let pending = stream.first;
+      while (true) {
+        let value = pending;
+        pending = null;
+        if (!value) {
+          const next = await reader.read();
+          if (next.done) break;
+          value = next.value;
         }
-        if (chunk.done) {
-          totalTokensIn  = chunk.prompt_eval_count || 0;
-          totalTokensOut = chunk.eval_count || 0;
-          finalModel     = chunk.model || selectedModel;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+      }
+
+      // Process remaining buffer
+      handleLine(buffer);
+
+      if (!offerTools || roundToolCalls.length === 0) break;
+
+      // ── Execute requested tools and feed results back ──
+      chatMessages.push({ role: 'assistant', content: roundText, tool_calls: roundToolCalls });
+      for (const call of roundToolCalls) {
+        const toolId = call.function?.name;
+        let args = call.function?.arguments || {};
+        if (typeof args === 'string') {
+          try { args = JSON.parse(args); } catch { args = {}; }
         }
-      } catch {}
+        const callId = `call_${toolCallsMade.length + 1}`;
+
+        res.write(`event: tool_call\ndata: ${JSON.stringify({ id: callId, tool: toolId, arguments: args })}\n\n`);
+
+        const outcome = await executeTool(toolId, args, {
+          visitorId: req.visitorId || actor,
+          userId: req.session?.userId || req.apiKey?.userId || null,
+          environment: env,
+          role: toolRole,
+          requestId,
+        });
+        toolCallsMade.push({ tool: toolId, success: outcome.success });
+
+        res.write(`event: tool_result\ndata: ${JSON.stringify({
+          id: callId,
+          tool: toolId,
+          success: outcome.success,
+          ...(outcome.success ? { result: outcome.result } : { error: outcome.error }),
+        })}\n\n`);
+
+        chatMessages.push({
+          role: 'tool',
+          tool_name: toolId,
+          content: JSON.stringify(outcome.success ? outcome.result : { error: outcome.error }).slice(0, 8000),
+        });
+      }
+    }
+
+    if (cacheLookup && !cacheHit && toolCallsMade.length === 0 && modelFallbacks.length === 0) {
+      storeResponse(cacheLookup.key, fullAssistantResponse).catch(() => {});
     }
 
     // Record assistant turn for conversation context
@@ -503,7 +856,17 @@ CRITICAL RULES:
     // Post-process is applied to the stored response for consistency tracking
     // The actual streamed tokens were already sent — post-processing affects
     // future context awareness but the system prompt handles the main dialect work
-    addAssistantTurn(ctxKey, fullAssistantResponse, { route: routeType });
+    addAssistantTurn(ctxKey, fullAssistantResponse, { route: routeType, requestId, model: finalModel });
+    maybeCompact(ctxKey, selectedModel).catch(() => {});
+
+    let grounding = null;
+    if (webResearchResult?.sources.length > 0) {
+      try {
+        grounding = await checkGrounding(fullAssistantResponse, webResearchResult.sources);
+      } catch (err) {
+        console.error('[chat] Citation check failed:', err.message);
+      }
+    }
 
     // ── Done event ──
     const donePayload = {
@@ -513,14 +876,54 @@ CRITICAL RULES:
       lang: decision.lang.language,
       dialect: decision.lang.dialect,
       usage: { prompt_tokens: totalTokensIn, completion_tokens: totalTokensOut },
+      thread_id: threadId,
+      request_id: requestId,
     };
+    if (toolCallsMade.length > 0) {
+      donePayload.tool_calls = toolCallsMade;
+    }
+    if (modelBackend) {
+      donePayload.backend = modelBackend;
+    }
+    if (modelFallbacks.length > 0) {
+      donePayload.model_fallbacks = modelFallbacks;
+    }
+    if (queuedMs > 0) {
+      donePayload.queued_ms = queuedMs;
+    }
+    if (cacheLookup) {
+      donePayload.cache = cacheHit
+        ? { hit: true, match: cacheHit.match, similarity: cacheHit.similarity }
+        : { hit: false };
+    }
     if (webResearchResult) {
       donePayload.web_research = {
         sources: webResearchResult.sources.map(s => ({ title: s.title, url: s.url })),
         provider: webResearchResult.provider,
         cached: webResearchResult.fromCache,
+        mode: webResearchResult.mode,
+        queries: webResearchResult.queries,
+        followups: webResearchResult.followups,
+      };
+      if (webResearchResult.products?.length > 0) {
+        donePayload.web_research.products = webResearchResult.products;
+      }
+      if (grounding) {
+        donePayload.web_research.citations = grounding.citations;
+        donePayload.web_research.marks = grounding.marks;
+        donePayload.web_research.ungrounded = grounding.ungrounded;
+        donePayload.web_research.grounding = grounding.summary;
+      }
+    }
+    if (knowledgeContext) {
+      donePayload.knowledge = {
+        collections: decision.knowledge.collections,
+        citations: knowledgeContext.citations,
       };
     }
+    if (docsUsed) {
+      donePayload.documents = docsUsed.items;
+    }
 
     // Suggest registration for heavy guest users
     if (isGuest && req.visitorId) {
@@ -542,7 +945,7 @@ CRITICAL RULES:
       [actor, hasText ? message : `[Document: ${doc ? doc.meta.fileName : 'image'}]`, finalModel, totalTokensIn, totalTokensOut, env]
     ).catch(() => {});
 
-    const usageMode = webResearchResult ? 'web_research' : (doc ? `doc-${doc.meta.extractionMethod}` : (hasImage ? 'vision' : 'text'));
+    const usageMode = webResearchResult ? 'web_research' : knowledgeContext ? 'knowledge' : (doc ? `doc-${doc.meta.extractionMethod}` : (hasImage ? 'vision' : 'text'));
     logUsageEvent({
       visitorId: req.visitorId || actor,
       userId: req.session?.userId || null,
@@ -564,6 +967,7 @@ CRITICAL RULES:
         tone: decision.lang.tone,
         intentReason: decision.intent?.reason,
         fileType: doc ? doc.meta.mimeType : (hasImage ? 'image' : null),
+        ocr: doc && doc.meta.ocr ? doc.meta.ocr : undefined,
         pipeline: decision.pipeline ? {
           corrections: decision.pipeline.corrections,
           normMeta: decision.pipeline.normMeta,
@@ -579,7 +983,32 @@ CRITICAL RULES:
       [requestId, req.visitorId, req.session?.userId || null, routeType,
        decision.intent?.intent, decision.lang.language, decision.lang.dialect, decision.lang.formality,
        finalModel, totalDuration, totalTokensIn, totalTokensOut, 'ok',
-       JSON.stringify({ reason: decision.reason, intentReason: decision.intent?.reason })]
+       JSON.stringify({
+         reason: decision.reason,
+         intentReason: decision.intent?.reason,
+         intentClassifier: decision.intent?.classifier || 'rules',
+         intentLlm: decision.intent?.llm,
+         persona: persona?.name,
+         models: { chain: modelChain, backend: modelBackend, fallbacks: modelFallbacks.length > 0 ? modelFallbacks : undefined },
+         queuedMs: queuedMs || undefined,
+         cache: cacheLookup ? (cacheHit ? `hit_${cacheHit.match}` : 'miss') : undefined,
+         threadId,
+         context: contextPlan?.stats,
+         tools: toolCallsMade.length > 0 ? toolCallsMade : undefined,
+         knowledge: knowledgeContext ? {
+           collections: decision.knowledge.collections,
+           backend: decision.knowledge.backend,
+           chunks: decision.knowledge.chunks.map(c => ({ id: c.id, score: c.score })),
+           durationMs: decision.knowledge.durationMs,
+         } : undefined,
+         documents: docsUsed || undefined,
+         webResearch: webResearchResult ? {
+           provider: webResearchResult.provider,
+           cached: webResearchResult.fromCache,
+           sources: webResearchResult.sources.map(s => ({ title: s.title, url: s.url })),
+           grounding: grounding ? { ...grounding.summary, ungrounded: grounding.ungrounded } : undefined,
+         } : undefined,
+       })]
     ).catch(() => {});
 
   } catch (err) {
@@ -604,41 +1033,6 @@ CRITICAL RULES:
   }
 });
 
-/* ── Helper: chunk text for map-reduce summarization ─────── */
-function chunkText(text, chunkSize = 30000) {
-  const chunks = [];
-  // Try to split on headings/sections first
-  const sections = text.split(/\n(?=#{1,3}\s|[A-Z][A-Z\s]{3,}[:\n])/);
-
-  let current = '';
-  for (const section of sections) {
-    if ((current + section).length > chunkSize && current.length > 0) {
-      chunks.push(current.trim());
-      current = section;
-    } else {
-      current += (current ? '\n' : '') + section;
-    }
-  }
-  if (current.trim()) chunks.push(current.trim());
-
-  // If no heading splits worked, fall back to character splitting
-  if (chunks.length <= 1 && text.length > chunkSize) {
-    chunks.length = 0;
-    for (let i = 0; i < text.length; i += chunkSize) {
-      // Try to break at paragraph boundary
-      let end = Math.min(i + chunkSize, text.length);
-      if (end < text.length) {
-        const paraBreak = text.lastIndexOf('\n\n', end);
-        if (paraBreak > i + chunkSize * 0.5) end = paraBreak;
-      }
-      chunks.push(text.slice(i, end).trim());
-      if (end !== i + chunkSize) i = end - chunkSize; // adjust for break point
-    }
-  }
-
-  return chunks.length > 0 ? chunks : [text];
-}
-
 /* ── Helper: get guest doc count for today ───────────────── */
 async function getGuestDocCount(visitorId) {
   try {
@@ -653,27 +1047,26 @@ async function getGuestDocCount(visitorId) {
 }
 
 /**
- * GET /v1/chat/models — list available text models from Ollama
+ * GET /v1/chat/models — list available text models across the Ollama pool
  */
 router.get('/chat/models', async (_req, res) => {
   try {
     const defaultModel = await getSetting('ai.default_text_model', 'llama3.1:8b');
     const defaultVision = await getSetting('ai.default_vision_model', 'qwen2.5vl:32b');
 
+    const { loaded } = getModelHealth();
     let ollamaModels = [];
     try {
-      const ollamaRes = await fetch(`${OLLAMA_URL}/api/tags`);
-      if (ollamaRes.ok) {
-        const data = await ollamaRes.json();
-        ollamaModels = (data.models || []).map(m => ({
-          id: m.name,
-          name: m.name,
-          size_gb: (m.size / 1e9).toFixed(1),
-          is_vision: /vl|vision|llava|minicpm-v/i.test(m.name),
-          default: m.name === defaultModel,
-          default_vision: m.name === defaultVision,
-        }));
-      }
+      ollamaModels = (await listPoolModels()).map(m => ({
+        id: m.name,
+        name: m.name,
+        size_gb: (m.size / 1e9).toFixed(1),
+        is_vision: /vl|vision|llava|minicpm-v/i.test(m.name),
+        default: m.name === defaultModel,
+        default_vision: m.name === defaultVision,
+        loaded: loaded ? loaded.includes(m.name) : null,
+        backends: m.backends,
+      }));
     } catch {}
 
     if (ollamaModels.length === 0) {
@@ -689,26 +1082,29 @@ router.get('/chat/models', async (_req, res) => {
 });
 
 /**
- * POST /v1/chat/feedback — record quality signal (thumbs up/down)
+ * POST /v1/chat/feedback — rate an answer (thumbs up/down)
+ *
+ * Body: { request_id, rating: 'up'|'down', reasons?: string[], comment? }
+ * `request_id` comes from the `done` event (or `getouch.request_id` on
+ * /v1/chat/completions, rated with the same API key); see lib/feedback.js for reasons.
  */
-router.post('/chat/feedback', async (req, res) => {
-  const { rating, route, model, responseLength } = req.body || {};
-  if (!rating || !['up', 'down'].includes(rating)) {
-    return res.status(400).json({ error: 'rating must be "up" or "down"' });
-  }
+router.post('/chat/feedback', optionalApiKeyWithEnv, async (req, res) => {
+  const parsed = normalizeFeedback(req.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
 
-  const actor = getActor(req);
-  const visitorId = req.visitorId || actor;
+  const { route, model, responseLength } = req.body || {};
+  // API clients rate /v1/chat/completions answers (audited as apikey:<id>)
+  const visitorId = req.apiKey ? `apikey:${req.apiKey.id}`.slice(0, 64) : (req.visitorId || getActor(req));
   const env = req.env || 'prod';
 
   try {
-    await dbQuery(
-      `INSERT INTO quality_signals (visitor_id, user_id, rating, route_type, model, response_length, environment)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-      [visitorId, req.session?.userId || null, rating, route || null, model || null, responseLength || 0, env]
+    const { id } = await recordFeedback(
+      { ...parsed.value, route, model, responseLength },
+      { visitorId, userId: req.session?.userId || null, env }
     );
-    res.json({ ok: true });
+    res.json({ ok: true, id });
   } catch (err) {
+    if (err instanceof FeedbackError) return res.status(err.status).json({ error: err.message });
     console.error('[feedback] DB error:', err.message);
     // Still return OK — don't block UI for feedback failures
     res.json({ ok: true });
@@ -0,0 +1,229 @@
+/**
+ * Conversation thread routes (mounted at /v1)
+ *
+ *   GET    /v1/chat/threads               — list the caller's threads
+ *   POST   /v1/chat/threads               — start a new thread { title? }
+ *   DELETE /v1/chat/threads               — delete all of the caller's threads
+ *   GET    /v1/chat/threads/:id           — thread metadata + preferences
+ *   PATCH  /v1/chat/threads/:id           — rename { title }
+ *   DELETE /v1/chat/threads/:id           — delete a thread and its messages
+ *   GET    /v1/chat/threads/:id/messages  — paged history (?limit=&before=<message id>)
+ *   GET    /v1/chat/threads/:id/documents — documents uploaded to the thread (metadata only)
+ *
+ * Owner resolution matches POST /v1/chat: session user → API key user → visitor.
+ * Threads are environment-scoped (req.env).
+ *
+ * NOTE: Auth is applied per-route (not router.use) because this router
+ * shares the /v1 mount with chat and image routes that allow anonymous access.
+ */
+
+const { Router } = require('express');
+const { optionalApiKeyWithEnv } = require('../lib/env-router');
+const { forgetSession } = require('../lib/conversation-context');
+const store = require('../lib/conversation-store');
+
+const router = Router();
+
+function clampInt(value, def, min, max) {
+  const n = parseInt(value, 10);
+  if (Number.isNaN(n)) return def;
+  return Math.min(Math.max(n, min), max);
+}
+
+function formatThread(t) {
+  return {
+    id: t.id,
+    title: t.title,
+    message_count: t.message_count,
+    last_route: t.last_route,
+    lang: t.dominant_lang,
+    dialect: t.dominant_dialect,
+    preferences: t.pref || {},
+    created_at: t.created_at,
+    updated_at: t.updated_at,
+    last_active_at: t.last_active_at,
+  };
+}
+
+/**
+ * GET /v1/chat/threads
+ */
+router.get('/chat/threads', optionalApiKeyWithEnv, async (req, res) => {
+  const env = req.env || 'prod';
+  const limit  = clampInt(req.query.limit, 25, 1, 100);
+  const offset = clampInt(req.query.offset, 0, 0, 100000);
+  try {
+    const { threads, total } = await store.listThreads(store.getThreadOwner(req), env, { limit, offset });
+    res.json({ threads: threads.map(formatThread), total, limit, offset });
+  } catch (err) {
+    console.error('[threads] List error:', err.message);
+    res.status(500).json({ error: 'Failed to list threads' });
+  }
+});
+
+/**
+ * POST /v1/chat/threads
+ */
+router.post('/chat/threads', optionalApiKeyWithEnv, async (req, res) => {
+  const env = req.env || 'prod';
+  const { title } = req.body || {};
+  if (title !== undefined && title !== null && typeof title !== 'string') {
+    return res.status(400).json({ error: 'title must be a string' });
+  }
+  try {
+    const thread = await store.createThread({
+      ownerKey: store.getThreadOwner(req),
+      userId: store.getThreadUserId(req),
+      title: title ? title.trim() : null,
+      environment: env,
+    });
+    res.status(201).json({ thread: formatThread(thread) });
+  } catch (err) {
+    console.error('[threads] Create error:', err.message);
+    res.status(500).json({ error: 'Failed to create thread' });
+  }
+});
+
+/**
+ * DELETE /v1/chat/threads — clear all history for the caller
+ */
+router.delete('/chat/threads', optionalApiKeyWithEnv, async (req, res) => {
+  const env = req.env || 'prod';
+  try {
+    const ids = await store.deleteAllThreads(store.getThreadOwner(req), env);
+    ids.forEach(id => forgetSession(`thread:${id}`));
+    res.json({ ok: true, deleted: ids.length });
+  } catch (err) {
+    console.error('[threads] Delete all error:', err.message);
+    res.status(500).json({ error: 'Failed to delete threads' });
+  }
+});
+
+/**
+ * GET /v1/chat/threads/:id
+ */
+router.get('/chat/threads/:id', optionalApiKeyWithEnv, async (req, res) => {
+  const env = req.env || 'prod';
+  if (!store.isValidThreadId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid thread id' });
+  }
+  try {
+    const thread = await store.getThread(req.params.id, store.getThreadOwner(req), env);
+    if (!thread) return res.status(404).json({ error: 'Thread not found' });
+    res.json({ thread: formatThread(thread) });
+  } catch (err) {
+    console.error('[threads] Get error:', err.message);
+    res.status(500).json({ error: 'Failed to load thread' });
+  }
+});
+
+/**
+ * PATCH /v1/chat/threads/:id — rename
+ */
+router.patch('/chat/threads/:id', optionalApiKeyWithEnv, async (req, res) => {
+  const env = req.env || 'prod';
+  const { title } = req.body || {};
+  if (!store.isValidThreadId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid thread id' });
+  }
+  if (typeof title !== 'string' || !title.trim()) {
+    return res.status(400).json({ error: 'title is required' });
+  }
+  try {
+    const thread = await store.renameThread(req.params.id, store.getThreadOwner(req), env, title.trim());
+    if (!thread) return res.status(404).json({ error: 'Thread not found' });
+    res.json({ thread: formatThread(thread) });
+  } catch (err) {
+    console.error('[threads] Rename error:', err.message);
+    res.status(500).json({ error: 'Failed to rename thread' });
+  }
+});
+
+/**
+ * DELETE /v1/chat/threads/:id
+ */
+router.delete('/chat/threads/:id', optionalApiKeyWithEnv, async (req, res) => {
+  const env = req.env || 'prod';
+  if (!store.isValidThreadId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid thread id' });
+  }
+  try {
+    const deleted = await store.deleteThread(req.params.id, store.getThreadOwner(req), env);
+    if (!deleted) return res.status(404).json({ error: 'Thread not found' });
+    forgetSession(`thread:${req.params.id}`);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[threads] Delete error:', err.message);
+    res.status(500).json({ error: 'Failed to delete thread' });
+  }
+});
+
+/**
+ * GET /v1/chat/threads/:id/messages
+ */
+router.get('/chat/threads/:id/messages', optionalApiKeyWithEnv, async (req, res) => {
+  const env = req.env || 'prod';
+  if (!store.isValidThreadId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid thread id' });
+  }
+  const limit  = clampInt(req.query.limit, 50, 1, 200);
+  const before = req.query.before ? clampInt(req.query.before, null, 1, Number.MAX_SAFE_INTEGER) : null;
+  try {
+    const thread = await store.getThread(req.params.id, store.getThreadOwner(req), env);
+    if (!thread) return res.status(404).json({ error: 'Thread not found' });
+    const messages = await store.listMessages(thread.id, env, { limit, before });
+    res.json({
+      thread: formatThread(thread),
+      messages: messages.map(m => ({
+        id: Number(m.id),
+        role: m.role,
+        content: m.content,
+        route: m.route,
+        lang: m.lang,
+        dialect: m.dialect,
+        request_id: m.request_id,
+        created_at: m.created_at,
+      })),
+      next_before: messages.length === limit ? Number(messages[0].id) : null,
+    });
+  } catch (err) {
+    console.error('[threads] Messages error:', err.message);
+    res.status(500).json({ error: 'Failed to load messages' });
+  }
+});
+
+/**
+ * GET /v1/chat/threads/:id/documents
+ */
+router.get('/chat/threads/:id/documents', optionalApiKeyWithEnv, async (req, res) => {
+  const env = req.env || 'prod';
+  if (!store.isValidThreadId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid thread id' });
+  }
+  try {
+    const thread = await store.getThread(req.params.id, store.getThreadOwner(req), env);
+    if (!thread) return res.status(404).json({ error: 'Thread not found' });
+    const documents = await store.listThreadDocuments(thread.id, env, { limit: 100 });
+    res.json({
+      thread: formatThread(thread),
+      documents: documents.map(d => ({
+        id: d.id,
+        name: d.name,
+        title: d.title,
+        kind: d.kind,
+        mime_type: d.mime_type,
+        size_bytes: d.size_bytes,
+        extraction_method: d.extraction_method,
+        language: d.language,
+        meta: d.meta,
+        text_length: d.text_length != null ? Number(d.text_length) : null,
+        created_at: d.created_at,
+      })),
+    });
+  } catch (err) {
+    console.error('[threads] Documents error:', err.message);
+    res.status(500).json({ error: 'Failed to load documents' });
+  }
+});
+
+module.exports = router;
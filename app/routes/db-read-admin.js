@@ -0,0 +1,166 @@
+/**
+ * Admin DB Read API — manage the named-query catalogue behind the db_read tool
+ * Protected via admin token or Cloudflare Access.
+ *
+ * GET    /v1/admin/db-queries              — all catalogue entries
+ * GET    /v1/admin/db-queries/:name        — one entry
+ * POST   /v1/admin/db-queries              — create an entry
+ * PUT    /v1/admin/db-queries/:name        — update an entry
+ * DELETE /v1/admin/db-queries/:name        — delete an entry
+ * POST   /v1/admin/db-queries/:name/test   — run it { params } (works while disabled)
+ *
+ * SQL is validated on save (single SELECT/WITH, no write keywords) and
+ * always executed in a READ ONLY transaction with a statement timeout.
+ */
+const { Router } = require('express');
+const {
+  validateQueryDefinition, runNamedQuery, loadDbReadCatalogue,
+  listDbQueries, getDbQuery, saveDbQuery, deleteDbQuery,
+} = require('../lib/db-read');
+
+const router = Router();
+
+/**
+ * Admin auth middleware — check for admin token or Cloudflare Access header
+ */
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (adminToken) {
+    const auth = req.headers.authorization;
+    if (auth === `Bearer ${adminToken}`) return next();
+  }
+  const cfEmail = req.headers['cf-access-authenticated-user-email'];
+  if (cfEmail) return next();
+  if (req.session && (req.session.userId || req.session.cfEmail)) return next();
+  const cfJwt = req.headers['cf-access-jwt-assertion'];
+  if (cfJwt) return next();
+  return res.status(403).json({ error: 'Admin access required' });
+}
+
+router.use(requireAdmin);
+
+function adminIdentity(req) {
+  return req.headers['cf-access-authenticated-user-email'] || req.session?.cfEmail
+    || (req.session?.userId ? `user:${req.session.userId}` : 'admin-token');
+}
+
+/** Pick definition fields from a request body. */
+function pickDefinition(body, name) {
+  return {
+    name,
+    description: body.description,
+    sql_text: body.sql_text,
+    params: body.params || [],
+    max_rows: body.max_rows,
+    timeout_ms: body.timeout_ms,
+    environment: body.environment || 'request',
+    enabled: body.enabled !== false,
+  };
+}
+
+/**
+ * GET /v1/admin/db-queries
+ */
+router.get('/db-queries', async (_req, res) => {
+  try {
+    res.json({ queries: await listDbQueries() });
+  } catch (err) {
+    console.error('[admin] DB queries list failed:', err.message);
+    res.status(500).json({ error: 'Failed to load queries' });
+  }
+});
+
+/**
+ * GET /v1/admin/db-queries/:name
+ */
+router.get('/db-queries/:name', async (req, res) => {
+  try {
+    const q = await getDbQuery(req.params.name);
+    if (!q) return res.status(404).json({ error: 'Query not found' });
+    res.json({ query: q });
+  } catch (err) {
+    console.error('[admin] DB query load failed:', err.message);
+    res.status(500).json({ error: 'Failed to load query' });
+  }
+});
+
+/**
+ * POST /v1/admin/db-queries — create entry
+ */
+router.post('/db-queries', async (req, res) => {
+  const body = req.body || {};
+  const def = pickDefinition(body, body.name);
+  const invalid = validateQueryDefinition(def);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  try {
+    if (await getDbQuery(def.name)) return res.status(409).json({ error: `Query already exists: ${def.name}` });
+    const saved = await saveDbQuery(def, adminIdentity(req));
+    await loadDbReadCatalogue();
+    res.status(201).json({ query: saved });
+  } catch (err) {
+    console.error('[admin] DB query create failed:', err.message);
+    res.status(500).json({ error: 'Failed to create query' });
+  }
+});
+
+/**
+ * PUT /v1/admin/db-queries/:name — update entry (merged with the stored one)
+ */
+router.put('/db-queries/:name', async (req, res) => {
+  try {
+    const current = await getDbQuery(req.params.name);
+    if (!current) return res.status(404).json({ error: 'Query not found' });
+
+    const def = pickDefinition({ ...current, ...(req.body || {}) }, req.params.name);
+    const invalid = validateQueryDefinition(def);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const saved = await saveDbQuery(def);
+    await loadDbReadCatalogue();
+    res.json({ query: saved });
+  } catch (err) {
+    console.error('[admin] DB query update failed:', err.message);
+    res.status(500).json({ error: 'Failed to update query' });
+  }
+});
+
+/**
+ * DELETE /v1/admin/db-queries/:name
+ */
+router.delete('/db-queries/:name', async (req, res) => {
+  try {
+    const deleted = await deleteDbQuery(req.params.name);
+    if (!deleted) return res.status(404).json({ error: 'Query not found' });
+    await loadDbReadCatalogue();
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[admin] DB query delete failed:', err.message);
+    res.status(500).json({ error: 'Failed to delete query' });
+  }
+});
+
+/**
+ * POST /v1/admin/db-queries/:name/test — run with sample params
+ *
+ * Body: { params: object }
+ * Runs against the admin's request environment; audited like a tool call.
+ */
+router.post('/db-queries/:name/test', async (req, res) => {
+  const params = (req.body && req.body.params) || {};
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    return res.status(400).json({ error: 'params must be an object' });
+  }
+
+  const start = Date.now();
+  try {
+    const result = await runNamedQuery(req.params.name, params, {
+      environment: req.env || 'prod', role: 'admin', test: true,
+    });
+    res.json({ success: true, result, durationMs: Date.now() - start });
+  } catch (err) {
+    res.json({ success: false, error: err.message, durationMs: Date.now() - start });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+/**
+ * POST /v1/extract — structured extraction: document + JSON Schema → typed JSON
+ *
+ * Body:
+ *   { doc_base64, doc_name, doc_mime?, schema, instructions?, model?, max_retries? }
+ *
+ * The document goes through the same ingestion as /v1/chat attachments (text,
+ * OCR, or page images for the vision model). The model is constrained with
+ * Ollama's `format`, the output is validated against `schema`, and failed
+ * validations are re-prompted up to `max_retries` times (default 2, max 4).
+ *
+ * 200 → { id, model, data, sources: [{ field, value, snippet, location, verified }],
+ *         document: { name, kind, extraction_method, page_count }, attempts, usage }
+ * 422 → { error, errors, data, attempts } when the output never matched the schema
+ *
+ * Auth: API key (Bearer prod_/dev_) or a signed-in session — guests can't extract.
+ */
+
+const { Router } = require('express');
+const crypto = require('crypto');
+const { getSetting } = require('../lib/settings');
+const { checkRateLimit, getActor } = require('../lib/rate-limit');
+const { logUsageEvent } = require('../lib/usage');
+const { optionalApiKeyWithEnv } = require('../lib/env-router');
+const { ingestAttachment, IngestionError, cleanupFiles } = require('../lib/document-ingestion');
+const { ExtractionError, validateSchema, extractFromDocument, MAX_RETRIES } = require('../lib/extraction');
+
+const router = Router();
+
+const RATE_LIMIT_RPM   = 15;
+const MAX_INSTRUCTIONS = 2000;
+
+router.post('/extract', optionalApiKeyWithEnv, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const requestStart = Date.now();
+  const env = req.env || 'prod';
+
+  if (!req.apiKey && !(req.session && req.session.userId)) {
+    return res.status(401).json({ error: 'Sign in or use an API key to extract documents' });
+  }
+
+  // ── Rate limiting (shares the chat budget) ──
+  const actor = req.apiKey ? `key:${req.apiKey.id}` : getActor(req);
+  const rateMax = await getSetting(`rate_limit.chat.${env}`, env === 'dev' ? 60 : RATE_LIMIT_RPM);
+  const rl = checkRateLimit(`${env}:${actor}`, 'extract', rateMax, 60_000);
+  if (!rl.allowed) {
+    return res.status(429).json({ error: 'Rate limit exceeded', retry_after: rl.retryAfter });
+  }
+
+  const { doc_base64, doc_name, doc_mime, schema, instructions, model, max_retries } = req.body || {};
+  if (!doc_base64 || typeof doc_base64 !== 'string') {
+    return res.status(400).json({ error: 'doc_base64 is required' });
+  }
+  if (!doc_name || typeof doc_name !== 'string') {
+    return res.status(400).json({ error: 'doc_name is required' });
+  }
+  const schemaError = validateSchema(schema);
+  if (schemaError) return res.status(400).json({ error: schemaError });
+  if (instructions !== undefined && instructions !== null
+      && (typeof instructions !== 'string' || instructions.length > MAX_INSTRUCTIONS)) {
+    return res.status(400).json({ error: `instructions must be a string (max ${MAX_INSTRUCTIONS} chars)` });
+  }
+  if (model !== undefined && model !== null && (typeof model !== 'string' || model.length > 100)) {
+    return res.status(400).json({ error: 'model must be a string (max 100 chars)' });
+  }
+  if (max_retries !== undefined && max_retries !== null
+      && (!Number.isInteger(max_retries) || max_retries < 0 || max_retries > MAX_RETRIES)) {
+    return res.status(400).json({ error: `max_retries must be an integer between 0 and ${MAX_RETRIES}` });
+  }
+
+  /* ── Ingest ────────────────────────────────────────────── */
+  let doc;
+  let tempFiles = [];
+  try {
+    doc = await ingestAttachment(Buffer.from(doc_base64, 'base64'), doc_name, doc_mime || 'application/octet-stream');
+    if (doc.pages) tempFiles = doc.pages.map(p => p.imagePath).filter(Boolean);
+  } catch (err) {
+    if (err instanceof IngestionError) return res.status(400).json({ error: err.message });
+    console.error('[extract] Document ingestion error:', err);
+    return res.status(500).json({ error: 'Failed to process document.' });
+  }
+
+  const ac = new AbortController();
+  res.on('close', () => { if (!res.writableEnded) ac.abort(); });
+
+  let result = null;
+  let status = 'ok';
+  let errMessage = null;
+  try {
+    result = await extractFromDocument(doc, schema, {
+      model: model || undefined,
+      instructions: instructions || undefined,
+      maxRetries: max_retries ?? undefined,
+      signal: ac.signal,
+    });
+
+    const document = {
+      name: doc.meta.fileName,
+      kind: doc.kind,
+      extraction_method: doc.meta.extractionMethod,
+      page_count: doc.meta.pageCount || null,
+    };
+
+    if (!result.valid) {
+      status = 'invalid';
+      return res.status(422).json({
+        error: 'Model output did not match the schema',
+        errors: result.errors,
+        data: result.data,
+        attempts: result.attempts,
+        id: requestId,
+        model: result.model,
+        document,
+      });
+    }
+
+    res.json({
+      id: requestId,
+      model: result.model,
+      data: result.data,
+      sources: result.sources,
+      document,
+      attempts: result.attempts,
+      usage: result.usage,
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') { status = 'aborted'; return; }
+    status = 'error';
+    errMessage = err.message;
+    if (err instanceof ExtractionError) return res.status(err.status).json({ error: err.message });
+    console.error('[extract] Extraction error:', err.message);
+    return res.status(500).json({ error: 'Extraction failed' });
+  } finally {
+    if (tempFiles.length > 0) cleanupFiles(...tempFiles);
+
+    logUsageEvent({
+      visitorId: req.visitorId || actor,
+      userId: req.session?.userId || null,
+      eventType: 'extract',
+      mode: `doc-${doc.meta.extractionMethod}`,
+      model: result ? result.model : model || null,
+      status,
+      latencyMs: Date.now() - requestStart,
+      inputLen: (doc.text || '').length,
+      tokensIn: result ? result.usage.prompt_tokens : 0,
+      tokensOut: result ? result.usage.completion_tokens : 0,
+      environment: env,
+      meta: {
+        requestId,
+        apiKeyId: req.apiKey ? req.apiKey.id : null,
+        fileType: doc.meta.mimeType,
+        fields: Object.keys(schema.properties).length,
+        attempts: result ? result.attempts : 0,
+        validationErrors: result && !result.valid ? result.errors.slice(0, 10) : undefined,
+        verifiedSources: result && result.valid ? result.sources.filter(s => s.verified).length : undefined,
+        error: errMessage,
+      },
+    });
+  }
+});
+
+module.exports = router;
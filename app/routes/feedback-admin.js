@@ -0,0 +1,154 @@
+/**
+ * Admin Feedback API — review rated answers against the pipeline decision
+ * Protected via admin token or Cloudflare Access.
+ *
+ * GET   /v1/admin/feedback          — queue (?rating=down&status=open&reason=&route=&days=30&limit=&offset=)
+ * GET   /v1/admin/feedback/summary  — up/down totals, reasons, per-route counts (?days=30)
+ * GET   /v1/admin/feedback/export   — regression set as JSONL (?status=reviewed&reason=&route=&days=90)
+ * GET   /v1/admin/feedback/:id      — one rating with prompt, answer and decision
+ * PATCH /v1/admin/feedback/:id      — review { status?, note?, expected?: { route, intent, language, dialect } }
+ *
+ * Rows join quality_signals to pipeline_audit on request_id (lib/feedback.js).
+ */
+const { Router } = require('express');
+const {
+  FEEDBACK_REASONS, REVIEW_STATUSES, listFeedback, getFeedback, feedbackSummary,
+  normalizeReview, reviewFeedback, exportRegressionSet,
+} = require('../lib/feedback');
+
+const router = Router();
+
+/**
+ * Admin auth middleware — check for admin token or Cloudflare Access header
+ */
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (adminToken) {
+    const auth = req.headers.authorization;
+    if (auth === `Bearer ${adminToken}`) return next();
+  }
+  const cfEmail = req.headers['cf-access-authenticated-user-email'];
+  if (cfEmail) return next();
+  if (req.session && (req.session.userId || req.session.cfEmail)) return next();
+  const cfJwt = req.headers['cf-access-jwt-assertion'];
+  if (cfJwt) return next();
+  return res.status(403).json({ error: 'Admin access required' });
+}
+
+router.use(requireAdmin);
+
+function adminIdentity(req) {
+  return req.headers['cf-access-authenticated-user-email'] || req.session?.cfEmail
+    || (req.session?.userId ? `user:${req.session.userId}` : 'admin-token');
+}
+
+function clampInt(value, fallback, min, max) {
+  const n = parseInt(value, 10);
+  if (!Number.isInteger(n)) return fallback;
+  return Math.min(Math.max(n, min), max);
+}
+
+/**
+ * Parse queue/export filters from the query string.
+ * @returns {{ error: string }|{ filters: object }}
+ */
+function parseFilters(q, defaultDays) {
+  const filters = { days: clampInt(q.days, defaultDays, 1, 365) };
+  if (q.rating) {
+    if (!['up', 'down'].includes(q.rating)) return { error: 'rating must be "up" or "down"' };
+    filters.rating = q.rating;
+  }
+  if (q.status) {
+    if (!REVIEW_STATUSES.includes(q.status)) return { error: `status must be one of: ${REVIEW_STATUSES.join(', ')}` };
+    filters.status = q.status;
+  }
+  if (q.reason) {
+    if (!FEEDBACK_REASONS.includes(q.reason)) return { error: `reason must be one of: ${FEEDBACK_REASONS.join(', ')}` };
+    filters.reason = q.reason;
+  }
+  if (q.route) filters.route = String(q.route).slice(0, 50);
+  return { filters };
+}
+
+/**
+ * GET /v1/admin/feedback — review queue
+ */
+router.get('/feedback', async (req, res) => {
+  const parsed = parseFilters(req.query, 30);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const limit  = clampInt(req.query.limit, 50, 1, 200);
+  const offset = clampInt(req.query.offset, 0, 0, 100000);
+  try {
+    const feedback = await listFeedback({ ...parsed.filters, limit, offset });
+    res.json({ feedback, reasons: FEEDBACK_REASONS, limit, offset });
+  } catch (err) {
+    console.error('[admin] Feedback list error:', err.message);
+    res.status(500).json({ error: 'Failed to load feedback' });
+  }
+});
+
+/**
+ * GET /v1/admin/feedback/summary
+ */
+router.get('/feedback/summary', async (req, res) => {
+  try {
+    res.json(await feedbackSummary(clampInt(req.query.days, 30, 1, 365)));
+  } catch (err) {
+    console.error('[admin] Feedback summary error:', err.message);
+    res.status(500).json({ error: 'Failed to load feedback summary' });
+  }
+});
+
+/**
+ * GET /v1/admin/feedback/export — one regression case per line
+ */
+router.get('/feedback/export', async (req, res) => {
+  const parsed = parseFilters(req.query, 90);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  try {
+    const cases = await exportRegressionSet(parsed.filters);
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="feedback-regression-${stamp}.jsonl"`);
+    res.send(cases.map(c => JSON.stringify(c)).join('\n') + (cases.length ? '\n' : ''));
+  } catch (err) {
+    console.error('[admin] Feedback export error:', err.message);
+    res.status(500).json({ error: 'Failed to export feedback' });
+  }
+});
+
+/**
+ * GET /v1/admin/feedback/:id
+ */
+router.get('/feedback/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid feedback id' });
+  try {
+    const feedback = await getFeedback(id);
+    if (!feedback) return res.status(404).json({ error: 'Feedback not found' });
+    res.json({ feedback });
+  } catch (err) {
+    console.error('[admin] Feedback load error:', err.message);
+    res.status(500).json({ error: 'Failed to load feedback' });
+  }
+});
+
+/**
+ * PATCH /v1/admin/feedback/:id — mark reviewed/dismissed, add a note or corrected labels
+ */
+router.patch('/feedback/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid feedback id' });
+  const parsed = normalizeReview(req.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  try {
+    const feedback = await reviewFeedback(id, parsed.value, adminIdentity(req));
+    if (!feedback) return res.status(404).json({ error: 'Feedback not found' });
+    res.json({ feedback });
+  } catch (err) {
+    console.error('[admin] Feedback review error:', err.message);
+    res.status(500).json({ error: 'Failed to update feedback' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,234 @@
+/**
+ * Admin Knowledge API — manage knowledge collections and their documents
+ * Protected via admin token or Cloudflare Access.
+ *
+ * GET    /v1/admin/knowledge/collections                    — collections + document/chunk counts
+ * POST   /v1/admin/knowledge/collections                    — create { name, description?, embedding_model?,
+ *                                                             is_public?, owner_user_id? }
+ * PATCH  /v1/admin/knowledge/collections/:name              — change { is_public?, owner_user_id? }
+ * PUT    /v1/admin/knowledge/collections/:name/api-keys     — assign { api_key_ids: [...] } (replaces the list)
+ * DELETE /v1/admin/knowledge/collections/:name              — delete a collection (and its documents)
+ * GET    /v1/admin/knowledge/collections/:name/documents    — documents in a collection
+ * POST   /v1/admin/knowledge/collections/:name/documents    — upload { doc_base64, doc_name, doc_mime? }
+ * POST   /v1/admin/knowledge/collections/:name/reindex      — re-chunk + re-embed every document
+ * POST   /v1/admin/knowledge/documents/:id/reindex          — re-chunk + re-embed one document
+ * DELETE /v1/admin/knowledge/documents/:id                  — delete a document
+ * POST   /v1/admin/knowledge/search                         — retrieval preview { query, collections, k? }
+ *
+ * Uploads use the chat attachment handlers (PDF, DOCX, TXT, CSV, XLS/XLSX, PPTX).
+ *
+ * Chat requests search a collection only if it is public, owned by the
+ * caller's user (`owner_user_id`) or assigned to the calling API key. New
+ * collections are private; the key assignment refuses keys of another user
+ * than the owner. The search preview here is not restricted.
+ */
+const { Router } = require('express');
+const {
+  KnowledgeError, listCollections, getCollection, createCollection, deleteCollection,
+  updateCollectionAccess, setCollectionKeys, listDocuments, getDocument, deleteDocument, addDocument, indexDocument, reindexCollection,
+  retrieve,
+} = require('../lib/knowledge');
+
+const router = Router();
+
+/**
+ * Admin auth middleware — check for admin token or Cloudflare Access header
+ */
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (adminToken) {
+    const auth = req.headers.authorization;
+    if (auth === `Bearer ${adminToken}`) return next();
+  }
+  const cfEmail = req.headers['cf-access-authenticated-user-email'];
+  if (cfEmail) return next();
+  if (req.session && (req.session.userId || req.session.cfEmail)) return next();
+  const cfJwt = req.headers['cf-access-jwt-assertion'];
+  if (cfJwt) return next();
+  return res.status(403).json({ error: 'Admin access required' });
+}
+
+router.use(requireAdmin);
+
+function adminIdentity(req) {
+  return req.headers['cf-access-authenticated-user-email'] || req.session?.cfEmail
+    || (req.session?.userId ? `user:${req.session.userId}` : 'admin-token');
+}
+
+/** Map KnowledgeError to its status; anything else is a 500. */
+function sendError(res, err, fallback) {
+  if (err instanceof KnowledgeError) return res.status(err.status).json({ error: err.message });
+  console.error(`[admin] ${fallback}:`, err.message);
+  return res.status(500).json({ error: fallback });
+}
+
+/**
+ * GET /v1/admin/knowledge/collections
+ */
+router.get('/knowledge/collections', async (_req, res) => {
+  try {
+    res.json({ collections: await listCollections() });
+  } catch (err) {
+    sendError(res, err, 'Failed to load collections');
+  }
+});
+
+/**
+ * POST /v1/admin/knowledge/collections
+ */
+router.post('/knowledge/collections', async (req, res) => {
+  const { name, description, embedding_model, is_public, owner_user_id } = req.body || {};
+  if (embedding_model !== undefined && embedding_model !== null && typeof embedding_model !== 'string') {
+    return res.status(400).json({ error: 'embedding_model must be a string' });
+  }
+  try {
+    const collection = await createCollection(
+      { name, description, embeddingModel: embedding_model, is_public, owner_user_id },
+      adminIdentity(req)
+    );
+    res.status(201).json({ collection });
+  } catch (err) {
+    sendError(res, err, 'Failed to create collection');
+  }
+});
+
+/**
+ * PATCH /v1/admin/knowledge/collections/:name — { is_public?, owner_user_id? }
+ */
+router.patch('/knowledge/collections/:name', async (req, res) => {
+  try {
+    const collection = await updateCollectionAccess(req.params.name, req.body);
+    if (!collection) return res.status(404).json({ error: 'Collection not found' });
+    console.log(`[knowledge] ${collection.name} access changed by ${adminIdentity(req)}`);
+    res.json({ collection });
+  } catch (err) {
+    sendError(res, err, 'Failed to update collection');
+  }
+});
+
+/**
+ * PUT /v1/admin/knowledge/collections/:name/api-keys — { api_key_ids: string[] }
+ */
+router.put('/knowledge/collections/:name/api-keys', async (req, res) => {
+  try {
+    const collection = await getCollection(req.params.name);
+    if (!collection) return res.status(404).json({ error: 'Collection not found' });
+    const apiKeyIds = await setCollectionKeys(collection, (req.body || {}).api_key_ids);
+    console.log(`[knowledge] ${collection.name} → ${apiKeyIds.length} API key(s) by ${adminIdentity(req)}`);
+    res.json({ ok: true, collection: collection.name, api_key_ids: apiKeyIds });
+  } catch (err) {
+    sendError(res, err, 'Failed to assign API keys');
+  }
+});
+
+/**
+ * DELETE /v1/admin/knowledge/collections/:name
+ */
+router.delete('/knowledge/collections/:name', async (req, res) => {
+  try {
+    const deleted = await deleteCollection(req.params.name);
+    if (!deleted) return res.status(404).json({ error: 'Collection not found' });
+    res.json({ ok: true });
+  } catch (err) {
+    sendError(res, err, 'Failed to delete collection');
+  }
+});
+
+/**
+ * GET /v1/admin/knowledge/collections/:name/documents
+ */
+router.get('/knowledge/collections/:name/documents', async (req, res) => {
+  try {
+    const collection = await getCollection(req.params.name);
+    if (!collection) return res.status(404).json({ error: 'Collection not found' });
+    res.json({ collection, documents: await listDocuments(collection.id) });
+  } catch (err) {
+    sendError(res, err, 'Failed to load documents');
+  }
+});
+
+/**
+ * POST /v1/admin/knowledge/collections/:name/documents — upload + index
+ *
+ * Body: { doc_base64, doc_name, doc_mime? } (same fields as /v1/chat attachments)
+ */
+router.post('/knowledge/collections/:name/documents', async (req, res) => {
+  const { doc_base64, doc_name, doc_mime } = req.body || {};
+  if (!doc_base64 || typeof doc_base64 !== 'string') {
+    return res.status(400).json({ error: 'doc_base64 is required' });
+  }
+  if (!doc_name || typeof doc_name !== 'string') {
+    return res.status(400).json({ error: 'doc_name is required' });
+  }
+
+  try {
+    const collection = await getCollection(req.params.name);
+    if (!collection) return res.status(404).json({ error: 'Collection not found' });
+    const buf = Buffer.from(doc_base64, 'base64');
+    const document = await addDocument(collection, { buf, fileName: doc_name, mimeType: doc_mime }, adminIdentity(req));
+    res.status(201).json({ document });
+  } catch (err) {
+    sendError(res, err, 'Failed to add document');
+  }
+});
+
+/**
+ * POST /v1/admin/knowledge/collections/:name/reindex
+ */
+router.post('/knowledge/collections/:name/reindex', async (req, res) => {
+  try {
+    const collection = await getCollection(req.params.name);
+    if (!collection) return res.status(404).json({ error: 'Collection not found' });
+    res.json(await reindexCollection(collection));
+  } catch (err) {
+    sendError(res, err, 'Failed to reindex collection');
+  }
+});
+
+/**
+ * POST /v1/admin/knowledge/documents/:id/reindex
+ */
+router.post('/knowledge/documents/:id/reindex', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid document id' });
+  try {
+    res.json({ document: await indexDocument(id) });
+  } catch (err) {
+    sendError(res, err, 'Failed to reindex document');
+  }
+});
+
+/**
+ * DELETE /v1/admin/knowledge/documents/:id
+ */
+router.delete('/knowledge/documents/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid document id' });
+  try {
+    if (!(await getDocument(id))) return res.status(404).json({ error: 'Document not found' });
+    await deleteDocument(id);
+    res.json({ ok: true });
+  } catch (err) {
+    sendError(res, err, 'Failed to delete document');
+  }
+});
+
+/**
+ * POST /v1/admin/knowledge/search — preview what the KNOWLEDGE route would retrieve
+ *
+ * Body: { query, collections: string[], k?, min_score? }
+ */
+router.post('/knowledge/search', async (req, res) => {
+  const { query: text, collections, k, min_score } = req.body || {};
+  if (!text || typeof text !== 'string') return res.status(400).json({ error: 'query is required' });
+  if (!Array.isArray(collections) || collections.length === 0 || collections.some(c => typeof c !== 'string')) {
+    return res.status(400).json({ error: 'collections must be a non-empty array of names' });
+  }
+  try {
+    res.json(await retrieve(text, collections, { k, minScore: min_score ?? 0 }));
+  } catch (err) {
+    sendError(res, err, 'Search failed');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,197 @@
+/**
+ * Admin Lexicons API — versioned keyword lists behind the intent/dialect/browse classifiers
+ * Protected via admin token or Cloudflare Access.
+ *
+ * GET  /v1/admin/lexicons                          — every lexicon, active version, draft counts
+ * GET  /v1/admin/lexicons/:name                    — current + built-in entries, version history
+ * GET  /v1/admin/lexicons/:name/versions/:version  — one version's entries (0 = built-in)
+ * POST /v1/admin/lexicons/:name/versions           — save a draft { entries } or { add, remove }, note?
+ * POST /v1/admin/lexicons/:name/test               — preview against sentences { sentences, version | entries | add/remove }
+ * POST /v1/admin/lexicons/:name/activate           — make { version } live (0 resets to built-in)
+ *
+ * `add`/`remove` edit the entries currently in use. Activation hot-reloads
+ * the classifiers (lib/lexicons.js); nothing changes until a version is activated.
+ */
+const { Router } = require('express');
+const {
+  lexiconKind, currentEntries, normalizeEntries, applyEdits, diffEntries, normalizeSamples,
+  listLexicons, getLexiconDetail, getLexiconVersion, saveLexiconVersion, activateLexiconVersion,
+  previewLexicon,
+} = require('../lib/lexicons');
+// The classifiers register their built-in lexicons when loaded
+require('../lib/intent');
+require('../lib/dialect');
+require('../lib/web-research');
+
+const router = Router();
+
+/**
+ * Admin auth middleware — check for admin token or Cloudflare Access header
+ */
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (adminToken) {
+    const auth = req.headers.authorization;
+    if (auth === `Bearer ${adminToken}`) return next();
+  }
+  const cfEmail = req.headers['cf-access-authenticated-user-email'];
+  if (cfEmail) return next();
+  if (req.session && (req.session.userId || req.session.cfEmail)) return next();
+  const cfJwt = req.headers['cf-access-jwt-assertion'];
+  if (cfJwt) return next();
+  return res.status(403).json({ error: 'Admin access required' });
+}
+
+router.use(requireAdmin);
+
+function adminIdentity(req) {
+  return req.headers['cf-access-authenticated-user-email'] || req.session?.cfEmail
+    || (req.session?.userId ? `user:${req.session.userId}` : 'admin-token');
+}
+
+function parseVersion(value) {
+  if (typeof value !== 'number' && (typeof value !== 'string' || !/^\d+$/.test(value))) return null;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+}
+
+/** 404 for names no module registered. */
+router.use('/lexicons/:name', (req, res, next) => {
+  if (!lexiconKind(req.params.name)) return res.status(404).json({ error: 'Lexicon not found' });
+  next();
+});
+
+/**
+ * Resolve candidate entries from a request body: a stored version, a full
+ * `entries` list, or `add`/`remove` edits on the entries in use.
+ * @returns {Promise<{ entries: Array, version?: number }|{ error: string, status?: number }>}
+ */
+async function resolveCandidate(name, kind, body) {
+  if (body.version !== undefined) {
+    const version = parseVersion(body.version);
+    if (version === null) return { error: 'version must be a non-negative integer' };
+    const row = await getLexiconVersion(name, version);
+    if (!row) return { error: 'Version not found', status: 404 };
+    return { entries: row.entries, version };
+  }
+  if (body.entries !== undefined) return normalizeEntries(kind, body.entries);
+  if (body.add !== undefined || body.remove !== undefined) {
+    if ((body.add !== undefined && !Array.isArray(body.add)) || (body.remove !== undefined && !Array.isArray(body.remove))) {
+      return { error: 'add and remove must be arrays' };
+    }
+    return normalizeEntries(kind, applyEdits(kind, currentEntries(name), body));
+  }
+  return { error: 'Provide version, entries, or add/remove' };
+}
+
+/**
+ * GET /v1/admin/lexicons
+ */
+router.get('/lexicons', async (_req, res) => {
+  try {
+    res.json({ lexicons: await listLexicons() });
+  } catch (err) {
+    console.error('[admin] Lexicons list error:', err.message);
+    res.status(500).json({ error: 'Failed to load lexicons' });
+  }
+});
+
+/**
+ * GET /v1/admin/lexicons/:name
+ */
+router.get('/lexicons/:name', async (req, res) => {
+  try {
+    res.json({ lexicon: await getLexiconDetail(req.params.name) });
+  } catch (err) {
+    console.error('[admin] Lexicon load error:', err.message);
+    res.status(500).json({ error: 'Failed to load lexicon' });
+  }
+});
+
+/**
+ * GET /v1/admin/lexicons/:name/versions/:version
+ */
+router.get('/lexicons/:name/versions/:version', async (req, res) => {
+  const version = parseVersion(req.params.version);
+  if (version === null) return res.status(400).json({ error: 'Invalid version' });
+  try {
+    const row = await getLexiconVersion(req.params.name, version);
+    if (!row) return res.status(404).json({ error: 'Version not found' });
+    res.json({ version: row });
+  } catch (err) {
+    console.error('[admin] Lexicon version load error:', err.message);
+    res.status(500).json({ error: 'Failed to load version' });
+  }
+});
+
+/**
+ * POST /v1/admin/lexicons/:name/versions — save a draft (not live until activated)
+ */
+router.post('/lexicons/:name/versions', async (req, res) => {
+  const { name } = req.params;
+  const body = req.body || {};
+  if (body.version !== undefined) return res.status(400).json({ error: 'Provide entries or add/remove' });
+  if (body.note !== undefined && body.note !== null && (typeof body.note !== 'string' || body.note.length > 500)) {
+    return res.status(400).json({ error: 'note must be a string (max 500 chars)' });
+  }
+  try {
+    const kind = lexiconKind(name);
+    const candidate = await resolveCandidate(name, kind, body);
+    if (candidate.error) return res.status(candidate.status || 400).json({ error: candidate.error });
+
+    const saved = await saveLexiconVersion(name, candidate.entries, {
+      note: body.note || null,
+      createdBy: adminIdentity(req),
+    });
+    res.status(201).json({ version: saved, diff: diffEntries(kind, currentEntries(name), candidate.entries) });
+  } catch (err) {
+    console.error('[admin] Lexicon save error:', err.message);
+    res.status(500).json({ error: 'Failed to save lexicon version' });
+  }
+});
+
+/**
+ * POST /v1/admin/lexicons/:name/test — classify sample sentences with the
+ * live lexicon and with the candidate, side by side
+ */
+router.post('/lexicons/:name/test', async (req, res) => {
+  const { name } = req.params;
+  const body = req.body || {};
+  const parsed = normalizeSamples(body.sentences);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  try {
+    const kind = lexiconKind(name);
+    const candidate = await resolveCandidate(name, kind, body);
+    if (candidate.error) return res.status(candidate.status || 400).json({ error: candidate.error });
+
+    const preview = previewLexicon(name, candidate.entries, parsed.samples);
+    res.json({
+      name,
+      version: candidate.version ?? null,
+      diff: diffEntries(kind, currentEntries(name), candidate.entries),
+      ...preview,
+    });
+  } catch (err) {
+    console.error('[admin] Lexicon test error:', err.message);
+    res.status(500).json({ error: 'Failed to test lexicon' });
+  }
+});
+
+/**
+ * POST /v1/admin/lexicons/:name/activate — { version }
+ */
+router.post('/lexicons/:name/activate', async (req, res) => {
+  const version = parseVersion((req.body || {}).version);
+  if (version === null) return res.status(400).json({ error: 'version must be a non-negative integer' });
+  try {
+    const ok = await activateLexiconVersion(req.params.name, version, adminIdentity(req));
+    if (!ok) return res.status(404).json({ error: 'Version not found' });
+    console.log(`[lexicons] ${req.params.name} → v${version} by ${adminIdentity(req)}`);
+    res.json({ lexicon: await getLexiconDetail(req.params.name) });
+  } catch (err) {
+    console.error('[admin] Lexicon activate error:', err.message);
+    res.status(500).json({ error: 'Failed to activate lexicon version' });
+  }
+});
+
+module.exports = router;
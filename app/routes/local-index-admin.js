@@ -0,0 +1,172 @@
+/**
+ * Admin Local Index API — sites crawled into the local search index
+ * Protected via admin token or Cloudflare Access.
+ *
+ * GET    /v1/admin/local-index/sites            — registered sites with crawl status
+ * POST   /v1/admin/local-index/sites            — register { start_url, label?, max_pages?, max_depth?, recrawl_hours? }
+ * PATCH  /v1/admin/local-index/sites/:id        — update { label?, max_pages?, max_depth?, recrawl_hours?, enabled? }
+ * DELETE /v1/admin/local-index/sites/:id        — delete a site and its pages
+ * POST   /v1/admin/local-index/sites/:id/crawl  — crawl now (runs in the background)
+ * GET    /v1/admin/local-index/sites/:id/pages  — indexed pages (?limit=, max 500)
+ * POST   /v1/admin/local-index/search           — search preview { query, limit? }
+ *
+ * Scheduled re-crawls need `local_index.enabled`; "crawl now" works either way.
+ * Web research uses the index when `web_research.search_provider` (or
+ * research_providers) includes "local".
+ */
+const { Router } = require('express');
+const {
+  LocalIndexError, listSites, getSite, createSite, updateSite, deleteSite, listPages,
+  requestCrawl, searchLocalIndex,
+} = require('../lib/local-index');
+
+const router = Router();
+
+/**
+ * Admin auth middleware — check for admin token or Cloudflare Access header
+ */
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (adminToken) {
+    const auth = req.headers.authorization;
+    if (auth === `Bearer ${adminToken}`) return next();
+  }
+  const cfEmail = req.headers['cf-access-authenticated-user-email'];
+  if (cfEmail) return next();
+  if (req.session && (req.session.userId || req.session.cfEmail)) return next();
+  const cfJwt = req.headers['cf-access-jwt-assertion'];
+  if (cfJwt) return next();
+  return res.status(403).json({ error: 'Admin access required' });
+}
+
+router.use(requireAdmin);
+
+function adminIdentity(req) {
+  return req.headers['cf-access-authenticated-user-email'] || req.session?.cfEmail
+    || (req.session?.userId ? `user:${req.session.userId}` : 'admin-token');
+}
+
+/** Map LocalIndexError to its status; anything else is a 500. */
+function sendError(res, err, fallback) {
+  if (err instanceof LocalIndexError) return res.status(err.status).json({ error: err.message });
+  console.error(`[admin] ${fallback}:`, err.message);
+  return res.status(500).json({ error: fallback });
+}
+
+function siteId(req, res) {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id)) {
+    res.status(400).json({ error: 'Invalid site id' });
+    return null;
+  }
+  return id;
+}
+
+/**
+ * GET /v1/admin/local-index/sites
+ */
+router.get('/local-index/sites', async (_req, res) => {
+  try {
+    res.json({ sites: await listSites() });
+  } catch (err) {
+    sendError(res, err, 'Failed to load sites');
+  }
+});
+
+/**
+ * POST /v1/admin/local-index/sites
+ */
+router.post('/local-index/sites', async (req, res) => {
+  const { start_url, label, max_pages, max_depth, recrawl_hours } = req.body || {};
+  if (!start_url || typeof start_url !== 'string') return res.status(400).json({ error: 'start_url is required' });
+  try {
+    const site = await createSite(
+      { startUrl: start_url, label, maxPages: max_pages, maxDepth: max_depth, recrawlHours: recrawl_hours },
+      adminIdentity(req)
+    );
+    res.status(201).json({ site });
+  } catch (err) {
+    sendError(res, err, 'Failed to register site');
+  }
+});
+
+/**
+ * PATCH /v1/admin/local-index/sites/:id
+ */
+router.patch('/local-index/sites/:id', async (req, res) => {
+  const id = siteId(req, res);
+  if (id === null) return;
+  const { label, max_pages, max_depth, recrawl_hours, enabled } = req.body || {};
+  try {
+    const site = await updateSite(id, {
+      label, maxPages: max_pages, maxDepth: max_depth, recrawlHours: recrawl_hours, enabled,
+    });
+    if (!site) return res.status(404).json({ error: 'Site not found' });
+    res.json({ site });
+  } catch (err) {
+    sendError(res, err, 'Failed to update site');
+  }
+});
+
+/**
+ * DELETE /v1/admin/local-index/sites/:id
+ */
+router.delete('/local-index/sites/:id', async (req, res) => {
+  const id = siteId(req, res);
+  if (id === null) return;
+  try {
+    if (!(await deleteSite(id))) return res.status(404).json({ error: 'Site not found' });
+    res.json({ ok: true });
+  } catch (err) {
+    sendError(res, err, 'Failed to delete site');
+  }
+});
+
+/**
+ * POST /v1/admin/local-index/sites/:id/crawl — 202; poll the site for status
+ */
+router.post('/local-index/sites/:id/crawl', async (req, res) => {
+  const id = siteId(req, res);
+  if (id === null) return;
+  try {
+    if (!(await getSite(id))) return res.status(404).json({ error: 'Site not found' });
+    if (!(await requestCrawl(id))) return res.status(409).json({ error: 'Site is already being crawled' });
+    res.status(202).json({ ok: true });
+  } catch (err) {
+    sendError(res, err, 'Failed to start crawl');
+  }
+});
+
+/**
+ * GET /v1/admin/local-index/sites/:id/pages
+ */
+router.get('/local-index/sites/:id/pages', async (req, res) => {
+  const id = siteId(req, res);
+  if (id === null) return;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+  try {
+    const site = await getSite(id);
+    if (!site) return res.status(404).json({ error: 'Site not found' });
+    res.json({ site, pages: await listPages(id, limit) });
+  } catch (err) {
+    sendError(res, err, 'Failed to load pages');
+  }
+});
+
+/**
+ * POST /v1/admin/local-index/search — what the `local` provider would return
+ *
+ * Body: { query, limit? }
+ */
+router.post('/local-index/search', async (req, res) => {
+  const { query: text, limit } = req.body || {};
+  if (!text || typeof text !== 'string') return res.status(400).json({ error: 'query is required' });
+  try {
+    const n = Math.min(Math.max(parseInt(limit, 10) || 6, 1), 20);
+    res.json({ results: await searchLocalIndex(text, n) });
+  } catch (err) {
+    sendError(res, err, 'Search failed');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,472 @@
+/**
+ * OpenAI-compatible API (mounted at /v1)
+ *
+ *   POST /v1/chat/completions — chat completion (stream + non-stream)
+ *   GET  /v1/models           — list models in OpenAI format
+ *
+ * Lets existing OpenAI SDKs point at Getouch (base_url = https://<host>/v1).
+ * Requests run through the same pipeline as POST /v1/chat:
+ *   routeMessage → personality system prompt → web research / knowledge (if routed) → Ollama
+ * and Ollama's NDJSON stream is translated into `chat.completion.chunk` SSE.
+ * Generations take a scheduler slot on the Ollama pool (lib/model-router.js
+ * openChatStream), failing over between backends but not between models.
+ *
+ * Conversation history comes from the request's `messages` array (stateless,
+ * like OpenAI); client system messages are appended to the routed prompt.
+ * Non-standard `collections` (name or array) selects knowledge collections;
+ * citations come back in the `getouch.knowledge` metadata. Non-standard
+ * `persona` (name) overrides the persona assigned to the API key; it must be
+ * public or belong to the key's user.
+ *
+ * Auth: prod_/dev_ API keys via requireApiKeyWithEnv (per-route, shared /v1 mount).
+ */
+
+const { Router } = require('express');
+const crypto = require('crypto');
+const { getSetting } = require('../lib/settings');
+const { query: dbQuery } = require('../lib/db');
+const { checkRateLimit } = require('../lib/rate-limit');
+const { logUsageEvent } = require('../lib/usage');
+const { requireApiKeyWithEnv } = require('../lib/env-router');
+const { performWebResearch } = require('../lib/web-research');
+const { routeMessage, ROUTE } = require('../lib/router');
+const { resolveCollections, buildKnowledgeContext } = require('../lib/knowledge');
+const { buildPersonaPrompt } = require('../lib/personality');
+const { resolvePersona, PersonaError } = require('../lib/personas');
+const { openChatStream } = require('../lib/model-router');
+const { priorityFor, SchedulerError } = require('../lib/inference-scheduler');
+const { listPoolModels } = require('../lib/ollama-pool');
+
+const router = Router();
+
+const MAX_INPUT_LENGTH = 8000;
+const MAX_MESSAGES     = 50;
+const RATE_LIMIT_RPM   = 15;
+const GLOBAL_TIMEOUT   = 120_000;
+
+/* ── Helpers ─────────────────────────────────────────────── */
+
+/** OpenAI-style error body. */
+function sendError(res, status, message, type = 'invalid_request_error', code = null) {
+  return res.status(status).json({ error: { message, type, param: null, code } });
+}
+
+/**
+ * Flatten OpenAI message content (string or content-part array) into text + images.
+ * Only base64 data: URLs are accepted for images (no remote fetch).
+ */
+function parseContent(content) {
+  if (typeof content === 'string') return { text: content, images: [] };
+  if (!Array.isArray(content)) return { text: '', images: [] };
+  const texts = [];
+  const images = [];
+  for (const part of content) {
+    if (part?.type === 'text' && typeof part.text === 'string') {
+      texts.push(part.text);
+    } else if (part?.type === 'image_url') {
+      const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+      const m = typeof url === 'string' && url.match(/^data:image\/(png|jpeg|webp);base64,(.+)$/);
+      if (m) images.push(m[2]);
+    }
+  }
+  return { text: texts.join('\n'), images };
+}
+
+/** Router context from the stateless message history. */
+function contextFromHistory(history) {
+  const userTurns = history.filter(m => m.role === 'user');
+  return {
+    turnCount: history.length,
+    isFirstTurn: history.length === 0,
+    lastRoute: null,
+    dominantLang: null,
+    dominantDialect: null,
+    activeDocId: null,
+    recentIntents: [],
+    lastUserMessage: userTurns.length > 0 ? userTurns[userTurns.length - 1].content.slice(0, 200) : null,
+    pref: { language: 'auto', dialect: 'none', dialectIntensity: 0.25, updatedAt: 0 },
+  };
+}
+
+/** Map Ollama done_reason to OpenAI finish_reason. */
+function finishReason(doneReason) {
+  return doneReason === 'length' ? 'length' : 'stop';
+}
+
+/**
+ * Resolve the Ollama model: empty or "getouch" → settings default.
+ */
+async function resolveModel(requested, needsVision) {
+  if (requested && requested !== 'getouch') return requested;
+  return needsVision
+    ? getSetting('ai.default_vision_model', 'qwen2.5vl:32b')
+    : getSetting('ai.default_text_model', 'llama3.1:8b');
+}
+
+/* ── POST /v1/chat/completions ───────────────────────────── */
+
+router.post('/chat/completions', requireApiKeyWithEnv, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const completionId = `chatcmpl-${requestId.replace(/-/g, '')}`;
+  const created = Math.floor(Date.now() / 1000);
+  const requestStart = Date.now();
+  const env = req.env || 'prod';
+  const apiKey = req.apiKey;
+
+  // ── Rate limiting (per key) ──
+  const rateMax = await getSetting(`rate_limit.chat.${env}`, env === 'dev' ? 60 : RATE_LIMIT_RPM);
+  const rl = checkRateLimit(`${env}:key:${apiKey.id}`, 'chat', rateMax, 60_000);
+  if (!rl.allowed) {
+    res.set('Retry-After', String(rl.retryAfter));
+    return sendError(res, 429, 'Rate limit exceeded', 'rate_limit_error', 'rate_limit_exceeded');
+  }
+
+  const { model, messages, stream, temperature, top_p, max_tokens, stream_options, collections, persona: personaName } = req.body || {};
+
+  // ── Validate messages ──
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return sendError(res, 400, 'messages must be a non-empty array');
+  }
+  if (messages.length > MAX_MESSAGES) {
+    return sendError(res, 400, `too many messages (max ${MAX_MESSAGES})`);
+  }
+
+  const systemParts = [];
+  const history = [];
+  for (const m of messages) {
+    if (!m || !['system', 'developer', 'user', 'assistant'].includes(m.role)) {
+      return sendError(res, 400, 'each message needs a role of system, user or assistant');
+    }
+    const { text, images } = parseContent(m.content);
+    if (m.role === 'system' || m.role === 'developer') {
+      if (text) systemParts.push(text);
+    } else {
+      history.push({ role: m.role, content: text, images });
+    }
+  }
+
+  const last = history.pop();
+  if (!last || last.role !== 'user') {
+    return sendError(res, 400, 'the last message must be from the user');
+  }
+  const message = last.content.trim();
+  const userImages = last.images;
+  const hasImage = userImages.length > 0;
+  if (!message && !hasImage) {
+    return sendError(res, 400, 'the last user message is empty');
+  }
+  if (message.length > MAX_INPUT_LENGTH) {
+    return sendError(res, 400, `message too long (max ${MAX_INPUT_LENGTH} chars)`);
+  }
+
+  let persona;
+  try {
+    persona = await resolvePersona({ requested: personaName, apiKeyId: apiKey.id, userId: apiKey.userId });
+  } catch (err) {
+    if (err instanceof PersonaError) return sendError(res, err.status, err.message, 'invalid_request_error', 'persona_not_found');
+    console.error('[openai] Persona lookup error:', err.message);
+    return sendError(res, 503, 'Persona store unavailable', 'server_error');
+  }
+
+  /* ── Central Router ────────────────────────────────────── */
+  const decision = await routeMessage(message, { hasImage, hasDoc: false }, {
+    convContext: contextFromHistory(history),
+    collections: await resolveCollections(collections, { apiKeyId: apiKey.id, userId: apiKey.userId }),
+    persona,
+  });
+  const routeType = decision.routeType;
+  const selectedModel = await resolveModel(model, hasImage);
+
+  let systemContent = decision.systemPrompt || 'You are Getouch AI, a helpful assistant.';
+  let userContent = message || 'Describe this image';
+  let webResearchResult = null;
+  let knowledgeContext = null;
+
+  if (routeType === ROUTE.KNOWLEDGE) {
+    knowledgeContext = buildKnowledgeContext(decision.knowledge.chunks, decision.lang.language);
+    systemContent += knowledgeContext.systemHint;
+    userContent = knowledgeContext.contextBlock + '\n\nUSER QUESTION:\n' + message;
+  } else if (routeType === ROUTE.WEB_RESEARCH) {
+    try {
+      webResearchResult = await performWebResearch(message);
+      if (webResearchResult && webResearchResult.sources.length > 0) {
+        const personaPrompt = buildPersonaPrompt(persona);
+        systemContent = (personaPrompt ? personaPrompt + '\n\n' : '') + webResearchResult.systemPrompt;
+        if (decision.lang.language === 'ms') systemContent += '\nJawab dalam Bahasa Melayu.';
+        userContent = webResearchResult.contextBlock + '\n\nUSER QUESTION:\n' + message;
+      } else {
+        webResearchResult = null;
+      }
+    } catch (err) {
+      console.error('[openai] Web research error:', err.message);
+    }
+  }
+
+  if (systemParts.length > 0) {
+    systemContent += '\n\nADDITIONAL INSTRUCTIONS FROM THE INTEGRATOR:\n' + systemParts.join('\n');
+  }
+
+  const userMessage = { role: 'user', content: userContent };
+  if (hasImage) userMessage.images = userImages;
+
+  const ollamaMessages = [
+    { role: 'system', content: systemContent },
+    ...history.map(h => (h.images.length > 0
+      ? { role: h.role, content: h.content, images: h.images }
+      : { role: h.role, content: h.content })),
+    userMessage,
+  ];
+
+  // ── Client disconnect + global timeout ──
+  const ac = new AbortController();
+  res.on('close', () => { if (!res.writableEnded) ac.abort(); });
+  const globalTimer = setTimeout(() => ac.abort(), GLOBAL_TIMEOUT);
+
+  const sendChunk = (delta, finish = null, extra = {}) => {
+    res.write(`data: ${JSON.stringify({
+      id: completionId,
+      object: 'chat.completion.chunk',
+      created,
+      model: selectedModel,
+      choices: [{ index: 0, delta, finish_reason: finish }],
+      ...extra,
+    })}\n\n`);
+  };
+
+  let tokensIn = 0;
+  let tokensOut = 0;
+  let finalModel = selectedModel;
+  let doneReason = 'stop';
+  let fullText = '';
+
+  try {
+    // The client named one model: backends are tried in turn, models are not swapped
+    let ollamaStream;
+    try {
+      ollamaStream = await openChatStream({
+        chain: [selectedModel],
+        body: {
+          messages: ollamaMessages,
+          stream: true,
+          keep_alive: '30m',
+          options: {
+            temperature: temperature ?? (decision.decodingConfig?.temperature ?? 0.7),
+            top_p:       top_p ?? (decision.decodingConfig?.top_p ?? 0.9),
+            num_predict: max_tokens || decision.numPredict || 1024,
+          },
+        },
+        signal: ac.signal,
+        priority: priorityFor({ apiKey }),
+      });
+    } catch (err) {
+      if (!(err instanceof SchedulerError)) throw err;
+      console.error(`[openai] Scheduler ${err.code} (${requestId})`);
+      return sendError(res, err.status, err.message, 'server_error', err.code);
+    }
+
+    if (!ollamaStream.ok) {
+      const { status, errText, attempts } = ollamaStream;
+      console.error(`[openai] Ollama ${status}: ${errText.slice(0, 200)}`);
+      if (status === 404 || attempts.some(a => a.reason === 'no_backend')) {
+        return sendError(res, 404, `The model '${selectedModel}' does not exist`, 'invalid_request_error', 'model_not_found');
+      }
+      if (attempts.length > 0 && attempts.every(a => a.reason === 'network' || a.reason === 'timeout')) {
+        return sendError(res, 503, 'AI model is loading. Please try again in a moment.', 'server_error', 'model_unavailable');
+      }
+      return sendError(res, 502, `AI error (${status}). The model may be loading.`, 'server_error');
+    }
+
+    if (stream) {
+      res.writeHead(200, {
+        'Content-Type':  'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection':    'keep-alive',
+        'X-Accel-Buffering': 'no',
+        'X-Request-Id': requestId,
+      });
+      sendChunk({ role: 'assistant', content: '' });
+    }
+
+    const reader = ollamaStream.reader;
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const handleLine = (line) => {
+      if (!line.trim()) return;
+      let chunk;
+      try { chunk = JSON.parse(line); } catch { return; }
+      if (chunk.message && chunk.message.content) {
+        fullText += chunk.message.content;
+        if (stream) sendChunk({ content: chunk.message.content });
+      }
+      if (chunk.done) {
+        tokensIn   = chunk.prompt_eval_count || 0;
+        tokensOut  = chunk.eval_count || 0;
+        finalModel = chunk.model || selectedModel;
+        doneReason = chunk.done_reason || 'stop';
+      }
+    };
+
+    // openChatStream already read the first chunk to confirm the model is streaming
+    let pending = ollamaStream.first;
+    while (true) {
+      let value = pending;
+      pending = null;
+      if (!value) {
+        const next = await reader.read();
+        if (next.done) break;
+        value = next.value;
+      }
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    handleLine(buffer);
+
+    const usage = { prompt_tokens: tokensIn, completion_tokens: tokensOut, total_tokens: tokensIn + tokensOut };
+    const getouch = {
+      request_id: requestId,
+      route: routeType,
+      lang: decision.lang.language,
+      dialect: decision.lang.dialect,
+      environment: env,
+    };
+    if (webResearchResult) {
+      getouch.web_research = {
+        sources: webResearchResult.sources.map(s => ({ title: s.title, url: s.url })),
+        provider: webResearchResult.provider,
+        ...(webResearchResult.products?.length > 0 ? { products: webResearchResult.products } : {}),
+      };
+    }
+    if (knowledgeContext) {
+      getouch.knowledge = {
+        collections: decision.knowledge.collections,
+        citations: knowledgeContext.citations,
+      };
+    }
+
+    if (stream) {
+      sendChunk({}, finishReason(doneReason), { getouch });
+      if (stream_options?.include_usage) {
+        res.write(`data: ${JSON.stringify({
+          id: completionId, object: 'chat.completion.chunk', created, model: selectedModel, choices: [], usage,
+        })}\n\n`);
+      }
+      res.write('data: [DONE]\n\n');
+      res.end();
+    } else {
+      res.set('X-Request-Id', requestId);
+      res.json({
+        id: completionId,
+        object: 'chat.completion',
+        created,
+        model: finalModel,
+        choices: [{
+          index: 0,
+          message: { role: 'assistant', content: fullText },
+          finish_reason: finishReason(doneReason),
+        }],
+        usage,
+        getouch,
+      });
+    }
+
+    // ── Logging (fire-and-forget) ──
+    const totalDuration = Date.now() - requestStart;
+    logUsageEvent({
+      visitorId: `apikey:${apiKey.id}`,
+      userId: apiKey.userId,
+      eventType: 'chat',
+      mode: webResearchResult ? 'openai-web_research' : knowledgeContext ? 'openai-knowledge' : (hasImage ? 'openai-vision' : 'openai'),
+      model: finalModel,
+      status: 'ok',
+      latencyMs: totalDuration,
+      inputLen: message.length,
+      tokensIn,
+      tokensOut,
+      environment: env,
+      meta: {
+        requestId,
+        apiKeyId: apiKey.id,
+        stream: !!stream,
+        route: routeType,
+        lang: decision.lang.language,
+        dialect: decision.lang.dialect,
+        messages: messages.length,
+      },
+    });
+
+    dbQuery(
+      `INSERT INTO pipeline_audit (request_id, visitor_id, user_id, route_type, intent, language, dialect, formality, model_used, duration_ms, tokens_in, tokens_out, status, meta)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)`,
+      [requestId, `apikey:${apiKey.id}`.slice(0, 64), null, routeType,
+       decision.intent?.intent, decision.lang.language, decision.lang.dialect, decision.lang.formality,
+       finalModel, totalDuration, tokensIn, tokensOut, 'ok',
+       JSON.stringify({
+         reason: decision.reason, intentReason: decision.intent?.reason, source: 'openai', apiKeyId: apiKey.id,
+         intentClassifier: decision.intent?.classifier || 'rules', intentLlm: decision.intent?.llm, persona: persona?.name,
+         webResearch: webResearchResult ? {
+           provider: webResearchResult.provider,
+           cached: webResearchResult.fromCache,
+           sources: webResearchResult.sources.map(s => ({ title: s.title, url: s.url })),
+         } : undefined,
+       })]
+    ).catch(() => {});
+
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      if (!res.headersSent) sendError(res, 504, 'Request timed out.', 'server_error', 'timeout');
+      else try { res.end(); } catch {}
+      return;
+    }
+    console.error('[openai] Completion error:', err.message);
+    if (!res.headersSent) {
+      sendError(res, 500, 'Internal AI error. The model may be loading.', 'server_error');
+    } else {
+      try {
+        res.write(`data: ${JSON.stringify({ error: { message: 'Internal AI error.', type: 'server_error' } })}\n\n`);
+        res.end();
+      } catch {}
+    }
+
+    logUsageEvent({
+      visitorId: `apikey:${apiKey.id}`,
+      userId: apiKey.userId,
+      eventType: 'chat',
+      mode: 'openai',
+      model: selectedModel,
+      status: 'error',
+      latencyMs: Date.now() - requestStart,
+      inputLen: message.length,
+      environment: env,
+      meta: { requestId, apiKeyId: apiKey.id, error: err.message },
+    });
+  } finally {
+    clearTimeout(globalTimer);
+  }
+});
+
+/* ── GET /v1/models ──────────────────────────────────────── */
+
+router.get('/models', requireApiKeyWithEnv, async (_req, res) => {
+  const defaultModel = await getSetting('ai.default_text_model', 'llama3.1:8b');
+  let names = [];
+  try {
+    names = (await listPoolModels()).map(m => ({
+      id: m.name,
+      created: m.modified_at ? Math.floor(new Date(m.modified_at).getTime() / 1000) : 0,
+    }));
+  } catch {}
+  if (names.length === 0) names = [{ id: defaultModel, created: 0 }];
+
+  res.json({
+    object: 'list',
+    data: [
+      { id: 'getouch', object: 'model', created: 0, owned_by: 'getouch' },
+      ...names.map(m => ({ id: m.id, object: 'model', created: m.created, owned_by: 'getouch' })),
+    ],
+  });
+});
+
+module.exports = router;
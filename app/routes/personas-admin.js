@@ -0,0 +1,188 @@
+/**
+ * Admin Personas API — per-tenant assistant identities for the chat API
+ * Protected via admin token or Cloudflare Access.
+ *
+ * GET    /v1/admin/personas                 — all personas + how many active API keys use each
+ * POST   /v1/admin/personas                 — create { name, display_name, description?, tone?, allowed_topics?,
+ *                                             greeting?, forbidden_phrases?, default_language?, dialect_level?,
+ *                                             knowledge_notes?, is_active?, is_public?, owner_user_id? }
+ * GET    /v1/admin/personas/:name           — one persona
+ * PATCH  /v1/admin/personas/:name           — update any of the fields above
+ * DELETE /v1/admin/personas/:name           — delete (API keys fall back to the default prompt)
+ * POST   /v1/admin/personas/:name/preview   — render the final system prompt for { message, overrides? }
+ * PUT    /v1/admin/api-keys/:id/persona     — assign { persona: name | null } to an API key
+ *
+ * `owner_user_id` is the tenant (user) that may select the persona by name;
+ * `is_public` lets every caller, guests included, select it. The assignment
+ * endpoint refuses a persona owned by a different user than the key's.
+ *
+ * `overrides` in a preview are unsaved field edits, so a change can be checked
+ * before it is applied.
+ */
+const { Router } = require('express');
+const {
+  PersonaError, normalizePersona, listPersonas, getPersona, createPersona, updatePersona,
+  deletePersona, setApiKeyPersona,
+} = require('../lib/personas');
+const { routeMessage } = require('../lib/router');
+const { buildPersonaPrompt } = require('../lib/personality');
+const { purgeResponses } = require('../lib/response-cache');
+
+const router = Router();
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_PREVIEW_CHARS = 2000;
+
+/**
+ * Admin auth middleware — check for admin token or Cloudflare Access header
+ */
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (adminToken) {
+    const auth = req.headers.authorization;
+    if (auth === `Bearer ${adminToken}`) return next();
+  }
+  const cfEmail = req.headers['cf-access-authenticated-user-email'];
+  if (cfEmail) return next();
+  if (req.session && (req.session.userId || req.session.cfEmail)) return next();
+  const cfJwt = req.headers['cf-access-jwt-assertion'];
+  if (cfJwt) return next();
+  return res.status(403).json({ error: 'Admin access required' });
+}
+
+router.use(requireAdmin);
+
+function adminIdentity(req) {
+  return req.headers['cf-access-authenticated-user-email'] || req.session?.cfEmail
+    || (req.session?.userId ? `user:${req.session.userId}` : 'admin-token');
+}
+
+/** Map PersonaError to its status; anything else is a 500. */
+function sendError(res, err, fallback) {
+  if (err instanceof PersonaError) return res.status(err.status).json({ error: err.message });
+  console.error(`[admin] ${fallback}:`, err.message);
+  return res.status(500).json({ error: fallback });
+}
+
+/**
+ * GET /v1/admin/personas
+ */
+router.get('/personas', async (_req, res) => {
+  try {
+    res.json({ personas: await listPersonas() });
+  } catch (err) {
+    sendError(res, err, 'Failed to load personas');
+  }
+});
+
+/**
+ * POST /v1/admin/personas
+ */
+router.post('/personas', async (req, res) => {
+  try {
+    const persona = await createPersona(req.body, adminIdentity(req));
+    console.log(`[personas] ${persona.name} created by ${adminIdentity(req)}`);
+    res.status(201).json({ persona });
+  } catch (err) {
+    sendError(res, err, 'Failed to create persona');
+  }
+});
+
+/**
+ * GET /v1/admin/personas/:name
+ */
+router.get('/personas/:name', async (req, res) => {
+  try {
+    const persona = await getPersona(req.params.name);
+    if (!persona) return res.status(404).json({ error: 'Persona not found' });
+    res.json({ persona });
+  } catch (err) {
+    sendError(res, err, 'Failed to load persona');
+  }
+});
+
+/**
+ * PATCH /v1/admin/personas/:name
+ */
+router.patch('/personas/:name', async (req, res) => {
+  try {
+    const persona = await updatePersona(req.params.name, req.body);
+    if (!persona) return res.status(404).json({ error: 'Persona not found' });
+    console.log(`[personas] ${req.params.name} updated by ${adminIdentity(req)}`);
+    // Cached answers were written in the old voice
+    purgeResponses({ persona: req.params.name }).catch(err => console.error('[personas] Cache purge failed:', err.message));
+    res.json({ persona });
+  } catch (err) {
+    sendError(res, err, 'Failed to update persona');
+  }
+});
+
+/**
+ * DELETE /v1/admin/personas/:name
+ */
+router.delete('/personas/:name', async (req, res) => {
+  try {
+    const deleted = await deletePersona(req.params.name);
+    if (!deleted) return res.status(404).json({ error: 'Persona not found' });
+    console.log(`[personas] ${req.params.name} deleted by ${adminIdentity(req)}`);
+    purgeResponses({ persona: req.params.name }).catch(err => console.error('[personas] Cache purge failed:', err.message));
+    res.json({ ok: true });
+  } catch (err) {
+    sendError(res, err, 'Failed to delete persona');
+  }
+});
+
+/**
+ * POST /v1/admin/personas/:name/preview — route a sample message with the
+ * persona and return the system prompt the model would get
+ */
+router.post('/personas/:name/preview', async (req, res) => {
+  const { message, overrides } = req.body || {};
+  if (typeof message !== 'string' || !message.trim() || message.length > MAX_PREVIEW_CHARS) {
+    return res.status(400).json({ error: `message must be a non-empty string (max ${MAX_PREVIEW_CHARS} chars)` });
+  }
+  try {
+    const saved = await getPersona(req.params.name);
+    if (!saved) return res.status(404).json({ error: 'Persona not found' });
+    const persona = overrides !== undefined
+      ? { ...saved, ...normalizePersona(overrides, { partial: true }) }
+      : saved;
+
+    const decision = await routeMessage(message, {}, { persona });
+    // Web research / document routes build their prompt at request time:
+    // the persona preamble is prepended to it
+    const systemPrompt = decision.systemPrompt || buildPersonaPrompt(persona);
+    res.json({
+      persona: persona.name,
+      route: decision.routeType,
+      intent: decision.intent.intent,
+      language: decision.lang.language,
+      dialect: decision.lang.dialect,
+      system_prompt: systemPrompt,
+      prompt_is_preamble: !decision.systemPrompt,
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to preview persona');
+  }
+});
+
+/**
+ * PUT /v1/admin/api-keys/:id/persona — { persona: name | null }
+ */
+router.put('/api-keys/:id/persona', async (req, res) => {
+  if (!UUID_RE.test(req.params.id)) return res.status(400).json({ error: 'Invalid API key id' });
+  const { persona } = req.body || {};
+  if (persona !== null && typeof persona !== 'string') {
+    return res.status(400).json({ error: 'persona must be a persona name or null' });
+  }
+  try {
+    const ok = await setApiKeyPersona(req.params.id, persona);
+    if (!ok) return res.status(404).json({ error: 'API key not found' });
+    console.log(`[personas] API key ${req.params.id} → ${persona || 'default'} by ${adminIdentity(req)}`);
+    res.json({ ok: true, api_key_id: req.params.id, persona });
+  } catch (err) {
+    sendError(res, err, 'Failed to assign persona');
+  }
+});
+
+module.exports = router;
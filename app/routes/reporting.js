@@ -7,6 +7,7 @@
  * GET /v1/admin/reporting/breakdown — breakdown by mode/model/engine
  * GET /v1/admin/reporting/top-visitors — most active anonymous visitors
  * GET /v1/admin/reporting/guest-limits — current guest limit config + live counts
+ * GET /v1/admin/reporting/response-cache — response cache hit rate + most reused answers
  */
 const { Router } = require('express');
 const { query }  = require('../lib/db');
@@ -324,4 +325,71 @@ router.get('/reporting/pipeline-errors', async (req, res) => {
   }
 });
 
+/**
+ * GET /v1/admin/reporting/response-cache — hit rate from pipeline_audit.meta.cache
+ */
+router.get('/reporting/response-cache', async (req, res) => {
+  const days = parseDays(req);
+  try {
+    const totals = await query(`
+      SELECT
+        COUNT(*)::int AS lookups,
+        COUNT(*) FILTER (WHERE meta->>'cache' = 'hit_exact')::int AS exact_hits,
+        COUNT(*) FILTER (WHERE meta->>'cache' = 'hit_semantic')::int AS semantic_hits,
+        ROUND(AVG(duration_ms) FILTER (WHERE meta->>'cache' LIKE 'hit_%'))::int AS avg_hit_ms,
+        ROUND(AVG(duration_ms) FILTER (WHERE meta->>'cache' = 'miss'))::int AS avg_miss_ms
+      FROM pipeline_audit
+      WHERE created_at >= NOW() - INTERVAL '1 day' * $1
+        AND status = 'ok'
+        AND meta ? 'cache'
+    `, [days]);
+
+    const daily = await query(`
+      SELECT
+        created_at::date AS day,
+        COUNT(*)::int AS lookups,
+        COUNT(*) FILTER (WHERE meta->>'cache' LIKE 'hit_%')::int AS hits
+      FROM pipeline_audit
+      WHERE created_at >= NOW() - INTERVAL '1 day' * $1
+        AND status = 'ok'
+        AND meta ? 'cache'
+      GROUP BY created_at::date
+      ORDER BY day
+    `, [days]);
+
+    const entries = await query(`
+      SELECT COUNT(*)::int AS entries, COALESCE(SUM(hits), 0)::int AS total_hits
+      FROM response_cache
+      WHERE expires_at > NOW()
+    `);
+
+    const top = await query(`
+      SELECT question, route_type, language, dialect, persona, model, hits, created_at, expires_at
+      FROM response_cache
+      WHERE expires_at > NOW() AND hits > 0
+      ORDER BY hits DESC
+      LIMIT 10
+    `);
+
+    const t = totals.rows[0];
+    const hits = t.exact_hits + t.semantic_hits;
+    res.json({
+      period_days: days,
+      lookups: t.lookups,
+      hits,
+      exact_hits: t.exact_hits,
+      semantic_hits: t.semantic_hits,
+      hit_rate: t.lookups > 0 ? Math.round((hits / t.lookups) * 1000) / 1000 : 0,
+      avg_hit_ms: t.avg_hit_ms,
+      avg_miss_ms: t.avg_miss_ms,
+      daily: daily.rows.map(r => ({ ...r, hit_rate: r.lookups > 0 ? Math.round((r.hits / r.lookups) * 1000) / 1000 : 0 })),
+      cached_entries: entries.rows[0].entries,
+      top_questions: top.rows,
+    });
+  } catch (err) {
+    console.error('[reporting] Response cache error:', err.message);
+    res.status(500).json({ error: 'Failed to load response cache stats' });
+  }
+});
+
 module.exports = router;
@@ -7,6 +7,9 @@
  */
 const { Router } = require('express');
 const { getAllSettings, getSetting, setSetting } = require('../lib/settings');
+const { getTool } = require('../lib/tools');
+const { ROUTE } = require('../lib/router');
+const { CACHEABLE_ROUTES } = require('../lib/response-cache');
 
 const router = Router();
 
@@ -68,6 +71,10 @@ router.put('/settings/:key', async (req, res) => {
   const allowedKeys = [
     'ai.default_text_model',
     'ai.default_vision_model',
+    // Model fallback chains (lib/model-router.js)
+    'ai.model_chains',
+    'ai.prefer_loaded_models',
+    'ai.model_attempt_timeout_ms',
     'ai.enable_image',
     'ai.default_image_engine',
     'ai.image.max_per_day_free',
@@ -99,6 +106,19 @@ router.put('/settings/:key', async (req, res) => {
     'web_research.blocked_domains',
     'web_research.cache_ttl_minutes',
     'web_research.timeout_seconds',
+    'web_research.research_mode',
+    'web_research.max_subqueries',
+    'web_research.max_followups',
+    'web_research.planner_model',
+    'web_research.planner_timeout_ms',
+    'web_research.research_providers',
+    'web_research.verify_citations',
+    'web_research.grounding_threshold',
+    'web_research.extract_products',
+    'web_research.fx_to_myr',
+    'web_research.fetch_documents',
+    'web_research.max_document_mb',
+    'web_research.max_document_pages',
     // Personality & routing settings
     'ai.personality_enabled',
     'ai.dialect_mirroring',
@@ -107,6 +127,27 @@ router.put('/settings/:key', async (req, res) => {
     'ai.smalltalk_max_tokens',
     'ai.general_max_tokens',
     'ai.task_max_tokens',
+    // LLM intent classifier (second stage behind the rules)
+    'intent.llm_enabled',
+    'intent.llm_model',
+    'intent.llm_threshold',
+    'intent.llm_timeout_ms',
+    // Inference queue (lib/inference-scheduler.js)
+    'inference.max_concurrent_per_model',
+    'inference.model_limits',
+    'inference.max_queue',
+    'inference.queue_timeout_ms',
+    // Response cache (lib/response-cache.js)
+    'cache.enabled',
+    'cache.ttl_minutes',
+    'cache.similarity_threshold',
+    'cache.embedding_model',
+    // Local search index (lib/local-index.js)
+    'local_index.enabled',
+    'local_index.max_pages_per_site',
+    'local_index.max_depth',
+    'local_index.recrawl_hours',
+    'local_index.crawl_delay_ms',
     // Performance limits
     'limits.max_upload_mb',
     'limits.max_file_size_mb',
@@ -122,9 +163,26 @@ router.put('/settings/:key', async (req, res) => {
     'tool.points_lookup.enabled',
     'tool.qr_verify.enabled',
     'tool.db_read.enabled',
+    // Context window settings
+    'context.default_window',
+    'context.model_windows',
+    'context.history_ratio',
+    'context.summary_enabled',
+    'context.summary_model',
+    // Knowledge collections
+    'knowledge.enabled',
+    'knowledge.embedding_model',
+    'knowledge.default_collections',
+    'knowledge.top_k',
+    'knowledge.min_score',
+    // OCR for scanned documents
+    'ocr.enabled',
+    'ocr.min_confidence',
   ];
 
-  if (!allowedKeys.includes(key)) {
+  // Admin-defined tools (see /v1/admin/tools) get their toggle dynamically
+  const toolMatch = key.match(/^tool\.([a-z][a-z0-9_]*)\.enabled$/);
+  if (!allowedKeys.includes(key) && !(toolMatch && getTool(toolMatch[1]))) {
     return res.status(400).json({ error: `Unknown setting: ${key}` });
   }
 
@@ -136,6 +194,30 @@ router.put('/settings/:key', async (req, res) => {
     }
   }
 
+  if (key === 'ai.model_chains') {
+    const chainKeys = [...Object.values(ROUTE), 'VISION', 'DEFAULT'];
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return res.status(400).json({ error: 'value must be an object of route → model list' });
+    }
+    for (const [route, chain] of Object.entries(value)) {
+      if (!chainKeys.includes(route)) {
+        return res.status(400).json({ error: `Unknown route: ${route} (use ${chainKeys.join(', ')})` });
+      }
+      if (!Array.isArray(chain) || chain.length > 5
+          || chain.some(m => typeof m !== 'string' || !m || m.length > 100)) {
+        return res.status(400).json({ error: `${route} must be an array of up to 5 model names` });
+      }
+    }
+  }
+  if (key === 'ai.prefer_loaded_models' && typeof value !== 'boolean') {
+    return res.status(400).json({ error: 'value must be boolean' });
+  }
+  if (key === 'ai.model_attempt_timeout_ms') {
+    if (!Number.isInteger(value) || value < 1000 || value > 300000) {
+      return res.status(400).json({ error: 'value must be an integer between 1000 and 300000' });
+    }
+  }
+
   if (key === 'ai.enable_image' && typeof value !== 'boolean') {
     return res.status(400).json({ error: 'value must be boolean' });
   }
@@ -191,8 +273,8 @@ router.put('/settings/:key', async (req, res) => {
     return res.status(400).json({ error: 'value must be boolean' });
   }
   if (key === 'web_research.search_provider') {
-    if (!['searxng', 'tavily', 'serpapi'].includes(value)) {
-      return res.status(400).json({ error: 'value must be "searxng", "tavily", or "serpapi"' });
+    if (!['searxng', 'tavily', 'serpapi', 'local'].includes(value)) {
+      return res.status(400).json({ error: 'value must be "searxng", "tavily", "serpapi", or "local"' });
     }
   }
   if (key === 'web_research.searxng_url') {
@@ -216,6 +298,63 @@ router.put('/settings/:key', async (req, res) => {
       return res.status(400).json({ error: 'value must be a comma-separated string (max 2000 chars)' });
     }
   }
+  if (key === 'web_research.research_mode' && typeof value !== 'boolean') {
+    return res.status(400).json({ error: 'value must be boolean' });
+  }
+  if (key === 'web_research.max_subqueries') {
+    if (!Number.isInteger(value) || value < 1 || value > 6) {
+      return res.status(400).json({ error: 'value must be an integer between 1 and 6' });
+    }
+  }
+  if (key === 'web_research.max_followups') {
+    if (!Number.isInteger(value) || value < 0 || value > 2) {
+      return res.status(400).json({ error: 'value must be an integer between 0 and 2' });
+    }
+  }
+  if (key === 'web_research.planner_model' && (typeof value !== 'string' || value.length > 100)) {
+    return res.status(400).json({ error: 'Model name must be a string (max 100 chars, empty disables the planner)' });
+  }
+  if (key === 'web_research.planner_timeout_ms') {
+    if (!Number.isInteger(value) || value < 500 || value > 30000) {
+      return res.status(400).json({ error: 'value must be an integer between 500 and 30000' });
+    }
+  }
+  if (key === 'web_research.research_providers') {
+    if (!Array.isArray(value) || value.length > 4 || !value.every(p => ['searxng', 'tavily', 'serpapi', 'local'].includes(p))
+        || new Set(value).size !== value.length) {
+      return res.status(400).json({ error: 'value must be an array of distinct providers: "searxng", "tavily", "serpapi", "local"' });
+    }
+  }
+  if (key === 'web_research.verify_citations' && typeof value !== 'boolean') {
+    return res.status(400).json({ error: 'value must be boolean' });
+  }
+  if (key === 'web_research.grounding_threshold') {
+    if (typeof value !== 'number' || value < 0 || value > 1) {
+      return res.status(400).json({ error: 'value must be a number between 0 and 1' });
+    }
+  }
+  if (key === 'web_research.extract_products' && typeof value !== 'boolean') {
+    return res.status(400).json({ error: 'value must be boolean' });
+  }
+  if (key === 'web_research.fx_to_myr') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)
+        || !Object.entries(value).every(([cur, rate]) => /^[A-Z]{3}$/.test(cur) && typeof rate === 'number' && rate > 0)) {
+      return res.status(400).json({ error: 'value must be an object of currency code → MYR rate, e.g. { "USD": 4.4 }' });
+    }
+  }
+  if (key === 'web_research.fetch_documents' && typeof value !== 'boolean') {
+    return res.status(400).json({ error: 'value must be boolean' });
+  }
+  if (key === 'web_research.max_document_mb') {
+    if (typeof value !== 'number' || value <= 0 || value > 50) {
+      return res.status(400).json({ error: 'value must be a number between 0 and 50' });
+    }
+  }
+  if (key === 'web_research.max_document_pages') {
+    if (!Number.isInteger(value) || value < 1 || value > 50) {
+      return res.status(400).json({ error: 'value must be an integer between 1 and 50' });
+    }
+  }
 
   // Validate personality settings
   if (key === 'ai.personality_enabled' && typeof value !== 'boolean') {
@@ -232,6 +371,86 @@ router.put('/settings/:key', async (req, res) => {
       return res.status(400).json({ error: 'value must be "off", "light", or "medium"' });
     }
   }
+  if (key === 'intent.llm_enabled' && typeof value !== 'boolean') {
+    return res.status(400).json({ error: 'value must be boolean' });
+  }
+  if (key === 'intent.llm_model' && (typeof value !== 'string' || !value || value.length > 100)) {
+    return res.status(400).json({ error: 'Model name must be a string (max 100 chars)' });
+  }
+  if (key === 'intent.llm_threshold') {
+    if (typeof value !== 'number' || value < 0 || value > 1) {
+      return res.status(400).json({ error: 'value must be a number between 0 and 1' });
+    }
+  }
+  if (key === 'intent.llm_timeout_ms') {
+    if (!Number.isInteger(value) || value < 100 || value > 10000) {
+      return res.status(400).json({ error: 'value must be an integer between 100 and 10000' });
+    }
+  }
+  if (key === 'inference.max_concurrent_per_model') {
+    if (!Number.isInteger(value) || value < 1 || value > 64) {
+      return res.status(400).json({ error: 'value must be an integer between 1 and 64' });
+    }
+  }
+  if (key === 'inference.model_limits') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)
+        || Object.values(value).some(n => !Number.isInteger(n) || n < 1 || n > 64)) {
+      return res.status(400).json({ error: 'value must be an object of model → integer between 1 and 64' });
+    }
+  }
+  if (key === 'inference.max_queue') {
+    if (!Number.isInteger(value) || value < 0 || value > 1000) {
+      return res.status(400).json({ error: 'value must be an integer between 0 and 1000' });
+    }
+  }
+  if (key === 'inference.queue_timeout_ms') {
+    if (!Number.isInteger(value) || value < 1000 || value > 300000) {
+      return res.status(400).json({ error: 'value must be an integer between 1000 and 300000' });
+    }
+  }
+  if (key === 'cache.enabled' && typeof value !== 'boolean') {
+    return res.status(400).json({ error: 'value must be boolean' });
+  }
+  if (key === 'cache.ttl_minutes') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)
+        || Object.keys(value).some(k => !CACHEABLE_ROUTES.includes(k))
+        || Object.values(value).some(n => !Number.isInteger(n) || n < 0 || n > 43200)) {
+      return res.status(400).json({
+        error: `value must be an object of ${CACHEABLE_ROUTES.join(' / ')} → minutes (0-43200, 0 disables)`,
+      });
+    }
+  }
+  if (key === 'cache.similarity_threshold') {
+    if (typeof value !== 'number' || value < 0 || value > 1) {
+      return res.status(400).json({ error: 'value must be a number between 0 and 1 (0 = exact matches only)' });
+    }
+  }
+  if (key === 'cache.embedding_model' && (typeof value !== 'string' || !value || value.length > 100)) {
+    return res.status(400).json({ error: 'Model name must be a string (max 100 chars)' });
+  }
+  if (key === 'local_index.enabled' && typeof value !== 'boolean') {
+    return res.status(400).json({ error: 'value must be boolean' });
+  }
+  if (key === 'local_index.max_pages_per_site') {
+    if (!Number.isInteger(value) || value < 1 || value > 10000) {
+      return res.status(400).json({ error: 'value must be an integer between 1 and 10000' });
+    }
+  }
+  if (key === 'local_index.max_depth') {
+    if (!Number.isInteger(value) || value < 1 || value > 10) {
+      return res.status(400).json({ error: 'value must be an integer between 1 and 10' });
+    }
+  }
+  if (key === 'local_index.recrawl_hours') {
+    if (!Number.isInteger(value) || value < 1 || value > 720) {
+      return res.status(400).json({ error: 'value must be an integer between 1 and 720' });
+    }
+  }
+  if (key === 'local_index.crawl_delay_ms') {
+    if (!Number.isInteger(value) || value < 0 || value > 30000) {
+      return res.status(400).json({ error: 'value must be an integer between 0 and 30000' });
+    }
+  }
   // Validate tool enable/disable settings
   if (key.startsWith('tool.') && key.endsWith('.enabled') && typeof value !== 'boolean') {
     return res.status(400).json({ error: 'value must be boolean' });
@@ -263,6 +482,59 @@ router.put('/settings/:key', async (req, res) => {
     }
   }
 
+  if (key === 'context.default_window') {
+    if (typeof value !== 'number' || value < 1024 || value > 131072) {
+      return res.status(400).json({ error: 'value must be a number between 1024 and 131072' });
+    }
+  }
+  if (key === 'context.model_windows') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)
+        || Object.values(value).some(v => typeof v !== 'number' || v < 1024 || v > 131072)) {
+      return res.status(400).json({ error: 'value must be an object of { model: tokens } (1024–131072)' });
+    }
+  }
+  if (key === 'context.history_ratio') {
+    if (typeof value !== 'number' || value < 0.1 || value > 0.9) {
+      return res.status(400).json({ error: 'value must be a number between 0.1 and 0.9' });
+    }
+  }
+  if (key === 'context.summary_enabled' && typeof value !== 'boolean') {
+    return res.status(400).json({ error: 'value must be boolean' });
+  }
+  if (key === 'context.summary_model' && typeof value !== 'string') {
+    return res.status(400).json({ error: 'value must be a model name' });
+  }
+
+  if (key === 'knowledge.enabled' && typeof value !== 'boolean') {
+    return res.status(400).json({ error: 'value must be boolean' });
+  }
+  if (key === 'knowledge.embedding_model' && (typeof value !== 'string' || !value || value.length > 100)) {
+    return res.status(400).json({ error: 'Model name must be a string (max 100 chars)' });
+  }
+  if (key === 'knowledge.default_collections') {
+    if (!Array.isArray(value) || value.length > 10 || value.some(v => typeof v !== 'string')) {
+      return res.status(400).json({ error: 'value must be an array of collection names (max 10)' });
+    }
+  }
+  if (key === 'knowledge.top_k') {
+    if (!Number.isInteger(value) || value < 1 || value > 20) {
+      return res.status(400).json({ error: 'value must be an integer between 1 and 20' });
+    }
+  }
+  if (key === 'knowledge.min_score') {
+    if (typeof value !== 'number' || value < 0 || value > 1) {
+      return res.status(400).json({ error: 'value must be a number between 0 and 1' });
+    }
+  }
+  if (key === 'ocr.enabled' && typeof value !== 'boolean') {
+    return res.status(400).json({ error: 'value must be boolean' });
+  }
+  if (key === 'ocr.min_confidence') {
+    if (typeof value !== 'number' || value < 0 || value > 100) {
+      return res.status(400).json({ error: 'value must be a number between 0 and 100' });
+    }
+  }
+
   try {
     await setSetting(key, value);
     res.json({ ok: true, key, value });
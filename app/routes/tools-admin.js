@@ -0,0 +1,201 @@
+/**
+ * Admin Tools API — manage the tool registry and HTTP-backed tools
+ * Protected via admin token or Cloudflare Access.
+ *
+ * GET    /v1/admin/tools           — all registered tools (built-in + HTTP) with enabled flags
+ * GET    /v1/admin/tools/:id       — one tool (+ HTTP definition)
+ * POST   /v1/admin/tools           — create an HTTP tool
+ * PUT    /v1/admin/tools/:id       — update an HTTP tool
+ * DELETE /v1/admin/tools/:id       — delete an HTTP tool
+ * POST   /v1/admin/tools/:id/test  — run a test call { params } (works while disabled)
+ *
+ * `enabled` in POST/PUT bodies writes the `tool.<id>.enabled` setting.
+ */
+const { Router } = require('express');
+const { getSetting, setSetting } = require('../lib/settings');
+const { listTools, getTool } = require('../lib/tools');
+const {
+  validateDefinition, loadHttpTools, listHttpTools, getHttpTool, saveHttpTool, deleteHttpTool,
+} = require('../lib/http-tools');
+
+const router = Router();
+
+/**
+ * Admin auth middleware — check for admin token or Cloudflare Access header
+ */
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (adminToken) {
+    const auth = req.headers.authorization;
+    if (auth === `Bearer ${adminToken}`) return next();
+  }
+  const cfEmail = req.headers['cf-access-authenticated-user-email'];
+  if (cfEmail) return next();
+  if (req.session && (req.session.userId || req.session.cfEmail)) return next();
+  const cfJwt = req.headers['cf-access-jwt-assertion'];
+  if (cfJwt) return next();
+  return res.status(403).json({ error: 'Admin access required' });
+}
+
+router.use(requireAdmin);
+
+function adminIdentity(req) {
+  return req.headers['cf-access-authenticated-user-email'] || req.session?.cfEmail
+    || (req.session?.userId ? `user:${req.session.userId}` : 'admin-token');
+}
+
+async function isEnabled(id) {
+  const v = await getSetting(`tool.${id}.enabled`, false);
+  return v === true || v === 'true';
+}
+
+/** Pick definition fields from a request body. */
+function pickDefinition(body, id) {
+  return {
+    id,
+    name: body.name,
+    description: body.description,
+    params_schema: body.params_schema,
+    url: body.url,
+    method: body.method ? String(body.method).toUpperCase() : 'GET',
+    headers: body.headers,
+    response_map: body.response_map,
+    timeout_ms: body.timeout_ms,
+    permissions: body.permissions,
+  };
+}
+
+/**
+ * GET /v1/admin/tools
+ */
+router.get('/tools', async (_req, res) => {
+  try {
+    const defs = await listHttpTools().catch(() => []);
+    const byId = Object.fromEntries(defs.map(d => [d.id, d]));
+    const tools = await Promise.all(listTools().map(async t => ({
+      ...t,
+      enabled: await isEnabled(t.id),
+      http: byId[t.id] || null,
+    })));
+    res.json({ tools });
+  } catch (err) {
+    console.error('[admin] Tools list failed:', err.message);
+    res.status(500).json({ error: 'Failed to load tools' });
+  }
+});
+
+/**
+ * GET /v1/admin/tools/:id
+ */
+router.get('/tools/:id', async (req, res) => {
+  const tool = listTools().find(t => t.id === req.params.id);
+  if (!tool) return res.status(404).json({ error: 'Tool not found' });
+  try {
+    res.json({
+      tool: { ...tool, enabled: await isEnabled(tool.id), http: await getHttpTool(tool.id) },
+    });
+  } catch (err) {
+    console.error('[admin] Tool load failed:', err.message);
+    res.status(500).json({ error: 'Failed to load tool' });
+  }
+});
+
+/**
+ * POST /v1/admin/tools — create HTTP tool
+ */
+router.post('/tools', async (req, res) => {
+  const body = req.body || {};
+  const def = pickDefinition(body, body.id);
+  const invalid = validateDefinition(def);
+  if (invalid) return res.status(400).json({ error: invalid });
+  if (getTool(def.id)) return res.status(409).json({ error: `Tool already exists: ${def.id}` });
+  if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled must be boolean' });
+  }
+
+  try {
+    const saved = await saveHttpTool(def, adminIdentity(req));
+    if (body.enabled !== undefined) await setSetting(`tool.${def.id}.enabled`, body.enabled);
+    await loadHttpTools();
+    res.status(201).json({ tool: saved, enabled: await isEnabled(def.id) });
+  } catch (err) {
+    console.error('[admin] Tool create failed:', err.message);
+    res.status(500).json({ error: 'Failed to create tool' });
+  }
+});
+
+/**
+ * PUT /v1/admin/tools/:id — update HTTP tool (full definition)
+ */
+router.put('/tools/:id', async (req, res) => {
+  const body = req.body || {};
+  const existing = getTool(req.params.id);
+  if (existing && existing.source !== 'http') {
+    return res.status(400).json({ error: 'Built-in tools cannot be edited; toggle them via settings' });
+  }
+  if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled must be boolean' });
+  }
+
+  try {
+    const current = await getHttpTool(req.params.id);
+    if (!current) return res.status(404).json({ error: 'Tool not found' });
+
+    const def = pickDefinition({ ...current, ...body }, req.params.id);
+    const invalid = validateDefinition(def);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const saved = await saveHttpTool(def);
+    if (body.enabled !== undefined) await setSetting(`tool.${def.id}.enabled`, body.enabled);
+    await loadHttpTools();
+    res.json({ tool: saved, enabled: await isEnabled(def.id) });
+  } catch (err) {
+    console.error('[admin] Tool update failed:', err.message);
+    res.status(500).json({ error: 'Failed to update tool' });
+  }
+});
+
+/**
+ * DELETE /v1/admin/tools/:id
+ */
+router.delete('/tools/:id', async (req, res) => {
+  const existing = getTool(req.params.id);
+  if (existing && existing.source !== 'http') {
+    return res.status(400).json({ error: 'Built-in tools cannot be deleted' });
+  }
+  try {
+    const deleted = await deleteHttpTool(req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Tool not found' });
+    await setSetting(`tool.${req.params.id}.enabled`, false);
+    await loadHttpTools();
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[admin] Tool delete failed:', err.message);
+    res.status(500).json({ error: 'Failed to delete tool' });
+  }
+});
+
+/**
+ * POST /v1/admin/tools/:id/test — run the tool with sample params
+ *
+ * Body: { params: object }
+ * Bypasses the enabled flag so tools can be checked before going live.
+ */
+router.post('/tools/:id/test', async (req, res) => {
+  const tool = getTool(req.params.id);
+  if (!tool) return res.status(404).json({ error: 'Tool not found' });
+  const params = (req.body && req.body.params) || {};
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    return res.status(400).json({ error: 'params must be an object' });
+  }
+
+  const start = Date.now();
+  try {
+    const result = await tool.execute(params, { environment: req.env || 'prod', role: 'admin', test: true });
+    res.json({ success: true, result, durationMs: Date.now() - start });
+  } catch (err) {
+    res.json({ success: false, error: err.message, durationMs: Date.now() - start });
+  }
+});
+
+module.exports = router;
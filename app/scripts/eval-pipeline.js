@@ -0,0 +1,357 @@
+#!/usr/bin/env node
+
+/**
+ * Offline evaluation of the routing pipeline
+ *
+ * Runs a labelled JSONL corpus through the deterministic pipeline — no
+ * database, no Ollama (settings are stubbed) — and reports per-label
+ * precision / recall and a confusion matrix for each dimension:
+ *
+ *   route     ← routeMessage(message).routeType
+ *   intent    ← decision.intent.intent       (classifyIntent on the corrected text)
+ *   language  ← decision.lang.language       (detectLanguageAndDialect)
+ *   dialect   ← decision.lang.dialect        (null → NONE)
+ *   browse    ← shouldBrowseWeb(normalised).shouldBrowse   (yes / no)
+ *
+ * Corpus lines (labels are optional; only labelled dimensions are scored):
+ *   {"message": "harga iphone 15 sekarang", "route": "WEB_RESEARCH", "intent": "WEB_RESEARCH",
+ *    "language": "ms", "dialect": null, "browse": true}
+ * Rows exported from GET /v1/admin/feedback/export ({ text, labels }) load as-is.
+ *
+ * Usage:
+ *   node scripts/eval-pipeline.js [corpus.jsonl]            (default: tests/eval/routing.jsonl)
+ *     --save-baseline <file>   write this run (predictions + metrics) as a baseline
+ *     --baseline <file>        diff against a saved baseline: metric deltas,
+ *                              cases that were fixed and cases that regressed
+ *     --fail-on-regression     exit 1 when a previously correct case is now wrong
+ *     --only <dim,...>         score only these dimensions
+ *     --setting key=value      override a stubbed setting (value parsed as JSON when possible)
+ *     --json                   print the full result as JSON instead of tables
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const DIMENSIONS = ['intent', 'language', 'dialect', 'browse', 'route'];
+const DEFAULT_CORPUS = path.join(__dirname, '..', 'tests', 'eval', 'routing.jsonl');
+
+/** Settings the router reads, fixed so runs are reproducible. */
+const STUB_SETTINGS = {
+  'web_research.enabled': true,
+  'knowledge.enabled': false,
+  'ai.dialect_mirroring_level': 'light',
+  'ai.smalltalk_stabilizer': true,
+};
+
+/* ── Corpus ──────────────────────────────────────────────── */
+
+/** Canonical label value for comparison ('browse' → yes/no, empty dialect → NONE). */
+function normalizeLabel(dim, value) {
+  if (dim === 'browse') {
+    if (value === true || value === 'yes' || value === 'true') return 'yes';
+    if (value === false || value === 'no' || value === 'false') return 'no';
+    return undefined;
+  }
+  if (dim === 'dialect' && (value === null || value === '' || value === 'none')) return 'NONE';
+  if (value === undefined || value === null || value === '') return undefined;
+  return dim === 'language' ? String(value).toLowerCase() : String(value).toUpperCase();
+}
+
+/**
+ * Parse corpus JSONL. Blank lines and `//` comments are skipped.
+ *
+ * @param {string} raw
+ * @returns {{ cases: Array<{ id: string, message: string, expected: object }>, errors: string[] }}
+ */
+function parseCorpus(raw) {
+  const cases = [];
+  const errors = [];
+  raw.split('\n').forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('//')) return;
+    let row;
+    try { row = JSON.parse(trimmed); } catch { errors.push(`line ${i + 1}: invalid JSON`); return; }
+    const message = row.message ?? row.text;
+    if (typeof message !== 'string' || !message.trim()) { errors.push(`line ${i + 1}: message is required`); return; }
+    const labels = { ...(row.labels || {}), ...row };
+    const expected = {};
+    for (const dim of DIMENSIONS) {
+      if (!(dim in labels)) continue;
+      const value = normalizeLabel(dim, labels[dim]);
+      if (value !== undefined) expected[dim] = value;
+    }
+    cases.push({ id: String(row.id ?? `line-${i + 1}`), message, expected });
+  });
+  return { cases, errors };
+}
+
+/* ── Metrics ─────────────────────────────────────────────── */
+
+/**
+ * Accuracy, per-label precision/recall/F1 and a confusion matrix for one dimension.
+ *
+ * @param {Array<{ expected: string, predicted: string }>} pairs
+ * @returns {{ total, correct, accuracy, labels: object, matrix: object, order: string[] }}
+ */
+function computeMetrics(pairs) {
+  const order = [...new Set(pairs.flatMap(p => [p.expected, p.predicted]))].sort();
+  const matrix = {};
+  for (const e of order) {
+    matrix[e] = {};
+    for (const p of order) matrix[e][p] = 0;
+  }
+  let correct = 0;
+  for (const { expected, predicted } of pairs) {
+    matrix[expected][predicted]++;
+    if (expected === predicted) correct++;
+  }
+
+  const labels = {};
+  for (const label of order) {
+    const tp = matrix[label][label];
+    const predictedAs = order.reduce((n, e) => n + matrix[e][label], 0);
+    const support = order.reduce((n, p) => n + matrix[label][p], 0);
+    const precision = predictedAs ? tp / predictedAs : 0;
+    const recall = support ? tp / support : 0;
+    labels[label] = {
+      precision: round(precision),
+      recall: round(recall),
+      f1: precision + recall ? round((2 * precision * recall) / (precision + recall)) : 0,
+      support,
+    };
+  }
+
+  return {
+    total: pairs.length,
+    correct,
+    accuracy: pairs.length ? round(correct / pairs.length) : 0,
+    labels,
+    matrix,
+    order,
+  };
+}
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+/**
+ * Compare a run with a saved baseline.
+ *
+ * @param {object} current  - { metrics, predictions }
+ * @param {object} baseline - same shape, from --save-baseline
+ * @returns {{ metrics: object, fixed: object[], regressed: object[], changed: object[] }}
+ */
+function diffRuns(current, baseline) {
+  const metrics = {};
+  for (const dim of Object.keys(current.metrics)) {
+    const cur = current.metrics[dim];
+    const base = baseline.metrics?.[dim];
+    if (!base) continue;
+    const labels = {};
+    for (const label of new Set([...Object.keys(cur.labels), ...Object.keys(base.labels)])) {
+      const c = cur.labels[label] || { precision: 0, recall: 0 };
+      const b = base.labels[label] || { precision: 0, recall: 0 };
+      const dp = round(c.precision - b.precision);
+      const dr = round(c.recall - b.recall);
+      if (dp !== 0 || dr !== 0) labels[label] = { precision: dp, recall: dr };
+    }
+    metrics[dim] = { accuracy: round(cur.accuracy - base.accuracy), labels };
+  }
+
+  const basePred = new Map((baseline.predictions || []).map(p => [`${p.id}\u0000${p.message}`, p]));
+  const fixed = [], regressed = [], changed = [];
+  for (const p of current.predictions) {
+    const b = basePred.get(`${p.id}\u0000${p.message}`);
+    if (!b) continue;
+    for (const dim of Object.keys(p.expected)) {
+      if (b.predicted[dim] === undefined || b.predicted[dim] === p.predicted[dim]) continue;
+      const entry = { id: p.id, message: p.message, dimension: dim, expected: p.expected[dim], before: b.predicted[dim], after: p.predicted[dim] };
+      if (p.predicted[dim] === p.expected[dim]) fixed.push(entry);
+      else if (b.predicted[dim] === p.expected[dim]) regressed.push(entry);
+      else changed.push(entry);
+    }
+  }
+  return { metrics, fixed, regressed, changed };
+}
+
+/* ── Running the pipeline ────────────────────────────────── */
+
+/**
+ * Load the pipeline with settings stubbed. Must run before anything else
+ * requires lib/router.js (modules destructure getSetting at load time).
+ */
+function loadPipeline(overrides = {}) {
+  const settings = require('../lib/settings');
+  const stub = { ...STUB_SETTINGS, ...overrides };
+  settings.getSetting = async (key, defaultValue = null) => (key in stub ? stub[key] : defaultValue);
+  return {
+    shouldBrowseWeb: require('../lib/web-research').shouldBrowseWeb,
+    routeMessage: require('../lib/router').routeMessage,
+  };
+}
+
+/**
+ * One pass through routeMessage — the same decision chat-stream.js audits —
+ * so intent/language/dialect reflect normalisation and spell correction.
+ * `browse` is shouldBrowseWeb on the normalised text, independent of intent.
+ */
+async function predict(pipeline, message) {
+  const decision = await pipeline.routeMessage(message, {}, {});
+  return {
+    route: normalizeLabel('route', decision.routeType),
+    intent: normalizeLabel('intent', decision.intent?.intent),
+    language: normalizeLabel('language', decision.lang?.language),
+    dialect: normalizeLabel('dialect', decision.lang?.dialect),
+    browse: normalizeLabel('browse', pipeline.shouldBrowseWeb(decision.pipeline?.normalized ?? message).shouldBrowse),
+  };
+}
+
+/**
+ * Evaluate a corpus.
+ * @returns {Promise<{ metrics: object, predictions: object[], corpus: string, settings: object, dimensions: string[] }>}
+ */
+async function runEvaluation(cases, { dims = DIMENSIONS, settings = {}, corpus = null } = {}) {
+  const pipeline = loadPipeline(settings);
+  const predictions = [];
+  for (const c of cases) {
+    const expected = Object.fromEntries(Object.entries(c.expected).filter(([d]) => dims.includes(d)));
+    const all = await predict(pipeline, c.message);
+    const predicted = Object.fromEntries(Object.keys(expected).map(d => [d, all[d]]));
+    predictions.push({ id: c.id, message: c.message, expected, predicted });
+  }
+  const metrics = {};
+  for (const dim of dims) {
+    const pairs = predictions
+      .filter(p => p.expected[dim] !== undefined)
+      .map(p => ({ expected: p.expected[dim], predicted: p.predicted[dim] }));
+    if (pairs.length > 0) metrics[dim] = computeMetrics(pairs);
+  }
+  return { corpus, settings: { ...STUB_SETTINGS, ...settings }, dimensions: dims, metrics, predictions };
+}
+
+/* ── Reporting ───────────────────────────────────────────── */
+
+function pct(n) {
+  return `${(n * 100).toFixed(1)}%`;
+}
+
+function signed(n) {
+  return `${n > 0 ? '+' : ''}${(n * 100).toFixed(1)}`;
+}
+
+function table(rows) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map(r => String(r[i]).length)));
+  return rows.map(r => r.map((c, i) => (i === 0 ? String(c).padEnd(widths[i]) : String(c).padStart(widths[i]))).join('  ')).join('\n');
+}
+
+function formatReport(result, diff) {
+  const out = [];
+  for (const [dim, m] of Object.entries(result.metrics)) {
+    out.push(`\n── ${dim} — accuracy ${pct(m.accuracy)} (${m.correct}/${m.total}) ──`);
+    out.push(table([
+      ['label', 'precision', 'recall', 'f1', 'support'],
+      ...m.order.map(l => [l, pct(m.labels[l].precision), pct(m.labels[l].recall), pct(m.labels[l].f1), m.labels[l].support]),
+    ]));
+    out.push('\nconfusion (rows = expected, columns = predicted)');
+    out.push(table([
+      ['', ...m.order],
+      ...m.order.map(e => [e, ...m.order.map(p => m.matrix[e][p] || '·')]),
+    ]));
+    if (diff && diff.metrics[dim]) {
+      const d = diff.metrics[dim];
+      const moved = Object.entries(d.labels).map(([l, v]) => `${l} P ${signed(v.precision)} R ${signed(v.recall)}`);
+      out.push(`\nvs baseline: accuracy ${signed(d.accuracy)} pts${moved.length ? ` · ${moved.join(' · ')}` : ''}`);
+    }
+  }
+
+  const misses = result.predictions.flatMap(p => Object.keys(p.expected)
+    .filter(d => p.expected[d] !== p.predicted[d])
+    .map(d => `  [${d}] ${p.id}: expected ${p.expected[d]}, got ${p.predicted[d]} — ${JSON.stringify(p.message.slice(0, 80))}`));
+  if (misses.length > 0) {
+    out.push(`\n── misses (${misses.length}) ──`);
+    out.push(...misses.slice(0, 50));
+    if (misses.length > 50) out.push(`  … ${misses.length - 50} more (use --json for all)`);
+  }
+
+  if (diff) {
+    const line = e => `  [${e.dimension}] ${e.id}: ${e.before} → ${e.after} (expected ${e.expected}) — ${JSON.stringify(e.message.slice(0, 80))}`;
+    out.push(`\n── vs baseline: ${diff.fixed.length} fixed, ${diff.regressed.length} regressed, ${diff.changed.length} changed ──`);
+    if (diff.regressed.length) out.push('regressed:', ...diff.regressed.map(line));
+    if (diff.fixed.length) out.push('fixed:', ...diff.fixed.map(line));
+    if (diff.changed.length) out.push('changed (still wrong):', ...diff.changed.map(line));
+  }
+  return out.join('\n');
+}
+
+/* ── CLI ─────────────────────────────────────────────────── */
+
+function parseArgs(argv) {
+  const args = { corpus: DEFAULT_CORPUS, settings: {}, dims: DIMENSIONS };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--baseline') args.baseline = argv[++i];
+    else if (a === '--save-baseline') args.saveBaseline = argv[++i];
+    else if (a === '--fail-on-regression') args.failOnRegression = true;
+    else if (a === '--json') args.json = true;
+    else if (a === '--only') args.dims = String(argv[++i] || '').split(',').map(s => s.trim()).filter(d => DIMENSIONS.includes(d));
+    else if (a === '--setting') {
+      const [key, ...rest] = String(argv[++i] || '').split('=');
+      const raw = rest.join('=');
+      try { args.settings[key] = JSON.parse(raw); } catch { args.settings[key] = raw; }
+    } else if (!a.startsWith('--')) args.corpus = a;
+    else throw new Error(`Unknown option: ${a}`);
+  }
+  if (args.dims.length === 0) throw new Error(`--only takes any of: ${DIMENSIONS.join(', ')}`);
+  return args;
+}
+
+async function main() {
+  let args;
+  try { args = parseArgs(process.argv.slice(2)); } catch (err) {
+    console.error(err.message);
+    process.exit(2);
+  }
+
+  const { cases, errors } = parseCorpus(fs.readFileSync(args.corpus, 'utf8'));
+  errors.forEach(e => console.error(`[eval] ${path.basename(args.corpus)} ${e}`));
+  if (cases.length === 0) {
+    console.error('[eval] No cases to evaluate.');
+    process.exit(2);
+  }
+
+  const result = await runEvaluation(cases, { dims: args.dims, settings: args.settings, corpus: path.relative(process.cwd(), args.corpus) });
+  const diff = args.baseline ? diffRuns(result, JSON.parse(fs.readFileSync(args.baseline, 'utf8'))) : null;
+
+  if (args.json) {
+    console.log(JSON.stringify(diff ? { ...result, diff } : result, null, 2));
+  } else {
+    console.log(`[eval] ${cases.length} cases from ${result.corpus}`);
+    console.log(formatReport(result, diff));
+  }
+
+  if (args.saveBaseline) {
+    fs.writeFileSync(args.saveBaseline, JSON.stringify({ savedAt: new Date().toISOString(), ...result }, null, 2) + '\n');
+    if (!args.json) console.log(`\n[eval] Baseline saved to ${args.saveBaseline}`);
+  }
+
+  process.exit(args.failOnRegression && diff && diff.regressed.length > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('[eval] Failed:', err.message);
+    process.exit(2);
+  });
+}
+
+module.exports = {
+  DIMENSIONS,
+  normalizeLabel,
+  parseCorpus,
+  computeMetrics,
+  diffRuns,
+  runEvaluation,
+};
@@ -16,13 +16,29 @@ const oauthRoutes       = require('./routes/oauth');
 const apiKeysRoutes     = require('./routes/api-keys');
 const waGatewayRoutes   = require('./routes/wa-gateway');
 const chatStreamRoutes  = require('./routes/chat-stream');
+const chatThreadsRoutes = require('./routes/chat-threads');
+const openaiCompatRoutes = require('./routes/openai-compat');
+const extractRoutes     = require('./routes/extract');
 const imageRoutes       = require('./routes/image');
 const settingsRoutes    = require('./routes/settings');
 const smsGatewayRoutes  = require('./routes/sms-gateway');
 const smsAdminRoutes    = require('./routes/sms-admin');
 const waAdminRoutes     = require('./routes/wa-admin');
 const reportingRoutes   = require('./routes/reporting');
+const toolsAdminRoutes  = require('./routes/tools-admin');
+const dbReadAdminRoutes = require('./routes/db-read-admin');
+const knowledgeAdminRoutes = require('./routes/knowledge-admin');
+const feedbackAdminRoutes = require('./routes/feedback-admin');
+const lexiconsAdminRoutes = require('./routes/lexicons-admin');
+const personasAdminRoutes = require('./routes/personas-admin');
+const localIndexAdminRoutes = require('./routes/local-index-admin');
+const { loadHttpTools, startHttpToolSync } = require('./lib/http-tools');
+const { loadDbReadCatalogue, startDbReadSync } = require('./lib/db-read');
+const { loadLexicons, startLexiconSync } = require('./lib/lexicons');
+const { probeBackends, pickBackend, startPoolProbe } = require('./lib/ollama-pool');
+const { getSchedulerStatus } = require('./lib/inference-scheduler');
 const smsWorker         = require('./lib/sms-worker');
+const { startCrawler, stopCrawler } = require('./lib/local-index');
 const { visitorMiddleware } = require('./lib/usage');
 
 /* ── Config ─────────────────────────────────────────────── */
@@ -37,9 +53,8 @@ const INTERNAL = {
   api:     process.env.API_INTERNAL_URL     || 'http://api:3000',
 };
 
-/* AI-infrastructure endpoints (different health paths) */
+/* AI-infrastructure endpoints (different health paths); Ollama is probed through its pool */
 const AI_PROBES = {
-  ollama:  { url: `http://${process.env.OLLAMA_HOST  || 'ollama'}:${process.env.OLLAMA_PORT  || '11434'}`, health: '/' },
   comfyui: { url: `http://${process.env.COMFYUI_HOST || 'comfyui'}:${process.env.COMFYUI_PORT || '8188'}`, health: '/system_stats' },
 };
 
@@ -146,9 +161,19 @@ app.use('/api/keys', apiKeysRoutes);
 app.use('/v1', resolveEnvironment);
 app.use('/v1', waGatewayRoutes);
 app.use('/v1', chatStreamRoutes);
+app.use('/v1', chatThreadsRoutes);
+app.use('/v1', openaiCompatRoutes);
+app.use('/v1', extractRoutes);
 app.use('/v1', imageRoutes);
 app.use('/v1/admin', settingsRoutes);
 app.use('/v1/admin', reportingRoutes);
+app.use('/v1/admin', toolsAdminRoutes);
+app.use('/v1/admin', dbReadAdminRoutes);
+app.use('/v1/admin', knowledgeAdminRoutes);
+app.use('/v1/admin', feedbackAdminRoutes);
+app.use('/v1/admin', lexiconsAdminRoutes);
+app.use('/v1/admin', personasAdminRoutes);
+app.use('/v1/admin', localIndexAdminRoutes);
 app.use('/v1/sms', smsGatewayRoutes);
 app.use('/v1/admin/sms', smsAdminRoutes);
 app.use('/v1/admin/wa', waAdminRoutes);
@@ -225,7 +250,24 @@ app.get('/api/status', async (_req, res) => {
     }
   });
 
-  const results  = await Promise.all([...probes, ...aiProbes]);
+  /* Ollama backend pool — up while any backend answers (no URLs: this endpoint is public) */
+  const ollamaProbe = (async () => {
+    const t0 = Date.now();
+    const backends = await probeBackends();
+    const healthy = backends.filter(b => b.status === 'ok').length;
+    return {
+      name: 'ollama',
+      status: healthy > 0 ? 'ok' : 'offline',
+      latency_ms: Date.now() - t0,
+      model: `${healthy}/${backends.length} backends`,
+      queue: getSchedulerStatus(),
+      backends: backends.map(b => ({
+        name: b.name, status: b.status, inflight: b.inflight, loaded: b.loaded, latency_ms: b.latency_ms,
+      })),
+    };
+  })();
+
+  const results  = await Promise.all([...probes, ...aiProbes, ollamaProbe]);
   const services = {};
   for (const r of results) services[r.name] = r;
   res.json({ services, timestamp: new Date().toISOString() });
@@ -529,13 +571,17 @@ async function runMigrations() {
 
 // Warmup Ollama model so first chat response is fast
 async function warmupOllama() {
-  const OLLAMA_HOST = process.env.OLLAMA_HOST || 'ollama';
-  const OLLAMA_PORT = process.env.OLLAMA_PORT || '11434';
-  const ollamaUrl = `http://${OLLAMA_HOST}:${OLLAMA_PORT}`;
   try {
     const { getSetting } = require('./lib/settings');
     const defaultModel = await getSetting('ai.default_text_model', 'llama3.1:8b');
-    console.log(`[ollama] Warming up model: ${defaultModel}...`);
+    await probeBackends();
+    const backend = pickBackend(defaultModel);
+    if (!backend) {
+      console.warn(`[ollama] No backend serves ${defaultModel} — skipping warmup`);
+      return;
+    }
+    const ollamaUrl = backend.url;
+    console.log(`[ollama] Warming up model: ${defaultModel} on ${backend.name}...`);
     const ac = new AbortController();
     const tm = setTimeout(() => ac.abort(), 120_000); // 2 min timeout for model load
     const r = await fetch(`${ollamaUrl}/api/chat`, {
@@ -560,11 +606,12 @@ async function warmupOllama() {
     // Also warm up vision model if different
     const visionModel = await getSetting('ai.default_vision_model', 'qwen2.5vl:32b');
     if (visionModel && visionModel !== defaultModel) {
+      const visionUrl = (pickBackend(visionModel) || backend).url;
       console.log(`[ollama] Warming up vision model: ${visionModel}...`);
       const ac2 = new AbortController();
       const tm2 = setTimeout(() => ac2.abort(), 180_000);
       try {
-        const r2 = await fetch(`${ollamaUrl}/api/chat`, {
+        const r2 = await fetch(`${visionUrl}/api/chat`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
@@ -625,7 +672,29 @@ initSchema()
     try { smsWorker.startWorker(); console.log('[sms] Worker started'); }
     catch(err) { console.error('[sms] Worker start error:', err.message); }
 
-    // Warmup Ollama in background (don't block startup)
+    // Register admin-defined HTTP tools
+    loadHttpTools()
+      .then(n => { if (n > 0) console.log(`[tools] Registered ${n} HTTP tool(s)`); })
+      .catch(err => console.error('[tools] HTTP tools load failed:', err.message));
+    startHttpToolSync();
+
+    // Load the db_read query catalogue
+    loadDbReadCatalogue()
+      .then(n => { if (n > 0) console.log(`[tools] db_read catalogue: ${n} quer${n === 1 ? 'y' : 'ies'}`); })
+      .catch(err => console.error('[tools] db_read catalogue load failed:', err.message));
+    startDbReadSync();
+
+    // Admin-edited classifier lexicons (built-ins stay in effect until this loads)
+    loadLexicons()
+      .then(n => { if (n > 0) console.log(`[lexicons] ${n} lexicon(s) overridden from the database`); })
+      .catch(err => console.error('[lexicons] Load failed:', err.message));
+    startLexiconSync();
+
+    // Local search index: re-crawl due sites (no-op unless local_index.enabled)
+    startCrawler();
+
+    // Probe the Ollama pool every 30s; warmup in background (don't block startup)
+    startPoolProbe();
     warmupOllama();
 
     const server = app.listen(PORT, '0.0.0.0', () => {
@@ -649,6 +718,7 @@ initSchema()
       shuttingDown = true;
       console.log(`[app] ${signal} — closing`);
       try { smsWorker.stopWorker(); } catch(_) {}
+      stopCrawler();
       server.close(() => {
         endAll().then(() => process.exit(0));
       });
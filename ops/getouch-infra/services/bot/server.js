@@ -1,4 +1,5 @@
 const http = require('http');
+const https = require('https');
 
 const PORT = process.env.PORT || 3000;
 const VERSION = process.env.VERSION || '2.0.0';
@@ -6,8 +7,94 @@ const OLLAMA_HOST = process.env.OLLAMA_HOST || 'ollama';
 const OLLAMA_PORT = process.env.OLLAMA_PORT || '11434';
 const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'llama3.1:8b';
 
+// ── Ollama backend pool ───────────────────────────────────────────
+// OLLAMA_BACKENDS=gpu1=http://ollama:11434,gpu2=http://10.0.0.12:11434
+// or a JSON array, as for the app's pool (app/lib/ollama-pool.js):
+//   [{ "name": "gpu2", "url": "http://10.0.0.12:11434", "models": ["qwen2.5:14b-instruct"] }]
+// A backend with a `models` list only gets OLLAMA_MODEL if it is listed.
+// Requests go to the healthy backend with the fewest in-flight requests and
+// move on when one fails or does not have the model (404); 3 failures in a
+// row take a backend out for 30s.
+const FAIL_THRESHOLD = 3;
+const UNHEALTHY_MS = 30000;
+
+function parseBackends(spec) {
+  const text = (spec || '').trim();
+  let entries;
+  if (text.startsWith('[')) {
+    try {
+      entries = JSON.parse(text);
+    } catch (err) {
+      console.error('[bot] OLLAMA_BACKENDS is not valid JSON:', err.message);
+      entries = [];
+    }
+  } else {
+    entries = text.split(',').map(s => s.trim()).filter(Boolean).map((item, i) => {
+      const eq = item.indexOf('=');
+      return eq > 0 && !item.slice(0, eq).includes('/')
+        ? { name: item.slice(0, eq), url: item.slice(eq + 1) }
+        : { name: `ollama-${i + 1}`, url: item };
+    });
+  }
+
+  const backends = [];
+  (Array.isArray(entries) ? entries : []).forEach((e, i) => {
+    if (!e || typeof e.url !== 'string' || !/^https?:\/\//.test(e.url)) {
+      console.error(`[bot] Skipping OLLAMA_BACKENDS entry ${i + 1}: url must start with http:// or https://`);
+      return;
+    }
+    try {
+      backends.push({
+        name: typeof e.name === 'string' && e.name ? e.name : `ollama-${i + 1}`,
+        url: new URL(e.url),
+        models: Array.isArray(e.models) ? e.models.filter(m => typeof m === 'string' && m) : null,
+        inflight: 0,
+        failures: 0,
+        unhealthyUntil: 0,
+      });
+    } catch {
+      console.error(`[bot] Skipping invalid OLLAMA_BACKENDS entry: ${e.url}`);
+    }
+  });
+  if (backends.length === 0) {
+    backends.push({ name: 'ollama', url: new URL(`http://${OLLAMA_HOST}:${OLLAMA_PORT}`), models: null, inflight: 0, failures: 0, unhealthyUntil: 0 });
+  }
+  return backends;
+}
+
+const BACKENDS = parseBackends(process.env.OLLAMA_BACKENDS);
+
+function orderedBackends(model) {
+  const now = Date.now();
+  const healthy = b => (b.unhealthyUntil <= now ? 0 : 1);
+  return BACKENDS.map((b, i) => ({ b, i }))
+    .filter(x => !x.b.models || x.b.models.includes(model))
+    .sort((x, y) => healthy(x.b) - healthy(y.b) || x.b.inflight - y.b.inflight || x.i - y.i)
+    .map(x => x.b);
+}
+
+function markFailed(backend, err) {
+  backend.failures++;
+  if (backend.failures >= FAIL_THRESHOLD && backend.unhealthyUntil <= Date.now()) {
+    backend.unhealthyUntil = Date.now() + UNHEALTHY_MS;
+    console.error(`[bot] Backend ${backend.name} unhealthy: ${err.message}`);
+  }
+}
+
+function poolStatus() {
+  const now = Date.now();
+  return BACKENDS.map(b => ({
+    name: b.name,
+    status: b.unhealthyUntil <= now ? 'ok' : 'unhealthy',
+    inflight: b.inflight,
+    models: b.models,
+  }));
+}
+
 // ── System prompt: Getouch service knowledge ──────────────────────
-const SYSTEM_PROMPT = `You are the Getouch AI assistant — a friendly, knowledgeable representative of the Getouch platform (getouch.co).
+// BOT_SYSTEM_PROMPT replaces it for a tenant deployment (render one with
+// POST /v1/admin/personas/:name/preview on the app).
+const DEFAULT_SYSTEM_PROMPT = `You are the Getouch AI assistant — a friendly, knowledgeable representative of the Getouch platform (getouch.co).
 
 ## About Getouch
 Getouch is an intelligent engagement platform built for businesses that value privacy, speed, and automation. All AI processing runs on-premises using open-source models — your data never leaves our servers.
@@ -68,18 +155,15 @@ Getouch is an intelligent engagement platform built for businesses that value pr
 - Always be honest — if you don't know something specific about Getouch, say so
 - Respond in the same language the user writes in (support BM/Malay and English)`;
 
+const SYSTEM_PROMPT = process.env.BOT_SYSTEM_PROMPT || DEFAULT_SYSTEM_PROMPT;
+
 // ── Ollama chat request (supports system prompt + history) ────────
-function ollamaChat(messages) {
+function ollamaChatOn(backend, body) {
   return new Promise((resolve, reject) => {
-    const body = JSON.stringify({
-      model: OLLAMA_MODEL,
-      messages,
-      stream: false
-    });
-
-    const req = http.request({
-      hostname: OLLAMA_HOST,
-      port: parseInt(OLLAMA_PORT),
+    const client = backend.url.protocol === 'https:' ? https : http;
+    const req = client.request({
+      hostname: backend.url.hostname,
+      port: parseInt(backend.url.port || (backend.url.protocol === 'https:' ? '443' : '80')),
       path: '/api/chat',
       method: 'POST',
       headers: {
@@ -91,6 +175,11 @@ function ollamaChat(messages) {
       let data = '';
       res.on('data', chunk => data += chunk);
       res.on('end', () => {
+        if (res.statusCode >= 500 || res.statusCode === 404) {
+          const err = new Error(`Ollama HTTP ${res.statusCode}: ${data.slice(0, 200)}`);
+          err.statusCode = res.statusCode;
+          return reject(err);
+        }
         try {
           resolve(JSON.parse(data));
         } catch (e) {
@@ -106,6 +195,33 @@ function ollamaChat(messages) {
   });
 }
 
+// Try backends in order until one answers
+async function ollamaChat(messages) {
+  const body = JSON.stringify({
+    model: OLLAMA_MODEL,
+    messages,
+    stream: false
+  });
+
+  let lastErr = new Error(`No Ollama backend serves ${OLLAMA_MODEL}`);
+  for (const backend of orderedBackends(OLLAMA_MODEL)) {
+    backend.inflight++;
+    try {
+      const result = await ollamaChatOn(backend, body);
+      backend.failures = 0;
+      backend.unhealthyUntil = 0;
+      return { ...result, backend: backend.name };
+    } catch (err) {
+      // A missing model is not the backend's fault: try the next one
+      if (err.statusCode !== 404) markFailed(backend, err);
+      lastErr = err;
+    } finally {
+      backend.inflight--;
+    }
+  }
+  throw lastErr;
+}
+
 function readBody(req) {
   return new Promise((resolve, reject) => {
     let data = '';
@@ -136,6 +252,7 @@ const server = http.createServer(async (req, res) => {
       status: 'ok',
       version: VERSION,
       model: OLLAMA_MODEL,
+      backends: poolStatus(),
       timestamp: new Date().toISOString()
     }));
   }
@@ -172,6 +289,7 @@ const server = http.createServer(async (req, res) => {
       return res.end(JSON.stringify({
         response: responseText,
         model: result.model || OLLAMA_MODEL,
+        backend: result.backend,
         total_duration_ms: Math.round((result.total_duration || 0) / 1e6),
         timestamp: new Date().toISOString()
       }));
@@ -198,5 +316,5 @@ const server = http.createServer(async (req, res) => {
 });
 
 server.listen(PORT, '0.0.0.0', () => {
-  console.log(`[bot] v${VERSION} listening on port ${PORT}, model: ${OLLAMA_MODEL}`);
+  console.log(`[bot] v${VERSION} listening on port ${PORT}, model: ${OLLAMA_MODEL}, backends: ${BACKENDS.map(b => b.name).join(', ')}`);
 });